@@ -0,0 +1,222 @@
+// backend/app/config/plans.js
+// Single source of truth for account tiers across AmatuEdda products
+
+// Canonical tiers, lowest to highest
+const TIERS = ['free', 'elite', 'oracle'];
+
+// Legacy SkyPath/Supabase profile tiers (profiles.license_tier)
+const LEGACY_TIER_MAP = {
+  'starter': 'free',
+  'pro': 'elite',
+  'enterprise': 'oracle'
+};
+
+// Free analyses allowed before the account's email address is verified
+const UNVERIFIED_SEARCH_LIMIT = 1;
+
+// Metered actions recorded in the usage ledger (usage_events.meter)
+//   analysis  - Scout-Faire niche analyses (/api/analysis/niche)
+//   discovery - SkyPath discovery searches (/api/niches/discover)
+const METERS = ['analysis', 'discovery'];
+
+// Share of the soft fair-use cap at which responses start carrying a warning
+const FAIR_USE_WARN_RATIO = 0.8;
+
+// Days a past-due subscription keeps its tier (on past_due_limits) before the
+// account is moved to Free. Stripe's retries happen within this window.
+const DUNNING_GRACE_DAYS = 14;
+
+// Monthly limits per meter; null = unlimited. Periods are anchored on
+// users.period_start (signup or subscription start), not the calendar month.
+//
+// "Unlimited" meters can carry a fair_use policy:
+//   soft             - past this, requests are throttled instead of rejected
+//   hard             - nothing beyond this until the next period
+//   throttle_seconds - minimum gap between requests past the soft cap
+//   max_tokens       - smaller completions past the soft cap
+// Admins can override it per account (users.fair_use_override).
+//
+// past_due_limits replace the limits while a subscription payment is failing
+// (users.billing_status = 'past_due'). trial_days is the free trial a first
+// subscription to the tier gets unless its Stripe price says otherwise.
+const PLANS = {
+  'free': {
+    name: 'Free',
+    level: 1,
+    rate_limits: { api: 300, discover: 10, analyze: 5 },
+    limits: {
+      analysis: 5,
+      discovery: 100
+    }
+  },
+  'elite': {
+    name: 'Elite',
+    level: 2,
+    rate_limits: { api: 1000, discover: 30, analyze: 15 },
+    limits: {
+      analysis: null,       // Unlimited, subject to fair use
+      discovery: 1000
+    },
+    fair_use: {
+      analysis: { soft: 500, hard: 1000, throttle_seconds: 60, max_tokens: 2500 }
+    },
+    past_due_limits: {
+      analysis: 25,
+      discovery: 250
+    },
+    trial_days: 7
+  },
+  'oracle': {
+    name: 'Oracle',
+    level: 3,
+    rate_limits: { api: 3000, discover: 60, analyze: 30 },
+    limits: {
+      analysis: null,       // Unlimited, subject to fair use + Business Models
+      discovery: null
+    },
+    fair_use: {
+      analysis: { soft: 2000, hard: 4000, throttle_seconds: 30, max_tokens: 3000 }
+    },
+    past_due_limits: {
+      analysis: 50,
+      discovery: 500
+    },
+    trial_days: 14,
+    pooled_quota: true      // Workspaces owned by an Oracle account share one quota
+  }
+};
+
+// Subscription prices live in Stripe (see PlanCatalogService). A price buys
+// the tier in its metadata.tier (or its product's), and may set
+//   trial_days   - free trial for first-time subscribers (default: the plan's trial_days)
+//   intro_coupon - Stripe coupon applied to a first subscription
+// so new prices and intervals need no code changes.
+const BILLING_INTERVALS = ['month', 'year'];
+
+// Prices created before tiers were tagged in Stripe metadata; existing
+// subscriptions still use them
+const LEGACY_SUBSCRIPTION_PRICES = {
+  'price_1SkczEGoRkUwNcvtGT0rbyvN': 'elite',      // $19.99/month
+  'price_1Skd2DGoRkUwNcvt5t08bSNk': 'oracle'      // $99.99/month
+};
+
+// Rate-limit buckets (middleware/rateLimit.js): window length per bucket.
+// Budgets are requests per window, per user or API key, set on each plan;
+// anonymous callers are limited per IP.
+//   api      - every /api/ request
+//   discover - SkyPath discovery searches
+//   analyze  - Scout-Faire analyses
+const RATE_LIMIT_WINDOWS = {
+  api: 15 * 60 * 1000,
+  discover: 60 * 1000,
+  analyze: 60 * 1000
+};
+
+const ANONYMOUS_RATE_LIMITS = { api: 100, discover: 5, analyze: 3 };
+
+// Scout-Faire analysis depths. Each runs the prompt/model of a tier; a plan
+// covers its own depth and shallower ones from the monthly quota, anything
+// deeper (or anything once the quota is gone) is paid for in credits.
+const ANALYSIS_DEPTHS = {
+  'quick': { tier: 'free', credits: 1 },
+  'standard': { tier: 'elite', credits: 3 },
+  'deep': { tier: 'oracle', credits: 5 }
+};
+
+/**
+ * Map any tier name (canonical or legacy) onto the canonical vocabulary.
+ * Unknown or missing tiers fall back to 'free'.
+ */
+function normalizeTier(tier) {
+  if (!tier) return 'free';
+  const key = String(tier).toLowerCase();
+  if (PLANS[key]) return key;
+  return LEGACY_TIER_MAP[key] || 'free';
+}
+
+function getPlan(tier) {
+  return PLANS[normalizeTier(tier)];
+}
+
+function tierLevel(tier) {
+  return getPlan(tier).level;
+}
+
+/**
+ * Monthly limit for a meter on a tier (null = unlimited)
+ */
+function getLimit(tier, meter) {
+  const limit = getPlan(tier).limits[meter];
+  return limit === undefined ? 0 : limit;
+}
+
+/**
+ * Reduced monthly limit for a meter while the subscription is past due,
+ * or null when the plan doesn't reduce it
+ */
+function getPastDueLimit(tier, meter) {
+  return getPlan(tier).past_due_limits?.[meter] ?? null;
+}
+
+/**
+ * Fair-use policy for a meter, with an account's admin override applied.
+ * Returns null when the meter has no fair-use policy or the account is exempt.
+ * @param {Object} override - users.fair_use_override, e.g. { analysis: { soft: 1000, hard: 3000 } }
+ *                            or { analysis: { exempt: true } }
+ */
+function getFairUse(tier, meter, override = null) {
+  const policy = getPlan(tier).fair_use?.[meter];
+  const custom = override?.[meter];
+
+  if (custom?.exempt) return null;
+  if (!policy && !custom) return null;
+
+  return { throttle_seconds: 60, max_tokens: null, ...policy, ...custom };
+}
+
+/**
+ * Paid tier named by Stripe price/product metadata, or null
+ */
+function tierFromMetadata(metadata) {
+  const tier = metadata?.tier && String(metadata.tier).toLowerCase();
+  return tier && tier !== 'free' && PLANS[tier] ? tier : null;
+}
+
+/**
+ * Requests per window in a rate-limit bucket; no tier = anonymous
+ */
+function getRateLimit(tier, bucket) {
+  if (!tier) return ANONYMOUS_RATE_LIMITS[bucket];
+  return getPlan(tier).rate_limits[bucket];
+}
+
+/**
+ * Depth a tier gets when none is requested (the deepest its plan covers)
+ */
+function defaultDepth(tier) {
+  const normalized = normalizeTier(tier);
+  return Object.keys(ANALYSIS_DEPTHS).find(depth => ANALYSIS_DEPTHS[depth].tier === normalized);
+}
+
+module.exports = {
+  TIERS,
+  PLANS,
+  LEGACY_TIER_MAP,
+  UNVERIFIED_SEARCH_LIMIT,
+  FAIR_USE_WARN_RATIO,
+  DUNNING_GRACE_DAYS,
+  METERS,
+  ANALYSIS_DEPTHS,
+  RATE_LIMIT_WINDOWS,
+  BILLING_INTERVALS,
+  LEGACY_SUBSCRIPTION_PRICES,
+  normalizeTier,
+  getPlan,
+  getLimit,
+  getPastDueLimit,
+  getFairUse,
+  defaultDepth,
+  getRateLimit,
+  tierFromMetadata,
+  tierLevel
+};
@@ -1,7 +1,13 @@
 // backend/app/middleware/auth.js
-// Authentication middleware for SkyPath routes
+// Authentication middleware for AmatuEdda routes (SkyPath, Scout-Faire, bonuses)
 
+const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const AccountService = require('../services/AccountService');
+const TokenService = require('../services/TokenService');
+const ApiKeyService = require('../services/ApiKeyService');
+const TwoFactorService = require('../services/TwoFactorService');
+const { normalizeTier, tierLevel } = require('../config/plans');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
@@ -9,49 +15,44 @@ const supabase = createClient(
 );
 
 /**
- * Verify JWT token and attach user to request
+ * Verify credentials and attach user to request
+ * Accepts AmatuEdda tokens (/api/auth/login), Supabase Auth tokens and
+ * personal API keys (Authorization: Bearer ae_... or X-API-Key)
  */
 async function authenticateUser(req, res, next) {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
+    const credential = getCredential(req);
     
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    if (!credential) {
       return res.status(401).json({
         success: false,
         error: 'No authorization token provided'
       });
     }
 
-    const token = authHeader.substring(7); // Remove 'Bearer ' prefix
+    // Already resolved by identifyRequest for this request
+    if (req.user) return next();
 
-    // Verify token with Supabase
-    const { data, error } = await supabase.auth.getUser(token);
+    const resolved = await resolveCredential(credential);
 
-    if (error || !data.user) {
+    if (!resolved) {
       return res.status(401).json({
         success: false,
-        error: 'Invalid or expired token'
+        error: ApiKeyService.isApiKey(credential) ? 'Invalid or revoked API key' : 'Invalid or expired token'
       });
     }
 
-    // Get user profile
-    const { data: profile, error: profileError } = await supabase
-      .from('profiles')
-      .select('*')
-      .eq('id', data.user.id)
-      .single();
-
-    if (profileError && profileError.code !== 'PGRST116') { // Ignore not found
-      console.error('Profile fetch error:', profileError);
+    // Supabase logins skip our 2FA step - trade the challenge at /api/auth/login/2fa
+    if (resolved.twoFactorRequired) {
+      return res.status(401).json({
+        success: false,
+        error: 'two_factor_required',
+        message: 'Enter your authentication code to finish logging in',
+        challenge_token: TokenService.signTwoFactorChallenge(resolved.user)
+      });
     }
 
-    // Attach user and profile to request
-    req.user = {
-      id: data.user.id,
-      email: data.user.email,
-      ...profile
-    };
+    attachAccount(req, resolved);
 
     next();
 
@@ -64,23 +65,188 @@ async function authenticateUser(req, res, next) {
   }
 }
 
+/**
+ * Like authenticateUser, but lets anonymous requests through.
+ * Requests that do present credentials must present valid ones.
+ */
+function authenticateOptional(req, res, next) {
+  if (!getCredential(req)) return next();
+  return authenticateUser(req, res, next);
+}
+
+/**
+ * Resolve credentials when present without ever rejecting, so app-wide
+ * middleware (rate limiting) can tell who is calling. Invalid credentials
+ * leave the request anonymous; the route's own auth rejects them.
+ */
+async function identifyRequest(req, res, next) {
+  const credential = getCredential(req);
+  if (!credential) return next();
+
+  try {
+    const resolved = await resolveCredential(credential);
+    if (resolved && !resolved.twoFactorRequired) attachAccount(req, resolved);
+  } catch (error) {
+    console.error('Identify middleware error:', error);
+  }
+
+  next();
+}
+
+/**
+ * Attach the unified account to the request
+ */
+function attachAccount(req, resolved) {
+  req.user = AccountService.toRequestUser(resolved.user, resolved.authMethod);
+  req.user.impersonated_by = resolved.decoded?.impersonatedBy || null;
+  // Passed the second factor in this session (only our own tokens can say so)
+  req.user.two_factor_verified = resolved.authMethod === 'password' &&
+    Array.isArray(resolved.decoded?.amr) && resolved.decoded.amr.includes('otp');
+  req.token = resolved.decoded || null;
+  req.apiKey = resolved.apiKey || null;
+}
+
+/**
+ * Pull the raw credential from Authorization: Bearer or X-API-Key
+ */
+function getCredential(req) {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return authHeader.substring(7); // Remove 'Bearer ' prefix
+  }
+
+  return req.headers['x-api-key'] || null;
+}
+
+/**
+ * Resolve a credential to { user, authMethod, decoded?, apiKey? } or null.
+ * Supabase tokens of accounts with 2FA come back as { user, twoFactorRequired }.
+ */
+async function resolveCredential(credential) {
+  // Personal API key
+  if (ApiKeyService.isApiKey(credential)) {
+    const apiKey = await ApiKeyService.authenticate(credential);
+    if (!apiKey) return null;
+
+    const user = await AccountService.findById(apiKey.user_id);
+    if (!user) return null;
+
+    ApiKeyService.recordUsage(apiKey.id);
+
+    return {
+      user,
+      authMethod: 'api_key',
+      apiKey: { id: apiKey.id, name: apiKey.name, prefix: apiKey.prefix, scopes: apiKey.scopes }
+    };
+  }
+
+  // AmatuEdda token - verified locally
+  let decoded = TokenService.verifyAccessToken(credential);
+  let user = null;
+  let authMethod = null;
+
+  if (decoded) {
+    user = await AccountService.findById(decoded.userId);
+    authMethod = 'password';
+  } else {
+    // Fall back to Supabase Auth
+    const { data, error } = await supabase.auth.getUser(credential);
+
+    if (!error && data.user) {
+      user = await AccountService.resolveSupabaseUser(data.user);
+      decoded = jwt.decode(credential);
+      authMethod = 'supabase';
+    }
+  }
+
+  if (!user || await TokenService.isRevoked(decoded, user)) return null;
+
+  if (authMethod === 'supabase' && TwoFactorService.isEnabled(user)) {
+    return { user, twoFactorRequired: true };
+  }
+
+  return { user, authMethod, decoded };
+}
+
+/**
+ * Restrict API-key requests to keys holding a scope.
+ * Interactive logins (password/Supabase) carry every scope.
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      error: `This API key is missing the '${scope}' scope`,
+      required_scope: scope
+    });
+  };
+}
+
+/**
+ * Reject API keys and impersonation sessions - for account management that
+ * needs the account holder's own login
+ */
+function requireUserSession(req, res, next) {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: 'This action requires logging in; API keys are not accepted'
+    });
+  }
+
+  if (req.user?.impersonated_by) {
+    return res.status(403).json({
+      success: false,
+      error: 'Not available while impersonating - only the account holder can do this'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Require an admin account logged in interactively.
+ * API keys and impersonation sessions never carry admin rights.
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    });
+  }
+
+  if (!req.user.is_admin || req.apiKey || req.user.impersonated_by) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin access required'
+    });
+  }
+
+  next();
+}
+
 /**
  * Check if user has required tier access
  */
 function requireTier(requiredTier) {
-  const tierLevels = { starter: 1, pro: 2, enterprise: 3 };
+  // Legacy names (starter/pro/enterprise) are accepted and normalized
+  const required = normalizeTier(requiredTier);
 
   return (req, res, next) => {
-    const userTier = req.user?.license_tier || 'starter';
-    const userLevel = tierLevels[userTier] || 0;
-    const requiredLevel = tierLevels[requiredTier] || 0;
+    const userTier = normalizeTier(req.user?.tier);
 
-    if (userLevel < requiredLevel) {
+    if (tierLevel(userTier) < tierLevel(required)) {
       return res.status(403).json({
         success: false,
-        error: `This feature requires ${requiredTier} tier or higher`,
+        error: `This feature requires ${required} tier or higher`,
         current_tier: userTier,
-        required_tier: requiredTier
+        required_tier: required
       });
     }
 
@@ -124,6 +290,11 @@ function requireActiveLicense(req, res, next) {
 
 module.exports = {
   authenticateUser,
+  authenticateOptional,
+  identifyRequest,
+  requireScope,
+  requireUserSession,
+  requireAdmin,
   requireTier,
   requireActiveLicense
 };
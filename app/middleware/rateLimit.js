@@ -0,0 +1,112 @@
+// backend/app/middleware/rateLimit.js
+// Tier-aware rate limiting
+//
+// Requests are counted per API key, else per user, else per IP, in fixed
+// windows per bucket (config/plans.js). Counters live in Redis (REDIS_URL)
+// so every instance shares them and they survive restarts; without Redis,
+// or with RATE_LIMIT_STORE=memory (tests, local dev), they stay in-process.
+// Responses carry RateLimit-Limit/Remaining/Reset, and Retry-After on 429.
+//
+// Run identifyRequest first so the limiter knows who is calling.
+
+const rateLimit = require('express-rate-limit');
+const { MemoryStore, ipKeyGenerator } = require('express-rate-limit');
+const Redis = require('ioredis');
+const { RATE_LIMIT_WINDOWS, getRateLimit } = require('../config/plans');
+
+const KEY_PREFIX = 'ratelimit:';
+
+// INCR the window counter, starting its expiry on the first hit
+const INCREMENT_SCRIPT = `
+  local hits = redis.call('INCR', KEYS[1])
+  if hits == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+  return { hits, redis.call('PTTL', KEYS[1]) }
+`;
+
+let redis = null;
+
+function getRedis() {
+  if (!redis) {
+    redis = new Redis(process.env.REDIS_URL, {
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false
+    });
+
+    redis.on('error', (error) => console.error('Rate limit Redis error:', error.message));
+  }
+  return redis;
+}
+
+function useRedis() {
+  const driver = process.env.RATE_LIMIT_STORE || (process.env.REDIS_URL ? 'redis' : 'memory');
+  return driver === 'redis';
+}
+
+/**
+ * express-rate-limit store backed by Redis
+ */
+class RedisStore {
+  constructor(bucket) {
+    this.prefix = `${KEY_PREFIX}${bucket}:`;
+    this.client = getRedis();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const [totalHits, ttl] = await this.client.eval(INCREMENT_SCRIPT, 1, this.prefix + key, this.windowMs);
+
+    return {
+      totalHits,
+      resetTime: new Date(Date.now() + (ttl > 0 ? ttl : this.windowMs))
+    };
+  }
+
+  async decrement(key) {
+    await this.client.decr(this.prefix + key);
+  }
+
+  async resetKey(key) {
+    await this.client.del(this.prefix + key);
+  }
+}
+
+/**
+ * Limiter for one bucket: 'api' (app-wide), 'discover', 'analyze'
+ */
+function rateLimitFor(bucket) {
+  if (!RATE_LIMIT_WINDOWS[bucket]) {
+    throw new Error(`Unknown rate limit bucket: ${bucket}`);
+  }
+
+  return rateLimit({
+    windowMs: RATE_LIMIT_WINDOWS[bucket],
+    limit: (req) => getRateLimit(req.user?.tier, bucket),
+    keyGenerator: (req) => {
+      if (req.apiKey) return `key:${req.apiKey.id}`;
+      if (req.user) return `user:${req.user.id}`;
+      return `ip:${ipKeyGenerator(req.ip)}`;
+    },
+    standardHeaders: 'draft-6',
+    legacyHeaders: false,
+    store: useRedis() ? new RedisStore(bucket) : new MemoryStore(),
+    // A Redis outage shouldn't take the API down with it
+    passOnStoreError: true,
+    validate: { xForwardedForHeader: false },
+    handler: (req, res, next, options) => {
+      const retryAfter = Math.max(1, Math.ceil((req.rateLimit.resetTime - Date.now()) / 1000));
+
+      res.status(options.statusCode).json({
+        success: false,
+        error: 'rate_limited',
+        message: `Too many requests - try again in ${retryAfter}s`,
+        limit: req.rateLimit.limit,
+        retry_after: retryAfter
+      });
+    }
+  });
+}
+
+module.exports = { rateLimitFor };
@@ -0,0 +1,88 @@
+// backend/app/middleware/workspace.js
+// Workspace context for SkyPath routes
+//
+// Requests act in the caller's personal space unless they name a workspace
+// with the X-Workspace-Id header (or ?workspace_id=). Must run after authenticateUser.
+
+const WorkspaceService = require('../services/WorkspaceService');
+const { getPlan } = require('../config/plans');
+
+const TWO_FACTOR_REQUIRED = {
+  success: false,
+  error: 'This workspace requires two-factor authentication. Enable it in your account settings and log in with your authentication code.',
+  code: 'two_factor_required'
+};
+
+/**
+ * Resolve the workspace for this request and require at least `minRole` in it.
+ * Personal requests always pass - the user owns their own data.
+ */
+function workspaceAccess(minRole = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      const workspaceId = req.headers['x-workspace-id'] || req.query.workspace_id;
+
+      if (!workspaceId) {
+        req.workspace = null;
+        return next();
+      }
+
+      const workspace = await WorkspaceService.getMembership(workspaceId, req.user.id);
+
+      if (!workspace) {
+        return res.status(404).json({ success: false, error: 'Workspace not found' });
+      }
+
+      if (WorkspaceService.blocksWithoutTwoFactor(workspace, req.user)) {
+        return res.status(403).json(TWO_FACTOR_REQUIRED);
+      }
+
+      if (!WorkspaceService.hasRole(workspace.role, minRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${minRole} role in this workspace`,
+          current_role: workspace.role,
+          required_role: minRole
+        });
+      }
+
+      req.workspace = {
+        ...workspace,
+        pooled_quota: !!getPlan(workspace.owner_tier).pooled_quota
+      };
+
+      next();
+
+    } catch (error) {
+      console.error('Workspace middleware error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to load workspace' });
+    }
+  };
+}
+
+/**
+ * Limit a Supabase query to the rows owned by the current context
+ */
+function scopeToOwner(query, req) {
+  if (req.workspace) {
+    return query.eq('workspace_id', req.workspace.id);
+  }
+  return query.eq('user_id', req.user.id).is('workspace_id', null);
+}
+
+/**
+ * Ownership columns for rows created in the current context
+ */
+function ownerFields(req) {
+  return {
+    user_id: req.user.id,
+    workspace_id: req.workspace ? req.workspace.id : null
+  };
+}
+
+module.exports = {
+  TWO_FACTOR_REQUIRED,
+  workspaceAccess,
+  scopeToOwner,
+  ownerFields
+};
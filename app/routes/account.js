@@ -0,0 +1,142 @@
+// routes/account.js
+// Self-service privacy controls: data export and account deletion
+// (Mounted at /api/account) - requires a real login, API keys can't export or delete
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const AccountService = require('../services/AccountService');
+const AuditService = require('../services/AuditService');
+const PrivacyService = require('../services/PrivacyService');
+const TwoFactorService = require('../services/TwoFactorService');
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * GET /export
+ * Download everything tied to the account as a zip archive
+ * (Full path: /api/account/export)
+ */
+router.get('/export', async (req, res) => {
+  try {
+    const user = await AccountService.findById(req.user.id);
+
+    await AuditService.record(req, 'account.exported', { type: 'user', id: user.id });
+
+    const fileName = `amatuedda-export-${new Date().toISOString().slice(0, 10)}.zip`;
+    res.set({
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${fileName}"`
+    });
+
+    await PrivacyService.streamExport(user, res);
+
+    console.log(`📦 Data export downloaded: ${user.email}`);
+  } catch (error) {
+    console.error('Error exporting account data:', error);
+
+    if (res.headersSent) return res.end();
+    res.status(500).json({ success: false, error: 'Failed to export account data' });
+  }
+});
+
+/**
+ * GET /deletion
+ * Deletion status for the logged-in user
+ * (Full path: /api/account/deletion)
+ */
+router.get('/deletion', async (req, res) => {
+  try {
+    const user = await AccountService.findById(req.user.id);
+
+    res.json({
+      success: true,
+      pending: !!user.deletion_scheduled_for,
+      requested_at: user.deletion_requested_at || null,
+      scheduled_for: user.deletion_scheduled_for || null
+    });
+  } catch (error) {
+    console.error('Error loading deletion status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /deletion
+ * Schedule account deletion: { confirm: 'DELETE', password, code | recovery_code }
+ * The password is required for password accounts, a 2FA code when 2FA is on.
+ * Billing is canceled immediately; data is erased after the grace period.
+ * (Full path: /api/account/deletion)
+ */
+router.post('/deletion', async (req, res) => {
+  try {
+    const { confirm, password } = req.body;
+
+    if (confirm !== 'DELETE') {
+      return res.status(400).json({ success: false, error: 'Type DELETE to confirm' });
+    }
+
+    const user = await AccountService.findById(req.user.id);
+
+    if (user.deletion_scheduled_for) {
+      return res.status(400).json({
+        success: false,
+        error: 'Deletion is already scheduled',
+        scheduled_for: user.deletion_scheduled_for
+      });
+    }
+
+    if (user.password_hash && !(password && await bcrypt.compare(password, user.password_hash))) {
+      return res.status(400).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    if (TwoFactorService.isEnabled(user) && !await TwoFactorService.verifySecondFactor(user, req.body)) {
+      return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+    }
+
+    const scheduledFor = await PrivacyService.requestDeletion(user);
+
+    await AuditService.record(req, 'account.deletion_requested', { type: 'user', id: user.id }, {
+      scheduled_for: scheduledFor.toISOString()
+    });
+
+    res.json({
+      success: true,
+      scheduled_for: scheduledFor.toISOString(),
+      message: `Your account will be deleted in ${PrivacyService.DELETION_GRACE_DAYS} days. You can cancel until then.`
+    });
+  } catch (error) {
+    console.error('Error scheduling deletion:', error);
+    res.status(500).json({ success: false, error: 'Failed to schedule deletion' });
+  }
+});
+
+/**
+ * DELETE /deletion
+ * Cancel a pending deletion. A canceled subscription stays canceled.
+ * (Full path: /api/account/deletion)
+ */
+router.delete('/deletion', async (req, res) => {
+  try {
+    const canceled = await PrivacyService.cancelDeletion(req.user.id);
+
+    if (!canceled) {
+      return res.status(400).json({ success: false, error: 'No deletion is scheduled' });
+    }
+
+    await AuditService.record(req, 'account.deletion_canceled', { type: 'user', id: req.user.id });
+
+    console.log(`↩️ Deletion canceled: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Deletion canceled. A subscription canceled with the request stays canceled - resubscribe any time.'
+    });
+  } catch (error) {
+    console.error('Error canceling deletion:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,1117 @@
+// ============================================================================
+// ADMIN API
+// Support and operations surface - every route requires an admin login
+// (Mounted at /api/admin)
+// ============================================================================
+
+const express = require('express');
+const { Pool } = require('pg');
+const { createClient } = require('@supabase/supabase-js');
+const { authenticateUser, requireAdmin } = require('../middleware/auth');
+const AccountService = require('../services/AccountService');
+const TokenService = require('../services/TokenService');
+const AuditService = require('../services/AuditService');
+const UsageService = require('../services/UsageService');
+const CreditService = require('../services/CreditService');
+const ProductService = require('../services/ProductService');
+const StripeEventService = require('../services/StripeEventService');
+const OrderService = require('../services/OrderService');
+const InvoiceService = require('../services/InvoiceService');
+const AffiliateService = require('../services/AffiliateService');
+const DunningService = require('../services/DunningService');
+const ReportService = require('../services/ReportService');
+const { TIERS, METERS } = require('../config/plans');
+const { REPORTS } = ReportService;
+const router = express.Router();
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY
+);
+
+const USER_COLUMNS = `
+  id, email, tier, role, license_status, license_expires_at,
+  period_start, email_verified_at, fair_use_override, credit_balance,
+  billing_status, past_due_since, grace_period_ends_at, downgraded_from_tier, downgraded_at,
+  first_subscribed_at,
+  stripe_customer_id, stripe_subscription_id,
+  created_at, updated_at, last_active
+`;
+
+const ORDER_TABLES = ['systasis_orders', 'trail_maker_orders'];
+
+router.use(authenticateUser, requireAdmin);
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+// GET /api/admin/users?search=&tier=&limit=&offset=
+router.get('/users', async (req, res) => {
+  try {
+    const { search, tier, role } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    
+    let query = supabase
+      .from('users')
+      .select(USER_COLUMNS, { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    
+    if (search) query = query.ilike('email', `%${search}%`);
+    if (tier) query = query.eq('tier', tier);
+    if (role) query = query.eq('role', role);
+    
+    const { data, error, count } = await query;
+    if (error) throw error;
+    
+    res.json({ success: true, data, total: count });
+  } catch (error) {
+    console.error('Admin: error listing users:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/users/:id
+router.get('/users/:id', async (req, res) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select(USER_COLUMNS)
+      .eq('id', req.params.id)
+      .single();
+    
+    if (error || !user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const usage = await UsageService.getSummary({ user: AccountService.toRequestUser(user) });
+    const dunning = await DunningService.getEvents(user.id, 20);
+    
+    res.json({ success: true, data: { ...user, usage, dunning } });
+  } catch (error) {
+    console.error('Admin: error fetching user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/admin/users/:id/tier { tier }
+router.patch('/users/:id/tier', async (req, res) => {
+  try {
+    const { tier } = req.body;
+    
+    if (!TIERS.includes(tier)) {
+      return res.status(400).json({
+        success: false,
+        error: `Tier must be one of: ${TIERS.join(', ')}`
+      });
+    }
+    
+    const before = await AccountService.findById(req.params.id);
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const { data, error } = await supabase
+      .from('users')
+      .update({
+        tier,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', req.params.id)
+      .select(USER_COLUMNS)
+      .single();
+    
+    if (error) throw error;
+    
+    await AuditService.record(req, 'user.tier_changed', { type: 'user', id: data.id }, {
+      from: before.tier,
+      to: tier
+    });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Admin: error changing tier:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/admin/users/:id/role { role }
+router.patch('/users/:id/role', async (req, res) => {
+  try {
+    const { role } = req.body;
+    
+    if (!['user', 'admin'].includes(role)) {
+      return res.status(400).json({ success: false, error: 'Role must be user or admin' });
+    }
+    
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
+    
+    const { data, error } = await supabase
+      .from('users')
+      .update({ role, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select(USER_COLUMNS)
+      .single();
+    
+    if (error || !data) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    await AuditService.record(req, 'user.role_changed', { type: 'user', id: data.id }, { to: role });
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Admin: error changing role:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/users/:id/reset-quota { meter? }
+// Zeroes this period's usage with ledger adjustments (all meters by default)
+router.post('/users/:id/reset-quota', async (req, res) => {
+  try {
+    const { meter } = req.body;
+    
+    if (meter && !METERS.includes(meter)) {
+      return res.status(400).json({
+        success: false,
+        error: `Meter must be one of: ${METERS.join(', ')}`
+      });
+    }
+    
+    const user = await AccountService.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const context = { user: AccountService.toRequestUser(user) };
+    const usage = {};
+    
+    for (const m of meter ? [meter] : METERS) {
+      usage[m] = await UsageService.resetPeriod(m, context, { reset_by: req.user.id });
+    }
+    
+    await AuditService.record(req, 'user.quota_reset', { type: 'user', id: user.id }, {
+      meters: Object.keys(usage)
+    });
+    
+    res.json({ success: true, data: { usage } });
+  } catch (error) {
+    console.error('Admin: error resetting quota:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/admin/users/:id/fair-use { meter?, exempt } or { meter?, soft, hard, throttle_seconds }
+// Per-account fair-use override for one meter (defaults to analysis)
+router.put('/users/:id/fair-use', async (req, res) => {
+  try {
+    const { meter = 'analysis', exempt, soft, hard, throttle_seconds } = req.body;
+    
+    if (!METERS.includes(meter)) {
+      return res.status(400).json({
+        success: false,
+        error: `Meter must be one of: ${METERS.join(', ')}`
+      });
+    }
+    
+    let policy;
+    if (exempt === true) {
+      policy = { exempt: true };
+    } else {
+      policy = {};
+      for (const [key, value] of Object.entries({ soft, hard, throttle_seconds })) {
+        if (value === undefined) continue;
+        if (!Number.isInteger(value) || value < 0) {
+          return res.status(400).json({ success: false, error: `${key} must be a non-negative integer` });
+        }
+        policy[key] = value;
+      }
+      
+      if (Object.keys(policy).length === 0) {
+        return res.status(400).json({ success: false, error: 'Provide exempt: true or at least one of soft, hard, throttle_seconds' });
+      }
+      
+      if (policy.soft != null && policy.hard != null && policy.soft > policy.hard) {
+        return res.status(400).json({ success: false, error: 'soft cannot be greater than hard' });
+      }
+    }
+    
+    const user = await AccountService.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    const override = { ...(user.fair_use_override || {}), [meter]: policy };
+    
+    const { error } = await supabase
+      .from('users')
+      .update({ fair_use_override: override, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+    
+    if (error) throw error;
+    
+    await AuditService.record(req, 'user.fair_use_override_set', { type: 'user', id: user.id }, {
+      meter,
+      from: user.fair_use_override?.[meter] || null,
+      to: policy
+    });
+    
+    res.json({ success: true, data: { fair_use_override: override } });
+  } catch (error) {
+    console.error('Admin: error setting fair-use override:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/admin/users/:id/fair-use?meter=analysis
+// Back to the plan's fair-use policy (all meters when no meter is given)
+router.delete('/users/:id/fair-use', async (req, res) => {
+  try {
+    const { meter } = req.query;
+    
+    if (meter && !METERS.includes(meter)) {
+      return res.status(400).json({
+        success: false,
+        error: `Meter must be one of: ${METERS.join(', ')}`
+      });
+    }
+    
+    const user = await AccountService.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    let override = null;
+    if (meter) {
+      override = { ...(user.fair_use_override || {}) };
+      delete override[meter];
+      if (Object.keys(override).length === 0) override = null;
+    }
+    
+    const { error } = await supabase
+      .from('users')
+      .update({ fair_use_override: override, updated_at: new Date().toISOString() })
+      .eq('id', user.id);
+    
+    if (error) throw error;
+    
+    await AuditService.record(req, 'user.fair_use_override_cleared', { type: 'user', id: user.id }, {
+      meter: meter || null,
+      from: user.fair_use_override || null
+    });
+    
+    res.json({ success: true, data: { fair_use_override: override } });
+  } catch (error) {
+    console.error('Admin: error clearing fair-use override:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/users/:id/credits { amount, reason }
+// Add (positive) or remove (negative) wallet credits - goodwill, corrections,
+// carrying over balances from before the wallet existed
+router.post('/users/:id/credits', async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    
+    if (!Number.isInteger(amount) || amount === 0) {
+      return res.status(400).json({ success: false, error: 'amount must be a non-zero integer' });
+    }
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required' });
+    }
+    
+    const user = await AccountService.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    let result;
+    try {
+      result = await CreditService.grant(user.id, amount, {
+        kind: 'adjustment',
+        description: reason.trim(),
+        metadata: { adjusted_by: req.user.id }
+      });
+    } catch (error) {
+      // 23514: would take the balance below zero
+      if (error.code === '23514') {
+        return res.status(400).json({ success: false, error: 'Balance cannot go below zero' });
+      }
+      throw error;
+    }
+    
+    await AuditService.record(req, 'user.credits_adjusted', { type: 'user', id: user.id }, {
+      amount,
+      reason: reason.trim(),
+      balance: result.balance
+    });
+    
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin: error adjusting credits:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/users/:id/impersonate { reason }
+// Short-lived access token acting as the user - no refresh token, no admin rights
+router.post('/users/:id/impersonate', async (req, res) => {
+  try {
+    const { reason } = req.body;
+    
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ success: false, error: 'A reason is required for impersonation' });
+    }
+    
+    const target = await AccountService.findById(req.params.id);
+    
+    if (!target) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    
+    if (target.role === 'admin') {
+      return res.status(403).json({ success: false, error: 'Admin accounts cannot be impersonated' });
+    }
+    
+    const token = TokenService.signAccessToken(target, { impersonatedBy: req.user.id });
+    
+    await AuditService.record(req, 'user.impersonated', { type: 'user', id: target.id }, {
+      reason: reason.trim()
+    });
+    
+    console.log(`🕵️ Admin ${req.user.email} impersonating ${target.email}`);
+    
+    res.json({
+      success: true,
+      token,
+      expires_in: TokenService.ACCESS_TOKEN_TTL_SECONDS,
+      user: { id: target.id, email: target.email, tier: target.tier }
+    });
+  } catch (error) {
+    console.error('Admin: error impersonating user:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// PRODUCTS
+// ============================================================================
+
+const PRODUCT_FIELDS = ['id', 'name', 'table', 'price_cents', 'currency', 'stripe_price_id', 'credits', 'bonuses', 'metadata'];
+
+// GET /api/admin/products?include_archived=true
+router.get('/products', async (req, res) => {
+  try {
+    const products = await ProductService.list({
+      includeArchived: req.query.include_archived === 'true'
+    });
+    
+    res.json({ success: true, data: products });
+  } catch (error) {
+    console.error('Admin: error listing products:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/products/:id
+router.get('/products/:id', async (req, res) => {
+  try {
+    const product = await ProductService.get(req.params.id, { includeArchived: true });
+    
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    res.json({ success: true, data: product });
+  } catch (error) {
+    console.error('Admin: error fetching product:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/products { id, name, table, price_cents, stripe_price_id, credits?, bonuses?, metadata? }
+// The Stripe price must exist, be active and match price_cents
+router.post('/products', async (req, res) => {
+  try {
+    const fields = pick(req.body, PRODUCT_FIELDS);
+    
+    const invalid = ProductService.validate(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    if (await ProductService.get(fields.id, { includeArchived: true })) {
+      return res.status(409).json({ success: false, error: `Product ${fields.id} already exists` });
+    }
+    
+    const { error: priceError } = await ProductService.checkStripePrice(fields.stripe_price_id, fields.price_cents);
+    if (priceError) {
+      return res.status(400).json({ success: false, error: priceError });
+    }
+    
+    const product = await ProductService.create(fields);
+    
+    await AuditService.record(req, 'product.created', { type: 'product', id: product.id }, fields);
+    
+    res.status(201).json({ success: true, data: product });
+  } catch (error) {
+    console.error('Admin: error creating product:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/admin/products/:id { name?, table?, price_cents?, stripe_price_id?, credits?, bonuses?, metadata? }
+router.patch('/products/:id', async (req, res) => {
+  try {
+    const fields = pick(req.body, PRODUCT_FIELDS.filter(field => field !== 'id'));
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+    
+    const invalid = ProductService.validate(fields, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const existing = await ProductService.get(req.params.id, { includeArchived: true });
+    if (!existing) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+    
+    // Re-check the price whenever it or the amount changes
+    if (fields.stripe_price_id !== undefined || fields.price_cents !== undefined) {
+      const { error: priceError } = await ProductService.checkStripePrice(
+        fields.stripe_price_id ?? existing.stripe_price_id,
+        fields.price_cents ?? existing.price_cents
+      );
+      
+      if (priceError) {
+        return res.status(400).json({ success: false, error: priceError });
+      }
+    }
+    
+    const product = await ProductService.update(req.params.id, fields);
+    
+    await AuditService.record(req, 'product.updated', { type: 'product', id: product.id }, {
+      changes: fields
+    });
+    
+    res.json({ success: true, data: product });
+  } catch (error) {
+    console.error('Admin: error updating product:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/admin/products/:id - archive: no new checkouts, past orders still resolve
+router.delete('/products/:id', async (req, res) => {
+  try {
+    const archived = await ProductService.archive(req.params.id);
+    
+    if (!archived) {
+      return res.status(404).json({ success: false, error: 'Product not found or already archived' });
+    }
+    
+    await AuditService.record(req, 'product.archived', { type: 'product', id: req.params.id });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin: error archiving product:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/products/:id/offers - order bumps and upsells offered with the product
+router.get('/products/:id/offers', async (req, res) => {
+  try {
+    const offers = await ProductService.listProductOffers(req.params.id);
+    res.json({ success: true, data: offers });
+  } catch (error) {
+    console.error('Admin: error listing product offers:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/admin/products/:id/offers { offer_product_id, kind, stripe_price_id?, price_cents?, headline?, position? }
+// Offer another product as a bump or upsell; stripe_price_id + price_cents set a special price
+router.put('/products/:id/offers', async (req, res) => {
+  try {
+    const fields = pick(req.body, ['offer_product_id', 'kind', 'stripe_price_id', 'price_cents', 'headline', 'position']);
+
+    const invalid = ProductService.validateOffer(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const product = await ProductService.get(req.params.id, { includeArchived: true });
+    if (!product) {
+      return res.status(404).json({ success: false, error: 'Product not found' });
+    }
+
+    const offered = await ProductService.get(fields.offer_product_id);
+    if (!offered || offered.id === product.id) {
+      return res.status(400).json({ success: false, error: `Unknown product: ${fields.offer_product_id}` });
+    }
+
+    if (product.table !== ProductService.OFFER_TABLE || offered.table !== ProductService.OFFER_TABLE) {
+      return res.status(400).json({ success: false, error: `Bumps and upsells are for ${ProductService.OFFER_TABLE} products` });
+    }
+
+    if (fields.stripe_price_id != null) {
+      const { error: priceError } = await ProductService.checkStripePrice(fields.stripe_price_id, fields.price_cents);
+      if (priceError) {
+        return res.status(400).json({ success: false, error: priceError });
+      }
+    }
+
+    const offer = await ProductService.setOffer(product.id, fields);
+
+    await AuditService.record(req, 'product.offer_set', { type: 'product', id: product.id }, fields);
+
+    res.json({ success: true, data: offer });
+  } catch (error) {
+    console.error('Admin: error setting product offer:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/admin/products/:id/offers/:offerId
+router.delete('/products/:id/offers/:offerId', async (req, res) => {
+  try {
+    const deleted = await ProductService.deleteOffer(req.params.id, req.params.offerId);
+
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Offer not found' });
+    }
+
+    await AuditService.record(req, 'product.offer_deleted', { type: 'product', id: req.params.id }, {
+      offer_id: req.params.offerId
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin: error deleting product offer:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// ORDERS
+// ============================================================================
+
+// GET /api/admin/orders?email=&user_id=&status=&limit=
+router.get('/orders', async (req, res) => {
+  try {
+    const { email, user_id, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    
+    const conditions = [];
+    const params = [];
+    
+    if (email) {
+      params.push(email.toLowerCase());
+      conditions.push(`lower(customer_email) = $${params.length}`);
+    }
+    if (user_id) {
+      params.push(user_id);
+      conditions.push(`user_id = $${params.length}`);
+    }
+    if (status) {
+      params.push(status);
+      conditions.push(`order_status = $${params.length}`);
+    }
+    
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    params.push(limit);
+    
+    const result = await pool.query(`
+      SELECT * FROM (
+        SELECT 'systasis_orders' AS order_table, id, order_number, user_id, customer_email,
+               total_cents AS amount_cents, order_status, affiliate_id, payment_intent_id, created_at
+        FROM systasis_orders
+        UNION ALL
+        SELECT 'trail_maker_orders' AS order_table, id, order_number, user_id, customer_email,
+               amount_cents, order_status, NULL AS affiliate_id, payment_intent_id, created_at
+        FROM trail_maker_orders
+      ) orders
+      ${where}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    `, params);
+    
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Admin: error listing orders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/orders/:table/:id - order with granted bonuses and its timeline
+router.get('/orders/:table/:id', async (req, res) => {
+  try {
+    const { table, id } = req.params;
+    
+    if (!ORDER_TABLES.includes(table)) {
+      return res.status(400).json({
+        success: false,
+        error: `Order table must be one of: ${ORDER_TABLES.join(', ')}`
+      });
+    }
+    
+    // Table name is whitelisted above
+    const orderResult = await pool.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    
+    if (orderResult.rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    
+    const bonusResult = await pool.query(`
+      SELECT uba.*, bp.name, bp.bonus_key
+      FROM user_bonus_access uba
+      JOIN bonus_products bp ON bp.id = uba.bonus_id
+      WHERE uba.granted_via_order_id = $1
+    `, [id]);
+    
+    const timeline = await OrderService.getTimeline(table, id);
+    const invoice = await InvoiceService.get(table, id);
+    
+    res.json({
+      success: true,
+      data: {
+        ...orderResult.rows[0],
+        order_table: table,
+        bonuses: bonusResult.rows,
+        invoice,
+        timeline
+      }
+    });
+  } catch (error) {
+    console.error('Admin: error fetching order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// STRIPE EVENTS
+// ============================================================================
+
+// GET /api/admin/stripe-events?status=dead&type=&limit=&offset=
+router.get('/stripe-events', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    
+    if (status && !StripeEventService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${StripeEventService.STATUSES.join(', ')}`
+      });
+    }
+    
+    const result = await StripeEventService.list({
+      status,
+      type,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json({ success: true, data: result.events, total: result.total });
+  } catch (error) {
+    console.error('Admin: error listing Stripe events:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/stripe-events/:id - with the full Stripe payload
+router.get('/stripe-events/:id', async (req, res) => {
+  try {
+    const event = await StripeEventService.get(req.params.id);
+    
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'Event not found' });
+    }
+    
+    res.json({ success: true, data: event });
+  } catch (error) {
+    console.error('Admin: error fetching Stripe event:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/stripe-events/:id/replay - run a dead or pending event again now
+router.post('/stripe-events/:id/replay', async (req, res) => {
+  try {
+    const event = await StripeEventService.replay(req.params.id);
+    
+    if (!event) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event not found, or already processed or in progress'
+      });
+    }
+    
+    await AuditService.record(req, 'stripe_event.replayed', { type: 'stripe_event', id: req.params.id }, {
+      event_type: event.type,
+      result: event.status
+    });
+    
+    res.json({
+      success: event.status === 'processed',
+      data: event,
+      ...(event.status !== 'processed' && { error: event.last_error })
+    });
+  } catch (error) {
+    console.error('Admin: error replaying Stripe event:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// AFFILIATES
+// ============================================================================
+
+// GET /api/admin/affiliates?status=pending&limit=&offset=
+router.get('/affiliates', async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    if (status && !AffiliateService.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${AffiliateService.STATUSES.join(', ')}`
+      });
+    }
+    
+    const result = await AffiliateService.list({
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json({ success: true, data: result.affiliates, total: result.total });
+  } catch (error) {
+    console.error('Admin: error listing affiliates:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/affiliates/:id - with dashboard stats
+router.get('/affiliates/:id', async (req, res) => {
+  try {
+    const affiliate = await AffiliateService.get(req.params.id);
+    
+    if (!affiliate) {
+      return res.status(404).json({ success: false, error: 'Affiliate not found' });
+    }
+    
+    const stats = await AffiliateService.stats(affiliate.id);
+    
+    res.json({
+      success: true,
+      data: { ...affiliate, referral_link: AffiliateService.referralLink(affiliate), stats }
+    });
+  } catch (error) {
+    console.error('Admin: error fetching affiliate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PATCH /api/admin/affiliates/:id { status?, payout_email? } - approve, suspend
+router.patch('/affiliates/:id', async (req, res) => {
+  try {
+    const fields = pick(req.body, ['status', 'payout_email']);
+    
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+    
+    if (fields.status && !AffiliateService.STATUSES.includes(fields.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${AffiliateService.STATUSES.join(', ')}`
+      });
+    }
+    
+    const affiliate = await AffiliateService.update(req.params.id, fields);
+    
+    if (!affiliate) {
+      return res.status(404).json({ success: false, error: 'Affiliate not found' });
+    }
+    
+    await AuditService.record(req, 'affiliate.updated', { type: 'affiliate', id: affiliate.id }, {
+      changes: fields
+    });
+    
+    res.json({ success: true, data: affiliate });
+  } catch (error) {
+    console.error('Admin: error updating affiliate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/affiliate-rules
+router.get('/affiliate-rules', async (req, res) => {
+  try {
+    const rules = await AffiliateService.listRules();
+    res.json({ success: true, data: rules });
+  } catch (error) {
+    console.error('Admin: error listing affiliate rules:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// PUT /api/admin/affiliate-rules { product_id?, affiliate_id?, rate, approval_days? }
+// Sets the rule for that scope - no product_id and affiliate_id is the default rule
+router.put('/affiliate-rules', async (req, res) => {
+  try {
+    const fields = pick(req.body, ['product_id', 'affiliate_id', 'rate', 'approval_days']);
+    
+    const invalid = AffiliateService.validateRule(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    if (fields.product_id && !(await ProductService.get(fields.product_id, { includeArchived: true }))) {
+      return res.status(400).json({ success: false, error: `Unknown product: ${fields.product_id}` });
+    }
+    
+    if (fields.affiliate_id && !(await AffiliateService.get(fields.affiliate_id))) {
+      return res.status(400).json({ success: false, error: 'Affiliate not found' });
+    }
+    
+    const rule = await AffiliateService.setRule(fields);
+    
+    await AuditService.record(req, 'affiliate_rule.set', { type: 'affiliate_rule', id: rule.id }, fields);
+    
+    res.json({ success: true, data: rule });
+  } catch (error) {
+    console.error('Admin: error setting affiliate rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// DELETE /api/admin/affiliate-rules/:id - the default rule can't be deleted
+router.delete('/affiliate-rules/:id', async (req, res) => {
+  try {
+    const deleted = await AffiliateService.deleteRule(req.params.id);
+    
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Rule not found, or the default rule' });
+    }
+    
+    await AuditService.record(req, 'affiliate_rule.deleted', { type: 'affiliate_rule', id: req.params.id });
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Admin: error deleting affiliate rule:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/affiliate-commissions?affiliate_id=&status=&limit=&offset=
+router.get('/affiliate-commissions', async (req, res) => {
+  try {
+    const { affiliate_id, status } = req.query;
+    
+    if (status && !AffiliateService.COMMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${AffiliateService.COMMISSION_STATUSES.join(', ')}`
+      });
+    }
+    
+    const result = await AffiliateService.listCommissions({
+      affiliateId: affiliate_id || null,
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json({ success: true, data: result.commissions, total: result.total });
+  } catch (error) {
+    console.error('Admin: error listing affiliate commissions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/affiliate-payouts?batch_id=&affiliate_id=&status=&limit=&offset=
+router.get('/affiliate-payouts', async (req, res) => {
+  try {
+    const { batch_id, affiliate_id, status } = req.query;
+    
+    const result = await AffiliateService.listPayouts({
+      batchId: batch_id || null,
+      affiliateId: affiliate_id || null,
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json({ success: true, data: result.payouts, total: result.total });
+  } catch (error) {
+    console.error('Admin: error listing affiliate payouts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/affiliate-payouts { minimum_cents? } - batch approved commissions into payouts
+router.post('/affiliate-payouts', async (req, res) => {
+  try {
+    const { minimum_cents } = req.body;
+    
+    if (minimum_cents !== undefined && (!Number.isInteger(minimum_cents) || minimum_cents < 1)) {
+      return res.status(400).json({ success: false, error: 'minimum_cents must be a positive whole number' });
+    }
+    
+    const batch = await AffiliateService.createPayoutBatch(
+      minimum_cents !== undefined ? { minimumCents: minimum_cents } : {}
+    );
+    
+    await AuditService.record(req, 'affiliate_payouts.batched', { type: 'affiliate_payout_batch', id: batch.batch_id }, {
+      payouts: batch.payouts.length,
+      total_cents: batch.payouts.reduce((sum, payout) => sum + payout.amount_cents, 0)
+    });
+    
+    res.status(201).json({ success: true, data: batch });
+  } catch (error) {
+    console.error('Admin: error creating affiliate payouts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/affiliate-payouts/batches/:batchId/export - CSV for the bulk payout upload
+router.get('/affiliate-payouts/batches/:batchId/export', async (req, res) => {
+  try {
+    const csv = await AffiliateService.exportPayoutBatch(req.params.batchId);
+    
+    if (!csv) {
+      return res.status(404).json({ success: false, error: 'Payout batch not found' });
+    }
+    
+    await AuditService.record(req, 'affiliate_payouts.exported', { type: 'affiliate_payout_batch', id: req.params.batchId });
+    
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.batchId}.csv"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Admin: error exporting affiliate payouts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// POST /api/admin/affiliate-payouts/:id/paid { reference? } - the payout was sent
+router.post('/affiliate-payouts/:id/paid', async (req, res) => {
+  try {
+    const payout = await AffiliateService.markPayoutPaid(req.params.id, req.body.reference || null);
+    
+    if (!payout) {
+      return res.status(400).json({ success: false, error: 'Payout not found or already paid' });
+    }
+    
+    await AuditService.record(req, 'affiliate_payout.paid', { type: 'affiliate_payout', id: payout.id }, {
+      amount_cents: payout.amount_cents,
+      reference: payout.reference
+    });
+    
+    res.json({ success: true, data: payout });
+  } catch (error) {
+    console.error('Admin: error marking affiliate payout paid:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// REPORTS
+// Sales and revenue; every report takes from/to (YYYY-MM-DD), group and
+// format=csv
+// ============================================================================
+
+// POST /api/admin/reports/subscriptions/backfill
+// Seed the subscription ledger from Stripe with subscriptions that predate it
+router.post('/reports/subscriptions/backfill', async (req, res) => {
+  try {
+    const result = await ReportService.backfillSubscriptions();
+    
+    await AuditService.record(req, 'reports.subscriptions_backfilled', { type: 'subscription_events' }, result);
+    
+    res.json({ success: true, data: result });
+  } catch (error) {
+    console.error('Admin: error backfilling subscriptions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// GET /api/admin/reports/:report?from=&to=&group=day|week|month&format=json|csv
+// summary, mrr, churn, revenue, refunds, affiliates or conversion
+router.get('/reports/:report', async (req, res) => {
+  try {
+    const { report } = req.params;
+    
+    if (!REPORTS.includes(report)) {
+      return res.status(404).json({ success: false, error: `Report must be one of: ${REPORTS.join(', ')}` });
+    }
+    
+    const range = ReportService.parseRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+    
+    const data = await ReportService.run(report, range);
+    
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${report}-${data.range.from}-${data.range.to}.csv"`);
+      return res.send(ReportService.toCsv(report, data));
+    }
+    
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Admin: error running report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ============================================================================
+// AUDIT TRAIL
+// ============================================================================
+
+// GET /api/admin/audit?actor_id=&target_type=&target_id=&action=&limit=&offset=
+router.get('/audit', async (req, res) => {
+  try {
+    const { actor_id, target_type, target_id, action } = req.query;
+    
+    const result = await AuditService.list({
+      actorId: actor_id,
+      targetType: target_type,
+      targetId: target_id,
+      action,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+    
+    res.json({ success: true, data: result.entries, total: result.total });
+  } catch (error) {
+    console.error('Admin: error fetching audit log:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Copy only the listed keys that are present in the body
+ */
+function pick(body, keys) {
+  return Object.fromEntries(keys.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+}
+
+module.exports = router;
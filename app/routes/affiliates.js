@@ -0,0 +1,189 @@
+// routes/affiliates.js
+// Affiliate program: referral links and the affiliate dashboard
+// (Mounted at /api/affiliates; payouts and rules are managed at /api/admin)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const AffiliateService = require('../services/AffiliateService');
+const { ATTRIBUTION_COOKIE, ATTRIBUTION_WINDOW_DAYS, COMMISSION_STATUSES } = AffiliateService;
+
+/**
+ * GET /r/:code?to=/pricing&product=systasis
+ * Referral link: records the click, sets the attribution cookie and sends the
+ * visitor on to the site. The click id is also added to the landing URL
+ * (aff_click) for frontends on another domain - pass it to create-checkout.
+ * (Full path: /api/affiliates/r/:code)
+ */
+router.get('/r/:code', async (req, res) => {
+  // Only paths on our own site - never an open redirect. Browsers read "\" as
+  // "/", so "/\evil.com" is another host: check where the URL actually lands.
+  const site = new URL(process.env.SITE_URL);
+  let to = typeof req.query.to === 'string' && /^\/(?![/\\])/.test(req.query.to) ? req.query.to : '/';
+  let landing = new URL(to, site);
+  if (landing.origin !== site.origin) {
+    to = '/';
+    landing = new URL(to, site);
+  }
+
+  try {
+    const click = await AffiliateService.recordClick(req.params.code, {
+      productId: typeof req.query.product === 'string' ? req.query.product : null,
+      landingPath: to,
+      referrer: req.get('referer') || null,
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (click) {
+      res.cookie(ATTRIBUTION_COOKIE, click.id, {
+        maxAge: ATTRIBUTION_WINDOW_DAYS * 24 * 60 * 60 * 1000,
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax'
+      });
+      landing.searchParams.set('aff_click', click.id);
+    }
+  } catch (error) {
+    // The visitor still gets where they were going
+    console.error('Error recording affiliate click:', error);
+  }
+
+  res.redirect(302, landing.toString());
+});
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * Load the caller's affiliate account
+ */
+async function loadAffiliate(req, res, next) {
+  try {
+    const affiliate = await AffiliateService.getByUser(req.user.id);
+
+    if (!affiliate) {
+      return res.status(404).json({ success: false, error: 'You are not an affiliate - POST /api/affiliates/join to sign up' });
+    }
+
+    req.affiliate = affiliate;
+    next();
+  } catch (error) {
+    console.error('Error loading affiliate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * POST /join { code?, payout_email? }
+ * Sign up; the account is active once an admin approves it
+ * (Full path: /api/affiliates/join)
+ */
+router.post('/join', async (req, res) => {
+  try {
+    const { code, payout_email } = req.body;
+
+    const { affiliate, error } = await AffiliateService.join(req.user, { code, payoutEmail: payout_email });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { ...affiliate, referral_link: AffiliateService.referralLink(affiliate) }
+    });
+  } catch (error) {
+    console.error('Error joining affiliate program:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /me
+ * Dashboard: account, referral link, clicks, conversions and earnings
+ * (Full path: /api/affiliates/me)
+ */
+router.get('/me', loadAffiliate, async (req, res) => {
+  try {
+    const stats = await AffiliateService.stats(req.affiliate.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.affiliate,
+        referral_link: AffiliateService.referralLink(req.affiliate),
+        attribution_window_days: ATTRIBUTION_WINDOW_DAYS,
+        stats
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching affiliate dashboard:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * PATCH /me { payout_email }
+ * (Full path: /api/affiliates/me)
+ */
+router.patch('/me', loadAffiliate, async (req, res) => {
+  try {
+    const { payout_email } = req.body;
+
+    if (!payout_email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(payout_email)) {
+      return res.status(400).json({ success: false, error: 'A valid payout_email is required' });
+    }
+
+    const affiliate = await AffiliateService.update(req.affiliate.id, { payout_email });
+    res.json({ success: true, data: affiliate });
+  } catch (error) {
+    console.error('Error updating affiliate:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /me/commissions?status=&limit=&offset=
+ * (Full path: /api/affiliates/me/commissions)
+ */
+router.get('/me/commissions', loadAffiliate, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !COMMISSION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of: ${COMMISSION_STATUSES.join(', ')}` });
+    }
+
+    const result = await AffiliateService.listCommissions({
+      affiliateId: req.affiliate.id,
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({ success: true, data: result.commissions, total: result.total });
+  } catch (error) {
+    console.error('Error fetching affiliate commissions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /me/payouts?limit=&offset=
+ * (Full path: /api/affiliates/me/payouts)
+ */
+router.get('/me/payouts', loadAffiliate, async (req, res) => {
+  try {
+    const result = await AffiliateService.listPayouts({
+      affiliateId: req.affiliate.id,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({ success: true, data: result.payouts, total: result.total });
+  } catch (error) {
+    console.error('Error fetching affiliate payouts:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
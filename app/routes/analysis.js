@@ -1,6 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const { analyzeNiche } = require('../services/nicheAnalysis');
+const AccountService = require('../services/AccountService');
+const UsageService = require('../services/UsageService');
+const CreditService = require('../services/CreditService');
+const { authenticateOptional, requireScope } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+const { UNVERIFIED_SEARCH_LIMIT, ANALYSIS_DEPTHS, getLimit } = require('../config/plans');
 
 router.post('/signup-free', async (req, res) => {
   try {
@@ -19,12 +25,14 @@ router.post('/signup-free', async (req, res) => {
       .single();
     
     if (existing) {
+      const usage = await UsageService.getUsage('analysis', { user: AccountService.toRequestUser(existing) });
+      
       return res.json({
         success: true,
         userId: existing.id,
         isNewUser: false,
         tier: existing.tier,
-        searches_remaining: existing.tier === 'free' ? 5 - existing.searches_used_this_month : 'unlimited'
+        searches_remaining: usage.remaining ?? 'unlimited'
       });
     }
     
@@ -33,8 +41,6 @@ router.post('/signup-free', async (req, res) => {
       .insert({
         email: normalizedEmail,
         tier: 'free',
-        searches_used_this_month: 0,
-        search_limit: 5,
         period_start: new Date().toISOString()
       })
       .select()
@@ -45,13 +51,17 @@ router.post('/signup-free', async (req, res) => {
       return res.status(500).json({ success: false, error: 'signup_failed' });
     }
     
+    await AccountService.sendVerificationEmail(newUser)
+      .catch(err => console.error('Verification email failed:', err));
+    
     return res.json({
       success: true,
       userId: newUser.id,
       isNewUser: true,
       tier: 'free',
-      searches_remaining: 5,
-      message: 'Account created! 5 free searches this month.'
+      email_verified: false,
+      searches_remaining: UNVERIFIED_SEARCH_LIMIT,
+      message: `Account created! Confirm your email to unlock all ${getLimit('free', 'analysis')} free searches this month.`
     });
   } catch (error) {
     console.error('Signup error:', error);
@@ -59,15 +69,28 @@ router.post('/signup-free', async (req, res) => {
   }
 });
 
-router.post('/niche', async (req, res) => {
+// Authenticated callers (login token or API key with 'analyze' scope) are
+// analyzed as themselves; the body userId is kept for the existing web client,
+// but only spends the monthly quota - never the wallet's credits.
+// Optional depth: quick | standard | deep (defaults to the plan's own depth)
+router.post('/niche', authenticateOptional, rateLimitFor('analyze'), requireScope('analyze'), async (req, res) => {
   try {
-    const { niche, userId } = req.body;
+    const { niche, depth } = req.body;
+    const userId = req.user?.id || req.body.userId;
     const supabase = req.app.locals.supabase;
     
     if (!niche || !userId) {
       return res.status(400).json({ success: false, error: 'missing_params' });
     }
     
+    if (depth && !ANALYSIS_DEPTHS[depth]) {
+      return res.status(400).json({
+        success: false,
+        error: 'invalid_depth',
+        message: `Depth must be one of: ${Object.keys(ANALYSIS_DEPTHS).join(', ')}`
+      });
+    }
+    
     const { data: user, error: userError } = await supabase
       .from('users')
       .select('*')
@@ -78,40 +101,110 @@ router.post('/niche', async (req, res) => {
       return res.status(404).json({ success: false, error: 'user_not_found' });
     }
     
-    // Reset monthly counter if needed
-    const now = new Date();
-    const periodStart = new Date(user.period_start);
-    if (now.getMonth() !== periodStart.getMonth() || now.getFullYear() !== periodStart.getFullYear()) {
-      await supabase.from('users').update({ 
-        searches_used_this_month: 0, 
-        period_start: now.toISOString() 
-      }).eq('id', userId);
-      user.searches_used_this_month = 0;
-    }
+    const account = AccountService.toRequestUser(user, req.user?.auth_method);
     
-    // Check limits for free tier
-    if (user.tier === 'free' && user.searches_used_this_month >= 5) {
+    // Pay up front - from the quota, or credits once it's used up - atomically,
+    // so parallel requests can't both use the last one
+    const charge = await CreditService.chargeAnalysis({ user: account }, {
+      depth,
+      metadata: { niche: niche.trim() },
+      allowCredits: !!req.user
+    });
+    const usage = charge.usage;
+    
+    if (!charge.allowed) {
+      if (charge.reason === 'insufficient_credits') {
+        return res.status(402).json({
+          success: false,
+          error: 'insufficient_credits',
+          message: `A ${charge.depth} analysis costs ${charge.credits.cost} credits - you have ${charge.credits.balance}`,
+          credits_required: charge.credits.cost,
+          credit_balance: charge.credits.balance,
+          purchase_url: '/credits'
+        });
+      }
+      
+      if (charge.reason === 'login_required') {
+        return res.status(401).json({
+          success: false,
+          error: 'login_required',
+          message: `Log in to pay for this ${charge.depth} analysis with credits`,
+          credits_required: charge.credits.cost
+        });
+      }
+      
+      if (charge.reason === 'email_not_verified') {
+        return res.status(403).json({
+          success: false,
+          error: 'email_not_verified',
+          message: 'Confirm your email address to unlock the rest of your free searches'
+        });
+      }
+      
+      if (charge.reason === 'past_due') {
+        return res.status(402).json({
+          success: false,
+          error: 'past_due',
+          message: `Your subscription payment failed, so your plan is limited to ${usage.limit} analyses this period until your payment method is updated`,
+          grace_period_ends_at: account.grace_period_ends_at,
+          credits_required: charge.credits.cost,
+          credit_balance: charge.credits.balance
+        });
+      }
+      
+      // Past the soft fair-use cap: slow down rather than refuse
+      if (charge.reason === 'throttled') {
+        res.set('Retry-After', String(usage.retry_after));
+        return res.status(429).json({
+          success: false,
+          error: 'fair_use_throttled',
+          message: `Fair-use limit passed - you can run another analysis in ${usage.retry_after}s`,
+          retry_after: usage.retry_after,
+          fair_use: usage.fair_use
+        });
+      }
+      
+      if (charge.reason === 'fair_use_cap') {
+        return res.status(429).json({
+          success: false,
+          error: 'fair_use_cap',
+          message: usage.fair_use.warning,
+          reset_at: usage.reset_at,
+          fair_use: usage.fair_use,
+          credits_required: charge.credits.cost,
+          credit_balance: charge.credits.balance
+        });
+      }
+      
       return res.status(403).json({
         success: false,
         error: 'limit_reached',
-        message: "You've used all 5 free searches this month",
+        message: `You've used all ${usage.limit} free searches this month`,
+        reset_at: usage.reset_at,
+        credits_required: charge.credits.cost,
+        credit_balance: charge.credits.balance,
         upgrade_url: '/upgrade'
       });
     }
     
-    // Perform analysis with user tier
-    console.log(`Analyzing: "${niche}" for user ${userId} (tier: ${user.tier})`);
-    const result = await analyzeNiche(niche.trim(), user.tier);
+    // Run the analysis at the paid-for depth (shorter completions past the
+    // soft fair-use cap, unless paid with credits)
+    console.log(`Analyzing: "${niche}" for user ${userId} (tier: ${account.tier}, depth: ${charge.depth}, paid with ${charge.source})`);
+    let result;
+    try {
+      result = await analyzeNiche(niche.trim(), charge.analysis_tier, {
+        maxTokens: charge.source === 'quota' ? usage.fair_use?.max_tokens : null
+      });
+    } catch (error) {
+      await CreditService.refundCharge(charge);
+      throw error;
+    }
     
     if (!result.success) {
+      await CreditService.refundCharge(charge);
       return res.status(500).json({ success: false, error: result.error });
     }
     
-    // Increment counter
-    await supabase.from('users').update({ 
-      searches_used_this_month: user.searches_used_this_month + 1 
-    }).eq('id', userId);
-    
     // Store search history
     await supabase.from('user_searches').insert({
       user_id: userId,
@@ -120,17 +213,27 @@ router.post('/niche', async (req, res) => {
       model_used: result.model
     });
     
-    const searchesUsed = user.searches_used_this_month + 1;
-    
     return res.json({
       success: true,
       niche: niche.trim(),
       analysis: result.analysis,
       scores: result.scores,
       usage: {
-        tier: user.tier,
-        searches_used: searchesUsed,
-        searches_remaining: user.tier === 'free' ? 5 - searchesUsed : 'unlimited'
+        tier: account.tier,
+        searches_used: usage.used,
+        searches_remaining: usage.remaining ?? 'unlimited',
+        reset_at: usage.reset_at,
+        fair_use: usage.fair_use,
+        warning: usage.fair_use?.warning || null
+      },
+      billing: {
+        depth: charge.depth,
+        source: charge.source,
+        credits_spent: charge.credits.spent,
+        // The wallet is only shown to its authenticated owner, never for a body userId
+        ...(req.user && {
+          credit_balance: charge.credits.balance ?? await CreditService.getBalance(req.user.id)
+        })
       }
     });
   } catch (error) {
@@ -0,0 +1,113 @@
+// routes/apiKeys.js
+// Personal API key management
+// (Mounted at /api/keys) - requires a real login, API keys can't manage keys
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const ApiKeyService = require('../services/ApiKeyService');
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * GET /
+ * List the user's API keys (never includes the secret)
+ * (Full path: /api/keys)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const keys = await ApiKeyService.list(req.user.id);
+
+    res.json({ success: true, data: keys, available_scopes: ApiKeyService.SCOPES });
+  } catch (error) {
+    console.error('Error listing API keys:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /
+ * Create a key: { name, scopes: ['read', 'discover', 'analyze'] }
+ * The plaintext key is returned once and cannot be retrieved again.
+ * (Full path: /api/keys)
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Name is required' });
+    }
+
+    const scopeError = ApiKeyService.validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({ success: false, error: scopeError });
+    }
+
+    const { key, apiKey } = await ApiKeyService.create(req.user.id, {
+      name: name.trim(),
+      scopes
+    });
+
+    console.log(`🔑 API key ${apiKey.prefix} created for ${req.user.email}`);
+
+    res.json({
+      success: true,
+      key,
+      data: apiKey,
+      message: 'Store this key now - it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /:id/rotate
+ * Issue a replacement key with the same name and scopes, revoking the old one
+ * (Full path: /api/keys/:id/rotate)
+ */
+router.post('/:id/rotate', async (req, res) => {
+  try {
+    const rotated = await ApiKeyService.rotate(req.user.id, req.params.id);
+
+    if (!rotated) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    console.log(`🔑 API key ${req.params.id} rotated to ${rotated.apiKey.prefix}`);
+
+    res.json({
+      success: true,
+      key: rotated.key,
+      data: rotated.apiKey,
+      message: 'Store this key now - it will not be shown again.'
+    });
+  } catch (error) {
+    console.error('Error rotating API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * DELETE /:id
+ * Revoke a key
+ * (Full path: /api/keys/:id)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const revoked = await ApiKeyService.revoke(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
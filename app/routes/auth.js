@@ -4,15 +4,21 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { createClient } = require('@supabase/supabase-js');
+const AccountService = require('../services/AccountService');
+const TokenService = require('../services/TokenService');
+const AttemptGuard = require('../services/AttemptGuardService');
+const TwoFactorService = require('../services/TwoFactorService');
+const UsageService = require('../services/UsageService');
+const CreditService = require('../services/CreditService');
+const DunningService = require('../services/DunningService');
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
 
 const supabase = createClient(
   process.env.SUPABASE_URL,
   process.env.SUPABASE_SERVICE_KEY
 );
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
 const SALT_ROUNDS = 10;
 
 /**
@@ -31,10 +37,11 @@ router.post('/signup', async (req, res) => {
     });
   }
 
-  if (password.length < 8) {
+  const passwordError = validatePassword(password);
+  if (passwordError) {
     return res.json({
       success: false,
-      error: 'Password must be at least 8 characters'
+      error: passwordError
     });
   }
 
@@ -62,8 +69,6 @@ router.post('/signup', async (req, res) => {
       .insert({
         email: email.toLowerCase(),
         tier: 'free',
-        searches_used_this_month: 0,
-        search_limit: 5,
         period_start: new Date().toISOString(),
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -78,27 +83,24 @@ router.post('/signup', async (req, res) => {
       throw error;
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: newUser.id, 
-        email: newUser.email,
-        tier: newUser.tier
-      },
-      JWT_SECRET,
-      { expiresIn: '30d' }
-    );
+    // Generate access + refresh tokens
+    const session = await TokenService.issueSession(newUser, sessionMeta(req));
 
     console.log(`✅ New free user created: ${email}`);
 
+    // Verification is not required to log in, but unverified accounts get fewer free searches
+    await AccountService.sendVerificationEmail(newUser)
+      .catch(err => console.error('Verification email failed:', err));
+
     res.json({
       success: true,
-      token: token,
+      ...session,
       user: {
         id: newUser.id,
         email: newUser.email,
         tier: newUser.tier,
-        searches_remaining: newUser.search_limit - newUser.searches_used_this_month
+        email_verified: false,
+        searches_remaining: await searchesRemaining(newUser)
       }
     });
 
@@ -127,7 +129,16 @@ router.post('/login', async (req, res) => {
     });
   }
 
+  const subjects = { account: email.toLowerCase(), ip: req.ip };
+
   try {
+    // Locked or cooling down - refuse before touching the password.
+    // The attempt counts as a failure until it succeeds.
+    const attempt = await AttemptGuard.reserve('login', subjects);
+    if (attempt.blocked) {
+      return AttemptGuard.rejectBlocked(res, attempt.blocked);
+    }
+
     // Get user from database
     const { data: user, error } = await supabase
       .from('users')
@@ -135,132 +146,585 @@ router.post('/login', async (req, res) => {
       .eq('email', email.toLowerCase())
       .single();
 
-    if (error || !user) {
+    // Accounts provisioned from Supabase Auth have no local password.
+    // Unknown emails count as failures too, so lockouts don't reveal which accounts exist.
+    const validPassword = !error && user && user.password_hash
+      ? await bcrypt.compare(password, user.password_hash)
+      : false;
+
+    if (!validPassword) {
+      await notifyLoginLock(attempt, user);
+
       return res.json({
         success: false,
         error: 'Invalid email or password'
       });
     }
 
-    // Verify password
-    const validPassword = await bcrypt.compare(password, user.password_hash);
+    await AttemptGuard.release('login', subjects, attempt);
 
-    if (!validPassword) {
+    // Second step required - no session until the code checks out
+    if (TwoFactorService.isEnabled(user)) {
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: TokenService.signTwoFactorChallenge(user)
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Login error:', error);
+    res.json({
+      success: false,
+      error: 'Login failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /login/2fa
+ * Second login step: trade the challenge token and a TOTP or recovery code for a session
+ * (Mounted at /api/auth, so full path is /api/auth/login/2fa)
+ */
+router.post('/login/2fa', async (req, res) => {
+  const { challenge_token: challengeToken, code, recovery_code: recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return res.json({
+      success: false,
+      error: 'Challenge token and an authentication code are required'
+    });
+  }
+
+  try {
+    const userId = TokenService.verifyTwoFactorChallenge(challengeToken);
+
+    if (!userId) {
       return res.json({
         success: false,
-        error: 'Invalid email or password'
+        error: 'Your login has expired. Please log in again.'
       });
     }
 
-    // Update last active
-    await supabase
-      .from('users')
-      .update({ last_active: new Date().toISOString() })
-      .eq('id', user.id);
+    const subjects = { account: userId, ip: req.ip };
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        userId: user.id, 
-        email: user.email,
-        tier: user.tier
-      },
-      JWT_SECRET,
-      { expiresIn: '30d' }
+    const attempt = await AttemptGuard.reserve('two_factor', subjects);
+    if (attempt.blocked) {
+      return AttemptGuard.rejectBlocked(res, attempt.blocked);
+    }
+
+    const user = await AccountService.findById(userId);
+
+    if (!user || !await TwoFactorService.verifySecondFactor(user, { code, recovery_code: recoveryCode })) {
+      return res.json({
+        success: false,
+        error: 'Invalid authentication code'
+      });
+    }
+
+    await AttemptGuard.release('two_factor', subjects, attempt);
+
+    if (recoveryCode) {
+      console.log(`🔑 Recovery code used: ${user.email}`);
+    }
+
+    await completeLogin(req, res, user, { twoFactor: true });
+
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.json({
+      success: false,
+      error: 'Login failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /refresh
+ * Exchange a refresh token for a new access/refresh token pair
+ * (Mounted at /api/auth, so full path is /api/auth/refresh)
+ */
+router.post('/refresh', async (req, res) => {
+  const { refresh_token } = req.body;
+
+  if (!refresh_token) {
+    return res.status(400).json({
+      success: false,
+      error: 'Refresh token is required'
+    });
+  }
+
+  try {
+    const result = await TokenService.rotateRefreshToken(
+      refresh_token,
+      id => AccountService.findById(id),
+      sessionMeta(req)
     );
 
-    console.log(`✅ User logged in: ${email}`);
+    if (!result) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      });
+    }
 
     res.json({
       success: true,
-      token: token,
-      user: {
-        id: user.id,
-        email: user.email,
-        tier: user.tier,
-        searches_remaining: user.search_limit - user.searches_used_this_month
-      }
+      ...result.session
     });
 
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to refresh session'
+    });
+  }
+});
+
+/**
+ * POST /logout
+ * Revoke the current access token and its refresh token
+ * (Mounted at /api/auth, so full path is /api/auth/logout)
+ */
+router.post('/logout', authenticateUser, requireUserSession, async (req, res) => {
+  const { refresh_token } = req.body;
+
+  try {
+    await TokenService.revokeAccessToken(req.token);
+
+    if (refresh_token) {
+      await TokenService.revokeRefreshToken(refresh_token, req.user.id);
+    }
+
+    console.log(`👋 User logged out: ${req.user.email}`);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /logout-all
+ * Log out of all devices - revokes every token issued so far
+ * (Mounted at /api/auth, so full path is /api/auth/logout-all)
+ */
+router.post('/logout-all', authenticateUser, requireUserSession, async (req, res) => {
+  try {
+    await TokenService.revokeAllForUser(req.user.id);
+
+    console.log(`👋 User logged out of all devices: ${req.user.email}`);
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Logout failed. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /forgot-password
+ * Email a password reset link. Always succeeds so accounts can't be enumerated.
+ * (Mounted at /api/auth, so full path is /api/auth/forgot-password)
+ */
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return res.json({
+      success: false,
+      error: 'Email is required'
+    });
+  }
+
+  try {
+    const user = await AccountService.findByEmail(email);
+
+    if (user) {
+      await AccountService.sendPasswordResetEmail(user);
+      console.log(`🔑 Password reset requested: ${user.email}`);
+    }
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+  }
+
+  res.json({
+    success: true,
+    message: 'If an account exists for that email, a reset link is on its way.'
+  });
+});
+
+/**
+ * POST /reset-password
+ * Set a new password with a reset token. Logs out every existing session.
+ * (Mounted at /api/auth, so full path is /api/auth/reset-password)
+ */
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (!token || !password) {
+    return res.json({
+      success: false,
+      error: 'Token and new password are required'
+    });
+  }
+
+  const passwordError = validatePassword(password);
+  if (passwordError) {
+    return res.json({
+      success: false,
+      error: passwordError
+    });
+  }
+
+  try {
+    const userId = await TokenService.consumeActionToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.json({
+        success: false,
+        error: 'This reset link is invalid or has expired'
+      });
+    }
+
+    await updatePassword(userId, password);
+
+    // Following the emailed link proves ownership of the address
+    await AccountService.markEmailVerified(userId);
+
+    // ...and lifts any login lockout
+    const user = await AccountService.findById(userId);
+    await AttemptGuard.clear('login', { account: user.email });
+
+    console.log(`🔑 Password reset for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
     res.json({
       success: false,
-      error: 'Login failed. Please try again.'
+      error: 'Failed to reset password. Please try again.'
     });
   }
 });
 
 /**
- * GET /me
- * Get current user info (requires auth token)
- * (Mounted at /api/auth, so full path is /api/auth/me)
+ * POST /change-password
+ * Change password for the logged-in user. Other sessions are logged out;
+ * the caller gets a fresh session back.
+ * (Mounted at /api/auth, so full path is /api/auth/change-password)
  */
-router.get('/me', async (req, res) => {
-  const token = req.headers.authorization?.replace('Bearer ', '');
+router.post('/change-password', authenticateUser, requireUserSession, async (req, res) => {
+  const { current_password, new_password } = req.body;
 
-  if (!token) {
+  if (!current_password || !new_password) {
+    return res.json({
+      success: false,
+      error: 'Current and new password are required'
+    });
+  }
+
+  const passwordError = validatePassword(new_password);
+  if (passwordError) {
     return res.json({
       success: false,
-      error: 'No authentication token provided'
+      error: passwordError
     });
   }
 
   try {
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const user = await AccountService.findById(req.user.id);
 
-    // Get fresh user data
-    const { data: user, error } = await supabase
-      .from('users')
-      .select('id, email, tier, searches_used_this_month, search_limit, period_start')
-      .eq('id', decoded.userId)
-      .single();
+    const validPassword = user.password_hash &&
+      await bcrypt.compare(current_password, user.password_hash);
 
-    if (error || !user) {
+    if (!validPassword) {
       return res.json({
         success: false,
-        error: 'User not found'
+        error: 'Current password is incorrect'
       });
     }
 
-    // Check if we need to reset monthly search count
-    const periodStart = new Date(user.period_start);
-    const now = new Date();
-    const daysSincePeriodStart = (now - periodStart) / (1000 * 60 * 60 * 24);
-
-    if (daysSincePeriodStart >= 30) {
-      // Reset monthly searches
-      await supabase
-        .from('users')
-        .update({
-          searches_used_this_month: 0,
-          period_start: now.toISOString()
-        })
-        .eq('id', user.id);
-
-      user.searches_used_this_month = 0;
+    await updatePassword(user.id, new_password);
+
+    const session = await TokenService.issueSession(user, {
+      ...sessionMeta(req),
+      twoFactor: req.user.two_factor_verified
+    });
+
+    console.log(`🔑 Password changed: ${user.email}`);
+
+    res.json({
+      success: true,
+      ...session
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.json({
+      success: false,
+      error: 'Failed to change password. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /verify-email
+ * Confirm an email address with the token from the verification email
+ * (Mounted at /api/auth, so full path is /api/auth/verify-email)
+ */
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.json({
+      success: false,
+      error: 'Verification token is required'
+    });
+  }
+
+  try {
+    const userId = await TokenService.consumeActionToken(token, 'email_verify');
+
+    if (!userId) {
+      return res.json({
+        success: false,
+        error: 'This verification link is invalid or has expired'
+      });
     }
 
+    await AccountService.markEmailVerified(userId);
+
+    console.log(`✅ Email verified for user ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified. All of your free searches are unlocked.'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.json({
+      success: false,
+      error: 'Failed to verify email. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /unlock-account
+ * Lift a login lockout with the emailed unlock token
+ * (Mounted at /api/auth, so full path is /api/auth/unlock-account)
+ */
+router.post('/unlock-account', async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.json({
+      success: false,
+      error: 'Unlock token is required'
+    });
+  }
+
+  try {
+    const userId = await TokenService.consumeActionToken(token, 'account_unlock');
+
+    if (!userId) {
+      return res.json({
+        success: false,
+        error: 'This unlock link is invalid or has expired'
+      });
+    }
+
+    const user = await AccountService.findById(userId);
+    await AttemptGuard.clear('login', { account: user.email });
+
+    console.log(`🔓 Account unlocked: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Your account is unlocked. You can log in again.'
+    });
+
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.json({
+      success: false,
+      error: 'Failed to unlock account. Please try again.'
+    });
+  }
+});
+
+/**
+ * POST /resend-verification
+ * Send a fresh verification email to the logged-in user
+ * (Mounted at /api/auth, so full path is /api/auth/resend-verification)
+ */
+router.post('/resend-verification', authenticateUser, requireUserSession, async (req, res) => {
+  if (req.user.email_verified) {
+    return res.json({
+      success: false,
+      error: 'Email is already verified'
+    });
+  }
+
+  try {
+    await AccountService.sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.json({
+      success: false,
+      error: 'Failed to send verification email. Please try again.'
+    });
+  }
+});
+
+/**
+ * GET /me
+ * Get current user info (requires auth token - AmatuEdda or Supabase)
+ * (Mounted at /api/auth, so full path is /api/auth/me)
+ */
+router.get('/me', authenticateUser, async (req, res) => {
+  try {
+    const user = req.user;
+    const usage = await UsageService.getSummary({ user });
+    const creditBalance = await CreditService.getBalance(user.id);
+
     res.json({
       success: true,
       user: {
         id: user.id,
         email: user.email,
         tier: user.tier,
-        searches_remaining: user.search_limit - user.searches_used_this_month,
-        searches_used: user.searches_used_this_month,
-        search_limit: user.search_limit
+        email_verified: user.email_verified,
+        searches_remaining: usage.analysis.remaining ?? 'unlimited',
+        searches_used: usage.analysis.used,
+        search_limit: usage.analysis.limit,
+        credit_balance: creditBalance,
+        // Show the "update your payment method" banner while true
+        past_due: user.billing_status === 'past_due',
+        billing: DunningService.describe(user),
+        usage
       }
     });
 
   } catch (error) {
-    console.error('Auth verification error:', error);
+    console.error('Error fetching current user:', error);
     res.json({
       success: false,
-      error: 'Invalid or expired token'
+      error: 'Failed to load account'
     });
   }
 });
 
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'Password must be at least 8 characters';
+  }
+  return null;
+}
+
+/**
+ * Store a new password hash and revoke every token issued with the old one
+ */
+async function updatePassword(userId, password) {
+  const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      password_hash: passwordHash,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', userId);
+
+  if (error) throw error;
+
+  await TokenService.revokeAllForUser(userId);
+}
+
+/**
+ * Email an unlock link when a failed login's attempt locked a real account
+ */
+async function notifyLoginLock(attempt, user) {
+  if (attempt.justLocked.account && user) {
+    try {
+      await AccountService.sendUnlockEmail(user, AttemptGuard.POLICIES.login.account.lockMinutes);
+    } catch (error) {
+      console.error('Failed to send unlock email:', error);
+    }
+  }
+}
+
+/**
+ * Final login step: record activity, issue a session and respond
+ * @param {Object} options - { twoFactor } when the second factor was checked
+ */
+async function completeLogin(req, res, user, { twoFactor = false } = {}) {
+  await supabase
+    .from('users')
+    .update({ last_active: new Date().toISOString() })
+    .eq('id', user.id);
+
+  // Generate access + refresh tokens
+  const session = await TokenService.issueSession(user, { ...sessionMeta(req), twoFactor });
+
+  console.log(`✅ User logged in: ${user.email}`);
+
+  // Accounts from before email verification was added never got a link
+  await AccountService.sendFirstVerificationEmail(user)
+    .catch(err => console.error('Verification email failed:', err));
+
+  res.json({
+    success: true,
+    ...session,
+    user: {
+      id: user.id,
+      email: user.email,
+      tier: user.tier,
+      email_verified: !!user.email_verified_at,
+      two_factor_enabled: TwoFactorService.isEnabled(user),
+      searches_remaining: await searchesRemaining(user)
+    }
+  });
+}
+
+/**
+ * Analyses left this period for a users row ('unlimited' on paid plans)
+ */
+async function searchesRemaining(user) {
+  const usage = await UsageService.getUsage('analysis', { user: AccountService.toRequestUser(user) });
+  return usage.remaining ?? 'unlimited';
+}
+
+function sessionMeta(req) {
+  return {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
 module.exports = router;
@@ -0,0 +1,178 @@
+// routes/billing.js
+// Self-service subscription management: plan changes with proration,
+// cancel at period end, resume and the Stripe billing portal
+// (Mounted at /api/billing) - new subscriptions still start at /api/checkout
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const AuditService = require('../services/AuditService');
+const BillingService = require('../services/BillingService');
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * GET /subscription
+ * The current subscription, or null on Free
+ * (Full path: /api/billing/subscription)
+ */
+router.get('/subscription', async (req, res) => {
+  try {
+    const subscription = await BillingService.getSubscription(req.user);
+
+    res.json({
+      success: true,
+      data: {
+        tier: req.user.tier,
+        billing_status: req.user.billing_status,
+        subscription: subscription ? await BillingService.summarize(subscription) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /preview { tier, interval? }
+ * What switching to `tier` (or to annual/monthly billing) now would cost;
+ * send proration_date back with POST /change within 5 minutes to be charged
+ * exactly this amount
+ * (Full path: /api/billing/preview)
+ */
+router.post('/preview', async (req, res) => {
+  try {
+    const { tier, interval } = req.body;
+
+    const { preview, error, status } = await BillingService.previewChange(req.user, tier, interval || null);
+    if (error) {
+      return res.status(status || 400).json({ success: false, error });
+    }
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    console.error('Error previewing plan change:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /change { tier, interval?, proration_date? }
+ * Upgrade or downgrade; usage this billing period carries over
+ * (Full path: /api/billing/change)
+ */
+router.post('/change', async (req, res) => {
+  try {
+    const { tier, interval, proration_date } = req.body;
+
+    if (proration_date !== undefined && !Number.isInteger(proration_date)) {
+      return res.status(400).json({ success: false, error: 'proration_date must be the value returned by /preview' });
+    }
+
+    const { subscription, error, status } = await BillingService.changePlan(req.user, tier, {
+      interval: interval || null,
+      prorationDate: proration_date || null
+    });
+    if (error) {
+      return res.status(status || 400).json({ success: false, error });
+    }
+
+    await AuditService.record(req, 'subscription.changed', { type: 'user', id: req.user.id }, {
+      from_tier: req.user.tier,
+      to_tier: tier,
+      interval: interval || null,
+      pending_payment: !!subscription.pending_update
+    });
+
+    res.json({
+      success: true,
+      data: await BillingService.summarize(subscription),
+      message: subscription.pending_update
+        ? `Your upgrade to ${tier} applies as soon as the prorated invoice is paid`
+        : `You're now on ${tier}`
+    });
+  } catch (error) {
+    console.error('Error changing plan:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /cancel
+ * Cancel at the end of the paid period; the tier stays until then
+ * (Full path: /api/billing/cancel)
+ */
+router.post('/cancel', async (req, res) => {
+  try {
+    const { subscription, error, status } = await BillingService.cancelAtPeriodEnd(req.user);
+    if (error) {
+      return res.status(status || 400).json({ success: false, error });
+    }
+
+    const summary = await BillingService.summarize(subscription);
+
+    await AuditService.record(req, 'subscription.cancel_scheduled', { type: 'user', id: req.user.id }, {
+      ends_at: summary.current_period_end
+    });
+
+    res.json({
+      success: true,
+      data: summary,
+      message: `Your ${summary.tier} plan stays active until ${summary.current_period_end}`
+    });
+  } catch (error) {
+    console.error('Error canceling subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /resume
+ * Undo a scheduled cancellation
+ * (Full path: /api/billing/resume)
+ */
+router.post('/resume', async (req, res) => {
+  try {
+    const { subscription, error, status } = await BillingService.resume(req.user);
+    if (error) {
+      return res.status(status || 400).json({ success: false, error });
+    }
+
+    await AuditService.record(req, 'subscription.resumed', { type: 'user', id: req.user.id });
+
+    res.json({ success: true, data: await BillingService.summarize(subscription) });
+  } catch (error) {
+    console.error('Error resuming subscription:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /portal { return_path? }
+ * Stripe billing portal for payment methods and invoices
+ * (Full path: /api/billing/portal)
+ */
+router.post('/portal', async (req, res) => {
+  try {
+    // Only paths on our own site - "/\evil.com" or "/\t/evil.com" resolve to
+    // another host, so check the origin the URL lands on
+    const { return_path } = req.body;
+    const site = new URL(process.env.FRONTEND_URL);
+    const path = typeof return_path === 'string' && /^\/(?![/\\])/.test(return_path) ? return_path : '/account.html';
+    let returnUrl = new URL(path, site);
+    if (returnUrl.origin !== site.origin) returnUrl = new URL('/account.html', site);
+
+    const { url, error, status } = await BillingService.createPortalSession(req.user, returnUrl.toString());
+    if (error) {
+      return res.status(status || 400).json({ success: false, error });
+    }
+
+    res.json({ success: true, url });
+  } catch (error) {
+    console.error('Error creating billing portal session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,20 +3,35 @@
 const express = require('express');
 const router = express.Router();
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { authenticateOptional } = require('../middleware/auth');
+const PlanCatalogService = require('../services/PlanCatalogService');
+const { BILLING_INTERVALS } = require('../config/plans');
 
-// Price ID mapping - Elite and Oracle tiers
-const PRICE_IDS = {
-  'elite': 'price_1SkczEGoRkUwNcvtGT0rbyvN',      // $19.99/month
-  'oracle': 'price_1Skd2DGoRkUwNcvt5t08bSNk'      // $99.99/month
-};
+/**
+ * List the plans on sale (monthly and annual prices, trials, intro offers)
+ * GET /plans
+ * (Full path: /api/checkout/plans)
+ */
+router.get('/plans', async (req, res) => {
+  try {
+    const plans = await PlanCatalogService.list();
+    res.json({ success: true, data: plans });
+  } catch (error) {
+    console.error('Error listing plans:', error);
+    res.status(500).json({ success: false, error: 'Failed to load plans' });
+  }
+});
 
 /**
  * Create Stripe Checkout Session
- * POST /create-checkout-session
+ * POST /create-checkout-session { tier, interval? }
+ * Signed-in callers are linked to their account; the trial and intro offer
+ * only apply to a first subscription (enforced again by the webhook for
+ * anonymous checkouts).
  * (Full path: /api/checkout/create-checkout-session)
  */
-router.post('/create-checkout-session', async (req, res) => {
-  const { tier } = req.body;
+router.post('/create-checkout-session', authenticateOptional, async (req, res) => {
+  const { tier, interval = 'month' } = req.body;
   
   if (!tier) {
     return res.json({ 
@@ -24,37 +39,58 @@ router.post('/create-checkout-session', async (req, res) => {
       error: 'Tier is required' 
     });
   }
-  
-  const priceId = PRICE_IDS[tier];
-  
-  if (!priceId) {
-    return res.json({ 
-      success: false, 
-      error: 'Invalid tier selected' 
+
+  if (!BILLING_INTERVALS.includes(interval)) {
+    return res.json({
+      success: false,
+      error: `Interval must be one of: ${BILLING_INTERVALS.join(', ')}`
     });
   }
   
   try {
+    const price = await PlanCatalogService.findPrice(tier, interval);
+    
+    if (!price) {
+      return res.json({ 
+        success: false, 
+        error: 'Invalid tier selected' 
+      });
+    }
+
+    const firstSubscription = !req.user?.first_subscribed_at;
+    const intro = firstSubscription ? price.intro : null;
+
     // Create checkout session
     const session = await stripe.checkout.sessions.create({
       mode: 'subscription',
       payment_method_types: ['card'],
       line_items: [
         {
-          price: priceId,
+          price: price.price_id,
           quantity: 1,
         },
       ],
+      ...(req.user?.stripe_customer_id
+        ? { customer: req.user.stripe_customer_id }
+        : req.user && { customer_email: req.user.email }),
+      subscription_data: {
+        ...(firstSubscription && price.trial_days > 0 && { trial_period_days: price.trial_days }),
+        metadata: { tier: price.tier }
+      },
       success_url: `${process.env.FRONTEND_URL}/success.html?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.FRONTEND_URL}/pricing.html`,
       metadata: {
-        tier: tier
+        tier: price.tier,
+        interval
       },
-      allow_promotion_codes: true, // Allow discount codes
+      // Stripe takes either a fixed discount or customer-entered codes
+      ...(intro
+        ? { discounts: [{ coupon: intro.coupon }] }
+        : { allow_promotion_codes: true }), // Allow discount codes
       billing_address_collection: 'auto',
     });
     
-    console.log(`✅ Checkout session created for ${tier} tier: ${session.id}`);
+    console.log(`✅ Checkout session created for ${tier} tier (${interval}ly): ${session.id}`);
     
     // Return format matching pricing.html expectation
     res.json({ 
@@ -0,0 +1,58 @@
+// routes/credits.js
+// Scout-Faire credit wallet: balance and transaction history
+// (Mounted at /api/credits) - packs are bought through /api/payments
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireScope } = require('../middleware/auth');
+const CreditService = require('../services/CreditService');
+const { ANALYSIS_DEPTHS } = require('../config/plans');
+
+router.use(authenticateUser, requireScope('read'));
+
+/**
+ * GET /
+ * Current balance and what each analysis depth costs
+ * (Full path: /api/credits)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const balance = await CreditService.getBalance(req.user.id);
+
+    res.json({
+      success: true,
+      balance,
+      costs: Object.fromEntries(
+        Object.entries(ANALYSIS_DEPTHS).map(([depth, { credits }]) => [depth, credits])
+      )
+    });
+  } catch (error) {
+    console.error('Error loading credit balance:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /transactions?limit=50&before=<id>
+ * Purchases, spends, refunds and adjustments, newest first
+ * (Full path: /api/credits/transactions)
+ */
+router.get('/transactions', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit, 10) || undefined;
+    const before = parseInt(req.query.before, 10) || null;
+
+    const transactions = await CreditService.getTransactions(req.user.id, { limit, before });
+
+    res.json({
+      success: true,
+      data: transactions,
+      next_before: transactions.length > 0 ? transactions[transactions.length - 1].id : null
+    });
+  } catch (error) {
+    console.error('Error loading credit transactions:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,68 @@
+// routes/emails.js
+// Transactional email template previews
+// (Mounted at /api/emails) - admin only
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireAdmin } = require('../middleware/auth');
+const { getTemplate, listTemplates, renderTemplate } = require('../services/email/templates');
+
+router.use(authenticateUser, requireAdmin);
+
+/**
+ * GET /templates
+ * List templates and their versions
+ * (Full path: /api/emails/templates)
+ */
+router.get('/templates', (req, res) => {
+  res.json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
+/**
+ * GET /templates/:name/preview?version=1&format=html
+ * Render a template with its sample data
+ * POST the same path with { data } to render custom data
+ * (Full path: /api/emails/templates/:name/preview)
+ */
+router.all('/templates/:name/preview', (req, res) => {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ success: false, error: 'Method not allowed' });
+  }
+
+  const version = req.query.version ? parseInt(req.query.version, 10) : undefined;
+  const template = getTemplate(req.params.name, version);
+
+  if (!template) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown template: ${req.params.name}`
+    });
+  }
+
+  try {
+    const data = (req.method === 'POST' && req.body?.data) || template.sample;
+    const rendered = renderTemplate(template.name, data, template.version);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(rendered.html);
+    }
+
+    if (req.query.format === 'text') {
+      return res.type('text').send(rendered.text);
+    }
+
+    res.json({ success: true, preview: rendered });
+
+  } catch (error) {
+    console.error('Template preview failed:', error);
+    res.status(400).json({
+      success: false,
+      error: `Failed to render template: ${error.message}`
+    });
+  }
+});
+
+module.exports = router;
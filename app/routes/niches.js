@@ -4,28 +4,30 @@
 
 const express = require('express');
 const router = express.Router();
-const { authenticateUser } = require('../middleware/auth');
+const { authenticateUser, requireScope } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+const { workspaceAccess, scopeToOwner, ownerFields } = require('../middleware/workspace');
 const NicheService = require('../services/NicheService');
 const AIAnalysisService = require('../services/AIAnalysisService');
+const UsageService = require('../services/UsageService');
 
 // =====================================================
 // NICHES CRUD
 // =====================================================
 
 // Get all niches for authenticated user
-router.get('/', authenticateUser, async (req, res) => {
+router.get('/', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const { status, category, sort = 'score', limit = 50 } = req.query;
     const supabase = req.app.locals.supabase;
     
-    let query = supabase
+    let query = scopeToOwner(supabase
       .from('niches')
       .select(`
         *,
         pain_points:pain_points(count),
         trends:trends(count)
-      `)
-      .eq('user_id', req.user.id);
+      `), req);
     
     if (status) query = query.eq('status', status);
     if (category) query = query.eq('category', category);
@@ -53,20 +55,19 @@ router.get('/', authenticateUser, async (req, res) => {
 });
 
 // Get single niche with details
-router.get('/:id', authenticateUser, async (req, res) => {
+router.get('/:id', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
-    const { data: niche, error } = await supabase
+    const { data: niche, error } = await scopeToOwner(supabase
       .from('niches')
       .select(`
         *,
         pain_points(*),
         trends(*),
         analytics:niche_analytics(*)
-      `)
+      `), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .single();
     
     if (error) throw error;
@@ -80,7 +81,7 @@ router.get('/:id', authenticateUser, async (req, res) => {
 });
 
 // Create new niche
-router.post('/', authenticateUser, async (req, res) => {
+router.post('/', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const { name, description, category, tags, keywords } = req.body;
     const supabase = req.app.locals.supabase;
@@ -92,7 +93,7 @@ router.post('/', authenticateUser, async (req, res) => {
     const { data, error } = await supabase
       .from('niches')
       .insert({
-        user_id: req.user.id,
+        ...ownerFields(req),
         name,
         description,
         category,
@@ -113,20 +114,20 @@ router.post('/', authenticateUser, async (req, res) => {
 });
 
 // Update niche
-router.patch('/:id', authenticateUser, async (req, res) => {
+router.patch('/:id', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     const updates = req.body;
     
     // Remove fields that shouldn't be directly updated
     delete updates.user_id;
+    delete updates.workspace_id;
     delete updates.created_at;
     
-    const { data, error } = await supabase
+    const { data, error } = await scopeToOwner(supabase
       .from('niches')
-      .update(updates)
+      .update(updates), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .select()
       .single();
     
@@ -141,15 +142,14 @@ router.patch('/:id', authenticateUser, async (req, res) => {
 });
 
 // Delete niche
-router.delete('/:id', authenticateUser, async (req, res) => {
+router.delete('/:id', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
-    const { error } = await supabase
+    const { error } = await scopeToOwner(supabase
       .from('niches')
-      .delete()
-      .eq('id', req.params.id)
-      .eq('user_id', req.user.id);
+      .delete(), req)
+      .eq('id', req.params.id);
     
     if (error) throw error;
     
@@ -165,7 +165,7 @@ router.delete('/:id', authenticateUser, async (req, res) => {
 // =====================================================
 
 // Discover new niches (SkyPath + Scout Faire)
-router.post('/discover', authenticateUser, async (req, res) => {
+router.post('/discover', authenticateUser, rateLimitFor('discover'), requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const { query, mode = 'hybrid', providers = [], filters = {} } = req.body;
     const supabase = req.app.locals.supabase;
@@ -174,21 +174,20 @@ router.post('/discover', authenticateUser, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Query is required' });
     }
     
-    // Check user's search quota
-    const { data: profile } = await supabase
-      .from('profiles')
-      .select('license_tier, search_quota_used, search_quota_reset_at')
-      .eq('id', req.user.id)
-      .single();
-    
-    const quotaLimits = { starter: 100, pro: 1000, enterprise: -1 };
-    const userLimit = quotaLimits[profile.license_tier];
+    // Take one search from the quota (the user's own, or the workspace pool)
+    const usage = await UsageService.consume('discovery', req, {
+      metadata: { query }
+    });
     
-    if (userLimit !== -1 && profile.search_quota_used >= userLimit) {
+    if (!usage.allowed) {
       return res.status(429).json({ 
         success: false, 
         error: 'Search quota exceeded',
-        quota_reset_at: profile.search_quota_reset_at 
+        ...(usage.reason === 'past_due' && {
+          message: 'Your subscription payment failed - searches are limited until your payment method is updated'
+        }),
+        quota_scope: usage.scope,
+        quota_reset_at: usage.reset_at 
       });
     }
     
@@ -196,7 +195,7 @@ router.post('/discover', authenticateUser, async (req, res) => {
     const { data: searchQuery, error: sqError } = await supabase
       .from('search_queries')
       .insert({
-        user_id: req.user.id,
+        ...ownerFields(req),
         query_text: query,
         search_mode: mode,
         providers,
@@ -207,16 +206,13 @@ router.post('/discover', authenticateUser, async (req, res) => {
       .select()
       .single();
     
-    if (sqError) throw sqError;
-    
-    // Increment quota
-    await supabase
-      .from('profiles')
-      .update({ search_quota_used: profile.search_quota_used + 1 })
-      .eq('id', req.user.id);
+    if (sqError) {
+      await UsageService.reverse(usage.event_id, 'search_not_started');
+      throw sqError;
+    }
     
     // Start discovery process (async)
-    NicheService.discoverNiches(req.user.id, searchQuery.id, query, mode, providers, filters)
+    NicheService.discoverNiches(req.user.id, searchQuery.id, query, mode, providers, filters, req.workspace?.id || null)
       .catch(err => console.error('Discovery error:', err));
     
     res.json({ 
@@ -234,15 +230,14 @@ router.post('/discover', authenticateUser, async (req, res) => {
 });
 
 // Get search status
-router.get('/search/:searchId', authenticateUser, async (req, res) => {
+router.get('/search/:searchId', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
-    const { data, error } = await supabase
+    const { data, error } = await scopeToOwner(supabase
       .from('search_queries')
-      .select('*')
+      .select('*'), req)
       .eq('id', req.params.searchId)
-      .eq('user_id', req.user.id)
       .single();
     
     if (error) throw error;
@@ -260,16 +255,15 @@ router.get('/search/:searchId', authenticateUser, async (req, res) => {
 // =====================================================
 
 // Get pain points for a niche
-router.get('/:nicheId/pain-points', authenticateUser, async (req, res) => {
+router.get('/:nicheId/pain-points', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const { sort = 'intensity', limit = 50 } = req.query;
     const supabase = req.app.locals.supabase;
     
-    let query = supabase
+    let query = scopeToOwner(supabase
       .from('pain_points')
-      .select('*')
-      .eq('niche_id', req.params.nicheId)
-      .eq('user_id', req.user.id);
+      .select('*'), req)
+      .eq('niche_id', req.params.nicheId);
     
     const sortMap = {
       'intensity': 'intensity_score',
@@ -291,19 +285,18 @@ router.get('/:nicheId/pain-points', authenticateUser, async (req, res) => {
 });
 
 // Validate pain point
-router.post('/pain-points/:id/validate', authenticateUser, async (req, res) => {
+router.post('/pain-points/:id/validate', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const { notes } = req.body;
     const supabase = req.app.locals.supabase;
     
-    const { data, error } = await supabase
+    const { data, error } = await scopeToOwner(supabase
       .from('pain_points')
       .update({ 
         is_validated: true, 
         validation_notes: notes 
-      })
+      }), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .select()
       .single();
     
@@ -321,16 +314,15 @@ router.post('/pain-points/:id/validate', authenticateUser, async (req, res) => {
 // =====================================================
 
 // Get trends for a niche
-router.get('/:nicheId/trends', authenticateUser, async (req, res) => {
+router.get('/:nicheId/trends', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const { sort = 'trending', limit = 50 } = req.query;
     const supabase = req.app.locals.supabase;
     
-    let query = supabase
+    let query = scopeToOwner(supabase
       .from('trends')
-      .select('*')
-      .eq('niche_id', req.params.nicheId)
-      .eq('user_id', req.user.id);
+      .select('*'), req)
+      .eq('niche_id', req.params.nicheId);
     
     const sortMap = {
       'trending': 'trending_score',
@@ -356,21 +348,20 @@ router.get('/:nicheId/trends', authenticateUser, async (req, res) => {
 // =====================================================
 
 // Analyze niche with AI
-router.post('/:id/analyze', authenticateUser, async (req, res) => {
+router.post('/:id/analyze', authenticateUser, requireScope('analyze'), workspaceAccess('editor'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
     // Get niche with all data
-    const { data: niche, error } = await supabase
+    const { data: niche, error } = await scopeToOwner(supabase
       .from('niches')
       .select(`
         *,
         pain_points(*),
         trends(*),
         social_mentions(*)
-      `)
+      `), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .single();
     
     if (error) throw error;
@@ -429,14 +420,13 @@ router.post('/:id/analyze', authenticateUser, async (req, res) => {
 // =====================================================
 
 // Get user's monitoring jobs
-router.get('/monitoring/jobs', authenticateUser, async (req, res) => {
+router.get('/monitoring/jobs', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
-    const { data, error } = await supabase
+    const { data, error } = await scopeToOwner(supabase
       .from('monitoring_jobs')
-      .select('*')
-      .eq('user_id', req.user.id)
+      .select('*'), req)
       .order('created_at', { ascending: false });
     
     if (error) throw error;
@@ -449,7 +439,7 @@ router.get('/monitoring/jobs', authenticateUser, async (req, res) => {
 });
 
 // Create monitoring job
-router.post('/monitoring/jobs', authenticateUser, async (req, res) => {
+router.post('/monitoring/jobs', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const { name, niche_id, search_terms, providers, search_mode, schedule_cron } = req.body;
     const supabase = req.app.locals.supabase;
@@ -457,7 +447,7 @@ router.post('/monitoring/jobs', authenticateUser, async (req, res) => {
     const { data, error } = await supabase
       .from('monitoring_jobs')
       .insert({
-        user_id: req.user.id,
+        ...ownerFields(req),
         name,
         niche_id,
         search_terms,
@@ -480,16 +470,15 @@ router.post('/monitoring/jobs', authenticateUser, async (req, res) => {
 });
 
 // Toggle monitoring job
-router.patch('/monitoring/jobs/:id/toggle', authenticateUser, async (req, res) => {
+router.patch('/monitoring/jobs/:id/toggle', authenticateUser, requireScope('discover'), workspaceAccess('editor'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
     // Get current status
-    const { data: job } = await supabase
+    const { data: job } = await scopeToOwner(supabase
       .from('monitoring_jobs')
-      .select('is_active')
+      .select('is_active'), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .single();
     
     if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
@@ -516,22 +505,22 @@ router.patch('/monitoring/jobs/:id/toggle', authenticateUser, async (req, res) =
 // =====================================================
 
 // Get dashboard stats
-router.get('/stats/dashboard', authenticateUser, async (req, res) => {
+router.get('/stats/dashboard', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const supabase = req.app.locals.supabase;
     
     // Parallel queries for efficiency
-    const [nichesResult, painPointsResult, trendsResult, quotaResult] = await Promise.all([
-      supabase.from('niches').select('status').eq('user_id', req.user.id),
-      supabase.from('pain_points').select('id').eq('user_id', req.user.id),
-      supabase.from('trends').select('id').eq('user_id', req.user.id),
-      supabase.from('profiles').select('license_tier, search_quota_used, search_quota_reset_at').eq('id', req.user.id).single()
+    const [nichesResult, painPointsResult, trendsResult] = await Promise.all([
+      scopeToOwner(supabase.from('niches').select('status'), req),
+      scopeToOwner(supabase.from('pain_points').select('id'), req),
+      scopeToOwner(supabase.from('trends').select('id'), req)
     ]);
     
     const niches = nichesResult.data || [];
     const painPoints = painPointsResult.data || [];
     const trends = trendsResult.data || [];
-    const quota = quotaResult.data;
+    
+    const quota = await UsageService.getUsage('discovery', req);
     
     const stats = {
       total_niches: niches.length,
@@ -540,9 +529,10 @@ router.get('/stats/dashboard', authenticateUser, async (req, res) => {
       total_pain_points: painPoints.length,
       total_trends: trends.length,
       search_quota: {
-        used: quota.search_quota_used,
-        limit: { starter: 100, pro: 1000, enterprise: -1 }[quota.license_tier],
-        reset_at: quota.search_quota_reset_at
+        scope: quota.scope,
+        used: quota.used,
+        limit: quota.limit,
+        reset_at: quota.reset_at
       }
     };
     
@@ -554,21 +544,20 @@ router.get('/stats/dashboard', authenticateUser, async (req, res) => {
 });
 
 // Export niche data
-router.get('/:id/export', authenticateUser, async (req, res) => {
+router.get('/:id/export', authenticateUser, requireScope('read'), workspaceAccess('viewer'), async (req, res) => {
   try {
     const { format = 'json' } = req.query;
     const supabase = req.app.locals.supabase;
     
-    const { data, error } = await supabase
+    const { data, error } = await scopeToOwner(supabase
       .from('niches')
       .select(`
         *,
         pain_points(*),
         trends(*),
         analytics:niche_analytics(*)
-      `)
+      `), req)
       .eq('id', req.params.id)
-      .eq('user_id', req.user.id)
       .single();
     
     if (error) throw error;
@@ -0,0 +1,108 @@
+// routes/orders.js
+// Order history: every purchase (products, funnels, credit packs and
+// subscription payments) with its bonuses and a receipt to download
+// (Mounted at /api/orders)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const InvoiceService = require('../services/InvoiceService');
+const OrderService = require('../services/OrderService');
+
+const RECEIPT_FORMATS = ['pdf', 'html'];
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * Load one of the caller's orders (404 for anyone else's)
+ */
+async function loadOrder(req, res, next) {
+  try {
+    const order = await OrderService.get(req.params.table, req.params.id, req.user);
+
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+
+    req.order = order;
+    next();
+  } catch (error) {
+    console.error('Error loading order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+/**
+ * GET /?limit=&offset=
+ * The caller's purchases, newest first
+ * (Full path: /api/orders)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await OrderService.listForUser(req.user, {
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.json({ success: true, data: result.orders, total: result.total });
+  } catch (error) {
+    console.error('Error fetching orders:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /:table/:id
+ * One order with the bonuses it granted and its invoice
+ * (Full path: /api/orders/:table/:id)
+ */
+router.get('/:table/:id', loadOrder, async (req, res) => {
+  try {
+    const bonuses = await OrderService.getBonuses(req.order.order_table, req.order.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...req.order,
+        bonuses,
+        receipt_url: `/api/orders/${req.order.order_table}/${encodeURIComponent(req.order.id)}/receipt`
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching order:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * GET /:table/:id/receipt?format=pdf|html
+ * The order's invoice as a PDF download (default) or a printable page.
+ * Orders from before invoicing get their invoice number here.
+ * (Full path: /api/orders/:table/:id/receipt)
+ */
+router.get('/:table/:id/receipt', loadOrder, async (req, res) => {
+  try {
+    const format = req.query.format || 'pdf';
+
+    if (!RECEIPT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: ${RECEIPT_FORMATS.join(', ')}` });
+    }
+
+    const invoice = await InvoiceService.forOrder(req.order);
+
+    if (format === 'html') {
+      return res.type('html').send(InvoiceService.renderHtml(invoice, req.order));
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoice.invoice_number}.pdf"`
+    });
+    res.send(InvoiceService.renderPdf(invoice, req.order));
+  } catch (error) {
+    console.error('Error generating receipt:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,126 +1,100 @@
 // ============================================================================
 // AMATUEDDA CENTRALIZED PAYMENT API
 // Single payment hub for ALL products in the ecosystem
+// (Webhooks are handled by routes/webhooks.js and services/webhooks/)
 // ============================================================================
 
 const express = require('express');
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-const { Pool } = require('pg');
+const AuditService = require('../services/AuditService');
+const ProductService = require('../services/ProductService');
+const AffiliateService = require('../services/AffiliateService');
+const CartService = require('../services/CartService');
+const { UPSELL_WINDOW_MINUTES, UPSELL_COOKIE, UPSELL_COOKIE_MAX_AGE_MS } = CartService;
+const { authenticateUser, requireAdmin } = require('../middleware/auth');
 const router = express.Router();
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-});
-
-// ============================================================================
-// PRODUCT REGISTRY
-// All products that can be purchased through AmatuEdda
-// ============================================================================
-
-const PRODUCT_REGISTRY = {
-  // Scout-Faire Credits
-  'scout_faire_starter': {
-    name: 'Scout-Faire Starter',
-    credits: 10,
-    price_cents: 900,
-    stripe_price_id: process.env.STRIPE_PRICE_SCOUT_STARTER,
-    table: 'scout_faire_transactions',
-    bonuses: [] // No bonuses for Scout-Faire credits
-  },
-  'scout_faire_pro': {
-    name: 'Scout-Faire Pro',
-    credits: 50,
-    price_cents: 3900,
-    stripe_price_id: process.env.STRIPE_PRICE_SCOUT_PRO,
-    table: 'scout_faire_transactions',
-    bonuses: []
-  },
-  'scout_faire_business': {
-    name: 'Scout-Faire Business',
-    credits: 200,
-    price_cents: 12900,
-    stripe_price_id: process.env.STRIPE_PRICE_SCOUT_BUSINESS,
-    table: 'scout_faire_transactions',
-    bonuses: []
-  },
-  
-  // Systasis Products
-  'systasis': {
-    name: 'Systasis Pro',
-    price_cents: 4700,
-    stripe_price_id: process.env.STRIPE_PRICE_SYSTASIS,
-    table: 'systasis_orders',
-    bonuses: ['agentdeck_pro', 'two_brothers_engineer', 'api_magic_vault']
-  },
-  'chronos': {
-    name: 'Chronos Elite',
-    price_cents: 3700,
-    stripe_price_id: process.env.STRIPE_PRICE_CHRONOS,
-    table: 'systasis_orders',
-    bonuses: ['two_brothers_engineer', 'api_magic_vault']
-  },
-  'nexus': {
-    name: 'Nexus Bundle',
-    price_cents: 9700,
-    stripe_price_id: process.env.STRIPE_PRICE_NEXUS,
-    table: 'systasis_orders',
-    bonuses: ['agentdeck_pro', 'two_brothers_engineer', 'api_magic_vault']
-  },
-  
-  // Trail-Maker Products (dynamically generated)
-  // Format: trail_maker_{forge_run_id}_{tier}
-  // Will be registered when Trail-Maker creates funnel
-};
-
 // ============================================================================
 // POST /api/payments/create-checkout
-// Universal checkout creator for ALL products
+// Universal checkout creator for ALL products - one product, or a cart of
+// Systasis/Chronos/Nexus products with the order bumps the buyer accepted
 // ============================================================================
 
 router.post('/create-checkout', async (req, res) => {
   try {
     const {
-      productId,        // 'scout_faire_pro', 'systasis', 'trail_maker_xxx_fe'
+      productId,        // 'scout_faire_pro', 'systasis', 'trail_maker_xxx_fe' (single product)
+      items,            // Or a cart: [{ productId, quantity? }]
+      bumps,            // Optional: bump product ids accepted on the checkout page
       userId,           // Optional: authenticated user
       email,            // Required: customer email
-      affiliateId,      // Optional: affiliate tracking
+      affiliateId,      // Optional: affiliate code
+      clickId,          // Optional: referral click (aff_click); the ae_ref cookie otherwise
       successUrl,       // Where to redirect after success
       cancelUrl,        // Where to redirect if cancelled
       metadata          // Optional: extra data
     } = req.body;
     
-    // Validate product exists
-    const product = PRODUCT_REGISTRY[productId];
-    if (!product) {
+    // Validate products exist and are on sale
+    const { lines, error: cartError } = await CartService.resolve(items || [{ productId }], bumps || []);
+    if (cartError) {
       return res.status(400).json({
         success: false,
-        error: `Unknown product: ${productId}`
+        error: cartError
       });
     }
     
+    const product = lines[0].product;
+    
+    // A recent referral click wins over a code passed along
+    const attribution = await AffiliateService.attribute({
+      clickId: clickId || AffiliateService.clickIdFromCookie(req),
+      code: affiliateId,
+      userId,
+      email
+    });
+    
+    // Save the card for one-click upsells after the purchase; only this
+    // browser (the cookie's key) can take them
+    const saveCard = await CartService.hasUpsells(lines);
+    const buyerKey = saveCard ? CartService.createBuyerKey() : null;
+    
     // Create Stripe checkout session
     const session = await stripe.checkout.sessions.create({
       mode: 'payment',
       payment_method_types: ['card'],
-      line_items: [
-        {
-          price: product.stripe_price_id,
-          quantity: 1,
-        }
-      ],
+      line_items: CartService.toLineItems(lines),
       customer_email: email,
        ...(userId && { client_reference_id: userId }),
+      ...(saveCard && {
+        customer_creation: 'always',
+        payment_intent_data: { setup_future_usage: 'off_session' }
+      }),
       success_url: successUrl || `${process.env.SITE_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: cancelUrl || `${process.env.SITE_URL}/checkout`,
+      // Client metadata first: the keys fulfilment relies on always win
       metadata: {
-        product_id: productId,
+        ...metadata,
+        product_id: product.id,
         user_id: userId || 'guest',
-        affiliate_id: affiliateId || 'DIRECT',
         product_table: product.table,
-        ...metadata
+        items: CartService.toMetadata(lines),
+        affiliate_id: attribution?.code || 'DIRECT',
+        ...(attribution?.click_id && { affiliate_click_id: attribution.click_id }),
+        // Empty unsets a client-sent value
+        upsell_buyer: buyerKey ? buyerKey.hash : ''
       }
     });
     
+    if (buyerKey) {
+      res.cookie(UPSELL_COOKIE, buyerKey.key, {
+        maxAge: UPSELL_COOKIE_MAX_AGE_MS,
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'lax'
+      });
+    }
+    
     res.json({
       success: true,
       sessionId: session.id,
@@ -137,254 +111,92 @@ router.post('/create-checkout', async (req, res) => {
 });
 
 // ============================================================================
-// POST /api/payments/webhook
-// Single webhook handler for ALL products
+// GET /api/payments/offers?products=systasis,chronos
+// Order bumps to show on the checkout page for a cart
 // ============================================================================
 
-router.post('/webhook', express.raw({type: 'application/json'}), async (req, res) => {
-  const sig = req.headers['stripe-signature'];
-  let event;
-  
+router.get('/offers', async (req, res) => {
   try {
-    event = stripe.webhooks.constructEvent(
-      req.body,
-      sig,
-      process.env.STRIPE_WEBHOOK_SECRET
-    );
-  } catch (err) {
-    console.error('Webhook signature verification failed:', err.message);
-    return res.status(400).send(`Webhook Error: ${err.message}`);
-  }
-  
-  // Handle the event
-  switch (event.type) {
-    case 'checkout.session.completed':
-      await handleCheckoutCompleted(event.data.object);
-      break;
-      
-    case 'payment_intent.succeeded':
-      await handlePaymentSuccess(event.data.object);
-      break;
-      
-    case 'payment_intent.payment_failed':
-      await handlePaymentFailed(event.data.object);
-      break;
-      
-    default:
-      console.log(`Unhandled event type: ${event.type}`);
+    const productIds = String(req.query.products || '').split(',').map(id => id.trim()).filter(Boolean);
+    
+    if (productIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'products is required'
+      });
+    }
+    
+    const bumps = await ProductService.listOffers(productIds, 'bump', { exclude: productIds });
+    
+    res.json({
+      success: true,
+      bumps: bumps.map(publicOffer)
+    });
+    
+  } catch (error) {
+    console.error('Offer lookup failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-  
-  res.json({ received: true });
 });
 
 // ============================================================================
-// CHECKOUT COMPLETION HANDLER
-// Routes to appropriate product handler based on product_table
+// POST /api/payments/upsell { upsellToken, productId }
+// One-click upsell after checkout, charged to the card saved at checkout.
+// Only the upsells listed by /success, with the upsell_token it returned,
+// for a short while after paying.
 // ============================================================================
 
-async function handleCheckoutCompleted(session) {
-  const client = await pool.connect();
-  
+router.post('/upsell', async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
-    const { product_id, product_table, user_id, affiliate_id } = session.metadata;
-    const product = PRODUCT_REGISTRY[product_id];
+    const { upsellToken, productId } = req.body;
     
-    console.log(`Processing order for ${product_id} → ${product_table}`);
+    if (!upsellToken || !productId) {
+      return res.status(400).json({
+        success: false,
+        error: 'upsellToken and productId are required'
+      });
+    }
     
-    // Route to appropriate handler
-    switch (product_table) {
-      case 'scout_faire_transactions':
-        await handleScoutFairePurchase(client, session, product);
-        break;
-        
-      case 'systasis_orders':
-        await handleSystasisPurchase(client, session, product);
-        break;
-        
-      case 'trail_maker_orders':
-        await handleTrailMakerPurchase(client, session, product);
-        break;
-        
-      default:
-        throw new Error(`Unknown product table: ${product_table}`);
+    const { paymentIntent, offer, error, status } = await CartService.chargeUpsell(
+      upsellToken,
+      productId,
+      CartService.buyerKeyFromCookie(req)
+    );
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        error
+      });
     }
     
-    await client.query('COMMIT');
-    console.log(`✓ Order processed successfully for ${product_id}`);
+    // The order itself is created by the payment_intent.succeeded webhook
+    res.json({
+      success: true,
+      paymentIntentId: paymentIntent.id,
+      status: paymentIntent.status,
+      product_name: offer.name,
+      amount_paid: paymentIntent.amount / 100
+    });
     
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Order processing failed:', error);
-    throw error;
-  } finally {
-    client.release();
-  }
-}
-
-// ============================================================================
-// SCOUT-FAIRE PURCHASE HANDLER
-// ============================================================================
-
-async function handleScoutFairePurchase(client, session, product) {
-  const userId = session.client_reference_id;
-  const email = session.customer_email;
-  
-  // Use existing Scout-Faire function
-  await client.query(
-    'SELECT process_scout_faire_purchase($1, $2, $3, $4, $5)',
-    [
-      userId,
-      session.id,
-      product.name,
-      product.credits,
-      session.amount_total
-    ]
-  );
-  
-  console.log(`✓ Added ${product.credits} credits to user ${userId}`);
-}
-
-// ============================================================================
-// SYSTASIS PURCHASE HANDLER
-// ============================================================================
-
-async function handleSystasisPurchase(client, session, product) {
-  const userId = session.client_reference_id;
-  const email = session.customer_email;
-  const affiliateId = session.metadata.affiliate_id || 'DIRECT';
-  
-  // 1. Create order
-  const orderResult = await client.query(`
-    INSERT INTO systasis_orders (
-      user_id,
-      order_number,
-      items,
-      subtotal_cents,
-      total_cents,
-      affiliate_id,
-      customer_email,
-      payment_provider,
-      payment_intent_id,
-      payment_status,
-      order_status
-    )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, 'stripe', $8, 'completed', 'completed')
-    RETURNING id
-  `, [
-    userId,
-    generateOrderNumber(),
-    JSON.stringify([{ product_id: session.metadata.product_id, quantity: 1 }]),
-    session.amount_total,
-    session.amount_total,
-    affiliateId,
-    email,
-    session.payment_intent
-  ]);
-  
-  const orderId = orderResult.rows[0].id;
-  
-  // 2. Grant bonuses
-  const bonusResult = await client.query(
-    'SELECT * FROM grant_bonuses_for_order($1, $2, $3, $4)',
-    [orderId, userId, email, session.metadata.product_id]
-  );
-  
-  console.log(`✓ Order ${orderId} created with ${bonusResult.rowCount} bonuses`);
-  
-  // 3. Calculate affiliate commission (30%)
-  if (affiliateId !== 'DIRECT') {
-    const commissionCents = Math.floor(session.amount_total * 0.30);
-    
-    await client.query(`
-      UPDATE systasis_orders
-      SET affiliate_commission_cents = $1
-      WHERE id = $2
-    `, [commissionCents, orderId]);
-    
-    console.log(`✓ Affiliate ${affiliateId} commission: $${commissionCents / 100}`);
+    console.error('Upsell failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
-  
-  // 4. Send email with bonuses
-  await sendBonusDeliveryEmail(email, orderId, bonusResult.rows);
-}
-
-// ============================================================================
-// TRAIL-MAKER PURCHASE HANDLER
-// ============================================================================
-
-async function handleTrailMakerPurchase(client, session, product) {
-  const userId = session.client_reference_id;
-  const email = session.customer_email;
-  const { forge_run_id, tier } = session.metadata;
-  
-  // Create Trail-Maker order
-  await client.query(`
-    INSERT INTO trail_maker_orders (
-      user_id,
-      forge_run_id,
-      funnel_tier,
-      order_number,
-      amount_cents,
-      customer_email,
-      payment_intent_id,
-      order_status
-    )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed')
-  `, [
-    userId,
-    forge_run_id,
-    tier,
-    generateOrderNumber(),
-    session.amount_total,
-    email,
-    session.payment_intent
-  ]);
-  
-  console.log(`✓ Trail-Maker order for ${tier} tier`);
-}
-
-// ============================================================================
-// PAYMENT SUCCESS/FAILURE HANDLERS
-// ============================================================================
-
-async function handlePaymentSuccess(paymentIntent) {
-  console.log(`✓ Payment succeeded: ${paymentIntent.id}`);
-  // Additional success tracking if needed
-}
-
-async function handlePaymentFailed(paymentIntent) {
-  console.error(`✗ Payment failed: ${paymentIntent.id}`);
-  // Log failure, notify user, etc.
-}
-
-// ============================================================================
-// EMAIL NOTIFICATION
-// ============================================================================
-
-async function sendBonusDeliveryEmail(email, orderId, bonuses) {
-  if (bonuses.length === 0) return;
-  
-  const totalValue = bonuses.reduce((sum, b) => {
-    const product = PRODUCT_REGISTRY[b.granted_via_product];
-    return sum + (product?.bonuses?.length || 0) * 100; // Rough estimate
-  }, 0);
-  
-  console.log(`📧 Sending bonus delivery email to ${email}`);
-  console.log(`   Order: ${orderId}`);
-  console.log(`   Bonuses: ${bonuses.length}`);
-  console.log(`   Value: $${totalValue}`);
-  
-  // TODO: Integrate with your email service (SendGrid, Mailgun, etc.)
-  // See bonus-api-routes.js for email template
-}
+});
 
 // ============================================================================
 // REGISTER DYNAMIC PRODUCT (for Trail-Maker)
+// Persisted in the products table; registering the same productId again
+// replaces it. Full catalog management lives at /api/admin/products.
 // ============================================================================
 
-router.post('/register-product', async (req, res) => {
+router.post('/register-product', authenticateUser, requireAdmin, async (req, res) => {
   try {
     const {
       productId,      // 'trail_maker_xxx_fe'
@@ -395,18 +207,37 @@ router.post('/register-product', async (req, res) => {
       metadata        // { forge_run_id, tier }
     } = req.body;
     
-    // Register in PRODUCT_REGISTRY
-    PRODUCT_REGISTRY[productId] = {
+    const fields = {
+      id: productId,
       name,
+      table,
       price_cents: priceCents,
       stripe_price_id: stripePriceId,
-      table,
       bonuses: [], // Trail-Maker products don't get bonuses (yet)
-      metadata
+      metadata: metadata || {}
     };
     
+    const invalid = ProductService.validate(fields);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+    
+    const { error: priceError } = await ProductService.checkStripePrice(stripePriceId, priceCents);
+    if (priceError) {
+      return res.status(400).json({ success: false, error: priceError });
+    }
+    
+    await ProductService.create(fields, { upsert: true });
+    
     console.log(`✓ Registered product: ${productId}`);
     
+    await AuditService.record(req, 'product.registered', { type: 'product', id: productId }, {
+      name,
+      price_cents: priceCents,
+      stripe_price_id: stripePriceId,
+      table
+    });
+    
     res.json({
       success: true,
       productId
@@ -438,19 +269,50 @@ router.get('/success', async (req, res) => {
     }
     
     // Retrieve session from Stripe
-    const session = await stripe.checkout.sessions.retrieve(session_id);
+    const session = await stripe.checkout.sessions.retrieve(session_id, {
+      expand: ['payment_intent.latest_charge']
+    });
     
-    const product = PRODUCT_REGISTRY[session.metadata.product_id];
+    const items = [];
+    for (const item of CartService.itemsFromSession(session)) {
+      const product = await ProductService.get(item.product_id, { includeArchived: true });
+      
+      if (!product) {
+        return res.status(404).json({
+          success: false,
+          error: 'Unknown product'
+        });
+      }
+      
+      items.push({ ...item, product });
+    }
+    
+    // Bonuses shared by several items are granted once
+    const bonusKeys = new Set(items.flatMap(item => item.product.bonuses));
+    const upsells = await CartService.availableUpsells(session);
     
     res.json({
       success: true,
       order: {
-        product_name: product.name,
+        product_name: items.map(item => item.product.name).join(' + '),
+        items: items.map(item => ({
+          product_id: item.product_id,
+          name: item.product.name,
+          quantity: item.quantity,
+          amount_paid: item.amount_cents / 100,
+          bump: item.bump
+        })),
         amount_paid: session.amount_total / 100,
         customer_email: session.customer_email,
-        has_bonuses: product.bonuses.length > 0,
-        bonus_count: product.bonuses.length
-      }
+        has_bonuses: bonusKeys.size > 0,
+        bonus_count: bonusKeys.size
+      },
+      upsells: upsells.map(publicOffer),
+      // Only the browser that started the checkout gets to take them
+      upsell_token: upsells.length > 0 && CartService.isBuyer(session, CartService.buyerKeyFromCookie(req))
+        ? CartService.upsellToken(session)
+        : null,
+      upsell_window_minutes: UPSELL_WINDOW_MINUTES
     });
     
   } catch (error) {
@@ -463,13 +325,20 @@ router.get('/success', async (req, res) => {
 });
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// HELPERS
 // ============================================================================
 
-function generateOrderNumber() {
-  const timestamp = Date.now().toString(36).toUpperCase();
-  const random = Math.random().toString(36).substring(2, 8).toUpperCase();
-  return `ORD-${timestamp}-${random}`;
+// What the storefront shows of an offer
+function publicOffer(offer) {
+  return {
+    product_id: offer.offer_product_id,
+    name: offer.name,
+    headline: offer.headline,
+    price: offer.price_cents / 100,
+    currency: offer.currency,
+    discounted: offer.discounted,
+    bonus_count: offer.bonuses.length
+  };
 }
 
 // ============================================================================
@@ -477,4 +346,3 @@ function generateOrderNumber() {
 // ============================================================================
 
 module.exports = router;
-module.exports.PRODUCT_REGISTRY = PRODUCT_REGISTRY;
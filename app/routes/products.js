@@ -4,6 +4,11 @@
 // ============================================================================
 const express = require('express');
 const router = express.Router();
+const { authenticateUser, requireScope } = require('../middleware/auth');
+const { rateLimitFor } = require('../middleware/rateLimit');
+
+const MAX_KEYWORDS = 20;
+
 // TEST endpoint - remove after confirming it works
 router.get('/test', (req, res) => {
   res.json({ success: true, message: 'Products route is loaded!' });
@@ -11,9 +16,11 @@ router.get('/test', (req, res) => {
 
 // ============================================================================
 // POST /api/products/analyze
-// Scout-Faire niche analysis
+// Scout-Faire niche analysis, one per keyword. { keywords: 'a, b' }
+// Free for now: it returns placeholder data, so it takes neither quota nor
+// credits until it runs the real analysis.
 // ============================================================================
-router.post('/analyze', async (req, res) => {
+router.post('/analyze', authenticateUser, rateLimitFor('analyze'), requireScope('analyze'), async (req, res) => {
   try {
     const { keywords } = req.body;
     
@@ -27,6 +34,13 @@ router.post('/analyze', async (req, res) => {
     // Split keywords by comma
     const keywordList = keywords.split(',').map(k => k.trim()).filter(Boolean);
     
+    if (keywordList.length > MAX_KEYWORDS) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_KEYWORDS} keywords per request`
+      });
+    }
+    
     // TODO: Call AI API here (OpenAI/Groq) to analyze each keyword
     // For now, returning mock data
     const niches = keywordList.map(keyword => ({
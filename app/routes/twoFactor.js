@@ -0,0 +1,175 @@
+// routes/twoFactor.js
+// TOTP two-factor enrollment and recovery codes
+// (Mounted at /api/auth/2fa) - requires a real login, API keys can't manage 2FA
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession, requireTier } = require('../middleware/auth');
+const AccountService = require('../services/AccountService');
+const AttemptGuard = require('../services/AttemptGuardService');
+const TokenService = require('../services/TokenService');
+const TwoFactorService = require('../services/TwoFactorService');
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * GET /
+ * 2FA status for the logged-in user
+ * (Full path: /api/auth/2fa)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const enabled = req.user.two_factor_enabled;
+
+    res.json({
+      success: true,
+      enabled,
+      recovery_codes_remaining: enabled ? await TwoFactorService.countRecoveryCodes(req.user.id) : 0
+    });
+  } catch (error) {
+    console.error('Error loading 2FA status:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /setup
+ * Start enrollment - returns the secret, otpauth:// URL and a QR code data URL.
+ * Paid tiers only.
+ * (Full path: /api/auth/2fa/setup)
+ */
+router.post('/setup', requireTier('elite'), async (req, res) => {
+  try {
+    if (req.user.two_factor_enabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const enrollment = await TwoFactorService.beginEnrollment(req.user);
+
+    res.json({
+      success: true,
+      ...enrollment,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.'
+    });
+  } catch (error) {
+    console.error('Error starting 2FA setup:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /enable
+ * Confirm enrollment with a first code: { code }
+ * Recovery codes are returned once and cannot be retrieved again. Also
+ * returns a new session that counts as 2FA-verified.
+ * (Full path: /api/auth/2fa/enable)
+ */
+router.post('/enable', requireTier('elite'), async (req, res) => {
+  try {
+    const user = await AccountService.findById(req.user.id);
+
+    if (TwoFactorService.isEnabled(user)) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.totp_secret_encrypted) {
+      return res.status(400).json({ success: false, error: 'Start setup first' });
+    }
+
+    if (!await TwoFactorService.verifyCode(user, req.body.code)) {
+      return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await TwoFactorService.confirmEnrollment(user);
+
+    // The code just checked counts as this session's second factor
+    const session = await TokenService.issueSession(user, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      twoFactor: true
+    });
+
+    console.log(`🔐 2FA enabled for ${user.email}`);
+
+    res.json({
+      success: true,
+      ...session,
+      recovery_codes: recoveryCodes,
+      message: 'Two-factor authentication is on. Store these recovery codes somewhere safe.'
+    });
+  } catch (error) {
+    console.error('Error enabling 2FA:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /disable
+ * Turn 2FA off: { code } or { recovery_code }
+ * (Full path: /api/auth/2fa/disable)
+ */
+router.post('/disable', requireSecondFactor, async (req, res) => {
+  try {
+    await TwoFactorService.disable(req.user.id);
+
+    console.log(`🔓 2FA disabled for ${req.user.email}`);
+
+    res.json({ success: true, message: 'Two-factor authentication is off' });
+  } catch (error) {
+    console.error('Error disabling 2FA:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * POST /recovery-codes
+ * Replace all recovery codes: { code } or { recovery_code }
+ * (Full path: /api/auth/2fa/recovery-codes)
+ */
+router.post('/recovery-codes', requireSecondFactor, async (req, res) => {
+  try {
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      recovery_codes: recoveryCodes,
+      message: 'Your old recovery codes no longer work.'
+    });
+  } catch (error) {
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * Require a valid TOTP or recovery code in the body before changing 2FA settings
+ */
+async function requireSecondFactor(req, res, next) {
+  try {
+    const subjects = { account: req.user.id, ip: req.ip };
+
+    const attempt = await AttemptGuard.reserve('two_factor', subjects);
+    if (attempt.blocked) {
+      return AttemptGuard.rejectBlocked(res, attempt.blocked);
+    }
+
+    const user = await AccountService.findById(req.user.id);
+
+    if (!TwoFactorService.isEnabled(user)) {
+      await AttemptGuard.release('two_factor', subjects, attempt);
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!await TwoFactorService.verifySecondFactor(user, req.body)) {
+      return res.status(400).json({ success: false, error: 'Invalid authentication code' });
+    }
+
+    await AttemptGuard.release('two_factor', subjects, attempt);
+    next();
+  } catch (error) {
+    console.error('Error verifying 2FA code:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,97 @@
+// routes/webhooks.js
+// The one Stripe webhook endpoint for every AmatuEdda product
+// (Mounted at /api/webhooks, before express.json - signatures are checked
+// against the raw body)
+//
+// Events are stored before handling (StripeEventService) and dispatched
+// through the handler registry in services/webhooks/.
+
+const express = require('express');
+const router = express.Router();
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const StripeEventService = require('../services/StripeEventService');
+const webhookRegistry = require('../services/webhooks');
+
+const EVENT_SOURCE = 'stripe';
+
+// Events stored by the endpoints this one replaced replay through it too
+for (const source of [EVENT_SOURCE, 'subscriptions', 'payments']) {
+  StripeEventService.setHandler(source, event => webhookRegistry.dispatch(event));
+}
+
+/**
+ * POST /stripe
+ * Receive a Stripe event
+ * (Full path: /api/webhooks/stripe)
+ */
+router.post('/stripe', express.raw({ type: 'application/json' }), receiveStripeEvent);
+
+/**
+ * GET /stripe/health
+ * (Full path: /api/webhooks/stripe/health)
+ */
+router.get('/stripe/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    webhook: 'active',
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * Verify, store, acknowledge, then handle. A redelivered event is
+ * acknowledged without being handled again.
+ * Expects the raw body (express.raw).
+ */
+async function receiveStripeEvent(req, res) {
+  let event;
+
+  try {
+    event = constructEvent(req.body, req.headers['stripe-signature']);
+  } catch (err) {
+    console.error('⚠️ Webhook signature verification failed:', err.message);
+    return res.status(400).send(`Webhook Error: ${err.message}`);
+  }
+
+  console.log('✅ Received event:', event.type);
+
+  let stored;
+  try {
+    stored = await StripeEventService.record(event, EVENT_SOURCE);
+  } catch (error) {
+    // Not stored - let Stripe redeliver it
+    console.error('Error storing webhook event:', error);
+    return res.status(500).json({ error: 'Webhook storage failed' });
+  }
+
+  res.json({ received: true, duplicate: stored.duplicate });
+
+  // First attempt right away; the Stripe event worker retries failures
+  if (stored.event) {
+    StripeEventService.process(stored.event)
+      .catch(error => console.error('Error processing webhook:', error));
+  }
+}
+
+/**
+ * STRIPE_WEBHOOK_SECRET may list several signing secrets (comma-separated)
+ * while old endpoint URLs are still registered in the Stripe dashboard -
+ * each endpoint signs with its own secret.
+ */
+function constructEvent(body, signature) {
+  const secrets = (process.env.STRIPE_WEBHOOK_SECRET || '').split(',').map(s => s.trim()).filter(Boolean);
+  let lastError = new Error('STRIPE_WEBHOOK_SECRET is not configured');
+
+  for (const secret of secrets) {
+    try {
+      return stripe.webhooks.constructEvent(body, signature, secret);
+    } catch (error) {
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = router;
+module.exports.receiveStripeEvent = receiveStripeEvent;
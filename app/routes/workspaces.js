@@ -0,0 +1,290 @@
+// routes/workspaces.js
+// Shared workspaces with owner/admin/editor/viewer roles
+// (Mounted at /api/workspaces)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireUserSession } = require('../middleware/auth');
+const WorkspaceService = require('../services/WorkspaceService');
+const { TWO_FACTOR_REQUIRED } = require('../middleware/workspace');
+
+router.use(authenticateUser, requireUserSession);
+
+/**
+ * Load :id for the current member and require a minimum role.
+ * `allowWithoutTwoFactor` lets members of a 2FA-required workspace through
+ * (only used so they can still leave).
+ */
+function memberOf(minRole, { allowWithoutTwoFactor = false } = {}) {
+  return async (req, res, next) => {
+    try {
+      const workspace = await WorkspaceService.getMembership(req.params.id, req.user.id);
+
+      if (!workspace) {
+        return res.status(404).json({ success: false, error: 'Workspace not found' });
+      }
+
+      if (!allowWithoutTwoFactor && WorkspaceService.blocksWithoutTwoFactor(workspace, req.user)) {
+        return res.status(403).json(TWO_FACTOR_REQUIRED);
+      }
+
+      if (!WorkspaceService.hasRole(workspace.role, minRole)) {
+        return res.status(403).json({
+          success: false,
+          error: `This action requires the ${minRole} role in this workspace`,
+          current_role: workspace.role,
+          required_role: minRole
+        });
+      }
+
+      req.workspace = workspace;
+      next();
+    } catch (error) {
+      console.error('Error loading workspace:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  };
+}
+
+// =====================================================
+// WORKSPACES
+// =====================================================
+
+// List workspaces the user belongs to
+router.get('/', async (req, res) => {
+  try {
+    const data = await WorkspaceService.listForUser(req.user.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Create workspace (caller becomes owner)
+router.post('/', async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, error: 'Name is required' });
+    }
+
+    const data = await WorkspaceService.create(req.user, name.trim());
+
+    console.log(`👥 Workspace "${data.name}" created by ${req.user.email}`);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error creating workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Accept an invitation (addressed to the caller's email)
+router.post('/invitations/accept', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ success: false, error: 'Invitation token is required' });
+    }
+
+    const result = await WorkspaceService.acceptInvitation(token, req.user);
+
+    if (result.error) {
+      return res.status(400).json({ success: false, error: result.error });
+    }
+
+    console.log(`👥 ${req.user.email} joined workspace ${result.workspace.id}`);
+
+    res.json({ success: true, data: result.workspace });
+  } catch (error) {
+    console.error('Error accepting invitation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get workspace with members
+router.get('/:id', memberOf('viewer'), async (req, res) => {
+  try {
+    const members = await WorkspaceService.listMembers(req.workspace.id);
+    res.json({ success: true, data: { ...req.workspace, members } });
+  } catch (error) {
+    console.error('Error fetching workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Update workspace settings: { name, require_2fa }
+router.patch('/:id', memberOf('admin'), async (req, res) => {
+  try {
+    const { name, require_2fa: requireTwoFactor } = req.body;
+    const updates = {};
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ success: false, error: 'Name cannot be empty' });
+      }
+      updates.name = name.trim();
+    }
+
+    if (requireTwoFactor !== undefined) {
+      // Don't let an admin lock themselves out
+      if (requireTwoFactor && !req.user.two_factor_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Enable two-factor authentication on your own account before requiring it'
+        });
+      }
+      updates.require_2fa = !!requireTwoFactor;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ success: false, error: 'Nothing to update' });
+    }
+
+    const data = await WorkspaceService.update(req.workspace.id, updates);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error updating workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Delete workspace and everything it owns
+router.delete('/:id', memberOf('owner'), async (req, res) => {
+  try {
+    await WorkspaceService.remove(req.workspace.id);
+    res.json({ success: true, message: 'Workspace deleted' });
+  } catch (error) {
+    console.error('Error deleting workspace:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =====================================================
+// MEMBERS
+// =====================================================
+
+router.get('/:id/members', memberOf('viewer'), async (req, res) => {
+  try {
+    const data = await WorkspaceService.listMembers(req.workspace.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error listing members:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Change a member's role (the owner's role can't be changed)
+router.patch('/:id/members/:userId', memberOf('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!WorkspaceService.ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${WorkspaceService.ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const data = await WorkspaceService.setMemberRole(req.workspace.id, req.params.userId, role);
+
+    if (!data) {
+      return res.status(404).json({ success: false, error: 'Member not found' });
+    }
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error changing member role:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Remove a member - admins can remove anyone but the owner; anyone can leave
+router.delete('/:id/members/:userId', memberOf('viewer', { allowWithoutTwoFactor: true }), async (req, res) => {
+  try {
+    const leaving = req.params.userId === req.user.id;
+
+    if (!leaving && WorkspaceService.blocksWithoutTwoFactor(req.workspace, req.user)) {
+      return res.status(403).json(TWO_FACTOR_REQUIRED);
+    }
+
+    if (!leaving && !WorkspaceService.hasRole(req.workspace.role, 'admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'This action requires the admin role in this workspace'
+      });
+    }
+
+    const removed = await WorkspaceService.removeMember(req.workspace.id, req.params.userId);
+
+    if (!removed) {
+      return res.status(404).json({ success: false, error: 'Member not found (the owner cannot be removed)' });
+    }
+
+    res.json({ success: true, message: leaving ? 'You left the workspace' : 'Member removed' });
+  } catch (error) {
+    console.error('Error removing member:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// =====================================================
+// INVITATIONS
+// =====================================================
+
+router.get('/:id/invitations', memberOf('admin'), async (req, res) => {
+  try {
+    const data = await WorkspaceService.listInvitations(req.workspace.id);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error listing invitations:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Invite by email
+router.post('/:id/invitations', memberOf('admin'), async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ success: false, error: 'A valid email is required' });
+    }
+
+    if (!WorkspaceService.ASSIGNABLE_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${WorkspaceService.ASSIGNABLE_ROLES.join(', ')}`
+      });
+    }
+
+    const data = await WorkspaceService.invite(req.workspace, req.user, email, role);
+
+    console.log(`👥 ${req.user.email} invited ${data.email} to workspace ${req.workspace.id}`);
+
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/:id/invitations/:invitationId', memberOf('admin'), async (req, res) => {
+  try {
+    const revoked = await WorkspaceService.revokeInvitation(req.workspace.id, req.params.invitationId);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Invitation not found' });
+    }
+
+    res.json({ success: true, message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
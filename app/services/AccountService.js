@@ -0,0 +1,230 @@
+// backend/app/services/AccountService.js
+// Unified account model - one `users` row per person, whichever way they log in
+
+const { createClient } = require('@supabase/supabase-js');
+const TokenService = require('./TokenService');
+const EmailService = require('./EmailService');
+const { normalizeTier } = require('../config/plans');
+
+const EMAIL_VERIFY_TTL_MINUTES = 48 * 60;
+const PASSWORD_RESET_TTL_MINUTES = 60;
+const ACCOUNT_UNLOCK_TTL_MINUTES = 24 * 60;
+
+class AccountService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async findByEmail(email) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('email', email.toLowerCase().trim())
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async findByAuthUserId(authUserId) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('auth_user_id', authUserId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Resolve a Supabase Auth user to its `users` row.
+   * Links an existing row by email, or provisions one from the SkyPath profile.
+   * @returns {Object|null} null when the email belongs to another account and
+   *   the Supabase user hasn't confirmed it
+   */
+  async resolveSupabaseUser(authUser, { retried = false } = {}) {
+    const linked = await this.findByAuthUserId(authUser.id);
+    if (linked) return linked;
+
+    const { data: profile, error: profileError } = await this.supabase
+      .from('profiles')
+      .select('*')
+      .eq('id', authUser.id)
+      .single();
+
+    if (profileError && profileError.code !== 'PGRST116') { // Ignore not found
+      console.error('Profile fetch error:', profileError);
+    }
+
+    const existing = authUser.email ? await this.findByEmail(authUser.email) : null;
+
+    if (existing) {
+      // Only someone who proved they own the address gets that account
+      if (!authUser.email_confirmed_at) {
+        console.log(`⚠️ Not linking unconfirmed Supabase account to user ${existing.email}`);
+        return null;
+      }
+
+      // Same person signed up through /api/auth/signup first - link the accounts
+      const { data: updated, error } = await this.supabase
+        .from('users')
+        .update({
+          auth_user_id: authUser.id,
+          email_verified_at: existing.email_verified_at || authUser.email_confirmed_at,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', existing.id)
+        .select()
+        .single();
+
+      if (error && error.code === '23505' && !retried) {
+        return this.resolveSupabaseUser(authUser, { retried: true });
+      }
+      if (error) throw error;
+
+      console.log(`🔗 Linked Supabase account to user ${existing.email}`);
+      return updated;
+    }
+
+    // First time we see this Supabase user - provision a users row.
+    // Reuse the auth id so rows already keyed by profile id keep pointing at the same account.
+    const tier = normalizeTier(profile?.license_tier);
+    const now = new Date().toISOString();
+
+    const { data: created, error } = await this.supabase
+      .from('users')
+      .insert({
+        id: authUser.id,
+        auth_user_id: authUser.id,
+        email: (authUser.email || '').toLowerCase(),
+        tier,
+        license_status: profile?.license_status || 'active',
+        license_expires_at: profile?.license_expires_at || null,
+        email_verified_at: authUser.email_confirmed_at || null,
+        period_start: now,
+        created_at: now,
+        updated_at: now,
+        last_active: now
+      })
+      .select()
+      .single();
+
+    // Another request provisioned or linked it first (unique violation) - use that row
+    if (error && error.code === '23505' && !retried) {
+      return this.resolveSupabaseUser(authUser, { retried: true });
+    }
+    if (error) throw error;
+
+    console.log(`✅ Provisioned user for Supabase account ${created.email}`);
+    return created;
+  }
+
+  async markEmailVerified(userId) {
+    const now = new Date().toISOString();
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ email_verified_at: now, updated_at: now })
+      .eq('id', userId)
+      .is('email_verified_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Email a single-use verification link
+   */
+  async sendVerificationEmail(user) {
+    const token = await TokenService.createActionToken(user.id, 'email_verify', EMAIL_VERIFY_TTL_MINUTES);
+    const link = `${process.env.FRONTEND_URL}/verify-email.html?token=${token}`;
+
+    await EmailService.sendTemplate('email_verify', user.email, { link });
+  }
+
+  /**
+   * Email a verification link to an unverified account that has never been
+   * sent one (accounts from before verification existed). Returns whether it did.
+   */
+  async sendFirstVerificationEmail(user) {
+    if (user.email_verified_at || !user.email) return false;
+
+    const { data: sent, error } = await this.supabase
+      .from('user_action_tokens')
+      .select('id')
+      .eq('user_id', user.id)
+      .eq('purpose', 'email_verify')
+      .limit(1);
+
+    if (error) throw error;
+    if (sent.length > 0) return false;
+
+    await this.sendVerificationEmail(user);
+    return true;
+  }
+
+  /**
+   * Email a single-use password reset link
+   */
+  async sendPasswordResetEmail(user) {
+    const token = await TokenService.createActionToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+    const link = `${process.env.FRONTEND_URL}/reset-password.html?token=${token}`;
+
+    await EmailService.sendTemplate('password_reset', user.email, { link });
+  }
+
+  /**
+   * Email a single-use link that lifts a login lockout
+   */
+  async sendUnlockEmail(user, lockMinutes) {
+    const token = await TokenService.createActionToken(user.id, 'account_unlock', ACCOUNT_UNLOCK_TTL_MINUTES);
+    const link = `${process.env.FRONTEND_URL}/unlock-account.html?token=${token}`;
+
+    await EmailService.sendTemplate('account_unlock', user.email, { link, lock_minutes: lockMinutes });
+  }
+
+  /**
+   * Shape a users row into the `req.user` object every route sees
+   */
+  toRequestUser(user, authMethod) {
+    const tier = normalizeTier(user.tier);
+
+    return {
+      id: user.id,
+      email: user.email,
+      tier,
+      role: user.role || 'user',
+      is_admin: user.role === 'admin',
+      auth_method: authMethod,
+      auth_user_id: user.auth_user_id || null,
+      license_status: user.license_status || 'active',
+      license_expires_at: user.license_expires_at || null,
+      email_verified: !!user.email_verified_at,
+      two_factor_enabled: !!(user.totp_enabled_at && user.totp_secret_encrypted),
+      period_start: user.period_start,
+      fair_use_override: user.fair_use_override || null,
+      billing_status: user.billing_status || 'active',
+      first_subscribed_at: user.first_subscribed_at || null,
+      grace_period_ends_at: user.grace_period_ends_at || null,
+      stripe_customer_id: user.stripe_customer_id || null,
+      stripe_subscription_id: user.stripe_subscription_id || null,
+      created_at: user.created_at
+    };
+  }
+}
+
+module.exports = new AccountService();
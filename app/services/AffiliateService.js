@@ -0,0 +1,668 @@
+// backend/app/services/AffiliateService.js
+// Affiliate program: accounts, referral clicks, commission rules, the
+// commission ledger and payout batches
+//
+// A referral link visit records a click and drops an attribution cookie for
+// ATTRIBUTION_WINDOW_DAYS. Checkout carries the affiliate's code (and click)
+// in the session metadata; the order handler books a pending commission at
+// the matching rule's rate. Commissions are approved once the rule's approval
+// period has passed (affiliate worker), batched into payouts, then marked paid.
+// Refunds and chargebacks reverse them (services/webhooks/refunds.js).
+
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { toCsv } = require('./reports/csv');
+
+const ATTRIBUTION_WINDOW_DAYS = parseInt(process.env.AFFILIATE_COOKIE_DAYS, 10) || 30;
+const MIN_PAYOUT_CENTS = parseInt(process.env.AFFILIATE_MIN_PAYOUT_CENTS, 10) || 5000;
+const ATTRIBUTION_COOKIE = 'ae_ref';
+const CODE_PATTERN = /^[a-z0-9][a-z0-9-]{2,31}$/;
+const STATUSES = ['pending', 'active', 'suspended'];
+const COMMISSION_STATUSES = ['pending', 'approved', 'paid', 'reversed'];
+const DIRECT = 'DIRECT';
+
+class AffiliateService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+  }
+
+  // =====================================================
+  // ACCOUNTS
+  // =====================================================
+
+  /**
+   * Sign a user up. New affiliates wait for an admin to activate them.
+   * @returns {Object} { affiliate } or { error }
+   */
+  async join(user, { code = null, payoutEmail = null } = {}) {
+    if (await this.getByUser(user.id)) {
+      return { error: 'You are already an affiliate' };
+    }
+
+    const wanted = code ? code.trim().toLowerCase() : generateCode(user.email);
+    if (!CODE_PATTERN.test(wanted) || wanted === DIRECT.toLowerCase()) {
+      return { error: 'Code must be 3-32 lowercase letters, digits or dashes' };
+    }
+
+    const result = await this.pool.query(`
+      INSERT INTO affiliates (user_id, code, payout_email)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (code) DO NOTHING
+      RETURNING *
+    `, [user.id, wanted, payoutEmail || user.email]);
+
+    if (result.rows.length === 0) {
+      return { error: `Code ${wanted} is taken` };
+    }
+
+    console.log(`🤝 Affiliate ${wanted} signed up (${user.email})`);
+    return { affiliate: result.rows[0] };
+  }
+
+  async get(id) {
+    const result = await this.pool.query('SELECT * FROM affiliates WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  async getByUser(userId) {
+    const result = await this.pool.query('SELECT * FROM affiliates WHERE user_id = $1', [userId]);
+    return result.rows[0] || null;
+  }
+
+  async getByCode(code, db = null) {
+    const result = await (db || this.pool).query('SELECT * FROM affiliates WHERE code = $1', [String(code).toLowerCase()]);
+    return result.rows[0] || null;
+  }
+
+  async list({ status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT a.*, u.email, count(*) OVER() AS total
+      FROM affiliates a
+      LEFT JOIN users u ON u.id = a.user_id
+      WHERE ($1::text IS NULL OR a.status = $1)
+      ORDER BY a.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    return {
+      affiliates: result.rows.map(({ total, ...row }) => row),
+      total: parseInt(result.rows[0]?.total || 0, 10)
+    };
+  }
+
+  /**
+   * Admin changes: status, payout_email. Returns the affiliate or null.
+   */
+  async update(id, { status, payout_email: payoutEmail }) {
+    const result = await this.pool.query(`
+      UPDATE affiliates
+      SET status = COALESCE($2, status),
+          payout_email = COALESCE($3, payout_email),
+          approved_at = CASE WHEN $2 = 'active' AND approved_at IS NULL THEN NOW() ELSE approved_at END,
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [id, status ?? null, payoutEmail ?? null]);
+
+    return result.rows[0] || null;
+  }
+
+  referralLink(affiliate) {
+    return `${process.env.API_URL || process.env.SITE_URL}/api/affiliates/r/${affiliate.code}`;
+  }
+
+  // =====================================================
+  // CLICKS AND ATTRIBUTION
+  // =====================================================
+
+  /**
+   * Record a referral link visit. Returns the click, or null when the code
+   * isn't an active affiliate.
+   */
+  async recordClick(code, { productId = null, landingPath = null, referrer = null, ip = null, userAgent = null } = {}) {
+    const affiliate = await this.getByCode(code);
+    if (!affiliate || affiliate.status !== 'active') return null;
+
+    const result = await this.pool.query(`
+      INSERT INTO affiliate_clicks (affiliate_id, product_id, landing_path, referrer, ip_hash, user_agent)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, created_at
+    `, [
+      affiliate.id,
+      productId,
+      landingPath,
+      referrer,
+      ip ? crypto.createHash('sha256').update(ip).digest('hex') : null,
+      userAgent ? userAgent.slice(0, 500) : null
+    ]);
+
+    return { ...result.rows[0], affiliate };
+  }
+
+  clickIdFromCookie(req) {
+    const cookies = req.headers.cookie || '';
+    const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${ATTRIBUTION_COOKIE}=`));
+    return match ? decodeURIComponent(match.slice(ATTRIBUTION_COOKIE.length + 1)) : null;
+  }
+
+  /**
+   * Who referred a checkout: a click inside the attribution window first,
+   * then an explicit affiliate code. Self-referrals don't count.
+   * @returns {Object|null} { code, click_id }
+   */
+  async attribute({ clickId = null, code = null, userId = null, email = null } = {}) {
+    let affiliate = null;
+    let click = null;
+
+    if (clickId && isUuid(clickId)) {
+      const result = await this.pool.query(`
+        SELECT c.id AS click_id, a.*
+        FROM affiliate_clicks c
+        JOIN affiliates a ON a.id = c.affiliate_id
+        WHERE c.id = $1 AND c.created_at > NOW() - make_interval(days => $2)
+      `, [clickId, ATTRIBUTION_WINDOW_DAYS]);
+
+      if (result.rows[0]) {
+        ({ click_id: click, ...affiliate } = result.rows[0]);
+      }
+    }
+
+    if (!affiliate && code && code !== DIRECT) {
+      affiliate = await this.getByCode(code);
+    }
+
+    if (!affiliate || affiliate.status !== 'active') return null;
+    if (await this.isSelfReferral(affiliate, { userId, email })) return null;
+
+    return { code: affiliate.code, click_id: click };
+  }
+
+  /**
+   * Is the buyer the affiliate? The same account, or - for guest checkouts,
+   * which have no account id - the affiliate's account email.
+   */
+  async isSelfReferral(affiliate, { userId = null, email = null }, db = null) {
+    if (!affiliate.user_id) return false;
+    if (userId && affiliate.user_id === userId) return true;
+    if (!email) return false;
+
+    const result = await (db || this.pool).query(
+      'SELECT 1 FROM users WHERE id = $1 AND lower(email) = lower($2)',
+      [affiliate.user_id, String(email).trim()]
+    );
+    return result.rows.length > 0;
+  }
+
+  // =====================================================
+  // COMMISSION RULES
+  // =====================================================
+
+  /**
+   * The most specific rule for an affiliate and product
+   */
+  async resolveRule(affiliateId, productId, db = null) {
+    const result = await (db || this.pool).query(`
+      SELECT * FROM affiliate_commission_rules
+      WHERE (affiliate_id = $1 OR affiliate_id IS NULL)
+      AND (product_id = $2 OR product_id IS NULL)
+      ORDER BY (affiliate_id IS NOT NULL) DESC, (product_id IS NOT NULL) DESC
+      LIMIT 1
+    `, [affiliateId, productId]);
+
+    return result.rows[0] || null;
+  }
+
+  async listRules() {
+    const result = await this.pool.query(`
+      SELECT r.*, a.code AS affiliate_code
+      FROM affiliate_commission_rules r
+      LEFT JOIN affiliates a ON a.id = r.affiliate_id
+      ORDER BY r.affiliate_id NULLS FIRST, r.product_id NULLS FIRST
+    `);
+
+    return result.rows;
+  }
+
+  /**
+   * Create or replace the rule for a scope (product and/or affiliate; neither = default)
+   */
+  async setRule({ product_id: productId = null, affiliate_id: affiliateId = null, rate, approval_days: approvalDays = 30 }) {
+    const result = await this.pool.query(`
+      INSERT INTO affiliate_commission_rules (product_id, affiliate_id, rate, approval_days)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (COALESCE(product_id, ''), COALESCE(affiliate_id, '00000000-0000-0000-0000-000000000000'::uuid))
+      DO UPDATE SET rate = EXCLUDED.rate, approval_days = EXCLUDED.approval_days, updated_at = NOW()
+      RETURNING *
+    `, [productId, affiliateId, rate, approvalDays]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * The default rule can be changed but not deleted
+   */
+  async deleteRule(id) {
+    const result = await this.pool.query(`
+      DELETE FROM affiliate_commission_rules
+      WHERE id = $1 AND (product_id IS NOT NULL OR affiliate_id IS NOT NULL)
+      RETURNING id
+    `, [id]);
+
+    return result.rows.length > 0;
+  }
+
+  validateRule(fields) {
+    const rate = Number(fields.rate);
+    if (fields.rate === undefined || !Number.isFinite(rate) || rate < 0 || rate > 1) {
+      return 'rate must be a number between 0 and 1';
+    }
+
+    if (fields.approval_days !== undefined &&
+        (!Number.isInteger(fields.approval_days) || fields.approval_days < 0 || fields.approval_days > 365)) {
+      return 'approval_days must be a whole number of days up to 365';
+    }
+
+    if (fields.affiliate_id && !isUuid(fields.affiliate_id)) {
+      return 'affiliate_id must be an affiliate id';
+    }
+
+    return null;
+  }
+
+  // =====================================================
+  // COMMISSION LEDGER
+  // =====================================================
+
+  /**
+   * Book the commission for a referred order, inside the checkout's
+   * transaction. Repeated calls for the same order return null.
+   * @returns {Object|null} the commission row
+   */
+  async recordCommission({ orderTable, orderId, productId, saleCents, items = null, code, clickId = null, buyerUserId = null, buyerEmail = null }, client) {
+    if (!code || code === DIRECT || !saleCents) return null;
+
+    const affiliate = await this.getByCode(code, client);
+
+    if (!affiliate || affiliate.status !== 'active') {
+      console.warn(`⚠️ Order ${orderTable}/${orderId} names affiliate ${code}, which isn't active - no commission`);
+      return null;
+    }
+
+    if (await this.isSelfReferral(affiliate, { userId: buyerUserId, email: buyerEmail }, client)) {
+      console.warn(`⚠️ Self-referral by affiliate ${code} on ${orderTable}/${orderId} - no commission`);
+      return null;
+    }
+
+    const rule = await this.resolveRule(affiliate.id, productId, client);
+    let rate = rule.rate;
+    let approvalDays = rule.approval_days;
+    let amountCents = Math.floor(saleCents * Number(rule.rate));
+
+    // Carts: each item at its own product's rate (the ledger keeps the blended
+    // rate); the longest approval window applies to the whole order
+    if (items && items.length > 1) {
+      amountCents = 0;
+
+      for (const item of items) {
+        const itemRule = await this.resolveRule(affiliate.id, item.product_id, client);
+        amountCents += Math.floor(item.amount_cents * Number(itemRule.rate));
+        approvalDays = Math.max(approvalDays, itemRule.approval_days);
+      }
+
+      rate = (amountCents / saleCents).toFixed(4);
+    }
+
+    if (amountCents <= 0) return null;
+
+    // Only a click from this affiliate counts towards its conversions
+    const validClick = clickId && isUuid(clickId) ? clickId : null;
+
+    const result = await client.query(`
+      INSERT INTO affiliate_commissions (
+        affiliate_id, order_table, order_id, product_id, click_id,
+        sale_cents, rate, amount_cents, approves_at
+      )
+      VALUES ($1, $2, $3, $4,
+        (SELECT id FROM affiliate_clicks WHERE id = $5 AND affiliate_id = $1),
+        $6, $7, $8, NOW() + make_interval(days => $9))
+      ON CONFLICT (order_table, order_id) DO NOTHING
+      RETURNING *
+    `, [affiliate.id, orderTable, String(orderId), productId, validClick, saleCents, rate, amountCents, approvalDays]);
+
+    const commission = result.rows[0];
+    if (!commission) return null;
+
+    if (commission.click_id) {
+      await client.query(
+        'UPDATE affiliate_clicks SET converted_at = NOW() WHERE id = $1 AND converted_at IS NULL',
+        [commission.click_id]
+      );
+    }
+
+    console.log(`🤝 Affiliate ${affiliate.code} commission: $${amountCents / 100} on ${orderTable}/${orderId}`);
+    return commission;
+  }
+
+  /**
+   * Reverse a commission after a refund or chargeback. `refundedCents` is the
+   * cumulative amount refunded on the sale; a full refund reverses it all.
+   * Commissions already paid out are marked but have to be recovered by hand.
+   * @returns {number} cents reversed in total, or 0 when there's no commission
+   */
+  async reverseCommission(orderTable, orderId, { refundedCents = null, full = false } = {}, client) {
+    const result = await client.query(`
+      SELECT * FROM affiliate_commissions
+      WHERE order_table = $1 AND order_id = $2
+      FOR UPDATE
+    `, [orderTable, String(orderId)]);
+
+    const commission = result.rows[0];
+    if (!commission) return 0;
+
+    const target = full
+      ? commission.amount_cents
+      : Math.min(commission.amount_cents, Math.floor(commission.amount_cents * refundedCents / commission.sale_cents));
+
+    if (target <= commission.reversed_cents) return commission.reversed_cents;
+
+    if (commission.status === 'paid') {
+      console.warn(`⚠️ Commission ${commission.id} was already paid - $${(target - commission.reversed_cents) / 100} to recover from affiliate ${commission.affiliate_id}`);
+    }
+
+    // Take it out of a payout that hasn't been sent yet
+    if (commission.payout_id && commission.status === 'approved') {
+      await this.detachFromPayout(commission, client);
+    }
+
+    await client.query(`
+      UPDATE affiliate_commissions
+      SET reversed_cents = $2,
+          status = CASE WHEN $2 >= amount_cents AND status <> 'paid' THEN 'reversed' ELSE status END,
+          reversed_at = NOW(),
+          payout_id = CASE WHEN status = 'paid' THEN payout_id ELSE NULL END
+      WHERE id = $1
+    `, [commission.id, target]);
+
+    return target;
+  }
+
+  /**
+   * Keep a commission out of approval and payouts while its order is disputed
+   */
+  async holdCommission(orderTable, orderId, client) {
+    const result = await client.query(`
+      UPDATE affiliate_commissions
+      SET held_at = NOW()
+      WHERE order_table = $1 AND order_id = $2 AND status IN ('pending', 'approved')
+      RETURNING *
+    `, [orderTable, String(orderId)]);
+
+    const commission = result.rows[0];
+    if (commission?.payout_id) {
+      await this.detachFromPayout(commission, client);
+      await client.query('UPDATE affiliate_commissions SET payout_id = NULL WHERE id = $1', [commission.id]);
+    }
+
+    return !!commission;
+  }
+
+  async releaseCommission(orderTable, orderId, client) {
+    const result = await client.query(`
+      UPDATE affiliate_commissions
+      SET held_at = NULL
+      WHERE order_table = $1 AND order_id = $2 AND held_at IS NOT NULL
+    `, [orderTable, String(orderId)]);
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Approve pending commissions whose approval period has passed.
+   * Called by the affiliate worker.
+   */
+  async approveDue() {
+    const result = await this.pool.query(`
+      UPDATE affiliate_commissions
+      SET status = 'approved', approved_at = NOW()
+      WHERE status = 'pending'
+      AND held_at IS NULL
+      AND approves_at <= NOW()
+      AND amount_cents > reversed_cents
+    `);
+
+    return result.rowCount;
+  }
+
+  async listCommissions({ affiliateId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT c.*, a.code AS affiliate_code, count(*) OVER() AS total
+      FROM affiliate_commissions c
+      JOIN affiliates a ON a.id = c.affiliate_id
+      WHERE ($1::uuid IS NULL OR c.affiliate_id = $1)
+      AND ($2::text IS NULL OR c.status = $2)
+      ORDER BY c.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [affiliateId, status, limit, offset]);
+
+    return {
+      commissions: result.rows.map(({ total, ...row }) => row),
+      total: parseInt(result.rows[0]?.total || 0, 10)
+    };
+  }
+
+  /**
+   * Dashboard numbers for one affiliate
+   */
+  async stats(affiliateId) {
+    const [clicks, commissions] = await Promise.all([
+      this.pool.query(`
+        SELECT count(*)::int AS clicks,
+               count(*) FILTER (WHERE created_at > NOW() - INTERVAL '30 days')::int AS clicks_30d,
+               count(converted_at)::int AS converted_clicks
+        FROM affiliate_clicks
+        WHERE affiliate_id = $1
+      `, [affiliateId]),
+      this.pool.query(`
+        SELECT count(*)::int AS conversions,
+               COALESCE(sum(sale_cents), 0)::int AS sales_cents,
+               COALESCE(sum(amount_cents - reversed_cents) FILTER (WHERE status = 'pending'), 0)::int AS pending_cents,
+               COALESCE(sum(amount_cents - reversed_cents) FILTER (WHERE status = 'approved'), 0)::int AS approved_cents,
+               COALESCE(sum(amount_cents) FILTER (WHERE status = 'paid'), 0)::int AS paid_cents,
+               COALESCE(sum(reversed_cents), 0)::int AS reversed_cents
+        FROM affiliate_commissions
+        WHERE affiliate_id = $1
+      `, [affiliateId])
+    ]);
+
+    const { clicks: total, clicks_30d: clicks30d, converted_clicks: convertedClicks } = clicks.rows[0];
+
+    return {
+      clicks: total,
+      clicks_30d: clicks30d,
+      conversion_rate: total > 0 ? Math.round((convertedClicks / total) * 10000) / 100 : 0,
+      ...commissions.rows[0]
+    };
+  }
+
+  // =====================================================
+  // PAYOUTS
+  // =====================================================
+
+  /**
+   * Batch every active affiliate's approved, unbatched commissions into a
+   * payout, for those owed at least minimumCents.
+   * @returns {Object} { batch_id, payouts }
+   */
+  async createPayoutBatch({ minimumCents = MIN_PAYOUT_CENTS } = {}) {
+    const batchId = `PAYOUT-${new Date().toISOString().slice(0, 10).replace(/-/g, '')}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // One batch at a time, so no commission lands in two payouts
+      await client.query(`SELECT pg_advisory_xact_lock(hashtext('affiliate_payouts'))`);
+
+      const owed = await client.query(`
+        SELECT c.affiliate_id, a.payout_email,
+               sum(c.amount_cents - c.reversed_cents)::int AS amount_cents,
+               array_agg(c.id) AS commission_ids
+        FROM affiliate_commissions c
+        JOIN affiliates a ON a.id = c.affiliate_id
+        WHERE c.status = 'approved' AND c.payout_id IS NULL AND c.held_at IS NULL
+        AND a.status = 'active'
+        GROUP BY c.affiliate_id, a.payout_email
+        HAVING sum(c.amount_cents - c.reversed_cents) >= $1
+      `, [minimumCents]);
+
+      const payouts = [];
+
+      for (const row of owed.rows) {
+        const payout = await client.query(`
+          INSERT INTO affiliate_payouts (batch_id, affiliate_id, payout_email, amount_cents, commission_count)
+          VALUES ($1, $2, $3, $4, $5)
+          RETURNING *
+        `, [batchId, row.affiliate_id, row.payout_email, row.amount_cents, row.commission_ids.length]);
+
+        await client.query(
+          'UPDATE affiliate_commissions SET payout_id = $1 WHERE id = ANY($2)',
+          [payout.rows[0].id, row.commission_ids]
+        );
+
+        payouts.push(payout.rows[0]);
+      }
+
+      await client.query('COMMIT');
+
+      console.log(`💸 Affiliate payout batch ${batchId}: ${payouts.length} payout(s)`);
+      return { batch_id: batchId, payouts };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record that a payout was sent; its commissions become paid.
+   * Returns the payout, or null if it isn't pending.
+   */
+  async markPayoutPaid(payoutId, reference = null) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE affiliate_payouts
+        SET status = 'paid', paid_at = NOW(), reference = $2
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      `, [payoutId, reference]);
+
+      const payout = result.rows[0];
+
+      if (payout) {
+        await client.query(`
+          UPDATE affiliate_commissions
+          SET status = 'paid', paid_at = NOW()
+          WHERE payout_id = $1 AND status = 'approved'
+        `, [payoutId]);
+      }
+
+      await client.query('COMMIT');
+      return payout || null;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listPayouts({ affiliateId = null, batchId = null, status = null, limit = 50, offset = 0 } = {}) {
+    const result = await this.pool.query(`
+      SELECT p.*, a.code AS affiliate_code, count(*) OVER() AS total
+      FROM affiliate_payouts p
+      JOIN affiliates a ON a.id = p.affiliate_id
+      WHERE ($1::uuid IS NULL OR p.affiliate_id = $1)
+      AND ($2::text IS NULL OR p.batch_id = $2)
+      AND ($3::text IS NULL OR p.status = $3)
+      ORDER BY p.created_at DESC, p.id
+      LIMIT $4 OFFSET $5
+    `, [affiliateId, batchId, status, limit, offset]);
+
+    return {
+      payouts: result.rows.map(({ total, ...row }) => row),
+      total: parseInt(result.rows[0]?.total || 0, 10)
+    };
+  }
+
+  /**
+   * CSV of one batch, for the payment provider's bulk payout upload
+   */
+  async exportPayoutBatch(batchId) {
+    const result = await this.pool.query(`
+      SELECT p.id, a.code, p.payout_email, p.amount_cents, p.commission_count, p.status, p.reference, p.created_at
+      FROM affiliate_payouts p
+      JOIN affiliates a ON a.id = p.affiliate_id
+      WHERE p.batch_id = $1
+      ORDER BY p.id
+    `, [batchId]);
+
+    if (result.rows.length === 0) return null;
+
+    const header = ['payout_id', 'affiliate_code', 'payout_email', 'amount', 'currency', 'commissions', 'status', 'reference', 'created_at'];
+    const lines = result.rows.map(row => [
+      row.id,
+      row.code,
+      row.payout_email,
+      (row.amount_cents / 100).toFixed(2),
+      'USD',
+      row.commission_count,
+      row.status,
+      row.reference,
+      row.created_at.toISOString()
+    ]);
+
+    return toCsv(header, lines);
+  }
+
+  /**
+   * A reversed or disputed commission leaves a pending payout
+   */
+  async detachFromPayout(commission, client) {
+    const owed = commission.amount_cents - commission.reversed_cents;
+
+    const result = await client.query(`
+      UPDATE affiliate_payouts
+      SET amount_cents = amount_cents - $2, commission_count = commission_count - 1
+      WHERE id = $1 AND status = 'pending' AND amount_cents > $2
+      RETURNING id
+    `, [commission.payout_id, owed]);
+
+    // Nothing left in it
+    if (result.rows.length === 0) {
+      await client.query('UPDATE affiliate_commissions SET payout_id = NULL WHERE payout_id = $1 AND status = $2', [commission.payout_id, 'approved']);
+      await client.query(`DELETE FROM affiliate_payouts WHERE id = $1 AND status = 'pending'`, [commission.payout_id]);
+    }
+  }
+}
+
+function generateCode(email) {
+  const name = (email || '').split('@')[0].toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 20) || 'partner';
+  return `${name}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function isUuid(value) {
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(value));
+}
+
+module.exports = new AffiliateService();
+module.exports.STATUSES = STATUSES;
+module.exports.COMMISSION_STATUSES = COMMISSION_STATUSES;
+module.exports.ATTRIBUTION_COOKIE = ATTRIBUTION_COOKIE;
+module.exports.ATTRIBUTION_WINDOW_DAYS = ATTRIBUTION_WINDOW_DAYS;
@@ -0,0 +1,169 @@
+// backend/app/services/ApiKeyService.js
+// Personal API keys for scripting against the niche and analysis APIs
+//
+// Keys look like `ae_<prefix>_<secret>`. Only a sha256 hash is stored;
+// the prefix is kept in clear so keys can be identified in listings and logs.
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+const KEY_PREFIX = 'ae_';
+
+// read     - GET endpoints (niches, pain points, trends, searches, stats)
+// discover - start discoveries, manage niches and monitoring jobs
+// analyze  - run AI analyses (/api/niches/:id/analyze, /api/analysis/niche)
+const SCOPES = ['read', 'discover', 'analyze'];
+
+const LIST_COLUMNS = 'id, name, prefix, scopes, last_used_at, usage_count, revoked_at, rotated_from, created_at';
+
+class ApiKeyService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  /**
+   * Validate requested scopes. Returns an error message or null.
+   */
+  validateScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return `At least one scope is required (${SCOPES.join(', ')})`;
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      return `Unknown scope(s): ${unknown.join(', ')}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a key. The plaintext key is only ever returned here.
+   */
+  async create(userId, { name, scopes, rotatedFrom = null }) {
+    const prefix = crypto.randomBytes(5).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const key = `${KEY_PREFIX}${prefix}_${secret}`;
+
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .insert({
+        user_id: userId,
+        name,
+        prefix,
+        key_hash: hashKey(key),
+        scopes: [...new Set(scopes)],
+        rotated_from: rotatedFrom
+      })
+      .select(LIST_COLUMNS)
+      .single();
+
+    if (error) throw error;
+    return { key, apiKey: data };
+  }
+
+  async list(userId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select(LIST_COLUMNS)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async findActive(userId, keyId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .select(LIST_COLUMNS)
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  /**
+   * Replace a key with a fresh secret, keeping its name and scopes
+   */
+  async rotate(userId, keyId) {
+    const existing = await this.findActive(userId, keyId);
+    if (!existing) return null;
+
+    const created = await this.create(userId, {
+      name: existing.name,
+      scopes: existing.scopes,
+      rotatedFrom: existing.id
+    });
+
+    await this.revoke(userId, keyId);
+    return created;
+  }
+
+  async revoke(userId, keyId) {
+    const { data, error } = await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', keyId)
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data && data.length > 0;
+  }
+
+  /**
+   * Resolve a presented key to its record. Returns null for unknown or revoked keys.
+   */
+  async authenticate(key) {
+    const match = /^ae_([0-9a-f]{10})_[A-Za-z0-9_-]+$/.exec(key);
+    if (!match) return null;
+
+    const { data: stored, error } = await this.supabase
+      .from('api_keys')
+      .select('id, user_id, name, prefix, key_hash, scopes, revoked_at')
+      .eq('prefix', match[1])
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!stored || stored.revoked_at) return null;
+
+    const presented = Buffer.from(hashKey(key), 'hex');
+    const expected = Buffer.from(stored.key_hash, 'hex');
+
+    if (presented.length !== expected.length || !crypto.timingSafeEqual(presented, expected)) {
+      return null;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Bump last_used_at and usage_count atomically (fire-and-forget)
+   */
+  recordUsage(keyId) {
+    this.supabase
+      .rpc('record_api_key_usage', { p_key_id: keyId })
+      .then(({ error }) => {
+        if (error) console.error('API key usage tracking failed:', error);
+      });
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,157 @@
+// backend/app/services/AttemptGuardService.js
+// Failed-attempt tracking for guessable endpoints (login, 2FA codes, bonus access codes)
+//
+// Each guarded action counts failures per account and per IP. After a few free
+// attempts every retry must wait an exponentially growing delay (1s, 2s, 4s ...
+// up to MAX_DELAY_SECONDS); past the lock threshold the key is locked outright
+// for a while. Counters live in the `auth_failures` table so they hold across
+// restarts and multiple instances; the checks run in SQL (reserve_auth_attempt).
+
+const { createClient } = require('@supabase/supabase-js');
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+
+// threshold     - failures within the window that lock the key
+// windowMinutes - failures older than this are forgotten
+// lockMinutes   - how long a lock lasts
+const POLICIES = {
+  login: {
+    account: { threshold: 10, windowMinutes: 60, lockMinutes: 30 },
+    ip: { threshold: 50, windowMinutes: 60, lockMinutes: 60 }
+  },
+  redeem: {
+    account: { threshold: 10, windowMinutes: 60, lockMinutes: 60 },
+    ip: { threshold: 30, windowMinutes: 60, lockMinutes: 60 }
+  },
+  two_factor: {
+    account: { threshold: 5, windowMinutes: 15, lockMinutes: 15 },
+    ip: { threshold: 50, windowMinutes: 60, lockMinutes: 60 }
+  }
+};
+
+class AttemptGuardService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * Claim an attempt before verifying the secret. In one locked call the
+   * counters are checked and, if the attempt is allowed, it is counted as a
+   * failure - so parallel guesses can't all get past the check before any
+   * failure is recorded. Call release() when the attempt succeeds.
+   * `subjects` is { account, ip } - the account is an email or user id.
+   * Returns { blocked: { retryAfter, locked } } when refused, otherwise
+   * { blocked: null, justLocked: { account, ip } } - the keys this attempt locked.
+   */
+  async reserve(action, subjects) {
+    const keys = this.keysFor(action, subjects);
+    const entries = Object.entries(keys);
+    const policies = entries.map(([subject]) => POLICIES[action][subject]);
+
+    const { data, error } = await this.supabase.rpc('reserve_auth_attempt', {
+      p_keys: entries.map(([, key]) => key),
+      p_window_seconds: policies.map(policy => policy.windowMinutes * 60),
+      p_lock_thresholds: policies.map(policy => policy.threshold),
+      p_lock_seconds: policies.map(policy => policy.lockMinutes * 60),
+      p_free_attempts: FREE_ATTEMPTS,
+      p_max_delay_seconds: MAX_DELAY_SECONDS
+    });
+
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    if (row?.retry_after) {
+      return { blocked: { retryAfter: row.retry_after, locked: !!row.locked } };
+    }
+
+    const justLocked = {};
+    for (const [subject, key] of entries) {
+      justLocked[subject] = (row?.newly_locked || []).includes(key);
+
+      if (justLocked[subject]) {
+        console.log(`🔒 ${action} locked for ${key} (${POLICIES[action][subject].lockMinutes} min)`);
+      }
+    }
+
+    return { blocked: null, justLocked };
+  }
+
+  /**
+   * The reserved attempt succeeded (or never got to the secret): forget the
+   * account's failures and give the IP back this attempt only - its failure,
+   * and a lock only if this attempt's reservation set it (`attempt` is what
+   * reserve() returned). Attempts made in parallel keep the failures and
+   * locks they earned, and resetting the IP counter outright would let one
+   * valid account reset an attacker's address.
+   */
+  async release(action, subjects, attempt) {
+    const keys = this.keysFor(action, subjects);
+
+    if (keys.account) {
+      await this.clear(action, { account: subjects.account });
+    }
+
+    if (keys.ip) {
+      const { error } = await this.supabase.rpc('release_auth_attempt', {
+        p_keys: [keys.ip],
+        p_locked_keys: attempt?.justLocked?.ip ? [keys.ip] : []
+      });
+      if (error) throw error;
+    }
+  }
+
+  /**
+   * Forget failures for the given subjects - after an unlock or password reset.
+   * Pass only { account }: clearing the IP counter would let one valid
+   * account reset an attacker's address.
+   */
+  async clear(action, subjects) {
+    const keys = Object.values(this.keysFor(action, subjects));
+    if (keys.length === 0) return;
+
+    const { error } = await this.supabase
+      .from('auth_failures')
+      .delete()
+      .in('key', keys);
+
+    if (error) throw error;
+  }
+
+  keysFor(action, subjects) {
+    if (!POLICIES[action]) {
+      throw new Error(`Unknown guarded action: ${action}`);
+    }
+
+    const keys = {};
+    for (const subject of Object.keys(POLICIES[action])) {
+      if (subjects[subject]) {
+        keys[subject] = `${action}:${subject}:${String(subjects[subject]).toLowerCase()}`;
+      }
+    }
+    return keys;
+  }
+}
+
+/**
+ * Send a 429 for a blocked attempt
+ */
+function rejectBlocked(res, blocked) {
+  res.set('Retry-After', String(blocked.retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    error: blocked.locked
+      ? 'Too many failed attempts. Try again later.'
+      : 'Too many failed attempts. Please wait before trying again.',
+    locked: blocked.locked,
+    retry_after: blocked.retryAfter
+  });
+}
+
+module.exports = new AttemptGuardService();
+module.exports.rejectBlocked = rejectBlocked;
+module.exports.POLICIES = POLICIES;
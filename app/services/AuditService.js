@@ -0,0 +1,57 @@
+// backend/app/services/AuditService.js
+// Append-only audit trail for privileged and security-relevant actions
+
+const { createClient } = require('@supabase/supabase-js');
+
+class AuditService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * Record an action taken during a request
+   * @param {Object} req - Express request (actor, impersonator and IP come from here)
+   * @param {string} action - e.g. 'user.tier_changed'
+   * @param {Object} target - { type, id }
+   * @param {Object} details - Free-form context (before/after values etc.)
+   */
+  async record(req, action, target = {}, details = {}) {
+    const { error } = await this.supabase
+      .from('audit_log')
+      .insert({
+        actor_id: req.user?.id || null,
+        impersonator_id: req.user?.impersonated_by || null,
+        action,
+        target_type: target.type || null,
+        target_id: target.id ? String(target.id) : null,
+        details,
+        ip_address: req.ip || null
+      });
+
+    // Auditing must never break the action itself
+    if (error) console.error(`Audit log write failed for ${action}:`, error);
+  }
+
+  async list({ actorId, targetType, targetId, action, limit = 100, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('audit_log')
+      .select('*, actor:users!audit_log_actor_id_fkey(email)', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', targetId);
+    if (action) query = query.eq('action', action);
+
+    const { data, error, count } = await query;
+    if (error) throw error;
+
+    return { entries: data, total: count };
+  }
+}
+
+module.exports = new AuditService();
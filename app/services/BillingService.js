@@ -0,0 +1,272 @@
+// backend/app/services/BillingService.js
+// Self-service changes to a tier subscription: plan changes with proration,
+// cancel at period end, resume, and the Stripe billing portal
+//
+// Stripe stays the source of truth - the subscription webhooks
+// (services/webhooks/subscriptions.js) sync users.tier from it. A plan change
+// also updates the tier here right away so the response reflects it. The
+// billing cycle is never reset, so usage so far carries over to the new tier.
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createClient } = require('@supabase/supabase-js');
+const PlanCatalogService = require('./PlanCatalogService');
+const { TIERS, BILLING_INTERVALS, tierLevel } = require('../config/plans');
+
+// Subscriptions that can still be changed
+const CHANGEABLE_STATUSES = ['active', 'trialing'];
+
+// How long a /preview quote's proration_date can be used for
+const PRORATION_QUOTE_SECONDS = 5 * 60;
+
+class BillingService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * The user's tier subscription from Stripe, or null
+   */
+  async getSubscription(user) {
+    if (!user.stripe_subscription_id) return null;
+
+    try {
+      return await stripe.subscriptions.retrieve(user.stripe_subscription_id);
+    } catch (error) {
+      if (error.code === 'resource_missing') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * What the billing page shows
+   */
+  async summarize(subscription) {
+    const item = subscription.items.data[0];
+
+    return {
+      id: subscription.id,
+      status: subscription.status,
+      tier: await PlanCatalogService.tierForPrice(item.price),
+      price_id: item.price.id,
+      amount_cents: item.price.unit_amount,
+      currency: item.price.currency,
+      interval: PlanCatalogService.intervalOf(item.price),
+      trial_end: toIso(subscription.trial_end),
+      discount: subscription.discount?.coupon
+        ? { coupon: subscription.discount.coupon.id, ends_at: toIso(subscription.discount.end) }
+        : null,
+      current_period_start: toIso(subscription.current_period_start),
+      current_period_end: toIso(subscription.current_period_end),
+      cancel_at_period_end: subscription.cancel_at_period_end,
+      cancel_at: toIso(subscription.cancel_at),
+      pending_update: !!subscription.pending_update
+    };
+  }
+
+  /**
+   * Check a tier or interval change before previewing or applying it.
+   * The interval stays as it is unless one is given.
+   * @returns {Object} { subscription, item, fromTier, price } or { error }
+   */
+  async prepareChange(user, tier, interval = null) {
+    if (!TIERS.includes(tier) || tier === 'free') {
+      return { error: `Tier must be one of: ${TIERS.filter(t => t !== 'free').join(', ')} - cancel to move to Free` };
+    }
+
+    if (interval && !BILLING_INTERVALS.includes(interval)) {
+      return { error: `Interval must be one of: ${BILLING_INTERVALS.join(', ')}` };
+    }
+
+    if (user.billing_status && user.billing_status !== 'active') {
+      return { error: 'Your last payment failed - update your payment method in the billing portal first' };
+    }
+
+    const subscription = await this.getSubscription(user);
+    if (!subscription || !CHANGEABLE_STATUSES.includes(subscription.status)) {
+      return { error: 'No active subscription - start one through checkout', status: 404 };
+    }
+
+    const item = subscription.items.data[0];
+    const fromTier = await PlanCatalogService.tierForPrice(item.price);
+    const toInterval = interval || PlanCatalogService.intervalOf(item.price);
+
+    if (fromTier === tier && PlanCatalogService.intervalOf(item.price) === toInterval) {
+      return { error: `You're already on ${tier} (${toInterval}ly)` };
+    }
+
+    const price = await PlanCatalogService.findPrice(tier, toInterval);
+    if (!price) {
+      return { error: `${tier} isn't available ${toInterval}ly` };
+    }
+
+    return { subscription, item, fromTier, price: price.price_id };
+  }
+
+  /**
+   * Upgrades are charged straight away: a higher tier, or the same tier
+   * billed yearly instead of monthly
+   */
+  isUpgrade(fromTier, fromInterval, toTier, toInterval) {
+    if (tierLevel(toTier) !== tierLevel(fromTier)) return tierLevel(toTier) > tierLevel(fromTier);
+    return BILLING_INTERVALS.indexOf(toInterval) > BILLING_INTERVALS.indexOf(fromInterval);
+  }
+
+  /**
+   * Proration preview: what changing to `tier` now would charge or credit.
+   * Pass the returned proration_date to changePlan (within PRORATION_QUOTE_SECONDS)
+   * to get exactly this quote.
+   */
+  async previewChange(user, tier, interval = null) {
+    const prepared = await this.prepareChange(user, tier, interval);
+    if (prepared.error) return prepared;
+
+    const { subscription, item, fromTier, price } = prepared;
+    const fromInterval = PlanCatalogService.intervalOf(item.price);
+    const toInterval = interval || fromInterval;
+    const upgrade = this.isUpgrade(fromTier, fromInterval, tier, toInterval);
+    const prorationDate = Math.floor(Date.now() / 1000);
+
+    const upcoming = await stripe.invoices.retrieveUpcoming({
+      customer: subscription.customer,
+      subscription: subscription.id,
+      subscription_items: [{ id: item.id, price }],
+      subscription_proration_date: prorationDate
+    });
+
+    const prorationCents = upcoming.lines.data
+      .filter(line => line.proration)
+      .reduce((sum, line) => sum + line.amount, 0);
+
+    return {
+      preview: {
+        from_tier: fromTier,
+        to_tier: tier,
+        from_interval: fromInterval,
+        to_interval: toInterval,
+        direction: upgrade ? 'upgrade' : 'downgrade',
+        proration_date: prorationDate,
+        currency: upcoming.currency,
+        // Upgrades are charged now; a downgrade's credit goes to the next invoice
+        proration_cents: prorationCents,
+        due_now_cents: upgrade ? Math.max(0, prorationCents) : 0,
+        next_invoice_cents: upcoming.amount_due,
+        next_invoice_at: toIso(upcoming.next_payment_attempt || subscription.current_period_end)
+      }
+    };
+  }
+
+  /**
+   * Switch tiers or intervals mid-cycle. Upgrades invoice the difference
+   * straight away and only take effect once it's paid; downgrades credit the
+   * unused time to the next invoice.
+   * @returns {Object} { subscription } or { error }
+   */
+  async changePlan(user, tier, { interval = null, prorationDate = null } = {}) {
+    const prepared = await this.prepareChange(user, tier, interval);
+    if (prepared.error) return prepared;
+
+    // The date comes from the client: only a recent quote, never a backdated one
+    const now = Math.floor(Date.now() / 1000);
+    if (prorationDate && (prorationDate > now || prorationDate < now - PRORATION_QUOTE_SECONDS)) {
+      return { error: 'This quote has expired - preview the change again', status: 400 };
+    }
+
+    const { subscription, item, fromTier, price } = prepared;
+    const fromInterval = PlanCatalogService.intervalOf(item.price);
+    const upgrade = this.isUpgrade(fromTier, fromInterval, tier, interval || fromInterval);
+
+    // Changing plans undoes a scheduled cancellation. Its own update: pending
+    // updates only take the item and proration params.
+    if (subscription.cancel_at_period_end) {
+      await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, {
+      items: [{ id: item.id, price }],
+      proration_behavior: upgrade ? 'always_invoice' : 'create_prorations',
+      ...(prorationDate && { proration_date: prorationDate }),
+      ...(upgrade && { payment_behavior: 'pending_if_incomplete' })
+    });
+
+    // Upgrade waiting on payment: the tier changes when the webhook says it's paid
+    if (!updated.pending_update) {
+      await this.setTier(user.id, await PlanCatalogService.tierForPrice(updated.items.data[0].price));
+    }
+
+    console.log(`🔁 ${user.email} ${upgrade ? 'upgraded' : 'downgraded'} to ${tier}${updated.pending_update ? ' (payment pending)' : ''}`);
+
+    return { subscription: updated };
+  }
+
+  /**
+   * Keep the plan until the end of the paid period, then end the subscription
+   */
+  async cancelAtPeriodEnd(user) {
+    const subscription = await this.getSubscription(user);
+    if (!subscription || subscription.status === 'canceled') {
+      return { error: 'No subscription to cancel', status: 404 };
+    }
+
+    if (subscription.cancel_at_period_end) {
+      return { subscription };
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: true });
+    console.log(`📅 ${user.email} canceled - ends ${toIso(updated.current_period_end)}`);
+
+    return { subscription: updated };
+  }
+
+  /**
+   * Undo a scheduled cancellation
+   */
+  async resume(user) {
+    const subscription = await this.getSubscription(user);
+    if (!subscription || !CHANGEABLE_STATUSES.includes(subscription.status)) {
+      return { error: 'No active subscription to resume', status: 404 };
+    }
+
+    if (!subscription.cancel_at_period_end) {
+      return { error: 'Subscription is not scheduled to cancel' };
+    }
+
+    const updated = await stripe.subscriptions.update(subscription.id, { cancel_at_period_end: false });
+    console.log(`▶️ ${user.email} resumed their subscription`);
+
+    return { subscription: updated };
+  }
+
+  /**
+   * Stripe-hosted billing portal (payment methods, invoices)
+   */
+  async createPortalSession(user, returnUrl) {
+    if (!user.stripe_customer_id) {
+      return { error: 'No billing account yet - subscribe or buy something first', status: 404 };
+    }
+
+    const session = await stripe.billingPortal.sessions.create({
+      customer: user.stripe_customer_id,
+      return_url: returnUrl
+    });
+
+    return { url: session.url };
+  }
+
+  async setTier(userId, tier) {
+    const { error } = await this.supabase
+      .from('users')
+      .update({ tier, updated_at: new Date().toISOString() })
+      .eq('id', userId);
+
+    if (error) throw error;
+  }
+}
+
+function toIso(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+module.exports = new BillingService();
@@ -0,0 +1,350 @@
+// backend/app/services/CartService.js
+// Multi-item checkouts, order bumps and one-click upsells
+//
+// A cart is one or more products plus any bumps the buyer ticked on the
+// checkout page; it travels to the webhook in the session's metadata.items.
+// Carts of more than one item, bumps and upsells are for OFFER_TABLE products
+// (the Systasis/Chronos/Nexus funnel) - one order row holds every item.
+//
+// When a cart has upsells on offer, checkout saves the card. For a short
+// while after paying, the buyer can take an upsell with one click: it's
+// charged off-session as its own payment and becomes its own order, linked to
+// the first (see the payment_intent.succeeded handler in webhooks/checkout.js).
+// Only the buyer can do that: checkout sets an HttpOnly cookie holding a
+// random key (UPSELL_COOKIE) whose hash goes into the session's metadata.
+// The success page hands the signed upsell token only to that browser, and
+// charging needs both. The checkout session id alone - it's in redirect URLs,
+// history and Referer headers - authorizes nothing.
+
+const crypto = require('crypto');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const ProductService = require('./ProductService');
+const TokenService = require('./TokenService');
+const { OFFER_TABLE } = ProductService;
+
+// Items (bumps included) per cart; the cart has to fit in Stripe metadata
+const MAX_CART_ITEMS = 5;
+const MAX_QUANTITY = 10;
+
+// How long after paying an upsell can be charged without asking again
+const UPSELL_WINDOW_MINUTES = 30;
+
+// Holds the buyer's key for the checkout they started last
+const UPSELL_COOKIE = 'ae_upsell';
+const UPSELL_COOKIE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+class CartService {
+  /**
+   * Turn the request's items and accepted bumps into cart lines.
+   * @param {Array} items - [{ productId, quantity? }]
+   * @param {Array} bumps - product ids of bumps the buyer accepted
+   * @returns {Object} { lines: [{ product, quantity, price_id, unit_cents, bump }] } or { error }
+   */
+  async resolve(items, bumps = []) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return { error: 'items must list at least one product' };
+    }
+
+    if (!Array.isArray(bumps)) {
+      return { error: 'bumps must be a list of product ids' };
+    }
+
+    // The same product twice is one line
+    const quantities = new Map();
+    for (const item of items) {
+      const quantity = item?.quantity ?? 1;
+
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        return { error: `quantity must be between 1 and ${MAX_QUANTITY}` };
+      }
+
+      quantities.set(item?.productId, (quantities.get(item?.productId) || 0) + quantity);
+    }
+
+    const lines = [];
+
+    for (const [productId, quantity] of quantities) {
+      const product = await ProductService.get(productId);
+
+      if (!product) {
+        return { error: `Unknown product: ${productId}` };
+      }
+
+      if (!product.stripe_price_id) {
+        return { error: `Product ${productId} has no Stripe price` };
+      }
+
+      lines.push({ product, quantity, price_id: product.stripe_price_id, unit_cents: product.price_cents, bump: false });
+    }
+
+    const cartIds = lines.map(line => line.product.id);
+    const offers = await ProductService.listOffers(cartIds, 'bump', { exclude: cartIds });
+
+    for (const bumpId of new Set(bumps)) {
+      const offer = offers.find(candidate => candidate.offer_product_id === bumpId);
+
+      if (!offer) {
+        return { error: `${bumpId} isn't offered as a bump with this cart` };
+      }
+
+      lines.push({
+        product: await ProductService.get(bumpId),
+        quantity: 1,
+        price_id: offer.stripe_price_id,
+        unit_cents: offer.price_cents,
+        bump: true
+      });
+    }
+
+    if (lines.length > MAX_CART_ITEMS) {
+      return { error: `A cart holds at most ${MAX_CART_ITEMS} items` };
+    }
+
+    // Credit packs and Trail-Maker funnels are one item per order
+    const single = lines.length === 1 && lines[0].quantity === 1;
+    if (!single && lines.some(line => line.product.table !== OFFER_TABLE)) {
+      return { error: 'Only Systasis, Chronos and Nexus products can be combined in one order' };
+    }
+
+    return { lines };
+  }
+
+  toLineItems(lines) {
+    return lines.map(line => ({ price: line.price_id, quantity: line.quantity }));
+  }
+
+  /**
+   * The cart as session metadata (metadata.items)
+   */
+  toMetadata(lines) {
+    return JSON.stringify(lines.map(line => ({
+      product_id: line.product.id,
+      quantity: line.quantity,
+      unit_cents: line.unit_cents,
+      ...(line.bump && { bump: true })
+    })));
+  }
+
+  /**
+   * Items of a paid checkout with what was paid for each: the session total
+   * is split by list price, so discounts and promotion codes are shared out.
+   * Checkouts from before carts are one item.
+   * @returns {Array} [{ product_id, quantity, unit_cents, amount_cents, bump }]
+   */
+  itemsFromSession(session) {
+    let items;
+
+    try {
+      items = JSON.parse(session.metadata?.items || 'null');
+    } catch (error) {
+      items = null;
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      items = [{ product_id: session.metadata.product_id, quantity: 1, unit_cents: session.amount_total }];
+    }
+
+    const total = session.amount_total || 0;
+    const listTotal = items.reduce((sum, item) => sum + item.unit_cents * item.quantity, 0);
+    let allocated = 0;
+
+    return items.map((item, index) => {
+      const last = index === items.length - 1;
+      const amountCents = last
+        ? total - allocated
+        : listTotal > 0 ? Math.floor(total * item.unit_cents * item.quantity / listTotal) : 0;
+
+      allocated += amountCents;
+
+      return {
+        product_id: item.product_id,
+        quantity: item.quantity,
+        unit_cents: item.unit_cents,
+        amount_cents: amountCents,
+        bump: !!item.bump
+      };
+    });
+  }
+
+  /**
+   * Whether checkout should save the card for upsells
+   */
+  async hasUpsells(lines) {
+    const cartIds = lines.map(line => line.product.id);
+    const offers = await ProductService.listOffers(cartIds, 'upsell', { exclude: cartIds });
+    return offers.length > 0;
+  }
+
+  /**
+   * Upsells the buyer of a checkout can still take with one click
+   */
+  async availableUpsells(session) {
+    if (upsellIneligibility(session)) return [];
+
+    const cartIds = this.itemsFromSession(session).map(item => item.product_id);
+    return ProductService.listOffers(cartIds, 'upsell', { exclude: cartIds });
+  }
+
+  /**
+   * A new buyer key for a checkout with upsells: `key` goes into the
+   * UPSELL_COOKIE, `hash` into the session's metadata.upsell_buyer
+   */
+  createBuyerKey() {
+    const key = crypto.randomBytes(32).toString('base64url');
+    return { key, hash: hashBuyerKey(key) };
+  }
+
+  /**
+   * The buyer key from the request's UPSELL_COOKIE, or null
+   */
+  buyerKeyFromCookie(req) {
+    const cookies = req.headers.cookie || '';
+    const match = cookies.split(';').map(c => c.trim()).find(c => c.startsWith(`${UPSELL_COOKIE}=`));
+    return match ? decodeURIComponent(match.slice(UPSELL_COOKIE.length + 1)) : null;
+  }
+
+  /**
+   * Is `buyerKey` (from the cookie) the key of the browser that started this checkout?
+   */
+  isBuyer(session, buyerKey) {
+    const expected = session.metadata?.upsell_buyer;
+    if (!expected || !buyerKey) return false;
+
+    const actual = hashBuyerKey(buyerKey);
+    return actual.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+  }
+
+  /**
+   * Token for taking a checkout's upsells, valid for the upsell window.
+   * Only for the buyer (see isBuyer).
+   */
+  upsellToken(session) {
+    return TokenService.signUpsellToken(session.id, UPSELL_WINDOW_MINUTES * 60);
+  }
+
+  /**
+   * Charge an upsell to the card saved at checkout. Safe to repeat: the
+   * same checkout and product always give the same payment.
+   * @param {string} upsellToken - from upsellToken(), via the success page
+   * @param {string} buyerKey - from the UPSELL_COOKIE
+   * @returns {Object} { paymentIntent, offer } or { error, status }
+   */
+  async chargeUpsell(upsellToken, productId, buyerKey) {
+    const sessionId = TokenService.verifyUpsellToken(upsellToken);
+    if (!sessionId) return { error: 'This offer has expired', status: 401 };
+
+    let session;
+    try {
+      session = await stripe.checkout.sessions.retrieve(sessionId, {
+        expand: ['payment_intent.latest_charge']
+      });
+    } catch (error) {
+      if (error.code === 'resource_missing') return { error: 'Checkout not found', status: 404 };
+      throw error;
+    }
+
+    if (!this.isBuyer(session, buyerKey)) {
+      return { error: 'Only the buyer can take this offer', status: 403 };
+    }
+
+    const ineligible = upsellIneligibility(session);
+    if (ineligible) return { error: ineligible, status: 409 };
+
+    const offers = await this.availableUpsells(session);
+    const offer = offers.find(candidate => candidate.offer_product_id === productId);
+
+    if (!offer) {
+      return { error: `${productId} isn't offered after this purchase`, status: 400 };
+    }
+
+    const product = await ProductService.get(productId);
+
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: offer.price_cents,
+        currency: offer.currency,
+        customer: session.customer,
+        payment_method: session.payment_intent.payment_method,
+        off_session: true,
+        confirm: true,
+        description: product.name,
+        metadata: {
+          product_id: productId,
+          product_table: product.table,
+          items: JSON.stringify([{ product_id: productId, quantity: 1, unit_cents: offer.price_cents }]),
+          user_id: session.metadata.user_id || 'guest',
+          customer_email: session.customer_email || session.customer_details?.email || '',
+          affiliate_id: session.metadata.affiliate_id || 'DIRECT',
+          ...(session.metadata.affiliate_click_id && { affiliate_click_id: session.metadata.affiliate_click_id }),
+          upsell_of: session.id,
+          upsell_of_payment_intent: session.payment_intent.id
+        }
+      }, {
+        idempotencyKey: `upsell:${session.id}:${productId}`
+      });
+
+      console.log(`💳 Upsell ${productId} charged after ${session.id}: ${paymentIntent.id}`);
+      return { paymentIntent, offer };
+    } catch (error) {
+      if (error.type !== 'StripeCardError') throw error;
+
+      return {
+        error: error.code === 'authentication_required'
+          ? 'Your bank needs to confirm this payment - buy it from the product page instead'
+          : 'Your card was declined',
+        status: 402
+      };
+    }
+  }
+
+  /**
+   * A paid upsell in the shape the checkout handlers take
+   */
+  upsellSession(paymentIntent) {
+    const { metadata } = paymentIntent;
+
+    return {
+      id: paymentIntent.id,
+      mode: 'payment',
+      payment_intent: paymentIntent.id,
+      customer: paymentIntent.customer,
+      amount_total: paymentIntent.amount_received || paymentIntent.amount,
+      currency: paymentIntent.currency,
+      customer_email: metadata.customer_email || paymentIntent.receipt_email || null,
+      client_reference_id: metadata.user_id && metadata.user_id !== 'guest' ? metadata.user_id : null,
+      metadata
+    };
+  }
+}
+
+function hashBuyerKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+/**
+ * Why a checkout's upsells can't be charged anymore, or null
+ */
+function upsellIneligibility(session) {
+  if (session.mode !== 'payment' || session.payment_status !== 'paid') {
+    return 'This checkout hasn\'t been paid';
+  }
+
+  const paymentIntent = session.payment_intent;
+  if (!session.customer || typeof paymentIntent !== 'object' || !paymentIntent?.payment_method) {
+    return 'No saved card for this checkout';
+  }
+
+  const paidAt = paymentIntent.latest_charge?.created || session.created;
+  if (Date.now() / 1000 - paidAt > UPSELL_WINDOW_MINUTES * 60) {
+    return 'This offer has expired';
+  }
+
+  return null;
+}
+
+module.exports = new CartService();
+module.exports.MAX_CART_ITEMS = MAX_CART_ITEMS;
+module.exports.UPSELL_WINDOW_MINUTES = UPSELL_WINDOW_MINUTES;
+module.exports.UPSELL_COOKIE = UPSELL_COOKIE;
+module.exports.UPSELL_COOKIE_MAX_AGE_MS = UPSELL_COOKIE_MAX_AGE_MS;
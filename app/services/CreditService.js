@@ -0,0 +1,215 @@
+// backend/app/services/CreditService.js
+// Scout-Faire credit wallet
+//
+// Credit packs bought through /api/payments add to users.credit_balance;
+// analyses spend from it when the monthly quota doesn't cover them. Every
+// change is a row in credit_transactions, written by the add_credits /
+// spend_credits / refund_credits functions together with the balance.
+
+const { Pool } = require('pg');
+const UsageService = require('./UsageService');
+const { ANALYSIS_DEPTHS, defaultDepth, tierLevel } = require('../config/plans');
+
+const HISTORY_PAGE_SIZE = 50;
+
+class CreditService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+  }
+
+  // =====================================================
+  // WALLET
+  // =====================================================
+
+  async getBalance(userId) {
+    const result = await this.pool.query('SELECT credit_balance FROM users WHERE id = $1', [userId]);
+    return result.rows[0]?.credit_balance || 0;
+  }
+
+  /**
+   * Add credits (purchases, admin adjustments - which may be negative).
+   * Pass the checkout's pg client to grant inside its transaction.
+   * A repeated (kind, reference) returns the original transaction.
+   */
+  async grant(userId, amount, { kind = 'purchase', reference = null, description = null, metadata = {} } = {}, client = null) {
+    const db = client || this.pool;
+
+    const result = await db.query(
+      'SELECT * FROM add_credits($1, $2, $3, $4, $5, $6)',
+      [userId, amount, kind, reference, description, metadata]
+    );
+
+    const { transaction_id: transactionId, balance } = result.rows[0];
+    console.log(`💳 ${amount > 0 ? '+' : ''}${amount} credits (${kind}) for user ${userId}, balance ${balance}`);
+
+    return { transaction_id: transactionId, balance };
+  }
+
+  /**
+   * Take back granted credits after a refund or dispute - as many as the
+   * balance still holds. Pass the transaction's client.
+   * @returns {Object} { taken, shortfall, balance }
+   */
+  async clawback(userId, amount, { reference = null, description = null, metadata = {} } = {}, client = null) {
+    const db = client || this.pool;
+
+    const result = await db.query('SELECT credit_balance FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    const balance = result.rows[0]?.credit_balance || 0;
+    const taken = Math.min(amount, balance);
+
+    if (taken <= 0) {
+      return { taken: 0, shortfall: amount, balance };
+    }
+
+    const grant = await this.grant(userId, -taken, {
+      kind: 'clawback',
+      reference,
+      description,
+      metadata: { ...metadata, requested: amount }
+    }, client);
+
+    return { taken, shortfall: amount - taken, balance: grant.balance };
+  }
+
+  /**
+   * Take credits if the balance covers them
+   * @returns {Object} { allowed, balance, transaction_id }
+   */
+  async spend(userId, amount, { description = null, metadata = {} } = {}) {
+    const result = await this.pool.query(
+      'SELECT * FROM spend_credits($1, $2, $3, $4)',
+      [userId, amount, description, metadata]
+    );
+
+    return result.rows[0];
+  }
+
+  /**
+   * Give back a spend. Safe to call twice - a spend is refunded once.
+   */
+  async refund(transactionId, reason = 'failed') {
+    if (!transactionId) return null;
+
+    const result = await this.pool.query('SELECT * FROM refund_credits($1, $2)', [transactionId, reason]);
+    return result.rows[0];
+  }
+
+  /**
+   * Newest first; pass the last id seen as `before` for the next page
+   */
+  async getTransactions(userId, { limit = HISTORY_PAGE_SIZE, before = null } = {}) {
+    const result = await this.pool.query(`
+      SELECT id, amount, balance_after, kind, reference, refunds_transaction_id,
+             description, metadata, created_at
+      FROM credit_transactions
+      WHERE user_id = $1 AND ($2::bigint IS NULL OR id < $2)
+      ORDER BY id DESC
+      LIMIT $3
+    `, [userId, before, Math.min(limit, HISTORY_PAGE_SIZE)]);
+
+    return result.rows;
+  }
+
+  // =====================================================
+  // PAYING FOR ANALYSES
+  // =====================================================
+
+  /**
+   * Pay for `count` analyses at a depth: from the monthly quota when the plan
+   * covers the depth and has quota left, otherwise from credits.
+   * @param {Object} context - { user, workspace } as for UsageService.consume
+   * @param {Object} options - { depth, count, metadata, allowCredits } -
+   *   allowCredits: false when the caller hasn't proven they own the wallet
+   * @returns {Object} charge - { allowed, source: 'quota'|'credits', depth,
+   *   analysis_tier, usage, credits: { cost, spent, balance, transaction_id }, reason, retry_after }
+   */
+  async chargeAnalysis(context, { depth = null, count = 1, metadata = {}, allowCredits = true } = {}) {
+    const payerTier = UsageService.describe('analysis', context).tier;
+    const depthName = depth || defaultDepth(payerTier);
+    const analysisTier = ANALYSIS_DEPTHS[depthName].tier;
+    const cost = ANALYSIS_DEPTHS[depthName].credits * count;
+    const charge = { depth: depthName, analysis_tier: analysisTier };
+
+    let usage = null;
+
+    if (tierLevel(analysisTier) <= tierLevel(payerTier)) {
+      usage = await UsageService.consume('analysis', context, {
+        cost: count,
+        metadata: { ...metadata, depth: depthName }
+      });
+
+      if (usage.allowed) {
+        return {
+          ...charge,
+          allowed: true,
+          source: 'quota',
+          usage,
+          credits: { cost: 0, spent: 0, balance: null, transaction_id: null }
+        };
+      }
+
+      // Throttling is about pace, not quota - credits don't skip the wait
+      if (usage.reason === 'throttled') {
+        return { ...charge, allowed: false, source: null, usage, reason: 'throttled', retry_after: usage.retry_after, credits: null };
+      }
+    } else {
+      usage = await UsageService.getUsage('analysis', context);
+    }
+
+    if (!allowCredits) {
+      return {
+        ...charge,
+        allowed: false,
+        source: null,
+        usage,
+        reason: usage.allowed === false ? usage.reason : 'login_required',
+        credits: { cost, spent: 0, balance: null, transaction_id: null }
+      };
+    }
+
+    const spend = await this.spend(context.user.id, cost, {
+      description: `${count > 1 ? `${count} × ` : ''}${depthName} analysis`,
+      metadata: { ...metadata, depth: depthName, count }
+    });
+
+    const credits = {
+      cost,
+      spent: spend.allowed ? cost : 0,
+      balance: spend.balance,
+      transaction_id: spend.transaction_id
+    };
+
+    if (!spend.allowed) {
+      return {
+        ...charge,
+        allowed: false,
+        source: null,
+        usage,
+        // Quota reasons still win when the plan covers the depth, so the
+        // client can say why the quota didn't apply
+        reason: usage.allowed === false ? usage.reason : 'insufficient_credits',
+        credits
+      };
+    }
+
+    return { ...charge, allowed: true, source: 'credits', usage, credits };
+  }
+
+  /**
+   * Undo a charge after the analysis failed
+   */
+  async refundCharge(charge, reason = 'analysis_failed') {
+    if (!charge?.allowed) return;
+
+    if (charge.source === 'quota') {
+      await UsageService.reverse(charge.usage.event_id, reason);
+    } else {
+      const refund = await this.refund(charge.credits.transaction_id, reason);
+      charge.credits.balance = refund.balance;
+    }
+  }
+}
+
+module.exports = new CreditService();
@@ -0,0 +1,281 @@
+// backend/app/services/DunningService.js
+// Failed subscription payments
+//
+//   active ──payment failed──▶ past_due ──grace period over──▶ downgraded
+//     ▲                           │                               │
+//     └────────payment succeeded──┴───────────────────────────────┘
+//
+// While past due the account keeps its tier on the plan's past_due_limits
+// and gets a reminder with every failed retry - once: the retry is saved as
+// a dunning event first, unique per invoice and attempt (migration 029), and
+// a redelivered webhook that finds it saved sends nothing. When the grace period ends
+// (dunning worker) it moves to Free; nothing is deleted, and the paid tier
+// comes back with the next successful payment.
+
+const { createClient } = require('@supabase/supabase-js');
+const EmailService = require('./EmailService');
+const { DUNNING_GRACE_DAYS } = require('../config/plans');
+
+const BILLING_STATUSES = ['active', 'past_due', 'downgraded'];
+
+// Dunning fields reset when an account is back in good standing
+const CLEARED = {
+  past_due_since: null,
+  grace_period_ends_at: null,
+  downgraded_from_tier: null,
+  downgraded_at: null
+};
+
+class DunningService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * invoice.payment_failed - start the grace period (first failure) and
+   * send the reminder for this attempt
+   */
+  async paymentFailed(invoice) {
+    const user = await this.findSubscriber(invoice);
+
+    if (!user) {
+      if (await this.saveEvent(null, 'payment_failed', null, null, invoice)) {
+        await this.sendReminder(invoice.customer_email, invoice, { tier: 'elite' });
+      }
+      return null;
+    }
+
+    let current = user;
+
+    if (user.billing_status === 'active') {
+      const graceEndsAt = new Date(Date.now() + DUNNING_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+      current = await this.transition(user, 'past_due', {
+        past_due_since: new Date().toISOString(),
+        grace_period_ends_at: graceEndsAt
+      }) || user;
+
+      console.log(`⚠️ ${user.email} is past due - grace period until ${graceEndsAt}`);
+    }
+
+    if (await this.saveEvent(user, 'payment_failed', user.billing_status, current.billing_status, invoice)) {
+      await this.sendReminder(user.email, invoice, current);
+    } else {
+      console.log(`↩️ Payment failure ${invoice.id} (attempt ${invoice.attempt_count}) already handled - no reminder`);
+    }
+
+    return current;
+  }
+
+  /**
+   * invoice.payment_succeeded - back to active, restoring the tier a
+   * downgrade took away
+   */
+  async paymentSucceeded(invoice) {
+    const user = await this.findSubscriber(invoice);
+    if (!user || user.billing_status === 'active') return user;
+
+    const recovered = await this.transition(user, 'active', {
+      ...(user.billing_status === 'downgraded' && user.downgraded_from_tier && { tier: user.downgraded_from_tier }),
+      ...CLEARED
+    });
+
+    if (recovered) {
+      await this.recordEvent(user, 'recovered', user.billing_status, 'active', invoice);
+      console.log(`✅ ${user.email} recovered from ${user.billing_status} (${recovered.tier})`);
+    }
+
+    return recovered;
+  }
+
+  /**
+   * customer.subscription.deleted - nothing left to collect
+   */
+  async subscriptionCanceled(subscriptionId) {
+    const { data: user } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('stripe_subscription_id', subscriptionId)
+      .maybeSingle();
+
+    if (!user || user.billing_status === 'active') return;
+
+    if (await this.transition(user, 'active', CLEARED)) {
+      await this.recordEvent(user, 'canceled', user.billing_status, 'active');
+    }
+  }
+
+  /**
+   * Move accounts whose grace period has ended to Free.
+   * Called by the dunning worker.
+   */
+  async expireGracePeriods() {
+    const { data: due, error } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('billing_status', 'past_due')
+      .lte('grace_period_ends_at', new Date().toISOString())
+      .limit(100);
+
+    if (error) throw error;
+
+    let downgraded = 0;
+
+    for (const user of due || []) {
+      try {
+        if (await this.downgrade(user)) downgraded++;
+      } catch (error) {
+        console.error(`❌ Downgrade failed for ${user.email}:`, error);
+      }
+    }
+
+    return downgraded;
+  }
+
+  async downgrade(user) {
+    const downgraded = await this.transition(user, 'downgraded', {
+      tier: 'free',
+      downgraded_from_tier: user.tier,
+      downgraded_at: new Date().toISOString(),
+      grace_period_ends_at: null,
+      period_start: new Date().toISOString() // Fresh free-tier period
+    });
+
+    if (!downgraded) return null;
+
+    await this.recordEvent(user, 'downgraded', 'past_due', 'downgraded', null, { from_tier: user.tier });
+
+    await EmailService.sendTemplate('subscription_downgraded', user.email, {
+      from_tier: user.tier,
+      update_payment_url: `${process.env.FRONTEND_URL}/pricing.html`
+    }).catch(err => console.error('Error sending downgrade email:', err));
+
+    console.log(`⬇️ ${user.email} downgraded from ${user.tier} to free after the grace period`);
+    return downgraded;
+  }
+
+  async getEvents(userId, limit = 50) {
+    const { data, error } = await this.supabase
+      .from('dunning_events')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * What the frontend needs for the past-due banner
+   */
+  describe(user) {
+    const status = user.billing_status || 'active';
+
+    return {
+      status,
+      past_due: status === 'past_due',
+      grace_period_ends_at: status === 'past_due' ? user.grace_period_ends_at : null,
+      downgraded: status === 'downgraded'
+    };
+  }
+
+  // =====================================================
+  // INTERNAL
+  // =====================================================
+
+  async findSubscriber(invoice) {
+    if (invoice.subscription) {
+      const { data } = await this.supabase
+        .from('users')
+        .select('*')
+        .eq('stripe_subscription_id', invoice.subscription)
+        .maybeSingle();
+
+      if (data) return data;
+    }
+
+    if (!invoice.customer) return null;
+
+    const { data } = await this.supabase
+      .from('users')
+      .select('*')
+      .eq('stripe_customer_id', invoice.customer)
+      .maybeSingle();
+
+    return data || null;
+  }
+
+  /**
+   * Change billing_status, only if it's still what we read - a webhook and
+   * the worker can race. Returns the updated user, or null if it moved on.
+   */
+  async transition(user, toStatus, fields = {}) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .update({ ...fields, billing_status: toStatus, updated_at: new Date().toISOString() })
+      .eq('id', user.id)
+      .eq('billing_status', user.billing_status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Save a dunning event. Returns false if this invoice attempt's event was
+   * saved before (redelivered webhook); throws if it can't be saved, so the
+   * webhook is retried.
+   */
+  async saveEvent(user, event, fromStatus, toStatus, invoice = null, details = {}) {
+    const { data, error } = await this.supabase
+      .from('dunning_events')
+      .upsert({
+        user_id: user?.id || null,
+        event,
+        from_status: fromStatus,
+        to_status: toStatus,
+        invoice_id: invoice?.id || null,
+        attempt_count: invoice?.attempt_count ?? null,
+        details
+      }, { onConflict: 'invoice_id,event,attempt_count', ignoreDuplicates: true })
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Save a dunning event for the record - failures are only logged
+   */
+  async recordEvent(user, event, fromStatus, toStatus, invoice = null, details = {}) {
+    try {
+      await this.saveEvent(user, event, fromStatus, toStatus, invoice, details);
+    } catch (error) {
+      console.error('Error recording dunning event:', error);
+    }
+  }
+
+  async sendReminder(email, invoice, user) {
+    if (!email) return;
+
+    await EmailService.sendTemplate('dunning', email, {
+      tier: user.tier || 'elite',
+      amount_due_cents: invoice.amount_due,
+      currency: invoice.currency,
+      attempt_count: invoice.attempt_count,
+      next_attempt_at: invoice.next_payment_attempt
+        ? new Date(invoice.next_payment_attempt * 1000).toISOString()
+        : null,
+      grace_period_ends_at: user.billing_status === 'past_due' ? user.grace_period_ends_at : null,
+      update_payment_url: invoice.hosted_invoice_url || `${process.env.FRONTEND_URL}/pricing.html`
+    }).catch(err => console.error('Error sending dunning email:', err));
+  }
+}
+
+module.exports = new DunningService();
+module.exports.BILLING_STATUSES = BILLING_STATUSES;
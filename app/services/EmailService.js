@@ -0,0 +1,186 @@
+// backend/app/services/EmailService.js
+// Transactional email: templates, a persisted outbox and pluggable providers
+//
+// EMAIL_DRIVER picks the transport: smtp | http | file | log
+// (defaults to `file`, which writes messages to ./outbox). Production must set
+// a real transport - the server won't start without one.
+
+const { createClient } = require('@supabase/supabase-js');
+const { createProvider } = require('./email/providers');
+const { renderTemplate } = require('./email/templates');
+
+const MAX_ATTEMPTS = 5;
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const SENDING_LEASE_MINUTES = 10;
+
+// Drivers that never reach the recipient
+const LOCAL_DRIVERS = ['file', 'outbox', 'log'];
+
+class EmailService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+    this.driver = process.env.EMAIL_DRIVER || 'file';
+
+    // Verification and reset links would silently go nowhere
+    if (process.env.NODE_ENV === 'production' && LOCAL_DRIVERS.includes(this.driver)) {
+      throw new Error(`EMAIL_DRIVER must be smtp or http in production (got: ${process.env.EMAIL_DRIVER || 'unset'})`);
+    }
+    this.from = process.env.EMAIL_FROM || 'AmatuEdda <no-reply@amatuedda.com>';
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createProvider(this.driver);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Render a template and queue it for delivery
+   * @param {string} name - Template name (see email/templates)
+   * @param {string} to - Recipient address
+   * @param {Object} data - Template data
+   * @param {Object} options - { version } to pin a template version
+   */
+  async sendTemplate(name, to, data, options = {}) {
+    const rendered = renderTemplate(name, data, options.version);
+
+    return this.send({
+      to,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      template: rendered.template,
+      template_version: rendered.template_version
+    });
+  }
+
+  /**
+   * Queue a message in the outbox and try to deliver it straight away.
+   * Failed deliveries stay in the outbox for the email worker to retry.
+   * @param {Object} message - { to, subject, html, text }
+   */
+  async send(message) {
+    const { data: queued, error } = await this.supabase
+      .from('email_outbox')
+      .insert({
+        to_email: message.to,
+        from_email: this.from,
+        subject: message.subject,
+        html: message.html || null,
+        text: message.text || null,
+        template: message.template || null,
+        template_version: message.template_version || null,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    return this.deliver(queued);
+  }
+
+  /**
+   * Attempt delivery of one outbox row. Claims the row first so two
+   * workers never send the same message.
+   */
+  async deliver(row) {
+    const { data: claimed, error: claimError } = await this.supabase
+      .from('email_outbox')
+      .update({
+        status: 'sending',
+        attempts: row.attempts + 1,
+        // Lease: if we crash mid-send the worker picks it up again after this
+        next_attempt_at: new Date(Date.now() + SENDING_LEASE_MINUTES * 60 * 1000).toISOString()
+      })
+      .eq('id', row.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return row;
+
+    try {
+      const provider = this.getProvider();
+      const result = await provider.send({
+        from: row.from_email,
+        to: row.to_email,
+        subject: row.subject,
+        html: row.html,
+        text: row.text
+      });
+
+      const { data: sent } = await this.supabase
+        .from('email_outbox')
+        .update({
+          status: 'sent',
+          provider: provider.name,
+          provider_message_id: result.messageId || null,
+          sent_at: new Date().toISOString(),
+          last_error: null
+        })
+        .eq('id', row.id)
+        .select()
+        .single();
+
+      return sent;
+
+    } catch (error) {
+      const attempts = row.attempts + 1;
+      const dead = attempts >= MAX_ATTEMPTS;
+      const delay = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+      console.error(`📧 Email ${row.id} to ${row.to_email} failed (attempt ${attempts}):`, error.message);
+
+      const { data: failed } = await this.supabase
+        .from('email_outbox')
+        .update({
+          status: dead ? 'dead' : 'pending',
+          last_error: error.message,
+          next_attempt_at: new Date(Date.now() + delay * 60 * 1000).toISOString()
+        })
+        .eq('id', row.id)
+        .select()
+        .single();
+
+      return failed;
+    }
+  }
+
+  /**
+   * Retry every message that is due. Called by the email worker.
+   */
+  async processOutbox(batchSize = 25) {
+    // Release messages whose sender died before recording the outcome
+    await this.supabase
+      .from('email_outbox')
+      .update({ status: 'pending' })
+      .eq('status', 'sending')
+      .lte('next_attempt_at', new Date().toISOString());
+
+    const { data: due, error } = await this.supabase
+      .from('email_outbox')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) throw error;
+
+    for (const row of due || []) {
+      await this.deliver(row);
+    }
+
+    return (due || []).length;
+  }
+}
+
+module.exports = new EmailService();
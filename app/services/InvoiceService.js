@@ -0,0 +1,130 @@
+// backend/app/services/InvoiceService.js
+// Invoices with sequential numbers, and their receipts
+//
+// Numbers are per calendar year and gapless (INV-2026-000001): they're
+// drawn from invoice_sequences inside the transaction that records the
+// order, so a rolled-back order doesn't use one up. Issuing is idempotent
+// per order.
+
+const { Pool } = require('pg');
+const receipt = require('./invoices/receipt');
+
+class InvoiceService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+  }
+
+  /**
+   * Issue the invoice for an order, or return the one it already has.
+   * Pass the order's transaction client; without one the invoice gets its own.
+   * @param {Object} fields - { orderTable, orderId, orderNumber?, userId?, email?,
+   *   currency?, items: [{ description, quantity, amount_cents }], subtotalCents,
+   *   totalCents, stripeInvoiceId?, paidAt? }
+   */
+  async issue(db, fields) {
+    if (!db) {
+      const client = await this.pool.connect();
+
+      try {
+        await client.query('BEGIN');
+        const invoice = await this.issue(client, fields);
+        await client.query('COMMIT');
+        return invoice;
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    // One issuer at a time, so numbers follow issue order without gaps
+    await db.query(`SELECT pg_advisory_xact_lock(hashtext('invoices'))`);
+
+    const existing = await db.query(
+      'SELECT * FROM invoices WHERE order_table = $1 AND order_id = $2',
+      [fields.orderTable, String(fields.orderId)]
+    );
+    if (existing.rows[0]) return existing.rows[0];
+
+    const year = new Date().getUTCFullYear();
+    const sequence = await db.query(`
+      INSERT INTO invoice_sequences (year, last_number) VALUES ($1, 1)
+      ON CONFLICT (year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+      RETURNING last_number
+    `, [year]);
+
+    const invoiceNumber = `INV-${year}-${String(sequence.rows[0].last_number).padStart(6, '0')}`;
+
+    const result = await db.query(`
+      INSERT INTO invoices (
+        invoice_number, order_table, order_id, order_number, user_id, customer_email,
+        currency, items, subtotal_cents, total_cents, stripe_invoice_id, paid_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING *
+    `, [
+      invoiceNumber,
+      fields.orderTable,
+      String(fields.orderId),
+      fields.orderNumber || null,
+      fields.userId || null,
+      fields.email ? fields.email.toLowerCase() : null,
+      fields.currency || 'usd',
+      JSON.stringify(fields.items || []),
+      fields.subtotalCents,
+      fields.totalCents,
+      fields.stripeInvoiceId || null,
+      fields.paidAt || new Date()
+    ]);
+
+    console.log(`🧾 Invoice ${invoiceNumber} issued for ${fields.orderTable}/${fields.orderId}`);
+    return result.rows[0];
+  }
+
+  async get(orderTable, orderId) {
+    const result = await this.pool.query(
+      'SELECT * FROM invoices WHERE order_table = $1 AND order_id = $2',
+      [orderTable, String(orderId)]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * The invoice for an order from the history (OrderService), issuing it
+   * first for orders placed before invoices existed
+   */
+  async forOrder(order) {
+    const existing = await this.get(order.order_table, order.id);
+    if (existing) return existing;
+
+    return this.issue(null, {
+      orderTable: order.order_table,
+      orderId: order.id,
+      orderNumber: order.order_number,
+      userId: order.user_id,
+      email: order.customer_email,
+      currency: order.currency,
+      items: order.items.map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        amount_cents: item.amount_cents ?? 0
+      })),
+      subtotalCents: order.items.reduce((sum, item) => sum + (item.amount_cents ?? 0), 0) || order.total_cents,
+      totalCents: order.total_cents,
+      paidAt: order.created_at
+    });
+  }
+
+  renderHtml(invoice, order = null) {
+    return receipt.html(invoice, order);
+  }
+
+  renderPdf(invoice, order = null) {
+    return receipt.pdf(invoice, order);
+  }
+}
+
+module.exports = new InvoiceService();
@@ -16,7 +16,7 @@ class NicheService {
   /**
    * Main discovery method - orchestrates entire niche finding process
    */
-  async discoverNiches(userId, searchId, query, mode, providers, filters) {
+  async discoverNiches(userId, searchId, query, mode, providers, filters, workspaceId = null) {
     const startTime = Date.now();
     
     try {
@@ -55,7 +55,8 @@ class NicheService {
       const savedNiches = await this.saveDiscoveredNiches(
         userId,
         scoredNiches,
-        classified
+        classified,
+        workspaceId
       );
 
       // Step 6: Update search query record
@@ -293,8 +294,9 @@ class NicheService {
 
   /**
    * Save discovered niches and related data to database
+   * Niches found inside a workspace are owned by that workspace
    */
-  async saveDiscoveredNiches(userId, niches, classified) {
+  async saveDiscoveredNiches(userId, niches, classified, workspaceId = null) {
     const savedNiches = [];
 
     for (const niche of niches) {
@@ -304,6 +306,7 @@ class NicheService {
           .from('niches')
           .upsert({
             user_id: userId,
+            workspace_id: workspaceId,
             name: niche.name,
             description: niche.description,
             category: niche.category,
@@ -315,7 +318,7 @@ class NicheService {
             primary_provider: niche.primary_provider,
             status: 'discovered'
           }, {
-            onConflict: 'user_id,name'
+            onConflict: 'owner_scope,name'
           })
           .select()
           .single();
@@ -327,6 +330,7 @@ class NicheService {
           const painPointsToInsert = niche.painPoints.map(pp => ({
             niche_id: savedNiche.id,
             user_id: userId,
+            workspace_id: workspaceId,
             provider_name: pp.mention.provider_name,
             title: pp.mention.content.substring(0, 200),
             description: pp.mention.content,
@@ -351,6 +355,7 @@ class NicheService {
           const trendsToInsert = niche.trends.map(t => ({
             niche_id: savedNiche.id,
             user_id: userId,
+            workspace_id: workspaceId,
             provider_name: t.mention.provider_name,
             title: t.mention.content.substring(0, 200),
             description: t.mention.content,
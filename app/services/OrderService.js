@@ -0,0 +1,335 @@
+// backend/app/services/OrderService.js
+// Orders across products and their timeline
+//
+// An "order" is a row in systasis_orders or trail_maker_orders, or - for
+// Scout-Faire credit packs - the wallet purchase, identified by its checkout
+// session id. Packs the wallet has no purchase for (guest checkouts, packs
+// bought before the wallet) come from scout_faire_transactions instead. The timeline (order_events) records what happened after checkout.
+// Subscription payments show up in the order history through their invoice
+// (InvoiceService).
+
+const { Pool } = require('pg');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const ProductService = require('./ProductService');
+
+const CREDIT_PACK_TABLE = 'scout_faire_transactions';
+const SUBSCRIPTION_TABLE = 'subscriptions';
+
+const ORDER_KINDS = {
+  'systasis_orders': 'product',
+  'trail_maker_orders': 'funnel',
+  [CREDIT_PACK_TABLE]: 'credits',
+  [SUBSCRIPTION_TABLE]: 'subscription'
+};
+
+// Refunded total of a credit pack: refunds are only on its timeline
+// (cumulative amounts, so the largest is the total)
+const creditPackRefunds = sessionColumn => `
+  LEFT JOIN LATERAL (
+    SELECT max(e.amount_cents) AS refunded_cents
+    FROM order_events e
+    WHERE e.order_table = '${CREDIT_PACK_TABLE}' AND e.order_id = ${sessionColumn}
+    AND e.action IN ('refunded', 'partially_refunded')
+  ) r ON true`;
+
+const creditPackStatus = amountColumn => `
+  CASE
+    WHEN r.refunded_cents IS NULL THEN 'completed'
+    WHEN r.refunded_cents >= ${amountColumn} THEN 'refunded'
+    ELSE 'partially_refunded'
+  END`;
+
+// Credit pack checkouts the wallet has no purchase for (guest checkouts,
+// packs bought before the wallet), one row per checkout session
+const UNCREDITED_PACKS_SQL = `
+  SELECT s.*
+  FROM (
+    -- Webhook retries could record a checkout more than once
+    SELECT DISTINCT ON (stripe_session_id) *
+    FROM ${CREDIT_PACK_TABLE}
+    WHERE stripe_session_id IS NOT NULL
+    ORDER BY stripe_session_id, created_at
+  ) s
+  WHERE NOT EXISTS (
+    SELECT 1 FROM credit_transactions t
+    WHERE t.kind = 'purchase' AND t.reference = s.stripe_session_id
+  )
+`;
+
+// Every purchase in one shape
+const ORDERS_SQL = `
+  SELECT 'systasis_orders' AS order_table, o.id::text AS id, o.order_number, o.user_id, o.customer_email,
+         o.items::jsonb AS items, o.total_cents, o.refunded_cents, o.order_status AS status,
+         'usd' AS currency, o.payment_intent_id, o.created_at
+  FROM systasis_orders o
+  UNION ALL
+  SELECT 'trail_maker_orders', o.id::text, o.order_number, o.user_id, o.customer_email,
+         jsonb_build_array(jsonb_build_object(
+           'description', 'Trail-Maker ' || coalesce(o.funnel_tier, 'funnel'),
+           'quantity', 1,
+           'amount_cents', o.amount_cents
+         )),
+         o.amount_cents, o.refunded_cents, o.order_status, 'usd', o.payment_intent_id, o.created_at
+  FROM trail_maker_orders o
+  UNION ALL
+  SELECT '${CREDIT_PACK_TABLE}', t.reference, t.reference, t.user_id, NULL,
+         jsonb_build_array(jsonb_build_object(
+           'product_id', t.metadata->>'product_id',
+           'description', t.description,
+           'quantity', 1,
+           'amount_cents', (t.metadata->>'amount_cents')::int,
+           'credits', t.amount
+         )),
+         (t.metadata->>'amount_cents')::int, coalesce(r.refunded_cents, 0),
+         ${creditPackStatus("(t.metadata->>'amount_cents')::int")},
+         'usd', t.metadata->>'payment_intent', t.created_at
+  FROM credit_transactions t
+  ${creditPackRefunds('t.reference')}
+  WHERE t.kind = 'purchase'
+  UNION ALL
+  SELECT '${CREDIT_PACK_TABLE}', s.stripe_session_id, s.stripe_session_id, s.user_id, inv.customer_email,
+         jsonb_build_array(jsonb_build_object(
+           'description', s.product_name,
+           'quantity', 1,
+           'amount_cents', s.amount_cents,
+           'credits', s.credits
+         )),
+         s.amount_cents, coalesce(r.refunded_cents, 0),
+         ${creditPackStatus('s.amount_cents')},
+         'usd', NULL, s.created_at
+  FROM (${UNCREDITED_PACKS_SQL}) s
+  LEFT JOIN invoices inv ON inv.order_table = '${CREDIT_PACK_TABLE}' AND inv.order_id = s.stripe_session_id
+  ${creditPackRefunds('s.stripe_session_id')}
+  UNION ALL
+  SELECT '${SUBSCRIPTION_TABLE}', i.order_id, i.order_number, i.user_id, i.customer_email,
+         i.items, i.total_cents, 0, 'paid', i.currency, NULL, i.paid_at
+  FROM invoices i
+  WHERE i.order_table = '${SUBSCRIPTION_TABLE}'
+`;
+
+class OrderService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+  }
+
+  /**
+   * Find the order paid by a payment intent, or null.
+   * Pass a transaction's client to lock the order row.
+   * @returns {Object} { table, id, amount_cents, row }
+   */
+  async findByPaymentIntent(paymentIntentId, client = null) {
+    if (!paymentIntentId) return null;
+
+    const db = client || this.pool;
+    const lock = client ? 'FOR UPDATE' : '';
+
+    const systasis = await db.query(
+      `SELECT * FROM systasis_orders WHERE payment_intent_id = $1 ${lock}`,
+      [paymentIntentId]
+    );
+    if (systasis.rows[0]) {
+      const row = systasis.rows[0];
+      return { table: 'systasis_orders', id: String(row.id), amount_cents: row.total_cents, row };
+    }
+
+    const trailMaker = await db.query(
+      `SELECT * FROM trail_maker_orders WHERE payment_intent_id = $1 ${lock}`,
+      [paymentIntentId]
+    );
+    if (trailMaker.rows[0]) {
+      const row = trailMaker.rows[0];
+      return { table: 'trail_maker_orders', id: String(row.id), amount_cents: row.amount_cents, row };
+    }
+
+    let purchase = await db.query(
+      `SELECT * FROM credit_transactions WHERE kind = 'purchase' AND metadata->>'payment_intent' = $1`,
+      [paymentIntentId]
+    );
+
+    // Packs bought before the payment intent was recorded: ask Stripe for the session
+    if (!purchase.rows[0]) {
+      const sessions = await stripe.checkout.sessions.list({ payment_intent: paymentIntentId, limit: 1 });
+      const sessionId = sessions.data[0]?.id;
+
+      if (sessionId) {
+        purchase = await db.query(
+          `SELECT * FROM credit_transactions WHERE kind = 'purchase' AND reference = $1`,
+          [sessionId]
+        );
+      }
+    }
+
+    if (purchase.rows[0]) {
+      const row = purchase.rows[0];
+      return { table: CREDIT_PACK_TABLE, id: row.reference, amount_cents: row.metadata?.amount_cents ?? null, row };
+    }
+
+    return null;
+  }
+
+  /**
+   * Add a timeline entry. Pass the transaction's client so it commits with the change.
+   */
+  async recordEvent(db, orderTable, orderId, action, { amountCents = null, details = {}, stripeEventId = null } = {}) {
+    await (db || this.pool).query(`
+      INSERT INTO order_events (order_table, order_id, action, amount_cents, details, stripe_event_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [orderTable, String(orderId), action, amountCents, details, stripeEventId]);
+  }
+
+  // =====================================================
+  // ORDER HISTORY
+  // =====================================================
+
+  /**
+   * A user's purchases across products, newest first. Guest checkouts under
+   * the account's email count once the email is verified.
+   * @returns {Object} { orders, total }
+   */
+  async listForUser(user, { limit = 50, offset = 0 } = {}) {
+    const params = [user.id, ownedEmail(user)];
+
+    const result = await this.pool.query(`
+      SELECT orders.*, inv.invoice_number, count(*) OVER() AS total_count
+      FROM (${ORDERS_SQL}) orders
+      LEFT JOIN invoices inv ON inv.order_table = orders.order_table AND inv.order_id = orders.id
+      WHERE orders.user_id = $1 OR ($2::text IS NOT NULL AND lower(orders.customer_email) = $2)
+      ORDER BY orders.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [...params, limit, offset]);
+
+    const orders = [];
+    for (const row of result.rows) {
+      orders.push(await toOrder(row));
+    }
+
+    return { orders, total: result.rows[0] ? parseInt(result.rows[0].total_count, 10) : 0 };
+  }
+
+  /**
+   * One order in the history shape, or null. With `user`, only that user's.
+   */
+  async get(orderTable, orderId, user = null) {
+    if (!ORDER_KINDS[orderTable]) return null;
+
+    const params = [orderTable, String(orderId)];
+    let owner = '';
+
+    if (user) {
+      params.push(user.id, ownedEmail(user));
+      owner = 'AND (orders.user_id = $3 OR ($4::text IS NOT NULL AND lower(orders.customer_email) = $4))';
+    }
+
+    const result = await this.pool.query(`
+      SELECT orders.*, inv.invoice_number
+      FROM (${ORDERS_SQL}) orders
+      LEFT JOIN invoices inv ON inv.order_table = orders.order_table AND inv.order_id = orders.id
+      WHERE orders.order_table = $1 AND orders.id = $2 ${owner}
+    `, params);
+
+    return result.rows[0] ? toOrder(result.rows[0]) : null;
+  }
+
+  /**
+   * Bonuses an order granted (only product orders grant bonuses)
+   */
+  async getBonuses(orderTable, orderId) {
+    if (orderTable !== 'systasis_orders') return [];
+
+    const result = await this.pool.query(`
+      SELECT bp.bonus_key, bp.name, bp.access_url, bp.download_url, bp.retail_value_cents,
+             uba.access_key, uba.revoked_at
+      FROM user_bonus_access uba
+      JOIN bonus_products bp ON bp.id = uba.bonus_id
+      WHERE uba.granted_via_order_id = $1
+      ORDER BY bp.name
+    `, [orderId]);
+
+    return result.rows.map(row => ({
+      ...row,
+      // Revoked by a refund or dispute - no access details
+      access_key: row.revoked_at ? null : row.access_key,
+      access_url: row.revoked_at ? null : row.access_url,
+      download_url: row.revoked_at ? null : row.download_url
+    }));
+  }
+
+  /**
+   * Order numbers for new orders: ORD-<time>-<random>
+   */
+  generateOrderNumber() {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).substring(2, 8).toUpperCase();
+    return `ORD-${timestamp}-${random}`;
+  }
+
+  async getTimeline(orderTable, orderId) {
+    const result = await this.pool.query(`
+      SELECT id, action, amount_cents, details, stripe_event_id, created_at
+      FROM order_events
+      WHERE order_table = $1 AND order_id = $2
+      ORDER BY created_at, id
+    `, [orderTable, String(orderId)]);
+
+    return result.rows;
+  }
+}
+
+/**
+ * Email whose guest orders belong to the user - only once it's verified
+ */
+function ownedEmail(user) {
+  return user.email_verified && user.email ? user.email.toLowerCase() : null;
+}
+
+/**
+ * History row → order. Older product orders only list product ids, so
+ * names come from the catalog.
+ */
+async function toOrder(row) {
+  const rawItems = Array.isArray(row.items) ? row.items : [];
+  const items = [];
+
+  for (const item of rawItems) {
+    let description = item.description;
+
+    if (!description && item.product_id) {
+      const product = await ProductService.get(item.product_id, { includeArchived: true });
+      description = product?.name || item.product_id;
+    }
+
+    items.push({
+      product_id: item.product_id || null,
+      description,
+      quantity: item.quantity || 1,
+      amount_cents: item.amount_cents ?? (rawItems.length === 1 ? row.total_cents : null),
+      ...(item.credits && { credits: item.credits }),
+      ...(item.bump && { bump: true })
+    });
+  }
+
+  return {
+    order_table: row.order_table,
+    id: row.id,
+    kind: ORDER_KINDS[row.order_table],
+    order_number: row.order_number,
+    status: row.status,
+    items,
+    currency: row.currency,
+    total_cents: row.total_cents,
+    refunded_cents: row.refunded_cents,
+    invoice_number: row.invoice_number || null,
+    user_id: row.user_id,
+    customer_email: row.customer_email,
+    payment_intent_id: row.payment_intent_id,
+    created_at: row.created_at
+  };
+}
+
+module.exports = new OrderService();
+module.exports.CREDIT_PACK_TABLE = CREDIT_PACK_TABLE;
+module.exports.SUBSCRIPTION_TABLE = SUBSCRIPTION_TABLE;
+module.exports.ORDER_KINDS = ORDER_KINDS;
+module.exports.UNCREDITED_PACKS_SQL = UNCREDITED_PACKS_SQL;
@@ -0,0 +1,190 @@
+// backend/app/services/PlanCatalogService.js
+// Subscription price catalog, read from Stripe
+//
+// Every active recurring price whose metadata (or product metadata) names a
+// paid tier is on sale; see the note on BILLING_INTERVALS in config/plans.js
+// for the metadata a price can carry. Adding an annual price or replacing a
+// monthly one is done in the Stripe dashboard - the newest active price per
+// tier and interval wins.
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { PLANS, BILLING_INTERVALS, LEGACY_SUBSCRIPTION_PRICES, tierFromMetadata, tierLevel } = require('../config/plans');
+
+// How long the catalog is kept before Stripe is asked again
+const CATALOG_TTL_MS = 5 * 60 * 1000;
+
+class PlanCatalogService {
+  constructor() {
+    this.catalog = null;
+    this.loadedAt = 0;
+    this.loading = null;
+  }
+
+  /**
+   * Every price on sale, lowest tier first
+   */
+  async list() {
+    const catalog = await this.load();
+    return Object.values(catalog.current)
+      .map(priceId => catalog.byPrice[priceId])
+      .sort((a, b) => tierLevel(a.tier) - tierLevel(b.tier)
+        || BILLING_INTERVALS.indexOf(a.interval) - BILLING_INTERVALS.indexOf(b.interval));
+  }
+
+  /**
+   * The price to sell for a tier and interval, or null
+   */
+  async findPrice(tier, interval = 'month') {
+    const catalog = await this.load();
+    const priceId = catalog.current[key(tier, interval)];
+    return priceId ? catalog.byPrice[priceId] : null;
+  }
+
+  /**
+   * Tier a Stripe price buys ('free' if none). Takes a price object or id;
+   * archived prices that subscribers are still on are looked up directly.
+   * With { strict: true } a price that can't be resolved (Stripe unreachable,
+   * no tier metadata) throws instead - webhooks use it so the event is retried
+   * rather than downgrading the subscriber.
+   */
+  async tierForPrice(price, { strict = false } = {}) {
+    const priceId = typeof price === 'string' ? price : price?.id;
+    if (!priceId) {
+      if (strict) throw new Error('Subscription has no price');
+      return 'free';
+    }
+
+    const fromPrice = typeof price === 'object' && tierFromMetadata(price.metadata);
+    if (fromPrice) return fromPrice;
+
+    if (LEGACY_SUBSCRIPTION_PRICES[priceId]) return LEGACY_SUBSCRIPTION_PRICES[priceId];
+
+    const catalog = await this.load();
+    if (catalog.byPrice[priceId]) return catalog.byPrice[priceId].tier;
+
+    let retrieved;
+    try {
+      retrieved = await stripe.prices.retrieve(priceId, { expand: ['product'] });
+    } catch (error) {
+      console.error(`Error resolving tier for price ${priceId}:`, error.message);
+      if (strict) throw error;
+      return 'free';
+    }
+
+    const tier = tierFromMetadata(retrieved.metadata) || tierFromMetadata(retrieved.product?.metadata);
+    if (!tier && strict) throw new Error(`Price ${priceId} has no tier metadata`);
+    return tier || 'free';
+  }
+
+  /**
+   * Billing interval of a Stripe price ('month' when it can't be told)
+   */
+  intervalOf(price) {
+    const interval = price?.recurring?.interval;
+    return BILLING_INTERVALS.includes(interval) ? interval : 'month';
+  }
+
+  /**
+   * Drop the cached catalog (e.g. after editing prices in Stripe)
+   */
+  invalidate() {
+    this.catalog = null;
+    this.loadedAt = 0;
+  }
+
+  // =====================================================
+  // INTERNAL
+  // =====================================================
+
+  async load() {
+    if (this.catalog && Date.now() - this.loadedAt < CATALOG_TTL_MS) {
+      return this.catalog;
+    }
+
+    // One request to Stripe however many callers are waiting
+    if (!this.loading) {
+      this.loading = this.fetchCatalog()
+        .then(catalog => {
+          this.catalog = catalog;
+          this.loadedAt = Date.now();
+          return catalog;
+        })
+        .finally(() => { this.loading = null; });
+    }
+
+    try {
+      return await this.loading;
+    } catch (error) {
+      // Stripe unreachable: keep selling from the last catalog we had
+      if (this.catalog) return this.catalog;
+      throw error;
+    }
+  }
+
+  async fetchCatalog() {
+    const byPrice = {};
+    const current = {};
+    const coupons = {};
+
+    // Newest first, so the first price seen per tier/interval is the current one
+    for await (const price of stripe.prices.list({ active: true, type: 'recurring', expand: ['data.product'], limit: 100 })) {
+      const tier = tierFromMetadata(price.metadata) || tierFromMetadata(price.product?.metadata)
+        || LEGACY_SUBSCRIPTION_PRICES[price.id];
+      const interval = price.recurring?.interval;
+
+      if (!tier || !BILLING_INTERVALS.includes(interval) || price.recurring.interval_count !== 1) continue;
+
+      const couponId = price.metadata.intro_coupon || price.product?.metadata?.intro_coupon || null;
+      if (couponId && !(couponId in coupons)) {
+        coupons[couponId] = await this.fetchCoupon(couponId);
+      }
+
+      const trialDays = parseInt(price.metadata.trial_days ?? price.product?.metadata?.trial_days, 10);
+
+      byPrice[price.id] = {
+        price_id: price.id,
+        tier,
+        name: PLANS[tier].name,
+        interval,
+        amount_cents: price.unit_amount,
+        currency: price.currency,
+        trial_days: Number.isInteger(trialDays) && trialDays >= 0 ? trialDays : PLANS[tier].trial_days || 0,
+        intro: couponId ? coupons[couponId] : null
+      };
+
+      if (!current[key(tier, interval)]) current[key(tier, interval)] = price.id;
+    }
+
+    console.log(`💳 Loaded ${Object.keys(current).length} subscription prices from Stripe`);
+    return { byPrice, current };
+  }
+
+  /**
+   * Intro offer from a Stripe coupon; null if it's gone or no longer valid
+   */
+  async fetchCoupon(couponId) {
+    try {
+      const coupon = await stripe.coupons.retrieve(couponId);
+      if (!coupon.valid) return null;
+
+      return {
+        coupon: coupon.id,
+        name: coupon.name,
+        percent_off: coupon.percent_off,
+        amount_off_cents: coupon.amount_off,
+        currency: coupon.currency,
+        duration: coupon.duration,
+        duration_in_months: coupon.duration_in_months
+      };
+    } catch (error) {
+      console.error(`Error loading intro coupon ${couponId}:`, error.message);
+      return null;
+    }
+  }
+}
+
+function key(tier, interval) {
+  return `${tier}:${interval}`;
+}
+
+module.exports = new PlanCatalogService();
@@ -0,0 +1,339 @@
+// backend/app/services/PrivacyService.js
+// GDPR data export and account deletion
+//
+// Export: every row tied to the account, one JSON file per table in a zip.
+// Deletion: requested by the user, executed after a grace period by the
+// account purge worker. Orders are kept for accounting but anonymized;
+// everything else is hard-deleted.
+
+const archiver = require('archiver');
+const { Pool } = require('pg');
+const { createClient } = require('@supabase/supabase-js');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const EmailService = require('./EmailService');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const ANONYMIZED_EMAIL = 'deleted-user@anonymized.invalid';
+
+// Never leave the database, not even in the user's own export
+const SECRET_USER_COLUMNS = ['password_hash', 'totp_secret_encrypted', 'totp_last_step', 'tokens_valid_after'];
+
+// [file name, SQL] - $1 is the user id, $2 the lowercased email once it's
+// verified (otherwise NULL: rows under an address nobody proved they own
+// aren't theirs), $3 the Supabase auth id
+const EXPORT_QUERIES = [
+  ['profile', 'SELECT * FROM profiles WHERE id = $3'],
+  ['niches', 'SELECT * FROM niches WHERE user_id = $1'],
+  ['pain_points', 'SELECT * FROM pain_points WHERE user_id = $1'],
+  ['trends', 'SELECT * FROM trends WHERE user_id = $1'],
+  ['social_mentions', 'SELECT * FROM social_mentions WHERE user_id = $1'],
+  ['search_queries', 'SELECT * FROM search_queries WHERE user_id = $1'],
+  ['user_searches', 'SELECT * FROM user_searches WHERE user_id = $1'],
+  ['monitoring_jobs', 'SELECT * FROM monitoring_jobs WHERE user_id = $1'],
+  ['providers', `
+    SELECT up.id, p.name AS provider, up.is_enabled, up.error_count, up.last_error, up.created_at
+    FROM user_providers up JOIN providers p ON p.id = up.provider_id
+    WHERE up.user_id = $1`],
+  ['usage', 'SELECT meter, cost, kind, period_start, metadata, created_at FROM usage_events WHERE user_id = $1'],
+  ['credit_transactions', `
+    SELECT id, amount, balance_after, kind, reference, description, metadata, created_at
+    FROM credit_transactions WHERE user_id = $1`],
+  ['dunning_events', 'SELECT event, from_status, to_status, invoice_id, attempt_count, created_at FROM dunning_events WHERE user_id = $1'],
+  ['affiliate', 'SELECT * FROM affiliates WHERE user_id = $1'],
+  ['affiliate_commissions', `
+    SELECT c.* FROM affiliate_commissions c JOIN affiliates a ON a.id = c.affiliate_id
+    WHERE a.user_id = $1`],
+  ['affiliate_payouts', `
+    SELECT p.* FROM affiliate_payouts p JOIN affiliates a ON a.id = p.affiliate_id
+    WHERE a.user_id = $1`],
+  ['bonus_access', 'SELECT * FROM user_bonus_access WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(email) = $2)'],
+  ['systasis_orders', 'SELECT * FROM systasis_orders WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(customer_email) = $2)'],
+  ['trail_maker_orders', 'SELECT * FROM trail_maker_orders WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(customer_email) = $2)'],
+  // Credit pack purchases; guest checkouts only have the email on their invoice
+  ['scout_faire_transactions', `
+    SELECT t.* FROM scout_faire_transactions t
+    WHERE t.user_id = $1 OR $2::text IS NOT NULL AND EXISTS (
+      SELECT 1 FROM invoices i
+      WHERE i.order_table = 'scout_faire_transactions' AND i.order_id = t.stripe_session_id
+      AND lower(i.customer_email) = $2
+    )`],
+  ['invoices', 'SELECT * FROM invoices WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(customer_email) = $2)'],
+  ['subscription_events', 'SELECT * FROM subscription_events WHERE user_id = $1'],
+  ['workspaces', `
+    SELECT wm.workspace_id, w.name, wm.role, wm.created_at AS joined_at
+    FROM workspace_members wm JOIN workspaces w ON w.id = wm.workspace_id
+    WHERE wm.user_id = $1`],
+  ['api_keys', `
+    SELECT id, name, prefix, scopes, last_used_at, usage_count, revoked_at, created_at
+    FROM api_keys WHERE user_id = $1`],
+  ['sessions', `
+    SELECT id, ip_address, user_agent, created_at, expires_at, revoked_at
+    FROM refresh_tokens WHERE user_id = $1`],
+  ['emails', `
+    SELECT id, subject, template, status, created_at, sent_at
+    FROM email_outbox WHERE $2::text IS NOT NULL AND lower(to_email) = $2`],
+  ['audit_log', 'SELECT * FROM audit_log WHERE actor_id = $1 OR (target_type = \'user\' AND target_id = $1::text)']
+];
+
+class PrivacyService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  // =====================================================
+  // EXPORT
+  // =====================================================
+
+  /**
+   * Collect everything tied to the account as { fileName: rows }
+   */
+  async collectExport(user) {
+    const params = [user.id, ownedEmail(user), user.auth_user_id || null];
+
+    const account = { ...user };
+    for (const column of SECRET_USER_COLUMNS) delete account[column];
+
+    const data = { account };
+
+    for (const [name, sql] of EXPORT_QUERIES) {
+      try {
+        const result = await this.pool.query(sql, params);
+        data[name] = result.rows;
+      } catch (error) {
+        // Table not present in this deployment
+        if (error.code === '42P01') continue;
+        throw error;
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Stream a zip of the export to a writable (the HTTP response)
+   */
+  async streamExport(user, output) {
+    const data = await this.collectExport(user);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.pipe(output);
+
+    archive.append(
+      `AmatuEdda data export for ${user.email}\n` +
+      `Generated ${new Date().toISOString()}\n\n` +
+      'Each .json file holds the rows of one kind of data tied to your account.\n',
+      { name: 'README.txt' }
+    );
+
+    for (const [name, rows] of Object.entries(data)) {
+      archive.append(JSON.stringify(rows, null, 2), { name: `${name}.json` });
+    }
+
+    await archive.finalize();
+  }
+
+  // =====================================================
+  // DELETION REQUESTS
+  // =====================================================
+
+  /**
+   * Schedule the account for deletion: cancel billing right away,
+   * revoke API keys and email a confirmation. Returns the scheduled date.
+   */
+  async requestDeletion(user) {
+    const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    if (user.stripe_subscription_id) {
+      await this.cancelSubscription(user.stripe_subscription_id);
+    }
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({
+        deletion_requested_at: new Date().toISOString(),
+        deletion_scheduled_for: scheduledFor.toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    await this.supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('user_id', user.id)
+      .is('revoked_at', null);
+
+    await EmailService.sendTemplate('account_deletion', user.email, {
+      scheduled_for: scheduledFor.toISOString(),
+      cancel_url: `${process.env.FRONTEND_URL}/account.html`,
+      subscription_canceled: !!user.stripe_subscription_id
+    });
+
+    console.log(`🗑️ Deletion scheduled for ${user.email} on ${scheduledFor.toISOString()}`);
+
+    return scheduledFor;
+  }
+
+  async cancelDeletion(userId) {
+    const { data, error } = await this.supabase
+      .from('users')
+      .update({
+        deletion_requested_at: null,
+        deletion_scheduled_for: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId)
+      .not('deletion_scheduled_for', 'is', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  async cancelSubscription(subscriptionId) {
+    try {
+      await stripe.subscriptions.cancel(subscriptionId);
+      console.log(`✓ Canceled subscription ${subscriptionId}`);
+    } catch (error) {
+      // Already canceled or removed on Stripe's side
+      if (error.code !== 'resource_missing') throw error;
+    }
+  }
+
+  // =====================================================
+  // PURGE
+  // =====================================================
+
+  /**
+   * Purge every account whose grace period has ended. Returns the count.
+   */
+  async purgeDueAccounts() {
+    const { data: due, error } = await this.supabase
+      .from('users')
+      .select('*')
+      .lte('deletion_scheduled_for', new Date().toISOString())
+      .limit(50);
+
+    if (error) throw error;
+
+    let purged = 0;
+
+    for (const user of due || []) {
+      try {
+        await this.purgeAccount(user);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Failed to purge account ${user.id}:`, error);
+      }
+    }
+
+    return purged;
+  }
+
+  /**
+   * Anonymize orders, hard-delete everything else, then remove the
+   * Supabase Auth identity. Runs in one transaction.
+   */
+  async purgeAccount(user) {
+    const email = ownedEmail(user);
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      // Orders are kept for accounting, detached from the person
+      for (const table of ['systasis_orders', 'trail_maker_orders']) {
+        await client.query(`
+          UPDATE ${table}
+          SET user_id = NULL, customer_email = $3, anonymized_at = NOW()
+          WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(customer_email) = $2)
+        `, [user.id, email, ANONYMIZED_EMAIL]);
+      }
+
+      // Invoices too - their numbers must stay in sequence
+      await client.query(`
+        UPDATE invoices
+        SET user_id = NULL, customer_email = $3
+        WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(customer_email) = $2)
+      `, [user.id, email, ANONYMIZED_EMAIL]);
+
+      // Rows created inside someone else's workspace belong to that workspace;
+      // hand them to its owner rather than deleting shared work
+      for (const table of ['niches', 'pain_points', 'trends', 'search_queries', 'monitoring_jobs']) {
+        await client.query(`
+          UPDATE ${table} t
+          SET user_id = w.owner_id
+          FROM workspaces w
+          WHERE t.workspace_id = w.id AND t.user_id = $1 AND w.owner_id <> $1
+        `, [user.id]);
+      }
+
+      // The commission ledger is kept for accounting; the affiliate stops earning
+      await client.query(`
+        UPDATE affiliates
+        SET status = 'suspended', payout_email = NULL, updated_at = NOW()
+        WHERE user_id = $1
+      `, [user.id]);
+
+      await client.query(
+        'DELETE FROM user_bonus_access WHERE user_id = $1 OR ($2::text IS NOT NULL AND lower(email) = $2)',
+        [user.id, email]
+      );
+
+      // Mail and invitations only go with the address once it's verified
+      if (email) {
+        await client.query('DELETE FROM email_outbox WHERE lower(to_email) = $1', [email]);
+        await client.query('DELETE FROM workspace_invitations WHERE lower(email) = $1', [email]);
+      }
+
+      // Personal SkyPath data, then owned workspaces (cascades to their data)
+      for (const table of [
+        'social_mentions', 'pain_points', 'trends', 'niches', 'search_queries',
+        'user_searches', 'monitoring_jobs', 'user_providers'
+      ]) {
+        await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [user.id]);
+      }
+
+      await client.query('DELETE FROM workspaces WHERE owner_id = $1', [user.id]);
+
+      if (user.auth_user_id) {
+        await client.query('DELETE FROM profiles WHERE id = $1', [user.auth_user_id]);
+      }
+
+      // Tokens, keys, recovery codes, credits and memberships cascade from users
+      await client.query('DELETE FROM users WHERE id = $1', [user.id]);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (user.auth_user_id) {
+      const { error } = await this.supabase.auth.admin.deleteUser(user.auth_user_id);
+      if (error) console.error(`Failed to delete Supabase Auth user ${user.auth_user_id}:`, error);
+    }
+
+    console.log(`🗑️ Purged account ${user.id}`);
+  }
+}
+
+/**
+ * Email whose guest rows belong to the user - only once it's verified
+ */
+function ownedEmail(user) {
+  return user.email_verified_at && user.email ? user.email.toLowerCase() : null;
+}
+
+module.exports = new PrivacyService();
+module.exports.DELETION_GRACE_DAYS = DELETION_GRACE_DAYS;
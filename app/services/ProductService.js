@@ -0,0 +1,464 @@
+// backend/app/services/ProductService.js
+// Payment product registry - products, Stripe prices and bonus mappings
+//
+// The whole catalog is small, so it is loaded in one query and cached for
+// CACHE_TTL_MS. Writes through this service clear the cache; other
+// instances pick changes up within the TTL (or immediately on a cache miss).
+
+const { Pool } = require('pg');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const CACHE_TTL_MS = 60 * 1000;
+const ORDER_TABLES = ['scout_faire_transactions', 'systasis_orders', 'trail_maker_orders'];
+const PRODUCT_ID_PATTERN = /^[a-z0-9_]{2,100}$/;
+
+// Order bumps and upsells (product_offers) - only for products sold through
+// multi-item orders
+const OFFER_KINDS = ['bump', 'upsell'];
+const OFFER_TABLE = 'systasis_orders';
+
+class ProductService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+
+    this.cache = null;
+    this.loadedAt = 0;
+  }
+
+  // =====================================================
+  // READ
+  // =====================================================
+
+  /**
+   * One product by id, or null. Archived products are only returned with
+   * includeArchived (order handling for past checkouts).
+   */
+  async get(id, { includeArchived = false } = {}) {
+    let catalog = await this.load();
+
+    // Registered by another instance since our last load
+    if (!catalog.has(id) && Date.now() - this.loadedAt > 1000) {
+      catalog = await this.load({ force: true });
+    }
+
+    const product = catalog.get(id);
+    if (!product || (product.archived_at && !includeArchived)) return null;
+    return product;
+  }
+
+  async list({ includeArchived = false, orderTable = null } = {}) {
+    const catalog = await this.load();
+
+    return [...catalog.values()].filter(product =>
+      (includeArchived || !product.archived_at) &&
+      (!orderTable || product.table === orderTable)
+    );
+  }
+
+  async load({ force = false } = {}) {
+    if (!force && this.cache && Date.now() - this.loadedAt < CACHE_TTL_MS) {
+      return this.cache;
+    }
+
+    const result = await this.pool.query(`
+      SELECT p.*,
+        coalesce(array_agg(pb.bonus_key ORDER BY pb.bonus_key) FILTER (WHERE pb.bonus_key IS NOT NULL), '{}') AS bonuses
+      FROM products p
+      LEFT JOIN product_bonuses pb ON pb.product_id = p.id
+      GROUP BY p.id
+    `);
+
+    this.cache = new Map(result.rows.map(row => [row.id, toProduct(row)]));
+    this.loadedAt = Date.now();
+
+    return this.cache;
+  }
+
+  invalidate() {
+    this.cache = null;
+  }
+
+  // =====================================================
+  // WRITE
+  // =====================================================
+
+  /**
+   * Check product fields. Returns an error message or null.
+   * @param {boolean} partial - updates may leave out required fields
+   */
+  validate(fields, { partial = false } = {}) {
+    const { id, name, table, price_cents: priceCents, credits, bonuses, metadata } = fields;
+
+    if (!partial || id !== undefined) {
+      if (!PRODUCT_ID_PATTERN.test(id || '')) {
+        return 'id must be 2-100 lowercase letters, digits or underscores';
+      }
+    }
+
+    if ((!partial || name !== undefined) && (typeof name !== 'string' || !name.trim())) {
+      return 'name is required';
+    }
+
+    if ((!partial || table !== undefined) && !ORDER_TABLES.includes(table)) {
+      return `table must be one of: ${ORDER_TABLES.join(', ')}`;
+    }
+
+    if (priceCents !== undefined && (!Number.isInteger(priceCents) || priceCents < 0)) {
+      return 'price_cents must be a non-negative integer';
+    }
+
+    if (credits !== undefined && credits !== null && (!Number.isInteger(credits) || credits <= 0)) {
+      return 'credits must be a positive integer';
+    }
+
+    if (table === 'scout_faire_transactions' && !partial && !credits) {
+      return 'Scout-Faire products need credits';
+    }
+
+    if (bonuses !== undefined && (!Array.isArray(bonuses) || bonuses.some(key => typeof key !== 'string' || !key))) {
+      return 'bonuses must be an array of bonus keys';
+    }
+
+    if (metadata !== undefined && (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata))) {
+      return 'metadata must be an object';
+    }
+
+    return null;
+  }
+
+  /**
+   * Look the price up in Stripe. Returns { error } or { price }.
+   * The price must be active, one-time and - when given - match priceCents.
+   */
+  async checkStripePrice(priceId, priceCents) {
+    if (typeof priceId !== 'string' || !priceId.startsWith('price_')) {
+      return { error: 'stripe_price_id must be a Stripe price ID (price_...)' };
+    }
+
+    let price;
+    try {
+      price = await stripe.prices.retrieve(priceId);
+    } catch (error) {
+      if (error.code === 'resource_missing') {
+        return { error: `Stripe price ${priceId} does not exist` };
+      }
+      throw error;
+    }
+
+    if (!price.active) {
+      return { error: `Stripe price ${priceId} is archived` };
+    }
+
+    if (price.type !== 'one_time') {
+      return { error: `Stripe price ${priceId} is recurring - products are one-time payments` };
+    }
+
+    if (priceCents !== undefined && price.unit_amount !== priceCents) {
+      return { error: `Stripe price ${priceId} is ${price.unit_amount} cents, not ${priceCents}` };
+    }
+
+    return { price };
+  }
+
+  /**
+   * Insert a product, or replace it when `upsert` is set (re-registration)
+   */
+  async create(fields, { upsert = false } = {}) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(`
+        INSERT INTO products (id, name, order_table, price_cents, currency, stripe_price_id, credits, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ${upsert ? `ON CONFLICT (id) DO UPDATE SET
+          name = EXCLUDED.name,
+          order_table = EXCLUDED.order_table,
+          price_cents = EXCLUDED.price_cents,
+          currency = EXCLUDED.currency,
+          stripe_price_id = EXCLUDED.stripe_price_id,
+          credits = EXCLUDED.credits,
+          metadata = EXCLUDED.metadata,
+          archived_at = NULL,
+          updated_at = NOW()` : ''}
+      `, [
+        fields.id,
+        fields.name.trim(),
+        fields.table,
+        fields.price_cents,
+        fields.currency || 'usd',
+        fields.stripe_price_id,
+        fields.credits || null,
+        fields.metadata || {}
+      ]);
+
+      await replaceBonuses(client, fields.id, fields.bonuses || []);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.invalidate();
+    console.log(`📦 Product ${upsert ? 'saved' : 'created'}: ${fields.id}`);
+
+    return this.get(fields.id, { includeArchived: true });
+  }
+
+  /**
+   * Change some fields. Returns the product, or null if it doesn't exist.
+   */
+  async update(id, fields) {
+    const columns = {
+      name: fields.name?.trim(),
+      order_table: fields.table,
+      price_cents: fields.price_cents,
+      currency: fields.currency,
+      stripe_price_id: fields.stripe_price_id,
+      credits: fields.credits,
+      metadata: fields.metadata
+    };
+
+    const sets = [];
+    const params = [id];
+    for (const [column, value] of Object.entries(columns)) {
+      if (value === undefined) continue;
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    }
+
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const result = await client.query(`
+        UPDATE products SET ${[...sets, 'updated_at = NOW()'].join(', ')}
+        WHERE id = $1
+        RETURNING id
+      `, params);
+
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      if (fields.bonuses !== undefined) {
+        await replaceBonuses(client, id, fields.bonuses);
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.invalidate();
+    return this.get(id, { includeArchived: true });
+  }
+
+  /**
+   * Stop selling a product. Orders already placed keep resolving it.
+   */
+  async archive(id) {
+    const result = await this.pool.query(`
+      UPDATE products SET archived_at = NOW(), updated_at = NOW()
+      WHERE id = $1 AND archived_at IS NULL
+      RETURNING id
+    `, [id]);
+
+    this.invalidate();
+    return result.rows.length > 0;
+  }
+
+  // =====================================================
+  // OFFERS (order bumps and upsells)
+  // =====================================================
+
+  /**
+   * Offers of one kind made with any of the given products, in display
+   * order, one per offered product. Archived products and products listed
+   * in `exclude` (already in the cart) are left out.
+   */
+  async listOffers(productIds, kind, { exclude = [] } = {}) {
+    if (productIds.length === 0) return [];
+
+    const result = await this.pool.query(`
+      SELECT * FROM product_offers
+      WHERE product_id = ANY($1) AND kind = $2
+      ORDER BY position, id
+    `, [productIds, kind]);
+
+    const offers = [];
+    const seen = new Set(exclude);
+
+    for (const row of result.rows) {
+      if (seen.has(row.offer_product_id)) continue;
+
+      const product = await this.get(row.offer_product_id);
+      if (!product) continue;
+
+      seen.add(row.offer_product_id);
+      offers.push(toOffer(row, product));
+    }
+
+    return offers;
+  }
+
+  /**
+   * Every offer configured on a product (admin)
+   */
+  async listProductOffers(productId) {
+    const result = await this.pool.query(`
+      SELECT * FROM product_offers
+      WHERE product_id = $1
+      ORDER BY kind, position, id
+    `, [productId]);
+
+    const offers = [];
+    for (const row of result.rows) {
+      const product = await this.get(row.offer_product_id, { includeArchived: true });
+      if (product) offers.push(toOffer(row, product));
+    }
+
+    return offers;
+  }
+
+  /**
+   * Check offer fields. Returns an error message or null.
+   */
+  validateOffer(fields) {
+    const { offer_product_id: offerProductId, kind, stripe_price_id: priceId, price_cents: priceCents, headline, position } = fields;
+
+    if (!PRODUCT_ID_PATTERN.test(offerProductId || '')) {
+      return 'offer_product_id is required';
+    }
+
+    if (!OFFER_KINDS.includes(kind)) {
+      return `kind must be one of: ${OFFER_KINDS.join(', ')}`;
+    }
+
+    if ((priceId == null) !== (priceCents == null)) {
+      return 'stripe_price_id and price_cents go together - leave both out to use the product\'s price';
+    }
+
+    if (priceCents != null && (!Number.isInteger(priceCents) || priceCents < 0)) {
+      return 'price_cents must be a non-negative integer';
+    }
+
+    if (headline !== undefined && headline !== null && typeof headline !== 'string') {
+      return 'headline must be a string';
+    }
+
+    if (position !== undefined && !Number.isInteger(position)) {
+      return 'position must be an integer';
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or replace the offer of `offer_product_id` as a bump or upsell of a product
+   */
+  async setOffer(productId, fields) {
+    const result = await this.pool.query(`
+      INSERT INTO product_offers (product_id, offer_product_id, kind, stripe_price_id, price_cents, headline, position)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (product_id, offer_product_id, kind) DO UPDATE SET
+        stripe_price_id = EXCLUDED.stripe_price_id,
+        price_cents = EXCLUDED.price_cents,
+        headline = EXCLUDED.headline,
+        position = EXCLUDED.position,
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      productId,
+      fields.offer_product_id,
+      fields.kind,
+      fields.stripe_price_id || null,
+      fields.price_cents ?? null,
+      fields.headline || null,
+      fields.position || 0
+    ]);
+
+    const product = await this.get(fields.offer_product_id, { includeArchived: true });
+    console.log(`📦 ${fields.kind} offer saved: ${fields.offer_product_id} with ${productId}`);
+
+    return toOffer(result.rows[0], product);
+  }
+
+  async deleteOffer(productId, offerId) {
+    const result = await this.pool.query(
+      'DELETE FROM product_offers WHERE id = $1 AND product_id = $2 RETURNING id',
+      [offerId, productId]
+    );
+
+    return result.rows.length > 0;
+  }
+}
+
+async function replaceBonuses(client, productId, bonuses) {
+  await client.query('DELETE FROM product_bonuses WHERE product_id = $1', [productId]);
+
+  for (const bonusKey of new Set(bonuses)) {
+    await client.query(
+      'INSERT INTO product_bonuses (product_id, bonus_key) VALUES ($1, $2)',
+      [productId, bonusKey]
+    );
+  }
+}
+
+/**
+ * Row → the shape the payment handlers use
+ */
+function toProduct(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    table: row.order_table,
+    price_cents: row.price_cents,
+    currency: row.currency,
+    // Seeded products fall back to their environment variable until a price is set
+    stripe_price_id: row.stripe_price_id || process.env[row.metadata?.stripe_price_env] || null,
+    credits: row.credits,
+    bonuses: row.bonuses,
+    metadata: row.metadata,
+    archived_at: row.archived_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Offer row + the offered product → what checkout and the admin see
+ */
+function toOffer(row, product) {
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    offer_product_id: row.offer_product_id,
+    kind: row.kind,
+    name: product.name,
+    headline: row.headline,
+    // Without its own price the offer sells at the product's price
+    price_cents: row.price_cents ?? product.price_cents,
+    currency: product.currency,
+    stripe_price_id: row.stripe_price_id || product.stripe_price_id,
+    discounted: row.price_cents != null,
+    bonuses: product.bonuses,
+    position: row.position
+  };
+}
+
+module.exports = new ProductService();
+module.exports.ORDER_TABLES = ORDER_TABLES;
+module.exports.OFFER_KINDS = OFFER_KINDS;
+module.exports.OFFER_TABLE = OFFER_TABLE;
@@ -0,0 +1,795 @@
+// backend/app/services/ReportService.js
+// Sales and revenue reporting for the admin API
+//
+//   mrr         - MRR/ARR from the subscription ledger, with new, expansion,
+//                 contraction and churned MRR per period
+//   churn       - subscriber and revenue churn per period
+//   revenue     - one-off revenue by product, plus subscription payments
+//   refunds     - refunds and lost chargebacks, by the day they happened
+//   affiliates  - revenue attributed to each affiliate
+//   conversion  - free signups that went on to a paid tier
+//   summary     - the headline numbers of all of the above
+//
+// Every report covers a date range (UTC days, both ends included) and
+// returns { range, totals, rows }; rows is the table the CSV export holds.
+// Subscription history comes from subscription_events, recorded from the
+// Stripe webhooks (services/webhooks/revenue.js).
+
+const { Pool } = require('pg');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const PlanCatalogService = require('./PlanCatalogService');
+const { CREDIT_PACK_TABLE, UNCREDITED_PACKS_SQL } = require('./OrderService');
+const { toCsv } = require('./reports/csv');
+const { TIERS } = require('../config/plans');
+
+const GROUPS = ['day', 'week', 'month'];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_PERIODS = 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PAID_TIERS = TIERS.filter(tier => tier !== 'free');
+
+// Subscription statuses that bring in money; trials and unpaid ones count as 0
+const MRR_STATUSES = ['active', 'past_due'];
+
+// Months in one billing interval of a Stripe price
+const MONTHS_PER_INTERVAL = {
+  day: 12 / 365,
+  week: 12 / 52,
+  month: 1,
+  year: 12
+};
+
+// Table of each report, in CSV column order
+const COLUMNS = {
+  summary: ['metric', 'value'],
+  mrr: ['period', 'mrr_cents', 'arr_cents', 'subscribers', 'new_cents', 'expansion_cents', 'contraction_cents', 'churned_cents', 'net_new_cents'],
+  churn: ['period', 'subscribers_start', 'new_subscribers', 'churned_subscribers', 'churn_rate', 'mrr_start_cents', 'churned_cents', 'contraction_cents', 'revenue_churn_rate'],
+  revenue: ['product_id', 'product_name', 'order_table', 'orders', 'units', 'gross_cents', 'refunded_cents', 'net_cents'],
+  refunds: ['period', 'refunds', 'refunded_cents', 'chargebacks', 'chargeback_cents'],
+  affiliates: ['affiliate_id', 'code', 'orders', 'sale_cents', 'refunded_cents', 'commission_cents', 'reversed_cents'],
+  conversion: ['period', 'signups', 'trials', 'converted', ...PAID_TIERS, 'conversion_rate', 'avg_days_to_convert']
+};
+
+const REPORTS = Object.keys(COLUMNS);
+
+// Latest recorded state of every subscription before a point in time
+const SUBSCRIPTIONS_AT = at => `
+  SELECT DISTINCT ON (stripe_subscription_id) stripe_subscription_id, tier, billing_interval, mrr_cents
+  FROM subscription_events
+  WHERE occurred_at < ${at}
+  ORDER BY stripe_subscription_id, occurred_at DESC, id DESC
+`;
+
+// One row per product sold in a one-off order, with its share of the order's
+// refunds. Product orders before carts list only the product id; their one
+// item is the whole order. Credit packs come from the wallet's purchases, or
+// from scout_faire_transactions where the wallet has none (as in
+// OrderService); those only have the pack's name.
+const SALES_SQL = `
+  SELECT 'systasis_orders' AS order_table, o.id::text AS order_id, item->>'product_id' AS product_id,
+         coalesce((item->>'quantity')::int, 1) AS quantity,
+         coalesce((item->>'amount_cents')::int, o.total_cents / n.count) AS gross_cents,
+         CASE WHEN o.total_cents > 0
+           THEN o.refunded_cents * coalesce((item->>'amount_cents')::int, o.total_cents / n.count) / o.total_cents
+           ELSE 0
+         END AS refunded_cents,
+         o.created_at
+  FROM systasis_orders o
+  CROSS JOIN LATERAL (
+    SELECT CASE WHEN jsonb_typeof(o.items::jsonb) = 'array' AND jsonb_array_length(o.items::jsonb) > 0
+      THEN o.items::jsonb ELSE '[{}]'::jsonb END AS items
+  ) i
+  CROSS JOIN LATERAL (SELECT jsonb_array_length(i.items) AS count) n
+  CROSS JOIN LATERAL jsonb_array_elements(i.items) item
+  UNION ALL
+  SELECT 'trail_maker_orders', o.id::text, 'trail_maker_' || o.forge_run_id || '_' || o.funnel_tier, 1,
+         o.amount_cents, o.refunded_cents, o.created_at
+  FROM trail_maker_orders o
+  UNION ALL
+  SELECT '${CREDIT_PACK_TABLE}', t.reference, t.metadata->>'product_id', 1,
+         (t.metadata->>'amount_cents')::int, coalesce(r.refunded_cents, 0), t.created_at
+  FROM credit_transactions t
+  LEFT JOIN LATERAL (
+    SELECT max(e.amount_cents) AS refunded_cents
+    FROM order_events e
+    WHERE e.order_table = '${CREDIT_PACK_TABLE}' AND e.order_id = t.reference
+    AND e.action IN ('refunded', 'partially_refunded')
+  ) r ON true
+  WHERE t.kind = 'purchase'
+  UNION ALL
+  SELECT '${CREDIT_PACK_TABLE}', s.stripe_session_id, pack.id, 1,
+         s.amount_cents, coalesce(r.refunded_cents, 0), s.created_at
+  FROM (${UNCREDITED_PACKS_SQL}) s
+  LEFT JOIN LATERAL (
+    SELECT p.id FROM products p
+    WHERE p.order_table = '${CREDIT_PACK_TABLE}' AND p.name = s.product_name
+    ORDER BY p.id
+    LIMIT 1
+  ) pack ON true
+  LEFT JOIN LATERAL (
+    SELECT max(e.amount_cents) AS refunded_cents
+    FROM order_events e
+    WHERE e.order_table = '${CREDIT_PACK_TABLE}' AND e.order_id = s.stripe_session_id
+    AND e.action IN ('refunded', 'partially_refunded')
+  ) r ON true
+`;
+
+class ReportService {
+  constructor() {
+    this.pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+    });
+  }
+
+  // =====================================================
+  // RANGES AND EXPORT
+  // =====================================================
+
+  /**
+   * Date range from query parameters: from/to as YYYY-MM-DD (default the
+   * last 30 days) and group (day, week or month; by default days for up to
+   * three months, months beyond that)
+   * @returns {Object} { from, to, group } - `to` is exclusive - or { error }
+   */
+  parseRange({ from, to, group } = {}) {
+    const today = new Date(Math.floor(Date.now() / DAY_MS) * DAY_MS);
+    const end = to ? parseDay(to) : today;
+    const start = from ? parseDay(from) : new Date(end.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+
+    if (!end || !start) {
+      return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+
+    if (start > end) {
+      return { error: 'from must not be after to' };
+    }
+
+    const exclusiveEnd = new Date(end.getTime() + DAY_MS);
+    const days = (exclusiveEnd - start) / DAY_MS;
+    const grouping = group || (days <= 92 ? 'day' : 'month');
+
+    if (!GROUPS.includes(grouping)) {
+      return { error: `group must be one of: ${GROUPS.join(', ')}` };
+    }
+
+    if (days / { day: 1, week: 7, month: 28 }[grouping] > MAX_PERIODS) {
+      return { error: `Too many periods - use a shorter range or group by ${grouping === 'day' ? 'week or month' : 'month'}` };
+    }
+
+    return { from: start, to: exclusiveEnd, group: grouping };
+  }
+
+  /**
+   * Run a report by name (see REPORTS)
+   */
+  run(name, range) {
+    if (!REPORTS.includes(name)) {
+      throw new Error(`Unknown report: ${name}`);
+    }
+    return this[name](range);
+  }
+
+  /**
+   * The report's table as CSV
+   */
+  toCsv(name, report) {
+    const columns = COLUMNS[name];
+    return toCsv(columns, report.rows.map(row => columns.map(column => row[column])));
+  }
+
+  // =====================================================
+  // SUBSCRIPTIONS
+  // =====================================================
+
+  /**
+   * MRR and ARR at the end of each period, and what moved it
+   */
+  async mrr(range) {
+    const [periods, movements, byTier] = await Promise.all([
+      this.subscriptionPeriods(range),
+      this.subscriptionMovements(range),
+      this.pool.query(`
+        SELECT tier, billing_interval, count(*)::int AS subscribers, sum(mrr_cents)::bigint AS mrr_cents
+        FROM (${SUBSCRIPTIONS_AT('$1')}) latest
+        WHERE mrr_cents > 0
+        GROUP BY tier, billing_interval
+        ORDER BY tier, billing_interval
+      `, [range.to])
+    ]);
+
+    const rows = periods.map(period => {
+      const moved = movements.get(period.start.getTime()) || EMPTY_MOVEMENT;
+      return {
+        period: formatDay(period.start),
+        mrr_cents: period.mrr_end_cents,
+        arr_cents: period.mrr_end_cents * 12,
+        subscribers: period.subscribers_end,
+        new_cents: moved.new_cents,
+        expansion_cents: moved.expansion_cents,
+        contraction_cents: moved.contraction_cents,
+        churned_cents: moved.churned_cents,
+        net_new_cents: moved.new_cents + moved.expansion_cents - moved.contraction_cents - moved.churned_cents
+      };
+    });
+
+    const first = periods[0];
+    const last = periods[periods.length - 1];
+
+    return {
+      range: describeRange(range),
+      totals: {
+        mrr_cents: last.mrr_end_cents,
+        arr_cents: last.mrr_end_cents * 12,
+        subscribers: last.subscribers_end,
+        mrr_start_cents: first.mrr_start_cents,
+        ...sumColumns(rows, ['new_cents', 'expansion_cents', 'contraction_cents', 'churned_cents', 'net_new_cents']),
+        by_tier: byTier.rows.map(row => ({ ...row, mrr_cents: Number(row.mrr_cents) }))
+      },
+      rows
+    };
+  }
+
+  /**
+   * Subscribers and MRR lost per period. Rates are against the subscribers
+   * (or MRR) at the start of the period; null when there were none.
+   */
+  async churn(range) {
+    const [periods, movements] = await Promise.all([
+      this.subscriptionPeriods(range),
+      this.subscriptionMovements(range)
+    ]);
+
+    const rows = periods.map(period => {
+      const moved = movements.get(period.start.getTime()) || EMPTY_MOVEMENT;
+      return {
+        period: formatDay(period.start),
+        subscribers_start: period.subscribers_start,
+        new_subscribers: moved.new_subscribers,
+        churned_subscribers: moved.churned_subscribers,
+        churn_rate: rate(moved.churned_subscribers, period.subscribers_start),
+        mrr_start_cents: period.mrr_start_cents,
+        churned_cents: moved.churned_cents,
+        contraction_cents: moved.contraction_cents,
+        revenue_churn_rate: rate(moved.churned_cents + moved.contraction_cents, period.mrr_start_cents)
+      };
+    });
+
+    const start = periods[0];
+    const totals = sumColumns(rows, ['new_subscribers', 'churned_subscribers', 'churned_cents', 'contraction_cents']);
+
+    return {
+      range: describeRange(range),
+      totals: {
+        subscribers_start: start.subscribers_start,
+        mrr_start_cents: start.mrr_start_cents,
+        ...totals,
+        churn_rate: rate(totals.churned_subscribers, start.subscribers_start),
+        revenue_churn_rate: rate(totals.churned_cents + totals.contraction_cents, start.mrr_start_cents)
+      },
+      rows
+    };
+  }
+
+  /**
+   * Subscribers and MRR at the start and end of each period
+   */
+  async subscriptionPeriods(range) {
+    const result = await this.pool.query(`
+      WITH periods AS (
+        SELECT greatest(p, $1::timestamptz) AS period_start,
+               least(p + $4::interval, $2::timestamptz) AS period_end
+        FROM generate_series(date_trunc($3, $1::timestamptz), $2::timestamptz - interval '1 microsecond', $4::interval) p
+      )
+      SELECT p.period_start, s.mrr_cents AS mrr_start_cents, s.subscribers AS subscribers_start,
+             e.mrr_cents AS mrr_end_cents, e.subscribers AS subscribers_end
+      FROM periods p
+      CROSS JOIN LATERAL (
+        SELECT coalesce(sum(mrr_cents), 0)::bigint AS mrr_cents, count(*) FILTER (WHERE mrr_cents > 0)::int AS subscribers
+        FROM (${SUBSCRIPTIONS_AT('p.period_start')}) latest
+      ) s
+      CROSS JOIN LATERAL (
+        SELECT coalesce(sum(mrr_cents), 0)::bigint AS mrr_cents, count(*) FILTER (WHERE mrr_cents > 0)::int AS subscribers
+        FROM (${SUBSCRIPTIONS_AT('p.period_end')}) latest
+      ) e
+      ORDER BY p.period_start
+    `, [range.from, range.to, range.group, `1 ${range.group}`]);
+
+    return result.rows.map(row => ({
+      start: row.period_start,
+      mrr_start_cents: Number(row.mrr_start_cents),
+      subscribers_start: row.subscribers_start,
+      mrr_end_cents: Number(row.mrr_end_cents),
+      subscribers_end: row.subscribers_end
+    }));
+  }
+
+  /**
+   * MRR changes per period, keyed by period start. A subscription going
+   * from 0 (new, or out of its trial) is new; going to 0 is churned.
+   * @returns {Map}
+   */
+  async subscriptionMovements(range) {
+    const result = await this.pool.query(`
+      WITH changes AS (
+        SELECT occurred_at, mrr_cents,
+               coalesce(lag(mrr_cents) OVER (PARTITION BY stripe_subscription_id ORDER BY occurred_at, id), 0) AS previous_cents
+        FROM subscription_events
+      )
+      SELECT greatest(date_trunc($3, occurred_at), $1::timestamptz) AS period_start,
+             coalesce(sum(mrr_cents - previous_cents) FILTER (WHERE previous_cents = 0 AND mrr_cents > 0), 0)::bigint AS new_cents,
+             coalesce(sum(mrr_cents - previous_cents) FILTER (WHERE previous_cents > 0 AND mrr_cents > previous_cents), 0)::bigint AS expansion_cents,
+             coalesce(sum(previous_cents - mrr_cents) FILTER (WHERE mrr_cents > 0 AND mrr_cents < previous_cents), 0)::bigint AS contraction_cents,
+             coalesce(sum(previous_cents) FILTER (WHERE previous_cents > 0 AND mrr_cents = 0), 0)::bigint AS churned_cents,
+             count(*) FILTER (WHERE previous_cents = 0 AND mrr_cents > 0)::int AS new_subscribers,
+             count(*) FILTER (WHERE previous_cents > 0 AND mrr_cents = 0)::int AS churned_subscribers
+      FROM changes
+      WHERE occurred_at >= $1 AND occurred_at < $2
+      GROUP BY 1
+    `, [range.from, range.to, range.group]);
+
+    return new Map(result.rows.map(row => [row.period_start.getTime(), {
+      new_cents: Number(row.new_cents),
+      expansion_cents: Number(row.expansion_cents),
+      contraction_cents: Number(row.contraction_cents),
+      churned_cents: Number(row.churned_cents),
+      new_subscribers: row.new_subscribers,
+      churned_subscribers: row.churned_subscribers
+    }]));
+  }
+
+  /**
+   * Record a subscription's state from its webhook event. Updates that
+   * don't change status, tier or value (renewals, metadata) are skipped.
+   */
+  async recordSubscription(subscription, event) {
+    const price = subscription.items.data[0].price;
+    const kind = {
+      'customer.subscription.created': 'started',
+      'customer.subscription.deleted': 'canceled'
+    }[event.type] || 'changed';
+
+    await this.pool.query(`
+      INSERT INTO subscription_events (
+        stripe_subscription_id, user_id, event, status, tier, billing_interval, mrr_cents, stripe_event_id, occurred_at
+      )
+      SELECT $1, (SELECT id FROM users WHERE stripe_customer_id = $2 LIMIT 1), $3, $4, $5, $6, $7, $8, to_timestamp($9)
+      WHERE NOT EXISTS (
+        SELECT 1
+        FROM (
+          SELECT status, tier, mrr_cents
+          FROM subscription_events
+          WHERE stripe_subscription_id = $1 AND occurred_at <= to_timestamp($9)
+          ORDER BY occurred_at DESC, id DESC
+          LIMIT 1
+        ) latest
+        WHERE $3 = 'changed' AND latest.status = $4 AND latest.tier = $5 AND latest.mrr_cents = $7
+      )
+      ON CONFLICT (stripe_event_id) DO NOTHING
+    `, [
+      subscription.id,
+      subscription.customer,
+      kind,
+      subscription.status,
+      await PlanCatalogService.tierForPrice(price, { strict: true }),
+      PlanCatalogService.intervalOf(price),
+      monthlyValue(subscription),
+      event.id,
+      event.created
+    ]);
+  }
+
+  /**
+   * Seed the ledger with subscriptions from before it existed: each is
+   * recorded as started (at its current plan) and, if over, canceled.
+   * Subscriptions already in the ledger are left alone.
+   * @returns {Object} { seeded }
+   */
+  async backfillSubscriptions() {
+    let seeded = 0;
+
+    for await (const subscription of stripe.subscriptions.list({ status: 'all', limit: 100 })) {
+      const existing = await this.pool.query(
+        'SELECT 1 FROM subscription_events WHERE stripe_subscription_id = $1 LIMIT 1',
+        [subscription.id]
+      );
+      if (existing.rows.length > 0) continue;
+
+      const price = subscription.items.data[0].price;
+      const tier = await PlanCatalogService.tierForPrice(price);
+      const interval = PlanCatalogService.intervalOf(price);
+      const ended = ['canceled', 'incomplete_expired'].includes(subscription.status);
+      const startStatus = ended ? 'active' : subscription.status;
+
+      const events = [
+        ['started', startStatus, monthlyValue(subscription, startStatus), subscription.start_date || subscription.created]
+      ];
+      if (ended) {
+        events.push(['canceled', subscription.status, 0, subscription.ended_at || subscription.canceled_at || subscription.created]);
+      }
+
+      for (const [kind, status, mrrCents, occurredAt] of events) {
+        await this.pool.query(`
+          INSERT INTO subscription_events (
+            stripe_subscription_id, user_id, event, status, tier, billing_interval, mrr_cents, occurred_at
+          )
+          VALUES ($1, (SELECT id FROM users WHERE stripe_customer_id = $2 LIMIT 1), $3, $4, $5, $6, $7, to_timestamp($8))
+        `, [subscription.id, subscription.customer, kind, status, tier, interval, mrrCents, occurredAt]);
+      }
+
+      seeded++;
+    }
+
+    console.log(`📈 Subscription ledger backfilled with ${seeded} subscription(s)`);
+    return { seeded };
+  }
+
+  // =====================================================
+  // SALES
+  // =====================================================
+
+  /**
+   * One-off revenue by product for orders placed in the range, net of
+   * their refunds so far. Subscription payments are one line in the totals
+   * (from their invoices).
+   */
+  async revenue(range) {
+    const [sales, subscriptions] = await Promise.all([
+      this.pool.query(`
+        SELECT s.product_id, p.name AS product_name, s.order_table,
+               count(DISTINCT s.order_id)::int AS orders, sum(s.quantity)::int AS units,
+               sum(s.gross_cents)::bigint AS gross_cents, sum(s.refunded_cents)::bigint AS refunded_cents
+        FROM (${SALES_SQL}) s
+        LEFT JOIN products p ON p.id = s.product_id
+        WHERE s.created_at >= $1 AND s.created_at < $2
+        GROUP BY s.product_id, p.name, s.order_table
+        ORDER BY gross_cents DESC
+      `, [range.from, range.to]),
+      this.subscriptionRevenue(range)
+    ]);
+
+    const rows = sales.rows.map(row => ({
+      product_id: row.product_id,
+      product_name: row.product_name,
+      order_table: row.order_table,
+      orders: row.orders,
+      units: row.units,
+      gross_cents: Number(row.gross_cents),
+      refunded_cents: Number(row.refunded_cents),
+      net_cents: Number(row.gross_cents) - Number(row.refunded_cents)
+    }));
+
+    const oneOff = sumColumns(rows, ['orders', 'gross_cents', 'refunded_cents', 'net_cents']);
+
+    return {
+      range: describeRange(range),
+      totals: {
+        ...oneOff,
+        subscription_payments: subscriptions.payments,
+        subscription_cents: subscriptions.total_cents,
+        total_net_cents: oneOff.net_cents + subscriptions.total_cents
+      },
+      rows
+    };
+  }
+
+  /**
+   * Subscription payments collected in the range
+   */
+  async subscriptionRevenue(range) {
+    const result = await this.pool.query(`
+      SELECT count(*)::int AS payments, coalesce(sum(total_cents), 0)::bigint AS total_cents
+      FROM invoices
+      WHERE order_table = 'subscriptions' AND paid_at >= $1 AND paid_at < $2
+    `, [range.from, range.to]);
+
+    return { payments: result.rows[0].payments, total_cents: Number(result.rows[0].total_cents) };
+  }
+
+  /**
+   * Refunds and lost disputes on one-off orders, by when they happened.
+   * Refund amounts on the timeline are cumulative per order, so each
+   * refund is the step from the one before.
+   */
+  async refunds(range) {
+    const result = await this.pool.query(`
+      WITH steps AS (
+        SELECT order_table, action, created_at,
+               amount_cents - coalesce(lag(amount_cents) OVER (
+                 PARTITION BY order_table, order_id, action IN ('refunded', 'partially_refunded')
+                 ORDER BY created_at, id
+               ), 0) AS refunded_cents,
+               amount_cents
+        FROM order_events
+        WHERE action IN ('refunded', 'partially_refunded', 'dispute_lost')
+      )
+      SELECT greatest(date_trunc($3, created_at), $1::timestamptz) AS period_start, order_table,
+             count(*) FILTER (WHERE action <> 'dispute_lost')::int AS refunds,
+             coalesce(sum(refunded_cents) FILTER (WHERE action <> 'dispute_lost'), 0)::bigint AS refunded_cents,
+             count(*) FILTER (WHERE action = 'dispute_lost')::int AS chargebacks,
+             coalesce(sum(amount_cents) FILTER (WHERE action = 'dispute_lost'), 0)::bigint AS chargeback_cents
+      FROM steps
+      WHERE created_at >= $1 AND created_at < $2
+      GROUP BY 1, 2
+      ORDER BY 1, 2
+    `, [range.from, range.to, range.group]);
+
+    const periods = new Map();
+    const byTable = {};
+
+    for (const row of result.rows) {
+      const key = formatDay(row.period_start);
+      const counts = {
+        refunds: row.refunds,
+        refunded_cents: Number(row.refunded_cents),
+        chargebacks: row.chargebacks,
+        chargeback_cents: Number(row.chargeback_cents)
+      };
+
+      periods.set(key, addCounts(periods.get(key), counts));
+      byTable[row.order_table] = addCounts(byTable[row.order_table], counts);
+    }
+
+    const rows = [...periods].map(([period, counts]) => ({ period, ...counts }));
+
+    return {
+      range: describeRange(range),
+      totals: {
+        ...sumColumns(rows, ['refunds', 'refunded_cents', 'chargebacks', 'chargeback_cents']),
+        by_order_table: byTable
+      },
+      rows
+    };
+  }
+
+  /**
+   * Sales each affiliate referred in the range, with what they earned.
+   * commission_cents is after reversals.
+   */
+  async affiliates(range) {
+    const [commissions, gross] = await Promise.all([
+      this.pool.query(`
+        SELECT a.id AS affiliate_id, a.code, count(*)::int AS orders,
+               sum(c.sale_cents)::bigint AS sale_cents,
+               coalesce(sum(r.refunded_cents), 0)::bigint AS refunded_cents,
+               sum(c.amount_cents - c.reversed_cents)::bigint AS commission_cents,
+               sum(c.reversed_cents)::bigint AS reversed_cents
+        FROM affiliate_commissions c
+        JOIN affiliates a ON a.id = c.affiliate_id
+        LEFT JOIN (
+          SELECT order_table, order_id, sum(refunded_cents) AS refunded_cents
+          FROM (${SALES_SQL}) s
+          GROUP BY order_table, order_id
+        ) r ON r.order_table = c.order_table AND r.order_id = c.order_id
+        WHERE c.created_at >= $1 AND c.created_at < $2
+        GROUP BY a.id, a.code
+        ORDER BY sale_cents DESC
+      `, [range.from, range.to]),
+      this.pool.query(`
+        SELECT coalesce(sum(gross_cents), 0)::bigint AS gross_cents
+        FROM (${SALES_SQL}) s
+        WHERE s.created_at >= $1 AND s.created_at < $2
+      `, [range.from, range.to])
+    ]);
+
+    const rows = commissions.rows.map(row => ({
+      affiliate_id: row.affiliate_id,
+      code: row.code,
+      orders: row.orders,
+      sale_cents: Number(row.sale_cents),
+      refunded_cents: Number(row.refunded_cents),
+      commission_cents: Number(row.commission_cents),
+      reversed_cents: Number(row.reversed_cents)
+    }));
+
+    const totals = sumColumns(rows, ['orders', 'sale_cents', 'refunded_cents', 'commission_cents', 'reversed_cents']);
+
+    return {
+      range: describeRange(range),
+      totals: {
+        ...totals,
+        one_off_gross_cents: Number(gross.rows[0].gross_cents),
+        attributed_share: rate(totals.sale_cents, Number(gross.rows[0].gross_cents))
+      },
+      rows
+    };
+  }
+
+  // =====================================================
+  // CONVERSION
+  // =====================================================
+
+  /**
+   * Accounts that signed up in each period (all start on Free) and how many
+   * have since paid for a tier - counted under the first paid tier
+   */
+  async conversion(range) {
+    const result = await this.pool.query(`
+      WITH cohort AS (
+        SELECT id, created_at FROM users WHERE created_at >= $1 AND created_at < $2
+      ),
+      first_paid AS (
+        SELECT DISTINCT ON (e.user_id) e.user_id, e.tier, e.occurred_at
+        FROM subscription_events e
+        JOIN cohort c ON c.id = e.user_id
+        WHERE e.mrr_cents > 0
+        ORDER BY e.user_id, e.occurred_at, e.id
+      ),
+      trials AS (
+        SELECT DISTINCT e.user_id
+        FROM subscription_events e
+        JOIN cohort c ON c.id = e.user_id
+        WHERE e.status = 'trialing'
+      )
+      SELECT greatest(date_trunc($3, c.created_at), $1::timestamptz) AS period_start, f.tier,
+             count(*)::int AS signups, count(t.user_id)::int AS trials,
+             count(f.user_id)::int AS converted,
+             coalesce(sum(extract(epoch FROM f.occurred_at - c.created_at) / 86400), 0) AS days_to_convert
+      FROM cohort c
+      LEFT JOIN first_paid f ON f.user_id = c.id
+      LEFT JOIN trials t ON t.user_id = c.id
+      GROUP BY 1, 2
+      ORDER BY 1
+    `, [range.from, range.to, range.group]);
+
+    const periods = new Map();
+
+    for (const row of result.rows) {
+      const key = formatDay(row.period_start);
+      const period = periods.get(key) || { signups: 0, trials: 0, converted: 0, days: 0, tiers: {} };
+
+      period.signups += row.signups;
+      period.trials += row.trials;
+      period.converted += row.converted;
+      period.days += Number(row.days_to_convert);
+      if (row.tier) period.tiers[row.tier] = (period.tiers[row.tier] || 0) + row.converted;
+
+      periods.set(key, period);
+    }
+
+    const summarize = counts => ({
+      signups: counts.signups,
+      trials: counts.trials,
+      converted: counts.converted,
+      ...Object.fromEntries(PAID_TIERS.map(tier => [tier, counts.tiers[tier] || 0])),
+      conversion_rate: rate(counts.converted, counts.signups),
+      avg_days_to_convert: counts.converted > 0 ? Math.round(counts.days / counts.converted * 10) / 10 : null
+    });
+
+    const all = { signups: 0, trials: 0, converted: 0, days: 0, tiers: {} };
+    for (const counts of periods.values()) {
+      all.signups += counts.signups;
+      all.trials += counts.trials;
+      all.converted += counts.converted;
+      all.days += counts.days;
+      for (const [tier, count] of Object.entries(counts.tiers)) {
+        all.tiers[tier] = (all.tiers[tier] || 0) + count;
+      }
+    }
+
+    return {
+      range: describeRange(range),
+      totals: summarize(all),
+      rows: [...periods].map(([period, counts]) => ({ period, ...summarize(counts) }))
+    };
+  }
+
+  // =====================================================
+  // SUMMARY
+  // =====================================================
+
+  /**
+   * Headline numbers from every report
+   */
+  async summary(range) {
+    const mrr = await this.mrr(range);
+    const churn = await this.churn(range);
+    const revenue = await this.revenue(range);
+    const refunds = await this.refunds(range);
+    const affiliates = await this.affiliates(range);
+    const conversion = await this.conversion(range);
+
+    const totals = {
+      mrr_cents: mrr.totals.mrr_cents,
+      arr_cents: mrr.totals.arr_cents,
+      subscribers: mrr.totals.subscribers,
+      net_new_mrr_cents: mrr.totals.net_new_cents,
+      churn_rate: churn.totals.churn_rate,
+      revenue_churn_rate: churn.totals.revenue_churn_rate,
+      one_off_gross_cents: revenue.totals.gross_cents,
+      one_off_net_cents: revenue.totals.net_cents,
+      subscription_cents: revenue.totals.subscription_cents,
+      total_net_cents: revenue.totals.total_net_cents,
+      refunded_cents: refunds.totals.refunded_cents,
+      chargeback_cents: refunds.totals.chargeback_cents,
+      affiliate_sale_cents: affiliates.totals.sale_cents,
+      affiliate_commission_cents: affiliates.totals.commission_cents,
+      signups: conversion.totals.signups,
+      conversions: conversion.totals.converted,
+      conversion_rate: conversion.totals.conversion_rate
+    };
+
+    return {
+      range: describeRange(range),
+      totals,
+      rows: Object.entries(totals).map(([metric, value]) => ({ metric, value }))
+    };
+  }
+}
+
+const EMPTY_MOVEMENT = {
+  new_cents: 0,
+  expansion_cents: 0,
+  contraction_cents: 0,
+  churned_cents: 0,
+  new_subscribers: 0,
+  churned_subscribers: 0
+};
+
+/**
+ * Monthly value of a subscription in cents, after its discount. 0 unless
+ * it's paying (see MRR_STATUSES).
+ */
+function monthlyValue(subscription, status = subscription.status) {
+  if (!MRR_STATUSES.includes(status)) return 0;
+
+  let cents = 0;
+  let months = 1;
+
+  for (const item of subscription.items.data) {
+    const recurring = item.price.recurring || {};
+    months = (MONTHS_PER_INTERVAL[recurring.interval] || 1) * (recurring.interval_count || 1);
+    cents += (item.price.unit_amount || 0) * (item.quantity || 1) / months;
+  }
+
+  const coupon = subscription.discount?.coupon;
+  if (coupon?.percent_off) {
+    cents *= 1 - coupon.percent_off / 100;
+  } else if (coupon?.amount_off) {
+    cents = Math.max(cents - coupon.amount_off / months, 0);
+  }
+
+  return Math.round(cents);
+}
+
+function parseDay(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || formatDay(date) !== value ? null : date;
+}
+
+function formatDay(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+function describeRange(range) {
+  return {
+    from: formatDay(range.from),
+    to: formatDay(range.to.getTime() - DAY_MS),
+    group: range.group
+  };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? Math.round(part / whole * 10000) / 10000 : null;
+}
+
+function sumColumns(rows, columns) {
+  return Object.fromEntries(columns.map(column => [
+    column,
+    rows.reduce((sum, row) => sum + (row[column] || 0), 0)
+  ]));
+}
+
+function addCounts(into, counts) {
+  const total = { ...(into || {}) };
+  for (const [key, value] of Object.entries(counts)) {
+    total[key] = (total[key] || 0) + value;
+  }
+  return total;
+}
+
+module.exports = new ReportService();
+module.exports.REPORTS = REPORTS;
+module.exports.GROUPS = GROUPS;
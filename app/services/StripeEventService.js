@@ -0,0 +1,213 @@
+// backend/app/services/StripeEventService.js
+// Durable, idempotent Stripe webhook processing
+//
+// Webhook routes verify the signature, store the event here and acknowledge
+// it; the event is then handled once (right away, then by the Stripe event
+// worker on failure). Each webhook endpoint registers the handler for the
+// events it receives under a source name.
+
+const { createClient } = require('@supabase/supabase-js');
+
+const MAX_ATTEMPTS = 6;
+const RETRY_DELAYS_MINUTES = [1, 5, 15, 60, 240, 720];
+const PROCESSING_LEASE_MINUTES = 10;
+const STATUSES = ['pending', 'processing', 'processed', 'dead'];
+
+class StripeEventService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+    this.handlers = new Map();
+  }
+
+  /**
+   * Register the handler for events received by one webhook endpoint
+   * @param {string} source - e.g. 'subscriptions', 'payments'
+   * @param {Function} handler - async (event) => void, throws to retry
+   */
+  setHandler(source, handler) {
+    this.handlers.set(source, handler);
+  }
+
+  /**
+   * Persist a verified event. Returns { event, duplicate } - duplicate when
+   * Stripe redelivered an event we already have.
+   */
+  async record(event, source) {
+    const { data, error } = await this.supabase
+      .from('stripe_events')
+      .upsert({
+        id: event.id,
+        type: event.type,
+        source,
+        livemode: !!event.livemode,
+        payload: event,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        stripe_created_at: event.created ? new Date(event.created * 1000).toISOString() : null
+      }, { onConflict: 'id', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+
+    if (!data || data.length === 0) {
+      console.log(`↩️ Duplicate Stripe event ${event.id} (${event.type}) ignored`);
+      return { event: null, duplicate: true };
+    }
+
+    return { event: data[0], duplicate: false };
+  }
+
+  /**
+   * Handle one stored event. Claims it first so two workers never run the
+   * same event; failures are rescheduled with backoff, then marked dead.
+   */
+  async process(row) {
+    const { data: claimed, error: claimError } = await this.supabase
+      .from('stripe_events')
+      .update({
+        status: 'processing',
+        attempts: row.attempts + 1,
+        // Lease: if we crash mid-handler the worker picks it up again after this
+        next_attempt_at: new Date(Date.now() + PROCESSING_LEASE_MINUTES * 60 * 1000).toISOString()
+      })
+      .eq('id', row.id)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (claimError) throw claimError;
+    if (!claimed || claimed.length === 0) return row;
+
+    try {
+      const handler = this.handlers.get(row.source);
+      if (!handler) {
+        throw new Error(`No handler registered for Stripe event source '${row.source}'`);
+      }
+
+      await handler(row.payload);
+
+    } catch (error) {
+      const attempts = row.attempts + 1;
+      const dead = attempts >= MAX_ATTEMPTS;
+      const delay = RETRY_DELAYS_MINUTES[Math.min(attempts - 1, RETRY_DELAYS_MINUTES.length - 1)];
+
+      console.error(`💳 Stripe event ${row.id} (${row.type}) failed (attempt ${attempts}${dead ? ', giving up' : ''}):`, error.message);
+
+      const { data: failed } = await this.supabase
+        .from('stripe_events')
+        .update({
+          status: dead ? 'dead' : 'pending',
+          last_error: error.message,
+          next_attempt_at: new Date(Date.now() + delay * 60 * 1000).toISOString()
+        })
+        .eq('id', row.id)
+        .select()
+        .single();
+
+      return failed;
+    }
+
+    // Not recorded: the lease runs out and the event runs again. Handlers are
+    // idempotent per payment, so that doesn't fulfil an order twice.
+    const { data: processed, error: processedError } = await this.supabase
+      .from('stripe_events')
+      .update({
+        status: 'processed',
+        processed_at: new Date().toISOString(),
+        last_error: null
+      })
+      .eq('id', row.id)
+      .select()
+      .single();
+
+    if (processedError) throw processedError;
+    return processed;
+  }
+
+  /**
+   * Handle every event that is due. Called by the Stripe event worker.
+   */
+  async processDue(batchSize = 25) {
+    // Release events whose handler died before recording the outcome
+    await this.supabase
+      .from('stripe_events')
+      .update({ status: 'pending' })
+      .eq('status', 'processing')
+      .lte('next_attempt_at', new Date().toISOString());
+
+    const { data: due, error } = await this.supabase
+      .from('stripe_events')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('received_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) throw error;
+
+    for (const row of due || []) {
+      await this.process(row);
+    }
+
+    return (due || []).length;
+  }
+
+  /**
+   * Run a dead (or stuck pending) event again from a clean slate.
+   * Returns the event after the attempt, or null if it can't be replayed.
+   */
+  async replay(id) {
+    const { data: reset, error } = await this.supabase
+      .from('stripe_events')
+      .update({
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .in('status', ['pending', 'dead'])
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!reset) return null;
+
+    return this.process(reset);
+  }
+
+  async get(id) {
+    const { data, error } = await this.supabase
+      .from('stripe_events')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Newest first, without payloads
+   */
+  async list({ status = null, type = null, limit = 50, offset = 0 } = {}) {
+    let query = this.supabase
+      .from('stripe_events')
+      .select('id, type, source, livemode, status, attempts, next_attempt_at, last_error, received_at, processed_at', { count: 'exact' })
+      .order('received_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+    if (type) query = query.eq('type', type);
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    return { events: data || [], total: count || 0 };
+  }
+}
+
+module.exports = new StripeEventService();
+module.exports.STATUSES = STATUSES;
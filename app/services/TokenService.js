@@ -0,0 +1,352 @@
+// backend/app/services/TokenService.js
+// Short-lived access tokens, rotating refresh tokens and server-side revocation
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createClient } = require('@supabase/supabase-js');
+const { normalizeTier } = require('../config/plans');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const ACCESS_TOKEN_TTL_SECONDS = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS, 10) || 15 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+
+class TokenService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * Sign an AmatuEdda access token for a users row
+   * @param {Object} options - { impersonatedBy } for admin support sessions,
+   *   { twoFactor } when the login passed the second factor
+   */
+  signAccessToken(user, options = {}) {
+    const payload = {
+      userId: user.id,
+      email: user.email,
+      tier: normalizeTier(user.tier),
+      amr: options.twoFactor ? ['pwd', 'otp'] : ['pwd'],
+      // iat has second precision - see isRevoked
+      iatMs: Date.now()
+    };
+
+    if (options.impersonatedBy) {
+      payload.impersonatedBy = options.impersonatedBy;
+    }
+
+    return jwt.sign(payload, JWT_SECRET, {
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      jwtid: crypto.randomUUID()
+    });
+  }
+
+  /**
+   * Verify an AmatuEdda access token. Returns the decoded payload or null.
+   */
+  verifyAccessToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+      return decoded.userId ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign the token handed out between the password and 2FA login steps.
+   * It carries no userId, so it can never pass as an access token.
+   */
+  signTwoFactorChallenge(user) {
+    return jwt.sign({ pendingUserId: user.id }, JWT_SECRET, {
+      expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+      audience: 'two_factor_challenge'
+    });
+  }
+
+  /**
+   * Returns the pending user id, or null if the challenge is invalid or expired
+   */
+  verifyTwoFactorChallenge(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: 'two_factor_challenge'
+      });
+      return decoded.pendingUserId || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sign the token that lets a checkout's buyer take its one-click upsells
+   * (handed out by GET /api/payments/success). The checkout session id alone
+   * isn't enough - it ends up in URLs, referrers and logs.
+   */
+  signUpsellToken(sessionId, ttlSeconds) {
+    return jwt.sign({ upsellSessionId: sessionId }, JWT_SECRET, {
+      expiresIn: ttlSeconds,
+      audience: 'upsell'
+    });
+  }
+
+  /**
+   * Returns the checkout session id, or null if the token is invalid or expired
+   */
+  verifyUpsellToken(token) {
+    try {
+      const decoded = jwt.verify(token, JWT_SECRET, {
+        algorithms: ['HS256'],
+        audience: 'upsell'
+      });
+      return decoded.upsellSessionId || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Start a new session: access token + refresh token in a fresh family
+   * @param {Object} meta - { ip, userAgent, twoFactor } - twoFactor when the
+   *   login passed the second factor; refreshed tokens keep it
+   */
+  async issueSession(user, meta = {}) {
+    const refreshToken = await this.createRefreshToken(user.id, crypto.randomUUID(), meta);
+
+    return {
+      token: this.signAccessToken(user, { twoFactor: meta.twoFactor }),
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL_SECONDS
+    };
+  }
+
+  async createRefreshToken(userId, familyId, meta = {}) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const { error } = await this.supabase
+      .from('refresh_tokens')
+      .insert({
+        user_id: userId,
+        family_id: familyId,
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString(),
+        ip_address: meta.ip || null,
+        user_agent: meta.userAgent || null,
+        two_factor_verified: !!meta.twoFactor
+      });
+
+    if (error) throw error;
+    return token;
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. The old refresh token is spent;
+   * presenting a spent token again revokes the whole family (likely theft).
+   * Returns { user, session } or null when the token is not usable.
+   */
+  async rotateRefreshToken(refreshToken, loadUser, meta = {}) {
+    const { data: stored, error } = await this.supabase
+      .from('refresh_tokens')
+      .select('*')
+      .eq('token_hash', hashToken(refreshToken))
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!stored) return null;
+
+    if (stored.revoked_at) {
+      if (stored.replaced_by) {
+        console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id} - revoking family`);
+        await this.revokeFamily(stored.family_id);
+      }
+      return null;
+    }
+
+    if (new Date(stored.expires_at) < new Date()) return null;
+
+    const user = await loadUser(stored.user_id);
+    if (!user) return null;
+
+    if (user.tokens_valid_after && new Date(stored.created_at) < new Date(user.tokens_valid_after)) {
+      return null;
+    }
+
+    const twoFactor = stored.two_factor_verified;
+    const nextToken = await this.createRefreshToken(user.id, stored.family_id, { ...meta, twoFactor });
+
+    // Only spend the token if nobody else did in the meantime
+    const { data: spent, error: spendError } = await this.supabase
+      .from('refresh_tokens')
+      .update({
+        revoked_at: new Date().toISOString(),
+        replaced_by: hashToken(nextToken)
+      })
+      .eq('id', stored.id)
+      .is('revoked_at', null)
+      .select('id');
+
+    if (spendError) throw spendError;
+
+    if (!spent || spent.length === 0) {
+      await this.revokeFamily(stored.family_id);
+      return null;
+    }
+
+    return {
+      user,
+      session: {
+        token: this.signAccessToken(user, { twoFactor }),
+        refresh_token: nextToken,
+        expires_in: ACCESS_TOKEN_TTL_SECONDS
+      }
+    };
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to
+   */
+  async revokeRefreshToken(refreshToken, userId) {
+    const { data: stored } = await this.supabase
+      .from('refresh_tokens')
+      .select('family_id')
+      .eq('token_hash', hashToken(refreshToken))
+      .eq('user_id', userId)
+      .single();
+
+    if (stored) await this.revokeFamily(stored.family_id);
+  }
+
+  async revokeFamily(familyId) {
+    const { error } = await this.supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('family_id', familyId)
+      .is('revoked_at', null);
+
+    if (error) throw error;
+  }
+
+  /**
+   * Put a single access token on the revocation list until it expires
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded?.jti) return;
+
+    const { error } = await this.supabase
+      .from('revoked_tokens')
+      .upsert({
+        jti: decoded.jti,
+        user_id: decoded.userId,
+        expires_at: new Date(decoded.exp * 1000).toISOString()
+      }, { onConflict: 'jti' });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Log out everywhere: every token issued before now stops working
+   */
+  async revokeAllForUser(userId) {
+    const now = new Date().toISOString();
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({ tokens_valid_after: now, updated_at: now })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    const { error: refreshError } = await this.supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: now })
+      .eq('user_id', userId)
+      .is('revoked_at', null);
+
+    if (refreshError) throw refreshError;
+  }
+
+  /**
+   * Create a single-use token for an emailed action (password reset, email verification)
+   */
+  async createActionToken(userId, purpose, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    // A new link invalidates any earlier one for the same purpose
+    await this.supabase
+      .from('user_action_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('purpose', purpose)
+      .is('used_at', null);
+
+    const { error } = await this.supabase
+      .from('user_action_tokens')
+      .insert({
+        user_id: userId,
+        purpose,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString()
+      });
+
+    if (error) throw error;
+    return token;
+  }
+
+  /**
+   * Spend a single-use action token. Returns the user id, or null if the
+   * token is unknown, expired, already used or for another purpose.
+   */
+  async consumeActionToken(token, purpose) {
+    const { data: spent, error } = await this.supabase
+      .from('user_action_tokens')
+      .update({ used_at: new Date().toISOString() })
+      .eq('token_hash', hashToken(token))
+      .eq('purpose', purpose)
+      .is('used_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .select('user_id');
+
+    if (error) throw error;
+    return spent && spent.length > 0 ? spent[0].user_id : null;
+  }
+
+  /**
+   * Check an access token (AmatuEdda or Supabase) against the revocation list
+   */
+  async isRevoked(decoded, user) {
+    if (user.tokens_valid_after && decoded?.iat) {
+      const validAfterMs = new Date(user.tokens_valid_after).getTime();
+
+      // Our tokens carry the issue time in ms, so a session issued right after
+      // a revocation (password change) still works. Supabase tokens only have
+      // iat, in seconds: one from the revocation's second counts as revoked.
+      const revoked = decoded.iatMs
+        ? decoded.iatMs <= validAfterMs
+        : decoded.iat <= Math.floor(validAfterMs / 1000);
+
+      if (revoked) return true;
+    }
+
+    if (!decoded?.jti) return false;
+
+    const { data } = await this.supabase
+      .from('revoked_tokens')
+      .select('jti')
+      .eq('jti', decoded.jti)
+      .single();
+
+    return !!data;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = new TokenService();
+module.exports.ACCESS_TOKEN_TTL_SECONDS = ACCESS_TOKEN_TTL_SECONDS;
@@ -0,0 +1,278 @@
+// backend/app/services/TwoFactorService.js
+// TOTP two-factor authentication (RFC 6238) and recovery codes
+//
+// Secrets are stored AES-256-GCM encrypted with TOTP_ENCRYPTION_KEY.
+// Recovery codes are single-use and stored as sha256 hashes.
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { createClient } = require('@supabase/supabase-js');
+
+const ISSUER = 'AmatuEdda';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code for clock skew
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+class TwoFactorService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * Start (or restart) enrollment: store a new pending secret and return
+   * what the authenticator app needs. 2FA stays off until confirmed.
+   */
+  async beginEnrollment(user) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    const otpauthUrl = `otpauth://totp/${encodeURIComponent(`${ISSUER}:${user.email}`)}` +
+      `?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&digits=${DIGITS}&period=${STEP_SECONDS}`;
+
+    const { error } = await this.supabase
+      .from('users')
+      .update({
+        totp_secret_encrypted: encrypt(secret),
+        totp_enabled_at: null,
+        totp_last_step: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    return {
+      secret,
+      otpauth_url: otpauthUrl,
+      qr_code: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Turn 2FA on once the first code has been verified.
+   * Returns fresh recovery codes.
+   */
+  async confirmEnrollment(user) {
+    const { error } = await this.supabase
+      .from('users')
+      .update({ totp_enabled_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    if (error) throw error;
+
+    return this.regenerateRecoveryCodes(user.id);
+  }
+
+  async disable(userId) {
+    const { error } = await this.supabase
+      .from('users')
+      .update({
+        totp_secret_encrypted: null,
+        totp_enabled_at: null,
+        totp_last_step: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', userId);
+
+    if (error) throw error;
+
+    await this.supabase
+      .from('user_recovery_codes')
+      .delete()
+      .eq('user_id', userId);
+  }
+
+  isEnabled(user) {
+    return !!(user.totp_enabled_at && user.totp_secret_encrypted);
+  }
+
+  /**
+   * Check a TOTP code against the user's secret. Each time step is accepted
+   * only once, so an observed code can't be replayed.
+   */
+  async verifyCode(user, code) {
+    if (!user.totp_secret_encrypted || !/^\d{6}$/.test(String(code || '').trim())) {
+      return false;
+    }
+
+    const secret = base32Decode(decrypt(user.totp_secret_encrypted));
+    const currentStep = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+    for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+      const step = currentStep + offset;
+
+      if (user.totp_last_step && step <= user.totp_last_step) continue;
+
+      if (safeEqual(generateCode(secret, step), String(code).trim())) {
+        // Conditional update wins the race if the same code is sent twice at once
+        let query = this.supabase
+          .from('users')
+          .update({ totp_last_step: step })
+          .eq('id', user.id);
+
+        query = user.totp_last_step
+          ? query.lt('totp_last_step', step)
+          : query.is('totp_last_step', null);
+
+        const { data, error } = await query.select('id');
+        if (error) throw error;
+
+        return data.length > 0;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Spend a recovery code. Returns true if it was valid and unused.
+   */
+  async useRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (!normalized) return false;
+
+    const { data, error } = await this.supabase
+      .from('user_recovery_codes')
+      .update({ used_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('code_hash', hashRecoveryCode(normalized))
+      .is('used_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Verify either a TOTP code or a recovery code
+   */
+  async verifySecondFactor(user, { code, recovery_code: recoveryCode }) {
+    if (code) return this.verifyCode(user, code);
+    if (recoveryCode) return this.useRecoveryCode(user.id, recoveryCode);
+    return false;
+  }
+
+  /**
+   * Replace all recovery codes. The plain codes are only ever returned here.
+   */
+  async regenerateRecoveryCodes(userId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    await this.supabase
+      .from('user_recovery_codes')
+      .delete()
+      .eq('user_id', userId);
+
+    const { error } = await this.supabase
+      .from('user_recovery_codes')
+      .insert(codes.map(code => ({
+        user_id: userId,
+        code_hash: hashRecoveryCode(normalizeRecoveryCode(code))
+      })));
+
+    if (error) throw error;
+    return codes;
+  }
+
+  async countRecoveryCodes(userId) {
+    const { count, error } = await this.supabase
+      .from('user_recovery_codes')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('used_at', null);
+
+    if (error) throw error;
+    return count || 0;
+  }
+}
+
+// =====================================================
+// TOTP PRIMITIVES
+// =====================================================
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', secret).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) throw new Error('Invalid base32 secret');
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// =====================================================
+// SECRET STORAGE
+// =====================================================
+
+function encryptionKey() {
+  const key = process.env.TOTP_ENCRYPTION_KEY;
+  if (!key) throw new Error('TOTP_ENCRYPTION_KEY is not configured');
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * AES-256-GCM, stored as iv.tag.ciphertext (base64url)
+ */
+function encrypt(plain) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+}
+
+function decrypt(stored) {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+function normalizeRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+  return normalized.length === 10 ? normalized : null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(code).digest('hex');
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,294 @@
+// backend/app/services/UsageService.js
+// Usage metering - one append-only ledger for every metered action
+//
+// Each analysis or discovery search is a row in `usage_events` with its cost.
+// Usage for a period is the sum of its rows; limits come from config/plans.js.
+// Nothing is ever reset: a failed action is reversed with a negative row and
+// admin resets are recorded as adjustments.
+//
+// "Unlimited" meters are bounded by fair use: a warning near the soft cap,
+// throttling past it, and a hard stop at the hard cap. A past-due
+// subscription runs on the plan's reduced past_due_limits.
+
+const { createClient } = require('@supabase/supabase-js');
+const {
+  getLimit,
+  getPastDueLimit,
+  getFairUse,
+  normalizeTier,
+  UNVERIFIED_SEARCH_LIMIT,
+  FAIR_USE_WARN_RATIO,
+  METERS
+} = require('../config/plans');
+
+class UsageService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  /**
+   * Record a metered action if it fits in the remaining quota.
+   * The check and the insert happen in one locked database call, so two
+   * parallel requests can't both take the last unit.
+   * @param {string} meter - 'analysis' | 'discovery'
+   * @param {Object} context - { user, workspace } (req.user / req.workspace)
+   * @param {Object} options - { cost, metadata }
+   * @returns {Object} quota snapshot plus { allowed, reason, retry_after, event_id }
+   *   reason: limit_reached | email_not_verified | past_due | fair_use_cap | throttled
+   */
+  async consume(meter, context, { cost = 1, metadata = {} } = {}) {
+    const quota = this.describe(meter, context);
+
+    const { data, error } = await this.supabase.rpc('record_usage', {
+      p_user_id: context.user.id,
+      p_workspace_id: quota.workspace_id,
+      p_meter: meter,
+      p_cost: cost,
+      p_limit: quota.limit,
+      p_period_start: quota.period_start,
+      p_metadata: metadata,
+      p_soft_limit: quota.fair_use?.soft ?? null,
+      p_min_interval_seconds: quota.fair_use?.throttle_seconds ?? null
+    });
+
+    if (error) throw error;
+
+    const row = Array.isArray(data) ? data[0] : data;
+    const snapshot = this.snapshot(quota, row.used);
+
+    if (!row.allowed) {
+      let reason = quota.reason || 'limit_reached';
+      if (row.retry_after > 0) reason = 'throttled';
+      else if (!quota.reason && quota.fair_use && quota.plan_limit === null) reason = 'fair_use_cap';
+
+      return { ...snapshot, allowed: false, reason, retry_after: row.retry_after || null, event_id: null };
+    }
+
+    return { ...snapshot, allowed: true, reason: null, retry_after: null, event_id: row.event_id };
+  }
+
+  /**
+   * Undo a recorded action (e.g. the analysis failed) with an offsetting row.
+   * Safe to call twice - an event can only be reversed once.
+   */
+  async reverse(eventId, reason = 'failed') {
+    if (!eventId) return;
+
+    const { data: event, error } = await this.supabase
+      .from('usage_events')
+      .select('*')
+      .eq('id', eventId)
+      .single();
+
+    if (error) throw error;
+
+    const { error: insertError } = await this.supabase
+      .from('usage_events')
+      .insert({
+        user_id: event.user_id,
+        workspace_id: event.workspace_id,
+        meter: event.meter,
+        cost: -event.cost,
+        period_start: event.period_start,
+        kind: 'reversal',
+        reverses_event_id: event.id,
+        metadata: { reason }
+      });
+
+    // 23505: already reversed
+    if (insertError && insertError.code !== '23505') throw insertError;
+  }
+
+  /**
+   * Zero the current period's usage with an adjustment row (admin resets)
+   */
+  async resetPeriod(meter, context, metadata = {}) {
+    const current = await this.getUsage(meter, context);
+    if (current.used === 0) return current;
+
+    const { error } = await this.supabase
+      .from('usage_events')
+      .insert({
+        user_id: context.user.id,
+        workspace_id: current.workspace_id,
+        meter,
+        cost: -current.used,
+        period_start: current.period_start,
+        kind: 'adjustment',
+        metadata
+      });
+
+    if (error) throw error;
+    return this.snapshot(current, 0);
+  }
+
+  /**
+   * Current usage for one meter
+   */
+  async getUsage(meter, context) {
+    const quota = this.describe(meter, context);
+
+    const { data, error } = await this.supabase.rpc('usage_total', {
+      p_user_id: context.user.id,
+      p_workspace_id: quota.workspace_id,
+      p_meter: meter,
+      p_period_start: quota.period_start
+    });
+
+    if (error) throw error;
+    return this.snapshot(quota, data || 0);
+  }
+
+  /**
+   * Current usage for every meter, keyed by meter
+   */
+  async getSummary(context) {
+    const summary = {};
+    for (const meter of METERS) {
+      summary[meter] = await this.getUsage(meter, context);
+    }
+    return summary;
+  }
+
+  /**
+   * Work out who pays for a meter in this context, its limit and period
+   */
+  describe(meter, context) {
+    const { user, workspace } = context;
+    const pooled = !!workspace?.pooled_quota;
+
+    const tier = normalizeTier(pooled ? workspace.owner_tier : user.tier);
+    const anchor = pooled ? workspace.owner_period_start : user.period_start;
+    const override = pooled ? workspace.owner_fair_use_override : user.fair_use_override;
+    const billingStatus = pooled ? workspace.owner_billing_status : user.billing_status;
+    const period = currentPeriod(anchor);
+
+    const planLimit = getLimit(tier, meter);
+    const fairUse = getFairUse(tier, meter, override);
+    let reason = null;
+
+    // Fair use bounds "unlimited" plans at the hard cap
+    let limit = planLimit;
+    if (fairUse?.hard != null) {
+      limit = limit === null ? fairUse.hard : Math.min(limit, fairUse.hard);
+    }
+
+    // Unverified free accounts only get a taste until they confirm their email
+    if (meter === 'analysis' && tier === 'free' && !pooled && !user.email_verified) {
+      limit = limit === null ? UNVERIFIED_SEARCH_LIMIT : Math.min(limit, UNVERIFIED_SEARCH_LIMIT);
+      reason = 'email_not_verified';
+    }
+
+    // Payment failing: the tier stays through the grace period, on a reduced quota
+    let pastDueLimit = null;
+    if (billingStatus === 'past_due') {
+      pastDueLimit = getPastDueLimit(tier, meter);
+      if (pastDueLimit !== null) {
+        limit = limit === null ? pastDueLimit : Math.min(limit, pastDueLimit);
+        reason = 'past_due';
+      }
+    }
+
+    return {
+      meter,
+      scope: pooled ? 'workspace' : 'user',
+      workspace_id: pooled ? workspace.id : null,
+      tier,
+      limit,
+      plan_limit: planLimit,
+      past_due_limit: pastDueLimit,
+      fair_use: fairUse,
+      reason,
+      period_start: period.start.toISOString(),
+      reset_at: period.end.toISOString()
+    };
+  }
+
+  snapshot(quota, used) {
+    const advertised = quota.past_due_limit ?? quota.plan_limit;
+
+    return {
+      meter: quota.meter,
+      scope: quota.scope,
+      workspace_id: quota.workspace_id,
+      used,
+      // Fair-use caps aren't advertised as the plan limit; a past-due reduction is
+      limit: advertised,
+      remaining: advertised === null ? null : Math.max(0, quota.limit - used),
+      past_due: quota.past_due_limit != null,
+      period_start: quota.period_start,
+      reset_at: quota.reset_at,
+      fair_use: fairUseStatus(quota.fair_use, used)
+    };
+  }
+}
+
+/**
+ * Where usage stands against fair use: ok, approaching (warn), throttled
+ * (past the soft cap) or capped (hard cap reached). null when not applicable.
+ */
+function fairUseStatus(fairUse, used) {
+  if (!fairUse) return null;
+
+  let status = 'ok';
+  let warning = null;
+
+  if (fairUse.hard != null && used >= fairUse.hard) {
+    status = 'capped';
+    warning = `You've reached the fair-use limit of ${fairUse.hard} this period. It resets with your next billing period.`;
+  } else if (fairUse.soft != null && used > fairUse.soft) {
+    status = 'throttled';
+    warning = `You're past the fair-use level of ${fairUse.soft} this period, so requests are slowed down.`;
+  } else if (fairUse.soft != null && used >= Math.floor(fairUse.soft * FAIR_USE_WARN_RATIO)) {
+    status = 'approaching';
+    warning = `You've used ${used} of the ${fairUse.soft} fair-use level this period.`;
+  }
+
+  return {
+    status,
+    soft: fairUse.soft ?? null,
+    hard: fairUse.hard ?? null,
+    max_tokens: status === 'throttled' || status === 'capped' ? fairUse.max_tokens : null,
+    warning
+  };
+}
+
+/**
+ * Monthly period containing `now`, anchored on the account's period_start day
+ * (an anchor on the 31st falls back to the last day of shorter months)
+ */
+function currentPeriod(anchor, now = new Date()) {
+  const anchorDate = anchor ? new Date(anchor) : now;
+
+  let months = (now.getUTCFullYear() - anchorDate.getUTCFullYear()) * 12 +
+    (now.getUTCMonth() - anchorDate.getUTCMonth());
+
+  let start = addMonths(anchorDate, months);
+  if (start > now) {
+    months -= 1;
+    start = addMonths(anchorDate, months);
+  }
+
+  return { start, end: addMonths(anchorDate, months + 1) };
+}
+
+function addMonths(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,270 @@
+// backend/app/services/WorkspaceService.js
+// Shared workspaces: membership, roles and email invitations
+
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+const EmailService = require('./EmailService');
+const { normalizeTier } = require('../config/plans');
+
+// viewer - read niches, pain points, trends and jobs
+// editor - discover, analyze and edit niches and monitoring jobs
+// admin  - manage members and invitations
+// owner  - everything, including deleting the workspace
+const ROLE_LEVELS = { viewer: 1, editor: 2, admin: 3, owner: 4 };
+const ASSIGNABLE_ROLES = ['viewer', 'editor', 'admin'];
+const INVITATION_TTL_DAYS = 7;
+
+class WorkspaceService {
+  constructor() {
+    this.supabase = createClient(
+      process.env.SUPABASE_URL,
+      process.env.SUPABASE_SERVICE_KEY
+    );
+  }
+
+  hasRole(role, minRole) {
+    return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[minRole] || 0);
+  }
+
+  /**
+   * Workspaces with require_2fa turn away members whose session didn't pass
+   * the second factor (not enrolled, or logged in some other way)
+   */
+  blocksWithoutTwoFactor(workspace, user) {
+    return !!workspace.require_2fa && !(user.two_factor_enabled && user.two_factor_verified);
+  }
+
+  async create(user, name) {
+    const { data: workspace, error } = await this.supabase
+      .from('workspaces')
+      .insert({ name, owner_id: user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    const { error: memberError } = await this.supabase
+      .from('workspace_members')
+      .insert({ workspace_id: workspace.id, user_id: user.id, role: 'owner' });
+
+    if (memberError) throw memberError;
+
+    return { ...workspace, role: 'owner' };
+  }
+
+  async listForUser(userId) {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('role, workspace:workspaces(*)')
+      .eq('user_id', userId);
+
+    if (error) throw error;
+    return data.map(m => ({ ...m.workspace, role: m.role }));
+  }
+
+  /**
+   * Load a workspace as seen by one of its members.
+   * Returns null if the workspace doesn't exist or the user isn't a member.
+   */
+  async getMembership(workspaceId, userId) {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('role, workspace:workspaces(*, owner:users(tier, period_start, fair_use_override, billing_status))')
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!data || !data.workspace) return null;
+
+    const { owner, ...workspace } = data.workspace;
+
+    return {
+      ...workspace,
+      role: data.role,
+      owner_tier: normalizeTier(owner?.tier),
+      owner_period_start: owner?.period_start || null,
+      owner_fair_use_override: owner?.fair_use_override || null,
+      owner_billing_status: owner?.billing_status || 'active'
+    };
+  }
+
+  async update(workspaceId, updates) {
+    const { data, error } = await this.supabase
+      .from('workspaces')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', workspaceId)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async remove(workspaceId) {
+    const { error } = await this.supabase
+      .from('workspaces')
+      .delete()
+      .eq('id', workspaceId);
+
+    if (error) throw error;
+  }
+
+  async listMembers(workspaceId) {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .select('user_id, role, created_at, user:users(email)')
+      .eq('workspace_id', workspaceId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data.map(m => ({
+      user_id: m.user_id,
+      email: m.user?.email,
+      role: m.role,
+      joined_at: m.created_at
+    }));
+  }
+
+  async setMemberRole(workspaceId, userId, role) {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .update({ role })
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .neq('role', 'owner')
+      .select()
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    return data || null;
+  }
+
+  async removeMember(workspaceId, userId) {
+    const { data, error } = await this.supabase
+      .from('workspace_members')
+      .delete()
+      .eq('workspace_id', workspaceId)
+      .eq('user_id', userId)
+      .neq('role', 'owner')
+      .select('user_id');
+
+    if (error) throw error;
+    return data && data.length > 0;
+  }
+
+  /**
+   * Invite someone by email. Re-inviting the same address replaces the
+   * pending invitation.
+   */
+  async invite(workspace, inviter, email, role) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await this.supabase
+      .from('workspace_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('workspace_id', workspace.id)
+      .eq('email', normalizedEmail)
+      .is('accepted_at', null)
+      .is('revoked_at', null);
+
+    const { data: invitation, error } = await this.supabase
+      .from('workspace_invitations')
+      .insert({
+        workspace_id: workspace.id,
+        email: normalizedEmail,
+        role,
+        token_hash: hashToken(token),
+        invited_by: inviter.id,
+        expires_at: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString()
+      })
+      .select('id, email, role, expires_at, created_at')
+      .single();
+
+    if (error) throw error;
+
+    await EmailService.sendTemplate('workspace_invite', normalizedEmail, {
+      workspace_name: workspace.name,
+      inviter_email: inviter.email,
+      role,
+      link: `${process.env.FRONTEND_URL}/accept-invite.html?token=${token}`
+    });
+
+    return invitation;
+  }
+
+  async listInvitations(workspaceId) {
+    const { data, error } = await this.supabase
+      .from('workspace_invitations')
+      .select('id, email, role, expires_at, created_at')
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async revokeInvitation(workspaceId, invitationId) {
+    const { data, error } = await this.supabase
+      .from('workspace_invitations')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', invitationId)
+      .eq('workspace_id', workspaceId)
+      .is('accepted_at', null)
+      .select('id');
+
+    if (error) throw error;
+    return data && data.length > 0;
+  }
+
+  /**
+   * Accept an invitation. The invitation must be addressed to the user's email.
+   * Returns the joined workspace, or an { error } object.
+   */
+  async acceptInvitation(token, user) {
+    const { data: invitation, error } = await this.supabase
+      .from('workspace_invitations')
+      .select('*')
+      .eq('token_hash', hashToken(token))
+      .is('accepted_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .single();
+
+    if (error && error.code !== 'PGRST116') throw error;
+    if (!invitation) return { error: 'This invitation is invalid or has expired' };
+
+    if (invitation.email !== user.email.toLowerCase()) {
+      return { error: 'This invitation was sent to a different email address' };
+    }
+
+    const { error: memberError } = await this.supabase
+      .from('workspace_members')
+      .upsert({
+        workspace_id: invitation.workspace_id,
+        user_id: user.id,
+        role: invitation.role
+      }, { onConflict: 'workspace_id,user_id', ignoreDuplicates: true });
+
+    if (memberError) throw memberError;
+
+    await this.supabase
+      .from('workspace_invitations')
+      .update({ accepted_at: new Date().toISOString(), accepted_by: user.id })
+      .eq('id', invitation.id);
+
+    return { workspace: await this.getMembership(invitation.workspace_id, user.id) };
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = new WorkspaceService();
+module.exports.ROLE_LEVELS = ROLE_LEVELS;
+module.exports.ASSIGNABLE_ROLES = ASSIGNABLE_ROLES;
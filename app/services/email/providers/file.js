@@ -0,0 +1,27 @@
+// backend/app/services/email/providers/file.js
+// Writes each message to a local directory instead of sending it (development)
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileProvider {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = options.dir || process.env.EMAIL_OUTBOX_DIR || path.join(process.cwd(), 'outbox');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+    const base = path.join(this.dir, `${Date.now()}-${safeTo}`);
+
+    await fs.writeFile(`${base}.json`, JSON.stringify(message, null, 2));
+    if (message.html) await fs.writeFile(`${base}.html`, message.html);
+
+    console.log(`📧 Email to ${message.to} written to ${base}.json`);
+    return { messageId: path.basename(base) };
+  }
+}
+
+module.exports = FileProvider;
@@ -0,0 +1,90 @@
+// backend/app/services/email/providers/http.js
+// HTTP API delivery - SendGrid or Mailgun (EMAIL_HTTP_PROVIDER)
+
+class HttpProvider {
+  constructor(options = {}) {
+    this.service = options.service || process.env.EMAIL_HTTP_PROVIDER || 'sendgrid';
+    this.apiKey = options.apiKey || process.env.EMAIL_API_KEY;
+    this.name = `http:${this.service}`;
+
+    if (!this.apiKey) {
+      throw new Error('EMAIL_API_KEY is required for the http email driver');
+    }
+  }
+
+  async send(message) {
+    switch (this.service) {
+      case 'sendgrid':
+        return this.sendViaSendGrid(message);
+
+      case 'mailgun':
+        return this.sendViaMailgun(message);
+
+      default:
+        throw new Error(`Unknown HTTP email provider: ${this.service}`);
+    }
+  }
+
+  async sendViaSendGrid(message) {
+    const content = [];
+    if (message.text) content.push({ type: 'text/plain', value: message.text });
+    if (message.html) content.push({ type: 'text/html', value: message.html });
+
+    const response = await fetch('https://api.sendgrid.com/v3/mail/send', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: parseAddress(message.from),
+        subject: message.subject,
+        content
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(`SendGrid responded ${response.status}: ${await response.text()}`);
+    }
+
+    return { messageId: response.headers.get('x-message-id') };
+  }
+
+  async sendViaMailgun(message) {
+    const domain = process.env.MAILGUN_DOMAIN;
+    const form = new URLSearchParams({
+      from: message.from,
+      to: message.to,
+      subject: message.subject
+    });
+    if (message.text) form.append('text', message.text);
+    if (message.html) form.append('html', message.html);
+
+    const response = await fetch(`https://api.mailgun.net/v3/${domain}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`api:${this.apiKey}`).toString('base64')}`
+      },
+      body: form
+    });
+
+    if (!response.ok) {
+      throw new Error(`Mailgun responded ${response.status}: ${await response.text()}`);
+    }
+
+    const body = await response.json();
+    return { messageId: body.id };
+  }
+}
+
+/**
+ * "Name <email>" -> { name, email }
+ */
+function parseAddress(address) {
+  const match = /^(.*)<([^>]+)>$/.exec(address || '');
+  if (!match) return { email: address };
+  return { name: match[1].trim(), email: match[2].trim() };
+}
+
+module.exports = HttpProvider;
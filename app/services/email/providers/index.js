@@ -0,0 +1,29 @@
+// backend/app/services/email/providers/index.js
+// Email provider factory - pick a transport with EMAIL_DRIVER
+//
+// Every provider implements: async send({ from, to, subject, html, text }) -> { messageId }
+
+const FileProvider = require('./file');
+const LogProvider = require('./log');
+const SmtpProvider = require('./smtp');
+const HttpProvider = require('./http');
+
+const PROVIDERS = {
+  'file': FileProvider,
+  'outbox': FileProvider,   // Alias kept from the first EmailService
+  'log': LogProvider,
+  'smtp': SmtpProvider,
+  'http': HttpProvider
+};
+
+function createProvider(driver) {
+  const Provider = PROVIDERS[driver];
+
+  if (!Provider) {
+    throw new Error(`Unknown email driver: ${driver}`);
+  }
+
+  return new Provider();
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,15 @@
+// backend/app/services/email/providers/log.js
+// Prints a one-line summary of each message and drops it
+
+class LogProvider {
+  constructor() {
+    this.name = 'log';
+  }
+
+  async send(message) {
+    console.log(`📧 [email] to=${message.to} subject="${message.subject}"`);
+    return { messageId: null };
+  }
+}
+
+module.exports = LogProvider;
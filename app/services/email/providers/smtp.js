@@ -0,0 +1,33 @@
+// backend/app/services/email/providers/smtp.js
+// Plain SMTP delivery via nodemailer
+
+const nodemailer = require('nodemailer');
+
+class SmtpProvider {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    this.transport = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: parseInt(options.port || process.env.SMTP_PORT, 10) || 587,
+      secure: (options.secure ?? process.env.SMTP_SECURE) === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      } : undefined
+    });
+  }
+
+  async send(message) {
+    const info = await this.transport.sendMail({
+      from: message.from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html
+    });
+
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpProvider;
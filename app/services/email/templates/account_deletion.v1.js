@@ -0,0 +1,31 @@
+// Account deletion scheduled
+
+const { layout, escapeHtml, button } = require('./layout');
+
+module.exports = {
+  name: 'account_deletion',
+  version: 1,
+
+  sample: {
+    scheduled_for: '2026-02-14T00:00:00.000Z',
+    cancel_url: 'https://example.com/account.html',
+    subscription_canceled: true
+  },
+
+  subject: () => 'Your AmatuEdda account is scheduled for deletion',
+
+  html: data => layout({
+    title: 'Account deletion scheduled',
+    body: `
+      <p>We received a request to delete your account. On <strong>${escapeHtml(new Date(data.scheduled_for).toDateString())}</strong> your niches, searches, bonuses and account details will be permanently erased. Order records we must keep for accounting will be anonymized.</p>
+      ${data.subscription_canceled ? '<p>Your subscription has been canceled and you won\'t be charged again.</p>' : ''}
+      <p>Changed your mind? Log in and cancel the deletion before that date:</p>
+      ${button(data.cancel_url, 'Keep my account')}`
+  }),
+
+  text: data => [
+    `We received a request to delete your account. On ${new Date(data.scheduled_for).toDateString()} your niches, searches, bonuses and account details will be permanently erased. Order records we must keep for accounting will be anonymized.`,
+    data.subscription_canceled ? 'Your subscription has been canceled and you won\'t be charged again.' : '',
+    `Changed your mind? Log in and cancel the deletion before that date: ${data.cancel_url}`
+  ].filter(Boolean).join('\n\n')
+};
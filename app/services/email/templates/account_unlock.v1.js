@@ -0,0 +1,26 @@
+// Account locked after repeated failed logins
+
+const { layout, button } = require('./layout');
+
+module.exports = {
+  name: 'account_unlock',
+  version: 1,
+
+  sample: {
+    link: 'https://example.com/unlock-account.html?token=sample',
+    lock_minutes: 30
+  },
+
+  subject: () => 'Your AmatuEdda account was temporarily locked',
+
+  html: data => layout({
+    title: 'Account temporarily locked',
+    body: `
+      <p>We saw several failed sign-in attempts on this account, so we've locked it for ${data.lock_minutes} minutes.</p>
+      <p>If that was you, you can unlock it right away:</p>
+      ${button(data.link, 'Unlock my account')}
+      <p>If it wasn't you, your password is still safe - consider changing it once you're back in.</p>`
+  }),
+
+  text: data => `We saw several failed sign-in attempts on this account, so we've locked it for ${data.lock_minutes} minutes.\n\nIf that was you, you can unlock it right away:\n\n${data.link}\n\nIf it wasn't you, your password is still safe - consider changing it once you're back in.`
+};
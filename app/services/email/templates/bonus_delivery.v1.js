@@ -0,0 +1,53 @@
+// Bonus delivery - sent after a purchase that grants bonuses
+
+const { layout, escapeHtml, button } = require('./layout');
+
+module.exports = {
+  name: 'bonus_delivery',
+  version: 1,
+
+  sample: {
+    order_id: 'ORD-SAMPLE-1234',
+    bonuses: [
+      { name: 'AgentDeck Pro', retail_value_cents: 9700, access_key: 'a1b2c3d4', access_url: 'https://example.com/agentdeck' },
+      { name: 'API Magic Vault', retail_value_cents: 4700, access_key: 'e5f6g7h8', download_url: 'https://example.com/vault.zip' }
+    ]
+  },
+
+  subject: data => `🎁 Your $${totalValue(data)} in Free Bonuses Are Ready!`,
+
+  html: data => layout({
+    title: '🎁 Your Bonuses Are Ready!',
+    intro: `Thank you for your purchase. Here's $${totalValue(data)} in FREE bonuses!`,
+    body: `
+      <p>Hi there!</p>
+      <p>Your order is complete and your bonuses are ready to access. Here's what you got:</p>
+      ${data.bonuses.map(bonus => `
+        <div class="card">
+          <h3>${escapeHtml(bonus.name)}</h3>
+          <p class="value">$${((bonus.retail_value_cents || 0) / 100).toFixed(0)} Value</p>
+          <p><strong>Access Key:</strong> <code>${escapeHtml(bonus.access_key)}</code></p>
+          ${button(bonus.access_url || bonus.download_url, `Access ${bonus.name} →`)}
+        </div>
+      `).join('')}
+      <p style="margin-top: 30px;">
+        <strong>Quick Access:</strong> Visit your bonus dashboard at:<br>
+        ${button(`${process.env.SITE_URL}/bonuses`, 'View All Bonuses')}
+      </p>
+      <p class="notice" style="margin-top: 30px;">
+        💡 <strong>Pro Tip:</strong> Save your access keys somewhere safe. You can use them anytime to redownload your bonuses.
+      </p>`
+  }),
+
+  text: data => [
+    `Your order is complete and your bonuses are ready ($${totalValue(data)} value):`,
+    '',
+    ...data.bonuses.map(b => `- ${b.name}: ${b.access_url || b.download_url} (access key: ${b.access_key})`),
+    '',
+    `All bonuses: ${process.env.SITE_URL}/bonuses`
+  ].join('\n')
+};
+
+function totalValue(data) {
+  return (data.bonuses.reduce((sum, b) => sum + (b.retail_value_cents || 0), 0) / 100).toFixed(0);
+}
@@ -0,0 +1,43 @@
+// Niche digest - periodic summary of new SkyPath findings
+
+const { layout, escapeHtml, button } = require('./layout');
+
+module.exports = {
+  name: 'digest',
+  version: 1,
+
+  sample: {
+    period_label: 'this week',
+    niches: [
+      { name: 'AI meal planning for shift workers', overall_score: 82 },
+      { name: 'Budget home gyms for apartments', overall_score: 74 }
+    ],
+    new_pain_points: 37,
+    new_trends: 12,
+    dashboard_url: 'https://example.com/dashboard'
+  },
+
+  subject: data => `Your AmatuEdda digest: ${data.niches.length} niches ${data.period_label}`,
+
+  html: data => layout({
+    title: 'Your niche digest',
+    intro: `What SkyPath found ${data.period_label}`,
+    body: `
+      <p><strong>${escapeHtml(data.new_pain_points)}</strong> new pain points and <strong>${escapeHtml(data.new_trends)}</strong> new trends.</p>
+      ${data.niches.map(niche => `
+        <div class="card">
+          <h3>${escapeHtml(niche.name)}</h3>
+          <p class="value">Score ${escapeHtml(niche.overall_score)}</p>
+        </div>
+      `).join('')}
+      ${button(data.dashboard_url, 'Open dashboard')}`
+  }),
+
+  text: data => [
+    `What SkyPath found ${data.period_label}: ${data.new_pain_points} new pain points, ${data.new_trends} new trends.`,
+    '',
+    ...data.niches.map(n => `- ${n.name} (score ${n.overall_score})`),
+    '',
+    data.dashboard_url
+  ].join('\n')
+};
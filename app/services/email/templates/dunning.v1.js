@@ -0,0 +1,45 @@
+// Dunning - a subscription payment failed
+
+const { layout, escapeHtml, formatCents, button } = require('./layout');
+
+module.exports = {
+  name: 'dunning',
+  version: 1,
+
+  sample: {
+    tier: 'elite',
+    amount_due_cents: 1999,
+    currency: 'usd',
+    attempt_count: 1,
+    next_attempt_at: '2026-01-18T12:00:00.000Z',
+    grace_period_ends_at: '2026-01-29T12:00:00.000Z',
+    update_payment_url: 'https://example.com/billing'
+  },
+
+  subject: data => data.attempt_count > 1
+    ? `Reminder: we still couldn't charge your ${capitalize(data.tier)} subscription`
+    : `Action needed: your ${capitalize(data.tier)} payment failed`,
+
+  html: data => layout({
+    title: 'Your payment didn\'t go through',
+    intro: `We couldn't charge ${formatCents(data.amount_due_cents, data.currency)} for your ${capitalize(data.tier)} plan.`,
+    body: `
+      <p>This was attempt ${escapeHtml(data.attempt_count)}. Please update your payment method to keep your ${escapeHtml(capitalize(data.tier))} features.</p>
+      ${data.next_attempt_at ? `<p>We'll try again on ${escapeHtml(new Date(data.next_attempt_at).toDateString())}.</p>` : ''}
+      ${data.grace_period_ends_at ? `<p class="notice">If payment isn't received by ${escapeHtml(new Date(data.grace_period_ends_at).toDateString())}, your account will move to the Free plan. Your niches and history are kept.</p>` : ''}
+      ${button(data.update_payment_url, 'Update payment method')}`
+  }),
+
+  text: data => [
+    `We couldn't charge ${formatCents(data.amount_due_cents, data.currency)} for your ${capitalize(data.tier)} plan (attempt ${data.attempt_count}).`,
+    data.next_attempt_at ? `We'll try again on ${new Date(data.next_attempt_at).toDateString()}.` : '',
+    data.grace_period_ends_at ? `If payment isn't received by ${new Date(data.grace_period_ends_at).toDateString()}, your account will move to the Free plan.` : '',
+    '',
+    `Update your payment method: ${data.update_payment_url}`
+  ].filter(Boolean).join('\n')
+};
+
+function capitalize(value) {
+  const text = String(value || '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,24 @@
+// Email address verification link
+
+const { layout, button } = require('./layout');
+
+module.exports = {
+  name: 'email_verify',
+  version: 1,
+
+  sample: {
+    link: 'https://example.com/verify-email.html?token=sample'
+  },
+
+  subject: () => 'Confirm your AmatuEdda email address',
+
+  html: data => layout({
+    title: 'Confirm your email',
+    body: `
+      <p>Confirm your email address to unlock all of your free searches:</p>
+      ${button(data.link, 'Confirm my email')}
+      <p>This link expires in 48 hours.</p>`
+  }),
+
+  text: data => `Confirm your email address to unlock all of your free searches:\n\n${data.link}\n\nThis link expires in 48 hours.`
+};
@@ -0,0 +1,71 @@
+// backend/app/services/email/templates/index.js
+// Versioned template registry
+//
+// Each template file exports { name, version, sample, subject(data), html(data), text(data) }.
+// Add a new version as a new file (e.g. receipt.v2.js) - older versions stay
+// renderable so queued and previously sent messages can be reproduced.
+
+const TEMPLATE_MODULES = [
+  require('./bonus_delivery.v1'),
+  require('./receipt.v1'),
+  require('./dunning.v1'),
+  require('./subscription_downgraded.v1'),
+  require('./trial_ending.v1'),
+  require('./password_reset.v1'),
+  require('./email_verify.v1'),
+  require('./digest.v1'),
+  require('./workspace_invite.v1'),
+  require('./account_unlock.v1'),
+  require('./account_deletion.v1')
+];
+
+const REGISTRY = {};
+
+for (const template of TEMPLATE_MODULES) {
+  REGISTRY[template.name] = REGISTRY[template.name] || {};
+  REGISTRY[template.name][template.version] = template;
+}
+
+/**
+ * Look up a template; defaults to its latest version
+ */
+function getTemplate(name, version) {
+  const versions = REGISTRY[name];
+  if (!versions) return null;
+
+  const wanted = version || Math.max(...Object.keys(versions).map(Number));
+  return versions[wanted] || null;
+}
+
+function listTemplates() {
+  return Object.entries(REGISTRY).map(([name, versions]) => ({
+    name,
+    versions: Object.keys(versions).map(Number).sort((a, b) => a - b),
+    latest: Math.max(...Object.keys(versions).map(Number))
+  }));
+}
+
+/**
+ * Render a template into { subject, html, text, template, template_version }
+ */
+function renderTemplate(name, data, version) {
+  const template = getTemplate(name, version);
+
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}${version ? ` v${version}` : ''}`);
+  }
+
+  return {
+    template: template.name,
+    template_version: template.version,
+    subject: template.subject(data),
+    html: template.html(data),
+    text: template.text(data)
+  };
+}
+
+module.exports = {
+  getTemplate,
+  listTemplates,
+  renderTemplate
+};
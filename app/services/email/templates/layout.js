@@ -0,0 +1,69 @@
+// backend/app/services/email/templates/layout.js
+// Shared HTML shell and helpers for transactional email templates
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function formatCents(cents, currency = 'usd') {
+  const amount = (cents || 0) / 100;
+  return currency.toLowerCase() === 'usd'
+    ? `$${amount.toFixed(2)}`
+    : `${amount.toFixed(2)} ${currency.toUpperCase()}`;
+}
+
+function button(href, label) {
+  return `<a href="${escapeHtml(href)}" class="cta-button">${escapeHtml(label)}</a>`;
+}
+
+/**
+ * Wrap template content in the AmatuEdda email chrome
+ * @param {Object} options - { title, intro, body } (body is trusted HTML)
+ */
+function layout({ title, intro, body }) {
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background: #f7f7f7; padding: 30px; }
+    .card { background: white; border-left: 4px solid #667eea; padding: 20px; margin: 15px 0; border-radius: 5px; }
+    .value { color: #27ae60; font-weight: bold; font-size: 18px; }
+    .notice { padding: 15px; background: #fff3cd; border-left: 4px solid #ffc107; border-radius: 5px; }
+    .cta-button { display: inline-block; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 10px 0; font-weight: bold; }
+    table.lines { width: 100%; border-collapse: collapse; }
+    table.lines td { padding: 8px 0; border-bottom: 1px solid #e5e5e5; }
+    .footer { text-align: center; padding: 20px; color: #999; font-size: 12px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>${escapeHtml(title)}</h1>
+      ${intro ? `<p>${escapeHtml(intro)}</p>` : ''}
+    </div>
+    <div class="content">
+      ${body}
+    </div>
+    <div class="footer">
+      <p>Questions? Reply to this email or visit our support center.</p>
+      <p>© ${new Date().getFullYear()} Freedom Uprise. All rights reserved.</p>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  escapeHtml,
+  formatCents,
+  button,
+  layout
+};
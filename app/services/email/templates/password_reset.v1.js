@@ -0,0 +1,24 @@
+// Password reset link
+
+const { layout, button } = require('./layout');
+
+module.exports = {
+  name: 'password_reset',
+  version: 1,
+
+  sample: {
+    link: 'https://example.com/reset-password.html?token=sample'
+  },
+
+  subject: () => 'Reset your AmatuEdda password',
+
+  html: data => layout({
+    title: 'Reset your password',
+    body: `
+      <p>Someone asked to reset the password for this account. If it was you, choose a new password here:</p>
+      ${button(data.link, 'Reset my password')}
+      <p>This link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  }),
+
+  text: data => `Someone asked to reset the password for this account. If it was you, choose a new password here:\n\n${data.link}\n\nThis link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+};
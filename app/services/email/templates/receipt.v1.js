@@ -0,0 +1,48 @@
+// Receipt - one-off purchases and subscription renewals
+
+const { layout, escapeHtml, formatCents } = require('./layout');
+
+module.exports = {
+  name: 'receipt',
+  version: 1,
+
+  sample: {
+    order_number: 'ORD-LQ2X9K-4F7A1B',
+    paid_at: '2026-01-15T12:00:00.000Z',
+    currency: 'usd',
+    items: [{ name: 'Systasis Pro', amount_cents: 4700 }],
+    total_cents: 4700
+  },
+
+  subject: data => `Your AmatuEdda receipt ${data.order_number}`,
+
+  html: data => layout({
+    title: 'Thanks for your purchase',
+    intro: `Receipt ${data.order_number}`,
+    body: `
+      <div class="card">
+        <table class="lines">
+          ${data.items.map(item => `
+            <tr>
+              <td>${escapeHtml(item.name)}</td>
+              <td style="text-align: right;">${formatCents(item.amount_cents, data.currency)}</td>
+            </tr>
+          `).join('')}
+          <tr>
+            <td><strong>Total</strong></td>
+            <td style="text-align: right;"><strong>${formatCents(data.total_cents, data.currency)}</strong></td>
+          </tr>
+        </table>
+      </div>
+      <p>Paid on ${escapeHtml(new Date(data.paid_at).toDateString())}.</p>
+      <p>Keep this email for your records.</p>`
+  }),
+
+  text: data => [
+    `Receipt ${data.order_number}`,
+    `Paid on ${new Date(data.paid_at).toDateString()}`,
+    '',
+    ...data.items.map(item => `${item.name}: ${formatCents(item.amount_cents, data.currency)}`),
+    `Total: ${formatCents(data.total_cents, data.currency)}`
+  ].join('\n')
+};
@@ -0,0 +1,33 @@
+// Subscription downgraded - the dunning grace period ended without payment
+
+const { layout, escapeHtml, button } = require('./layout');
+
+module.exports = {
+  name: 'subscription_downgraded',
+  version: 1,
+
+  sample: {
+    from_tier: 'elite',
+    update_payment_url: 'https://example.com/billing'
+  },
+
+  subject: data => `Your ${capitalize(data.from_tier)} plan has been paused`,
+
+  html: data => layout({
+    title: 'Your account is now on the Free plan',
+    body: `
+      <p>We still couldn't collect payment for your ${escapeHtml(capitalize(data.from_tier))} subscription, so your account has moved to the Free plan.</p>
+      <p>Nothing has been deleted - your niches, searches and history are all still there. Update your payment method and your ${escapeHtml(capitalize(data.from_tier))} features come straight back.</p>
+      ${button(data.update_payment_url, 'Update payment method')}`
+  }),
+
+  text: data => [
+    `We still couldn't collect payment for your ${capitalize(data.from_tier)} subscription, so your account has moved to the Free plan.`,
+    `Nothing has been deleted - your niches, searches and history are all still there. Update your payment method and your ${capitalize(data.from_tier)} features come straight back: ${data.update_payment_url}`
+  ].join('\n\n')
+};
+
+function capitalize(value) {
+  const text = String(value || '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,44 @@
+// Trial ending - sent when Stripe says a free trial ends in three days
+
+const { layout, escapeHtml, formatCents, button } = require('./layout');
+
+module.exports = {
+  name: 'trial_ending',
+  version: 1,
+
+  sample: {
+    tier: 'elite',
+    trial_ends_at: '2026-01-18T12:00:00.000Z',
+    amount_cents: 19900,
+    currency: 'usd',
+    interval: 'year',
+    cancel_at_period_end: false,
+    manage_url: 'https://example.com/account.html'
+  },
+
+  subject: data => `Your ${capitalize(data.tier)} trial ends on ${new Date(data.trial_ends_at).toDateString()}`,
+
+  html: data => layout({
+    title: 'Your free trial is almost over',
+    intro: `Your ${capitalize(data.tier)} trial ends on ${new Date(data.trial_ends_at).toDateString()}.`,
+    body: `
+      ${data.cancel_at_period_end
+        ? `<p>You've canceled, so you won't be charged - your account moves to the Free plan when the trial ends. Your niches and history are kept.</p>`
+        : `<p>After that your ${escapeHtml(capitalize(data.tier))} plan continues at ${formatCents(data.amount_cents, data.currency)} per ${escapeHtml(data.interval)}. Nothing to do if you'd like to keep it.</p>`}
+      ${button(data.manage_url, 'Manage your plan')}`
+  }),
+
+  text: data => [
+    `Your ${capitalize(data.tier)} trial ends on ${new Date(data.trial_ends_at).toDateString()}.`,
+    data.cancel_at_period_end
+      ? `You've canceled, so you won't be charged - your account moves to the Free plan when the trial ends.`
+      : `After that your ${capitalize(data.tier)} plan continues at ${formatCents(data.amount_cents, data.currency)} per ${data.interval}.`,
+    '',
+    `Manage your plan: ${data.manage_url}`
+  ].join('\n')
+};
+
+function capitalize(value) {
+  const text = String(value || '');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
@@ -0,0 +1,28 @@
+// Workspace invitation
+
+const { layout, escapeHtml, button } = require('./layout');
+
+module.exports = {
+  name: 'workspace_invite',
+  version: 1,
+
+  sample: {
+    workspace_name: 'Growth Team',
+    inviter_email: 'owner@example.com',
+    role: 'editor',
+    link: 'https://example.com/accept-invite.html?token=sample'
+  },
+
+  subject: data => `You're invited to ${data.workspace_name} on AmatuEdda`,
+
+  html: data => layout({
+    title: 'You\'re invited!',
+    intro: `${data.inviter_email} invited you to ${data.workspace_name}`,
+    body: `
+      <p>Join <strong>${escapeHtml(data.workspace_name)}</strong> as ${escapeHtml(data.role === 'admin' ? 'an' : 'a')} <strong>${escapeHtml(data.role)}</strong> to share niches, pain points, trends and monitoring jobs.</p>
+      ${button(data.link, 'Accept invitation')}
+      <p>This invitation expires in 7 days.</p>`
+  }),
+
+  text: data => `${data.inviter_email} invited you to join ${data.workspace_name} on AmatuEdda as ${data.role}.\n\nAccept the invitation: ${data.link}\n\nThis invitation expires in 7 days.`
+};
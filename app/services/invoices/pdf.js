@@ -0,0 +1,125 @@
+// backend/app/services/invoices/pdf.js
+// Minimal single-page PDF writer for receipts
+//
+// Text in the standard Helvetica fonts (no embedding) plus rules - enough
+// for an invoice without pulling in a PDF library. Characters outside
+// WinAnsi (Latin-1) are printed as '?'.
+
+const PAGE_WIDTH = 612;   // US Letter, in points
+const PAGE_HEIGHT = 792;
+
+// Helvetica advance widths (1/1000 em) for the characters amounts use;
+// anything else is estimated, which is fine for left-aligned text
+const GLYPH_WIDTHS = {
+  ' ': 278, '$': 556, '.': 278, ',': 278, '-': 333, '×': 584,
+  '0': 556, '1': 556, '2': 556, '3': 556, '4': 556, '5': 556, '6': 556, '7': 556, '8': 556, '9': 556
+};
+const DEFAULT_GLYPH_WIDTH = 600;
+
+class PdfPage {
+  constructor() {
+    this.ops = [];
+  }
+
+  /**
+   * Draw text with its baseline at y (from the bottom of the page)
+   * @param {Object} options - { size, bold, align: 'left' | 'right' }
+   */
+  text(x, y, value, { size = 10, bold = false, align = 'left' } = {}) {
+    const str = String(value ?? '');
+    const left = align === 'right' ? x - textWidth(str, size) : x;
+
+    this.ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${fixed(left)} ${fixed(y)} Td (${escapeText(str)}) Tj ET`);
+    return this;
+  }
+
+  /**
+   * Horizontal or vertical rule
+   */
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.ops.push(`${width} w ${fixed(x1)} ${fixed(y1)} m ${fixed(x2)} ${fixed(y2)} l S`);
+    return this;
+  }
+
+  /**
+   * The finished document
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const content = Buffer.from(this.ops.join('\n'), 'latin1');
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        '/Resources << /Font << /F1 4 0 R /F2 5 0 R >> >> /Contents 6 0 R >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      Buffer.concat([
+        Buffer.from(`<< /Length ${content.length} >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream', 'latin1')
+      ])
+    ];
+
+    const chunks = [Buffer.from('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n', 'latin1')];
+    const offsets = [];
+    let length = chunks[0].length;
+
+    objects.forEach((body, index) => {
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, 'latin1'),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+        Buffer.from('\nendobj\n', 'latin1')
+      ]);
+
+      offsets.push(length);
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+
+    const xref = [
+      'xref',
+      `0 ${objects.length + 1}`,
+      '0000000000 65535 f ',
+      ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+      'trailer',
+      `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+      'startxref',
+      String(length),
+      '%%EOF'
+    ].join('\n');
+
+    chunks.push(Buffer.from(`${xref}\n`, 'latin1'));
+    return Buffer.concat(chunks);
+  }
+}
+
+function textWidth(str, size) {
+  let units = 0;
+  for (const char of str) {
+    units += GLYPH_WIDTHS[char] || DEFAULT_GLYPH_WIDTH;
+  }
+  return units * size / 1000;
+}
+
+/**
+ * PDF string literal body: Latin-1 only, with ( ) \ escaped
+ */
+function escapeText(str) {
+  return [...str]
+    .map(char => (char.charCodeAt(0) > 0xFF ? '?' : char))
+    .join('')
+    .replace(/[\\()]/g, match => `\\${match}`)
+    .replace(/[\r\n]+/g, ' ');
+}
+
+function fixed(value) {
+  return Number(value).toFixed(2);
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  createPage: () => new PdfPage()
+};
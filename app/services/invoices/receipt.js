@@ -0,0 +1,167 @@
+// backend/app/services/invoices/receipt.js
+// Printable receipt for an invoice, as HTML or PDF
+//
+// Both show the invoice as issued; refunds since then are noted below the
+// total from the live order.
+
+const { escapeHtml, formatCents } = require('../email/templates/layout');
+const { createPage, PAGE_HEIGHT } = require('./pdf');
+
+// Seller block on every receipt
+const SELLER = {
+  name: process.env.INVOICE_SELLER_NAME || 'Freedom Uprise',
+  address: (process.env.INVOICE_SELLER_ADDRESS || '').split('|').map(line => line.trim()).filter(Boolean),
+  tax_id: process.env.INVOICE_SELLER_TAX_ID || null
+};
+
+// Lines that fit on the single PDF page
+const MAX_PDF_ITEMS = 20;
+
+function html(invoice, order = null) {
+  const refunded = order?.refunded_cents || 0;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.invoice_number)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 720px; margin: 40px auto; padding: 0 20px; }
+    h1 { font-size: 24px; margin-bottom: 4px; }
+    .meta, .parties { display: flex; justify-content: space-between; margin: 24px 0; }
+    .muted { color: #777; }
+    table { width: 100%; border-collapse: collapse; margin-top: 24px; }
+    th, td { padding: 8px 0; border-bottom: 1px solid #e5e5e5; text-align: left; }
+    .amount { text-align: right; }
+    .total td { font-weight: bold; border-bottom: none; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Invoice ${escapeHtml(invoice.invoice_number)}</h1>
+  <div class="muted">Paid - ${escapeHtml(formatDate(invoice.paid_at))}</div>
+
+  <div class="parties">
+    <div>
+      <strong>${escapeHtml(SELLER.name)}</strong><br>
+      ${SELLER.address.map(escapeHtml).join('<br>')}
+      ${SELLER.tax_id ? `<br>Tax ID: ${escapeHtml(SELLER.tax_id)}` : ''}
+    </div>
+    <div class="amount">
+      <span class="muted">Billed to</span><br>
+      ${escapeHtml(invoice.customer_email || '-')}
+    </div>
+  </div>
+
+  <div class="meta">
+    <div><span class="muted">Order</span><br>${escapeHtml(invoice.order_number || invoice.order_id)}</div>
+    <div><span class="muted">Issued</span><br>${escapeHtml(formatDate(invoice.issued_at))}</div>
+  </div>
+
+  <table>
+    <tr><th>Description</th><th>Qty</th><th class="amount">Amount</th></tr>
+    ${invoice.items.map(item => `
+    <tr>
+      <td>${escapeHtml(item.description)}</td>
+      <td>${escapeHtml(item.quantity || 1)}</td>
+      <td class="amount">${formatCents(item.amount_cents, invoice.currency)}</td>
+    </tr>`).join('')}
+    ${invoice.subtotal_cents !== invoice.total_cents ? `
+    <tr><td colspan="2">Subtotal</td><td class="amount">${formatCents(invoice.subtotal_cents, invoice.currency)}</td></tr>
+    <tr><td colspan="2">Discount</td><td class="amount">-${formatCents(invoice.subtotal_cents - invoice.total_cents, invoice.currency)}</td></tr>` : ''}
+    <tr class="total"><td colspan="2">Total paid</td><td class="amount">${formatCents(invoice.total_cents, invoice.currency)}</td></tr>
+    ${refunded > 0 ? `
+    <tr><td colspan="2">Refunded</td><td class="amount">-${formatCents(refunded, invoice.currency)}</td></tr>` : ''}
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * @returns {Buffer}
+ */
+function pdf(invoice, order = null) {
+  const page = createPage();
+  const refunded = order?.refunded_cents || 0;
+  const left = 56;
+  const right = 556;
+  let y = PAGE_HEIGHT - 72;
+
+  page.text(left, y, `Invoice ${invoice.invoice_number}`, { size: 20, bold: true });
+  y -= 18;
+  page.text(left, y, `Paid - ${formatDate(invoice.paid_at)}`, { size: 10 });
+
+  // Seller and customer
+  y -= 36;
+  page.text(left, y, SELLER.name, { bold: true });
+  page.text(right, y, 'Billed to', { align: 'right' });
+  y -= 14;
+  page.text(right, y, invoice.customer_email || '-', { align: 'right' });
+  for (const line of [...SELLER.address, ...(SELLER.tax_id ? [`Tax ID: ${SELLER.tax_id}`] : [])]) {
+    page.text(left, y, line);
+    y -= 14;
+  }
+
+  y -= 16;
+  page.text(left, y, `Order ${invoice.order_number || invoice.order_id}`);
+  page.text(right, y, `Issued ${formatDate(invoice.issued_at)}`, { align: 'right' });
+
+  // Lines
+  y -= 30;
+  page.text(left, y, 'Description', { bold: true });
+  page.text(400, y, 'Qty', { bold: true });
+  page.text(right, y, 'Amount', { bold: true, align: 'right' });
+  y -= 8;
+  page.line(left, y, right, y);
+
+  const items = invoice.items.slice(0, MAX_PDF_ITEMS);
+  for (const item of items) {
+    y -= 18;
+    page.text(left, y, truncate(item.description, 60));
+    page.text(400, y, item.quantity || 1);
+    page.text(right, y, formatCents(item.amount_cents, invoice.currency), { align: 'right' });
+  }
+
+  if (invoice.items.length > items.length) {
+    y -= 18;
+    page.text(left, y, `... and ${invoice.items.length - items.length} more`);
+  }
+
+  y -= 10;
+  page.line(left, y, right, y);
+
+  if (invoice.subtotal_cents !== invoice.total_cents) {
+    y -= 18;
+    page.text(left, y, 'Subtotal');
+    page.text(right, y, formatCents(invoice.subtotal_cents, invoice.currency), { align: 'right' });
+    y -= 18;
+    page.text(left, y, 'Discount');
+    page.text(right, y, `-${formatCents(invoice.subtotal_cents - invoice.total_cents, invoice.currency)}`, { align: 'right' });
+  }
+
+  y -= 20;
+  page.text(left, y, 'Total paid', { bold: true, size: 12 });
+  page.text(right, y, formatCents(invoice.total_cents, invoice.currency), { bold: true, size: 12, align: 'right' });
+
+  if (refunded > 0) {
+    y -= 18;
+    page.text(left, y, 'Refunded');
+    page.text(right, y, `-${formatCents(refunded, invoice.currency)}`, { align: 'right' });
+  }
+
+  return page.toBuffer();
+}
+
+function formatDate(value) {
+  return new Date(value).toISOString().slice(0, 10);
+}
+
+function truncate(text, length) {
+  const str = String(text || '');
+  return str.length > length ? `${str.slice(0, length - 3)}...` : str;
+}
+
+module.exports = {
+  html,
+  pdf
+};
@@ -5,8 +5,9 @@ const groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
  * Analyze niche based on user tier with formatted HTML output
  * @param {string} nicheQuery - The niche to analyze
  * @param {string} tier - User tier: 'free', 'elite', or 'oracle'
+ * @param {Object} options - { maxTokens } to cap completion length (fair-use throttling)
  */
-async function analyzeNiche(nicheQuery, tier = 'free') {
+async function analyzeNiche(nicheQuery, tier = 'free', options = {}) {
   try {
     // Select model and prompt based on tier
     const { model, systemPrompt, userPrompt } = getAnalysisConfig(nicheQuery, tier);
@@ -20,7 +21,7 @@ async function analyzeNiche(nicheQuery, tier = 'free') {
         { role: "user", content: userPrompt }
       ],
       temperature: tier === 'oracle' ? 0.35 : 0.5,
-      max_tokens: tier === 'free' ? 2000 : (tier === 'elite' ? 3500 : 4500)
+      max_tokens: options.maxTokens || (tier === 'free' ? 2000 : (tier === 'elite' ? 3500 : 4500))
     });
 
     const analysisMarkdown = completion.choices[0].message.content;
@@ -0,0 +1,21 @@
+// backend/app/services/reports/csv.js
+// CSV for admin exports (reports, affiliate payout batches)
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array} header - column names
+ * @param {Array} lines - one array of values per row
+ */
+function toCsv(header, lines) {
+  return [header, ...lines].map(line => line.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  csvField,
+  toCsv
+};
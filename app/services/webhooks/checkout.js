@@ -0,0 +1,178 @@
+// backend/app/services/webhooks/checkout.js
+// Completed checkouts and one-time payment events
+//
+// checkout.session.completed is routed to the handler for its product kind
+// (registry.js). One-time products run in a database transaction; the
+// receipt and bonus emails go out after COMMIT. One-click upsells (see
+// CartService) arrive as payment_intent.succeeded and go the same way.
+
+const { Pool } = require('pg');
+const CartService = require('../CartService');
+const EmailService = require('../EmailService');
+const ProductService = require('../ProductService');
+const registry = require('./registry');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// ============================================================================
+// CHECKOUT COMPLETION HANDLER
+// Routes to the product kind's handler: subscriptions, or the product's order table
+// ============================================================================
+
+async function handleCheckoutCompleted(session) {
+  if (session.mode === 'subscription') {
+    return runProductKind('subscription', session, {});
+  }
+  
+  return fulfilOrder(session);
+}
+
+/**
+ * Create the order for a paid one-time checkout (or upsell). The product
+ * kind is the first item's; a cart's items all share it.
+ */
+async function fulfilOrder(session) {
+  const { product_id } = session.metadata || {};
+  
+  if (!product_id) {
+    console.log(`Checkout ${session.id} has no product_id - not an AmatuEdda product checkout`);
+    return;
+  }
+  
+  // Archived since the checkout started - the order still has to go through
+  const product = await ProductService.get(product_id, { includeArchived: true });
+  if (!product) {
+    throw new Error(`Unknown product: ${product_id}`);
+  }
+  
+  console.log(`Processing order for ${product_id} → ${product.table}`);
+  
+  const client = await pool.connect();
+  let order;
+  
+  try {
+    await client.query('BEGIN');
+    
+    order = await runProductKind(product.table, session, { client, product });
+    
+    await client.query('COMMIT');
+    console.log(`✓ Order processed successfully for ${product_id}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Order processing failed:', error);
+    throw error;
+  } finally {
+    client.release();
+  }
+  
+  // Already fulfilled by an earlier delivery, which sent the emails
+  if (order?.duplicate) return;
+  
+  // Emails go out after COMMIT so they only describe persisted orders
+  await sendOrderEmails(session, order);
+}
+
+function runProductKind(kind, session, context) {
+  const handler = registry.getProductKind(kind);
+  
+  if (!handler) {
+    throw new Error(`No checkout handler for product kind: ${kind}`);
+  }
+  
+  return handler(session, context);
+}
+
+// ============================================================================
+// PAYMENT SUCCESS/FAILURE HANDLERS
+// ============================================================================
+
+async function handlePaymentSuccess(paymentIntent) {
+  console.log(`✓ Payment succeeded: ${paymentIntent.id}`);
+  
+  // Checkout payments are handled by checkout.session.completed
+  if (paymentIntent.metadata?.upsell_of) {
+    await fulfilOrder(CartService.upsellSession(paymentIntent));
+  }
+}
+
+async function handlePaymentFailed(paymentIntent) {
+  console.error(`✗ Payment failed: ${paymentIntent.id}`);
+  // Log failure, notify user, etc.
+}
+
+// ============================================================================
+// EMAIL NOTIFICATION
+// Receipt for every order, plus bonus delivery when an item grants bonuses
+// ============================================================================
+
+async function sendOrderEmails(session, order) {
+  const email = session.customer_email || session.customer_details?.email;
+  if (!email) return;
+  
+  const items = [];
+  for (const item of CartService.itemsFromSession(session)) {
+    const product = await ProductService.get(item.product_id, { includeArchived: true });
+    items.push({ ...item, product });
+  }
+  
+  try {
+    await EmailService.sendTemplate('receipt', email, {
+      order_number: order.orderNumber,
+      paid_at: new Date().toISOString(),
+      currency: session.currency || 'usd',
+      items: items.map(item => ({
+        name: item.quantity > 1 ? `${item.product?.name || item.product_id} × ${item.quantity}` : item.product?.name || item.product_id,
+        amount_cents: item.amount_cents
+      })),
+      total_cents: session.amount_total
+    });
+  } catch (error) {
+    console.error('Error sending receipt email:', error);
+  }
+  
+  if (order.orderId && items.some(item => item.product?.bonuses.length > 0)) {
+    await sendBonusDeliveryEmail(email, order.orderId);
+  }
+}
+
+async function sendBonusDeliveryEmail(email, orderId) {
+  try {
+    // Get bonuses for this order
+    const result = await pool.query(`
+      SELECT 
+        uba.access_key,
+        bp.name,
+        bp.access_url,
+        bp.download_url,
+        bp.retail_value_cents
+      FROM user_bonus_access uba
+      JOIN bonus_products bp ON bp.id = uba.bonus_id
+      WHERE uba.granted_via_order_id = $1
+    `, [orderId]);
+    
+    const bonuses = result.rows;
+    
+    if (bonuses.length === 0) {
+      return; // No bonuses for this order
+    }
+    
+    await EmailService.sendTemplate('bonus_delivery', email, {
+      order_id: orderId,
+      bonuses
+    });
+    
+    console.log(`Bonus delivery email sent to ${email}`);
+  } catch (error) {
+    console.error('Error sending bonus email:', error);
+  }
+}
+
+module.exports = {
+  events: {
+    'checkout.session.completed': handleCheckoutCompleted,
+    'payment_intent.succeeded': handlePaymentSuccess,
+    'payment_intent.payment_failed': handlePaymentFailed
+  }
+};
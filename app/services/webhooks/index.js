@@ -0,0 +1,22 @@
+// backend/app/services/webhooks/index.js
+// Loads every Stripe webhook handler module into the registry
+//
+// Each module exports { events, productKinds } (see registry.js). To sell a
+// new kind of product, add a module with a productKinds entry keyed by its
+// order table and list it here.
+
+const registry = require('./registry');
+
+const HANDLER_MODULES = [
+  require('./checkout'),
+  require('./subscriptions'),
+  require('./orders'),
+  require('./refunds'),
+  require('./revenue')
+];
+
+for (const handlerModule of HANDLER_MODULES) {
+  registry.register(handlerModule);
+}
+
+module.exports = registry;
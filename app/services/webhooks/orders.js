@@ -0,0 +1,373 @@
+// backend/app/services/webhooks/orders.js
+// One-time product checkouts: Scout-Faire credit packs, Systasis orders and
+// Trail-Maker funnels. Each runs inside the checkout's transaction
+// (see checkout.js): (session, { client, product }) => { orderId?, orderNumber, duplicate? }
+// Systasis orders can hold a whole cart (CartService).
+//
+// Handlers are idempotent per payment (migration 024): a redelivered event
+// returns the existing order with duplicate: true and changes nothing.
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const AffiliateService = require('../AffiliateService');
+const CartService = require('../CartService');
+const CreditService = require('../CreditService');
+const InvoiceService = require('../InvoiceService');
+const OrderService = require('../OrderService');
+const ProductService = require('../ProductService');
+const { CREDIT_PACK_TABLE } = OrderService;
+
+// ============================================================================
+// SCOUT-FAIRE PURCHASE HANDLER
+// ============================================================================
+
+async function handleScoutFairePurchase(session, { client, product }) {
+  const email = session.customer_email;
+  let userId = session.client_reference_id;
+  
+  if (await creditPackFulfilled(client, session.id)) {
+    console.log(`↩️ Credit pack ${session.id} already fulfilled - skipping`);
+    return { orderNumber: session.id, duplicate: true };
+  }
+  
+  const credits = await creditsPaidFor(session);
+  
+  // Guest checkout: credit the account registered under the checkout email
+  if (!userId && email) {
+    const userResult = await client.query('SELECT id FROM users WHERE email = $1', [email.toLowerCase()]);
+    userId = userResult.rows[0]?.id || null;
+  }
+  
+  // Use existing Scout-Faire function (purchase record)
+  await client.query(
+    'SELECT process_scout_faire_purchase($1, $2, $3, $4, $5)',
+    [
+      userId,
+      session.id,
+      product.name,
+      credits,
+      session.amount_total
+    ]
+  );
+  
+  await bookAffiliateCommission(session, client, CREDIT_PACK_TABLE, session.id, userId);
+  
+  await issueInvoice(session, client, CREDIT_PACK_TABLE, session.id, session.id, userId, [
+    { description: product.name, quantity: 1, amount_cents: session.amount_total }
+  ]);
+  
+  // Marks the checkout fulfilled (creditPackFulfilled), guest or not
+  await OrderService.recordEvent(client, CREDIT_PACK_TABLE, session.id, 'created', {
+    amountCents: session.amount_total,
+    details: { credits }
+  });
+  
+  if (!userId) {
+    console.warn(`⚠️ No account for ${email} - ${credits} credits from ${session.id} not added to a wallet`);
+    return { orderNumber: session.id };
+  }
+  
+  // Wallet credit - idempotent on the checkout session, so webhook retries don't double up
+  await CreditService.grant(userId, credits, {
+    kind: 'purchase',
+    reference: session.id,
+    description: product.name,
+    metadata: {
+      product_id: session.metadata.product_id,
+      amount_cents: session.amount_total,
+      payment_intent: session.payment_intent
+    }
+  }, client);
+  
+  console.log(`✓ Added ${credits} credits to user ${userId}`);
+  
+  return { orderNumber: session.id };
+}
+
+// ============================================================================
+// SYSTASIS PURCHASE HANDLER
+// ============================================================================
+
+async function handleSystasisPurchase(session, { client, product }) {
+  const userId = session.client_reference_id;
+  const email = session.customer_email;
+  const affiliateId = session.metadata.affiliate_id || 'DIRECT';
+  const items = CartService.itemsFromSession(session);
+  
+  const orderNumber = OrderService.generateOrderNumber();
+  
+  // Upsell: link it to the order it was offered after
+  let parentOrderId = null;
+  if (session.metadata.upsell_of_payment_intent) {
+    const parent = await client.query(
+      'SELECT id FROM systasis_orders WHERE payment_intent_id = $1',
+      [session.metadata.upsell_of_payment_intent]
+    );
+    parentOrderId = parent.rows[0] ? String(parent.rows[0].id) : null;
+  }
+  
+  // 1. Create order
+  const orderResult = await client.query(`
+    INSERT INTO systasis_orders (
+      user_id,
+      order_number,
+      items,
+      subtotal_cents,
+      total_cents,
+      affiliate_id,
+      customer_email,
+      payment_provider,
+      payment_intent_id,
+      payment_status,
+      order_status,
+      parent_order_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'stripe', $8, 'completed', 'completed', $9)
+    ON CONFLICT (payment_intent_id) WHERE payment_intent_id IS NOT NULL DO NOTHING
+    RETURNING id
+  `, [
+    userId,
+    orderNumber,
+    JSON.stringify(items),
+    items.reduce((sum, item) => sum + item.unit_cents * item.quantity, 0),
+    session.amount_total,
+    affiliateId,
+    email,
+    session.payment_intent,
+    parentOrderId
+  ]);
+  
+  if (orderResult.rows.length === 0) {
+    return existingOrder(client, 'systasis_orders', session.payment_intent);
+  }
+  
+  const orderId = orderResult.rows[0].id;
+  
+  // 2. Grant bonuses (delivery email is sent after COMMIT)
+  const bonusesGranted = await grantCartBonuses(client, orderId, userId, email, items);
+  
+  console.log(`✓ Order ${orderId} created with ${items.length} item(s) and ${bonusesGranted} bonuses`);
+  
+  // 3. Affiliate commission at each product's rate (commission ledger)
+  const commission = await bookAffiliateCommission(session, client, 'systasis_orders', orderId, userId, items);
+  
+  if (commission) {
+    await client.query(`
+      UPDATE systasis_orders
+      SET affiliate_commission_cents = $1
+      WHERE id = $2
+    `, [commission.amount_cents, orderId]);
+  }
+  
+  const lines = [];
+  for (const item of items) {
+    const itemProduct = item.product_id === product.id
+      ? product
+      : await ProductService.get(item.product_id, { includeArchived: true });
+    lines.push({
+      description: itemProduct?.name || item.product_id,
+      quantity: item.quantity,
+      amount_cents: item.amount_cents
+    });
+  }
+  await issueInvoice(session, client, 'systasis_orders', orderId, orderNumber, userId, lines);
+  
+  await OrderService.recordEvent(client, 'systasis_orders', orderId, 'created', {
+    amountCents: session.amount_total,
+    details: {
+      order_number: orderNumber,
+      items: items.map(item => item.product_id),
+      bonuses_granted: bonusesGranted,
+      ...(parentOrderId && { upsell_of: parentOrderId })
+    }
+  });
+  
+  return { orderId, orderNumber };
+}
+
+// ============================================================================
+// TRAIL-MAKER PURCHASE HANDLER
+// ============================================================================
+
+async function handleTrailMakerPurchase(session, { client, product }) {
+  const userId = session.client_reference_id;
+  const email = session.customer_email;
+  const { forge_run_id, tier } = session.metadata;
+  const orderNumber = OrderService.generateOrderNumber();
+  
+  // Create Trail-Maker order
+  const orderResult = await client.query(`
+    INSERT INTO trail_maker_orders (
+      user_id,
+      forge_run_id,
+      funnel_tier,
+      order_number,
+      amount_cents,
+      customer_email,
+      payment_intent_id,
+      order_status
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, 'completed')
+    ON CONFLICT (payment_intent_id) WHERE payment_intent_id IS NOT NULL DO NOTHING
+    RETURNING id
+  `, [
+    userId,
+    forge_run_id,
+    tier,
+    orderNumber,
+    session.amount_total,
+    email,
+    session.payment_intent
+  ]);
+  
+  if (orderResult.rows.length === 0) {
+    return existingOrder(client, 'trail_maker_orders', session.payment_intent);
+  }
+  
+  await bookAffiliateCommission(session, client, 'trail_maker_orders', orderResult.rows[0].id, userId);
+  
+  await issueInvoice(session, client, 'trail_maker_orders', orderResult.rows[0].id, orderNumber, userId, [
+    { description: product.name || `Trail-Maker ${tier}`, quantity: 1, amount_cents: session.amount_total }
+  ]);
+  
+  await OrderService.recordEvent(client, 'trail_maker_orders', orderResult.rows[0].id, 'created', {
+    amountCents: session.amount_total,
+    details: { order_number: orderNumber, funnel_tier: tier }
+  });
+  
+  console.log(`✓ Trail-Maker order for ${tier} tier`);
+  
+  return { orderNumber };
+}
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+
+/**
+ * The order a previous delivery of this payment created
+ */
+async function existingOrder(client, orderTable, paymentIntentId) {
+  const result = await client.query(
+    `SELECT id, order_number FROM ${orderTable} WHERE payment_intent_id = $1`,
+    [paymentIntentId]
+  );
+  const order = result.rows[0];
+  
+  console.log(`↩️ ${orderTable} order ${order.order_number} already exists for ${paymentIntentId} - skipping`);
+  return { orderId: order.id, orderNumber: order.order_number, duplicate: true };
+}
+
+/**
+ * Credit packs have no order row: the 'created' order event marks the
+ * checkout as fulfilled. The lock holds a concurrent delivery until this
+ * transaction commits.
+ */
+async function creditPackFulfilled(client, sessionId) {
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${CREDIT_PACK_TABLE}:${sessionId}`]);
+  
+  const result = await client.query(
+    `SELECT 1 FROM order_events WHERE order_table = $1 AND order_id = $2 AND action = 'created'`,
+    [CREDIT_PACK_TABLE, sessionId]
+  );
+  return result.rows.length > 0;
+}
+
+function bookAffiliateCommission(session, client, orderTable, orderId, buyerUserId, items = null) {
+  return AffiliateService.recordCommission({
+    orderTable,
+    orderId,
+    productId: session.metadata.product_id,
+    saleCents: session.amount_total,
+    items,
+    code: session.metadata.affiliate_id,
+    clickId: session.metadata.affiliate_click_id,
+    buyerUserId,
+    buyerEmail: session.customer_email || session.customer_details?.email
+  }, client);
+}
+
+/**
+ * Credits bought in a credit pack checkout, from the prices Stripe charged -
+ * never from metadata, which the client can set
+ */
+async function creditsPaidFor(session) {
+  const packs = await ProductService.list({ orderTable: CREDIT_PACK_TABLE, includeArchived: true });
+  const lineItems = await stripe.checkout.sessions.listLineItems(session.id, { limit: 100 });
+  let credits = 0;
+
+  for (const line of lineItems.data) {
+    const pack = packs.find(candidate => candidate.stripe_price_id === line.price?.id);
+    if (!pack) {
+      throw new Error(`Checkout ${session.id}: price ${line.price?.id} is not a credit pack`);
+    }
+    credits += pack.credits * (line.quantity || 1);
+  }
+
+  if (credits <= 0) {
+    throw new Error(`Checkout ${session.id} has no credit pack line items`);
+  }
+
+  return credits;
+}
+
+/**
+ * Invoice in the order's transaction, so its number is only used if the
+ * order commits. Subtotal is before checkout discounts.
+ */
+function issueInvoice(session, client, orderTable, orderId, orderNumber, userId, lines) {
+  return InvoiceService.issue(client, {
+    orderTable,
+    orderId,
+    orderNumber,
+    userId,
+    email: session.customer_email || session.customer_details?.email,
+    currency: session.currency,
+    items: lines,
+    subtotalCents: session.amount_subtotal ?? session.amount_total,
+    totalCents: session.amount_total,
+    paidAt: session.created ? new Date(session.created * 1000) : new Date()
+  });
+}
+
+/**
+ * Bonuses for every item in the cart. Products share bonuses (Systasis and
+ * Chronos both include Two Brothers Engineer), so a bonus granted by more
+ * than one item is kept once.
+ * @returns {number} bonuses granted
+ */
+async function grantCartBonuses(client, orderId, userId, email, items) {
+  for (const item of items) {
+    await client.query(
+      'SELECT * FROM grant_bonuses_for_order($1, $2, $3, $4)',
+      [orderId, userId, email, item.product_id]
+    );
+  }
+  
+  if (items.length > 1) {
+    await client.query(`
+      DELETE FROM user_bonus_access
+      WHERE granted_via_order_id = $1
+      AND ctid NOT IN (
+        SELECT DISTINCT ON (bonus_id) ctid
+        FROM user_bonus_access
+        WHERE granted_via_order_id = $1
+        ORDER BY bonus_id, ctid
+      )
+    `, [orderId]);
+  }
+  
+  const granted = await client.query(
+    'SELECT COUNT(*)::int AS count FROM user_bonus_access WHERE granted_via_order_id = $1',
+    [orderId]
+  );
+  
+  return granted.rows[0].count;
+}
+
+module.exports = {
+  productKinds: {
+    'scout_faire_transactions': handleScoutFairePurchase,
+    'systasis_orders': handleSystasisPurchase,
+    'trail_maker_orders': handleTrailMakerPurchase
+  }
+};
@@ -0,0 +1,305 @@
+// backend/app/services/webhooks/refunds.js
+// Refunds, disputes and chargebacks on one-time orders
+//
+// A refund or dispute takes back what the order granted: Systasis bonuses are
+// revoked, credit packs are clawed back from the wallet (as far as the
+// balance allows) and affiliate commissions reversed in the commission
+// ledger. A won dispute restores them. Each event runs in one transaction and adds an order timeline entry.
+
+const { Pool } = require('pg');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const AffiliateService = require('../AffiliateService');
+const CreditService = require('../CreditService');
+const OrderService = require('../OrderService');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+});
+
+// Closed dispute statuses that leave the money with us
+const DISPUTE_WON_STATUSES = ['won', 'warning_closed'];
+
+// ============================================================================
+// REFUNDS
+// charge.refunded carries the cumulative amount refunded, so every step sets
+// totals rather than adding to them
+// ============================================================================
+
+async function handleChargeRefunded(charge, event) {
+  await withOrder(charge.payment_intent, async (order, client) => {
+    const full = charge.refunded;
+    const refundedCents = charge.amount_refunded;
+    let details;
+
+    if (order.table === 'systasis_orders') {
+      details = await refundSystasisOrder(order, { full, refundedCents, paidCents: charge.amount }, client);
+    } else if (order.table === 'trail_maker_orders') {
+      await client.query(`
+        UPDATE trail_maker_orders
+        SET refunded_cents = $1, order_status = $2
+        WHERE id = $3
+      `, [refundedCents, full ? 'refunded' : 'partially_refunded', order.id]);
+      details = {};
+    } else {
+      details = await refundCreditPack(order, { full, refundedCents, paidCents: order.amount_cents || charge.amount, charge }, client);
+    }
+
+    const commissionReversed = await AffiliateService.reverseCommission(order.table, order.id, { refundedCents, full }, client);
+    if (commissionReversed) {
+      details.commission_reversed_cents = commissionReversed;
+    }
+
+    await OrderService.recordEvent(client, order.table, order.id, full ? 'refunded' : 'partially_refunded', {
+      amountCents: refundedCents,
+      details: { charge_id: charge.id, ...details },
+      stripeEventId: event.id
+    });
+
+    console.log(`↩️ ${order.table} ${order.id} ${full ? 'refunded' : 'partially refunded'} ($${refundedCents / 100})`);
+  });
+}
+
+async function refundSystasisOrder(order, { full, refundedCents, paidCents }, client) {
+  const commission = order.row.affiliate_commission_cents || 0;
+  const reversed = full ? commission : Math.floor(commission * refundedCents / paidCents);
+
+  await client.query(`
+    UPDATE systasis_orders
+    SET refunded_cents = $1,
+        payment_status = $2,
+        order_status = CASE WHEN $3::boolean THEN 'refunded' ELSE order_status END,
+        affiliate_commission_reversed_cents = GREATEST(affiliate_commission_reversed_cents, $4)
+    WHERE id = $5
+  `, [refundedCents, full ? 'refunded' : 'partially_refunded', full, reversed, order.id]);
+
+  // A partial refund keeps the bonuses - the buyer still paid for the product
+  const revoked = full ? await revokeBonuses(order.id, 'refund', client) : 0;
+
+  return { commission_reversed_cents: reversed, bonuses_revoked: revoked };
+}
+
+async function refundCreditPack(order, { full, refundedCents, paidCents, charge }, client) {
+  const credits = order.row.amount;
+  const owed = full ? credits : Math.floor(credits * refundedCents / paidCents);
+  const due = owed - await clawedBack(order, client);
+
+  if (due <= 0) {
+    return { credits_clawed_back: 0 };
+  }
+
+  const clawback = await CreditService.clawback(order.row.user_id, due, {
+    reference: `refund:${charge.id}:${refundedCents}`,
+    description: `Refund: ${order.row.description || 'credit pack'}`,
+    metadata: { order_reference: order.id, payment_intent: charge.payment_intent }
+  }, client);
+
+  return { credits_clawed_back: clawback.taken, credits_shortfall: clawback.shortfall };
+}
+
+// ============================================================================
+// DISPUTES
+// Opening a dispute suspends what the order granted; the outcome either
+// restores it (won) or makes it final (lost - a chargeback)
+// ============================================================================
+
+async function handleDisputeCreated(dispute, event) {
+  const paymentIntentId = await disputePaymentIntent(dispute);
+
+  await withOrder(paymentIntentId, async (order, client) => {
+    const details = { dispute_id: dispute.id, reason: dispute.reason };
+
+    if (order.table === 'systasis_orders') {
+      await client.query(`
+        UPDATE systasis_orders
+        SET payment_status = 'disputed', disputed_at = NOW()
+        WHERE id = $1
+      `, [order.id]);
+      details.bonuses_suspended = await revokeBonuses(order.id, 'dispute', client);
+    } else if (order.table === 'trail_maker_orders') {
+      await client.query(`
+        UPDATE trail_maker_orders
+        SET order_status = 'disputed', disputed_at = NOW()
+        WHERE id = $1
+      `, [order.id]);
+    } else {
+      const due = order.row.amount - await clawedBack(order, client);
+
+      if (due > 0) {
+        const clawback = await CreditService.clawback(order.row.user_id, due, {
+          reference: `dispute:${dispute.id}`,
+          description: `Disputed payment: ${order.row.description || 'credit pack'}`,
+          metadata: { order_reference: order.id, payment_intent: paymentIntentId }
+        }, client);
+        details.credits_clawed_back = clawback.taken;
+        details.credits_shortfall = clawback.shortfall;
+      }
+    }
+
+    details.commission_held = await AffiliateService.holdCommission(order.table, order.id, client);
+
+    await OrderService.recordEvent(client, order.table, order.id, 'dispute_opened', {
+      amountCents: dispute.amount,
+      details,
+      stripeEventId: event.id
+    });
+
+    console.log(`⚠️ Dispute ${dispute.id} opened on ${order.table} ${order.id} (${dispute.reason})`);
+  });
+}
+
+async function handleDisputeClosed(dispute, event) {
+  const paymentIntentId = await disputePaymentIntent(dispute);
+  const won = DISPUTE_WON_STATUSES.includes(dispute.status);
+
+  await withOrder(paymentIntentId, async (order, client) => {
+    const details = { dispute_id: dispute.id, status: dispute.status };
+
+    if (order.table === 'systasis_orders') {
+      if (won) {
+        await client.query(`
+          UPDATE systasis_orders
+          SET payment_status = CASE WHEN refunded_cents > 0 THEN 'partially_refunded' ELSE 'completed' END
+          WHERE id = $1
+        `, [order.id]);
+
+        const restored = await client.query(`
+          UPDATE user_bonus_access
+          SET revoked_at = NULL, revoke_reason = NULL
+          WHERE granted_via_order_id = $1 AND revoke_reason = 'dispute'
+        `, [order.id]);
+        details.bonuses_restored = restored.rowCount;
+      } else {
+        await client.query(`
+          UPDATE systasis_orders
+          SET payment_status = 'chargeback',
+              order_status = 'chargeback',
+              affiliate_commission_reversed_cents = COALESCE(affiliate_commission_cents, 0)
+          WHERE id = $1
+        `, [order.id]);
+
+        // Suspended bonuses stay revoked, now for good
+        await client.query(`
+          UPDATE user_bonus_access
+          SET revoke_reason = 'chargeback'
+          WHERE granted_via_order_id = $1 AND revoke_reason = 'dispute'
+        `, [order.id]);
+        details.commission_reversed_cents = order.row.affiliate_commission_cents || 0;
+      }
+    } else if (order.table === 'trail_maker_orders') {
+      await client.query(`
+        UPDATE trail_maker_orders
+        SET order_status = CASE
+          WHEN $2::boolean THEN (CASE WHEN refunded_cents > 0 THEN 'partially_refunded' ELSE 'completed' END)
+          ELSE 'chargeback'
+        END
+        WHERE id = $1
+      `, [order.id, won]);
+    } else if (won) {
+      const taken = await client.query(`
+        SELECT COALESCE(-SUM(amount), 0)::int AS credits
+        FROM credit_transactions
+        WHERE kind = 'clawback' AND reference = $1
+      `, [`dispute:${dispute.id}`]);
+      const credits = taken.rows[0].credits;
+
+      if (credits > 0) {
+        await CreditService.grant(order.row.user_id, credits, {
+          kind: 'adjustment',
+          reference: `dispute:${dispute.id}:restored`,
+          description: 'Dispute won - credits restored',
+          metadata: { order_reference: order.id, payment_intent: paymentIntentId }
+        }, client);
+      }
+      details.credits_restored = credits;
+    }
+
+    if (won) {
+      await AffiliateService.releaseCommission(order.table, order.id, client);
+    } else {
+      details.commission_reversed_cents = await AffiliateService.reverseCommission(order.table, order.id, { full: true }, client)
+        || details.commission_reversed_cents;
+    }
+
+    await OrderService.recordEvent(client, order.table, order.id, won ? 'dispute_won' : 'dispute_lost', {
+      amountCents: dispute.amount,
+      details,
+      stripeEventId: event.id
+    });
+
+    console.log(`${won ? '✓' : '✗'} Dispute ${dispute.id} on ${order.table} ${order.id} closed: ${dispute.status}`);
+  });
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Run fn(order, client) in a transaction with the order paid by the payment
+ * intent locked. Payments that aren't AmatuEdda orders (e.g. subscription
+ * invoices) are skipped.
+ */
+async function withOrder(paymentIntentId, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const order = await OrderService.findByPaymentIntent(paymentIntentId, client);
+
+    if (!order) {
+      await client.query('ROLLBACK');
+      console.log(`No order for payment ${paymentIntentId} - nothing to take back`);
+      return;
+    }
+
+    await fn(order, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function revokeBonuses(orderId, reason, client) {
+  const result = await client.query(`
+    UPDATE user_bonus_access
+    SET revoked_at = NOW(), revoke_reason = $2
+    WHERE granted_via_order_id = $1 AND revoked_at IS NULL
+  `, [orderId, reason]);
+
+  return result.rowCount;
+}
+
+/**
+ * Credits taken back from a credit pack order so far, net of any a won
+ * dispute gave back
+ */
+async function clawedBack(order, client) {
+  const result = await client.query(`
+    SELECT COALESCE(-SUM(amount), 0)::int AS credits
+    FROM credit_transactions
+    WHERE kind IN ('clawback', 'adjustment') AND metadata->>'order_reference' = $1
+  `, [order.id]);
+
+  return result.rows[0].credits;
+}
+
+// Older API versions don't put the payment intent on the dispute
+async function disputePaymentIntent(dispute) {
+  if (dispute.payment_intent) return dispute.payment_intent;
+
+  const charge = await stripe.charges.retrieve(dispute.charge);
+  return charge.payment_intent;
+}
+
+module.exports = {
+  events: {
+    'charge.refunded': handleChargeRefunded,
+    'charge.dispute.created': handleDisputeCreated,
+    'charge.dispute.closed': handleDisputeClosed
+  }
+};
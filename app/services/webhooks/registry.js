@@ -0,0 +1,69 @@
+// backend/app/services/webhooks/registry.js
+// Stripe webhook handler registry
+//
+// Two kinds of handlers:
+//   event handlers        - by Stripe event type, called with (object, event)
+//   product kind handlers - completed checkouts, by product kind: 'subscription'
+//                           for tier subscriptions, otherwise the product's
+//                           order table. Called with (session, { client, product })
+
+class WebhookRegistry {
+  constructor() {
+    this.eventHandlers = new Map();
+    this.productKinds = new Map();
+  }
+
+  /**
+   * Add a handler for an event type. Several handlers may share a type;
+   * they run in registration order.
+   */
+  onEvent(type, handler) {
+    if (!this.eventHandlers.has(type)) this.eventHandlers.set(type, []);
+    this.eventHandlers.get(type).push(handler);
+  }
+
+  /**
+   * Set the checkout handler for a product kind (one per kind)
+   */
+  onProductKind(kind, handler) {
+    if (this.productKinds.has(kind)) {
+      throw new Error(`Product kind '${kind}' already has a checkout handler`);
+    }
+    this.productKinds.set(kind, handler);
+  }
+
+  /**
+   * Register a handler module: { events?, productKinds? }
+   */
+  register(handlerModule) {
+    for (const [type, handler] of Object.entries(handlerModule.events || {})) {
+      this.onEvent(type, handler);
+    }
+    for (const [kind, handler] of Object.entries(handlerModule.productKinds || {})) {
+      this.onProductKind(kind, handler);
+    }
+  }
+
+  getProductKind(kind) {
+    return this.productKinds.get(kind) || null;
+  }
+
+  /**
+   * Run every handler for a stored event. Throws if one fails, so the
+   * event is retried (handlers must tolerate running again).
+   */
+  async dispatch(event) {
+    const handlers = this.eventHandlers.get(event.type);
+
+    if (!handlers) {
+      console.log(`Unhandled event type: ${event.type}`);
+      return;
+    }
+
+    for (const handler of handlers) {
+      await handler(event.data.object, event);
+    }
+  }
+}
+
+module.exports = new WebhookRegistry();
@@ -0,0 +1,17 @@
+// backend/app/services/webhooks/revenue.js
+// Subscription ledger for revenue reporting (ReportService). Registered
+// after subscriptions.js, so the subscriber's account is up to date.
+
+const ReportService = require('../ReportService');
+
+async function handleSubscriptionEvent(subscription, event) {
+  await ReportService.recordSubscription(subscription, event);
+}
+
+module.exports = {
+  events: {
+    'customer.subscription.created': handleSubscriptionEvent,
+    'customer.subscription.updated': handleSubscriptionEvent,
+    'customer.subscription.deleted': handleSubscriptionEvent
+  }
+};
@@ -0,0 +1,298 @@
+// backend/app/services/webhooks/subscriptions.js
+// Scout-Faire tier subscriptions: tier changes, cancellations and renewals
+
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { createClient } = require('@supabase/supabase-js');
+const EmailService = require('../EmailService');
+const DunningService = require('../DunningService');
+const InvoiceService = require('../InvoiceService');
+const PlanCatalogService = require('../PlanCatalogService');
+const { SUBSCRIPTION_TABLE } = require('../OrderService');
+
+const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_KEY // Use service_role key for admin operations
+);
+
+/**
+ * Handle subscription created or updated
+ */
+async function handleSubscriptionChange(subscription) {
+  const customerId = subscription.customer;
+  const subscriptionId = subscription.id;
+  const price = subscription.items.data[0].price;
+  const status = subscription.status;
+
+  // Get customer email from Stripe
+  const customer = await stripe.customers.retrieve(customerId);
+  const email = customer.email;
+
+  // Determine tier from the price's metadata
+  const tier = await PlanCatalogService.tierForPrice(price, { strict: true });
+
+  // Usage periods follow the billing cycle (see UsageService). Plan changes
+  // keep the cycle, so usage so far carries over to the new tier's limits.
+  const periodStart = new Date(subscription.current_period_start * 1000).toISOString();
+
+  console.log(`📝 Subscription ${status} for ${email} → ${tier} tier`);
+
+  // Check if user exists
+  const { data: existingUser } = await supabase
+    .from('users')
+    .select('*')
+    .eq('email', email)
+    .single();
+
+  if (existingUser) {
+    // Downgraded by dunning: the paid tier only comes back once a payment succeeds
+    const stillUnpaid = existingUser.billing_status === 'downgraded' && !['active', 'trialing'].includes(status);
+    const isNewSubscription = existingUser.stripe_subscription_id !== subscriptionId;
+
+    // Trials and intro discounts are for the first subscription only
+    if (isNewSubscription && existingUser.first_subscribed_at) {
+      await revokeFirstSubscriptionOffers(subscription);
+    }
+
+    // Update existing user
+    const { error } = await supabase
+      .from('users')
+      .update({
+        tier: stillUnpaid ? existingUser.tier : tier,
+        stripe_customer_id: customerId,
+        stripe_subscription_id: subscriptionId,
+        ...(isNewSubscription && { period_start: periodStart }),
+        first_subscribed_at: existingUser.first_subscribed_at || new Date().toISOString(),
+        last_active: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('email', email);
+
+    if (error) {
+      console.error('Error updating user:', error);
+      throw error;
+    }
+
+    console.log(`✅ Updated user ${email} to ${tier} tier`);
+  } else {
+    // Create new user
+    const { error } = await supabase
+      .from('users')
+      .insert({
+        email: email,
+        tier: tier,
+        stripe_customer_id: customerId,
+        stripe_subscription_id: subscriptionId,
+        period_start: periodStart,
+        first_subscribed_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+        last_active: new Date().toISOString()
+      });
+
+    if (error) {
+      console.error('Error creating user:', error);
+      throw error;
+    }
+
+    console.log(`✅ Created new user ${email} with ${tier} tier`);
+  }
+}
+
+/**
+ * End the trial and drop the intro coupon of a repeat subscriber's new
+ * subscription. Checkout can't tell for anonymous buyers, so it's done here.
+ */
+async function revokeFirstSubscriptionOffers(subscription) {
+  const price = subscription.items.data[0].price;
+  const offer = await PlanCatalogService.findPrice(
+    await PlanCatalogService.tierForPrice(price, { strict: true }),
+    PlanCatalogService.intervalOf(price)
+  );
+
+  if (subscription.status === 'trialing') {
+    await stripe.subscriptions.update(subscription.id, { trial_end: 'now' });
+    console.log(`⏭️ Ended trial on ${subscription.id} - not a first subscription`);
+  }
+
+  // Only the intro coupon; promotion codes the customer entered stay
+  const couponId = subscription.discount?.coupon?.id;
+  if (couponId && offer?.intro?.coupon === couponId) {
+    await stripe.subscriptions.deleteDiscount(subscription.id);
+    console.log(`⏭️ Removed intro discount from ${subscription.id} - not a first subscription`);
+  }
+}
+
+/**
+ * Trial ends in three days (sent by Stripe) - remind the subscriber
+ * before the first charge
+ */
+async function handleTrialWillEnd(subscription) {
+  const { data: user } = await supabase
+    .from('users')
+    .select('email, tier')
+    .eq('stripe_subscription_id', subscription.id)
+    .maybeSingle();
+
+  const email = user?.email || (await stripe.customers.retrieve(subscription.customer)).email;
+  if (!email) return;
+
+  const price = subscription.items.data[0].price;
+
+  await EmailService.sendTemplate('trial_ending', email, {
+    tier: await PlanCatalogService.tierForPrice(price, { strict: true }),
+    trial_ends_at: new Date(subscription.trial_end * 1000).toISOString(),
+    amount_cents: price.unit_amount,
+    currency: price.currency,
+    interval: PlanCatalogService.intervalOf(price),
+    cancel_at_period_end: subscription.cancel_at_period_end,
+    manage_url: `${process.env.FRONTEND_URL}/account.html`
+  }).catch(err => console.error('Error sending trial ending email:', err));
+
+  console.log(`⏳ Trial ending reminder sent to ${email}`);
+}
+
+/**
+ * Handle subscription canceled
+ */
+async function handleSubscriptionCanceled(subscription) {
+  const subscriptionId = subscription.id;
+
+  console.log(`❌ Subscription canceled: ${subscriptionId}`);
+
+  // Ends any dunning in progress
+  await DunningService.subscriptionCanceled(subscriptionId);
+
+  // Downgrade to free tier
+  const { error } = await supabase
+    .from('users')
+    .update({
+      tier: 'free',
+      stripe_subscription_id: null,
+      period_start: new Date().toISOString(), // Fresh free-tier period
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_subscription_id', subscriptionId);
+
+  if (error) {
+    console.error('Error downgrading user:', error);
+    throw error;
+  }
+
+  console.log(`✅ User downgraded to free tier`);
+}
+
+/**
+ * Handle successful payment
+ */
+async function handlePaymentSucceeded(invoice) {
+  const customerId = invoice.customer;
+  const subscriptionId = invoice.subscription;
+
+  console.log(`💰 Payment succeeded for subscription ${subscriptionId}`);
+
+  // Re-anchor the usage period on the billing period just paid for;
+  // the usage ledger starts counting the new period from there. Proration
+  // invoices from a plan change (billing_reason subscription_update) cover
+  // part of the current period and leave it alone.
+  const startsPeriod = ['subscription_create', 'subscription_cycle'].includes(invoice.billing_reason);
+  const billedPeriodStart = invoice.lines.data[0]?.period?.start || invoice.period_start;
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      ...(startsPeriod && { period_start: new Date(billedPeriodStart * 1000).toISOString() }),
+      last_active: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    })
+    .eq('stripe_subscription_id', subscriptionId);
+
+  if (error) {
+    console.error('Error updating usage period:', error);
+    throw error;
+  }
+
+  if (startsPeriod) {
+    console.log(`✅ Usage period aligned with renewal`);
+  }
+
+  // Past due or downgraded: back in good standing
+  await DunningService.paymentSucceeded(invoice);
+
+  // The invoice is the payment's entry in the order history
+  if (invoice.amount_paid > 0) {
+    const { data: user } = await supabase
+      .from('users')
+      .select('id')
+      .eq('stripe_customer_id', customerId)
+      .maybeSingle();
+
+    await InvoiceService.issue(null, {
+      orderTable: SUBSCRIPTION_TABLE,
+      orderId: invoice.id,
+      orderNumber: invoice.number,
+      userId: user?.id,
+      email: invoice.customer_email,
+      currency: invoice.currency,
+      items: invoice.lines.data.map(line => ({
+        description: line.description,
+        quantity: line.quantity || 1,
+        amount_cents: line.amount
+      })),
+      subtotalCents: invoice.subtotal,
+      totalCents: invoice.amount_paid,
+      stripeInvoiceId: invoice.id,
+      paidAt: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000)
+    });
+  }
+
+  if (invoice.customer_email && invoice.amount_paid > 0) {
+    await EmailService.sendTemplate('receipt', invoice.customer_email, {
+      order_number: invoice.number || invoice.id,
+      paid_at: new Date((invoice.status_transitions?.paid_at || invoice.created) * 1000).toISOString(),
+      currency: invoice.currency,
+      items: invoice.lines.data.map(line => ({
+        name: line.description,
+        amount_cents: line.amount
+      })),
+      total_cents: invoice.amount_paid
+    }).catch(err => console.error('Error sending receipt email:', err));
+  }
+}
+
+/**
+ * Handle failed payment - Stripe retries on its own schedule; each failed
+ * attempt lands here (see DunningService for the grace period and downgrade)
+ */
+async function handlePaymentFailed(invoice) {
+  console.log(`⚠️ Payment failed for subscription ${invoice.subscription} (attempt ${invoice.attempt_count})`);
+
+  await DunningService.paymentFailed(invoice);
+}
+
+/**
+ * Subscription checkout completed
+ */
+async function handleCheckoutCompleted(session) {
+  const customerId = session.customer;
+  const email = session.customer_email || session.customer_details?.email;
+  const subscriptionId = session.subscription;
+
+  console.log(`🎉 Checkout completed for ${email}`);
+
+  // The subscription.created event will handle the actual user update
+  // This is just for logging/analytics
+}
+
+module.exports = {
+  events: {
+    'customer.subscription.created': handleSubscriptionChange,
+    'customer.subscription.updated': handleSubscriptionChange,
+    'customer.subscription.deleted': handleSubscriptionCanceled,
+    'customer.subscription.trial_will_end': handleTrialWillEnd,
+    'invoice.payment_succeeded': handlePaymentSucceeded,
+    'invoice.payment_failed': handlePaymentFailed
+  },
+  productKinds: {
+    'subscription': handleCheckoutCompleted
+  }
+};
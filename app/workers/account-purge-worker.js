@@ -0,0 +1,39 @@
+// backend/app/workers/account-purge-worker.js
+// Permanently deletes accounts whose deletion grace period has ended
+
+const cron = require('node-cron');
+const PrivacyService = require('../services/PrivacyService');
+
+class AccountPurgeWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Daily at 03:00
+    cron.schedule('0 3 * * *', () => {
+      this.runPurgeCycle();
+    });
+
+    console.log('✅ Account purge worker started');
+  }
+
+  async runPurgeCycle() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      const purged = await PrivacyService.purgeDueAccounts();
+      if (purged > 0) {
+        console.log(`🗑️ Account purge: deleted ${purged} account(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Account purge cycle error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = AccountPurgeWorker;
@@ -0,0 +1,39 @@
+// backend/app/workers/affiliate-worker.js
+// Approves affiliate commissions once their approval (refund) period has passed
+
+const cron = require('node-cron');
+const AffiliateService = require('../services/AffiliateService');
+
+class AffiliateWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Hourly, at :15
+    cron.schedule('15 * * * *', () => {
+      this.runApprovalCycle();
+    });
+
+    console.log('✅ Affiliate worker started');
+  }
+
+  async runApprovalCycle() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      const approved = await AffiliateService.approveDue();
+      if (approved > 0) {
+        console.log(`🤝 Affiliates: approved ${approved} commission(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Affiliate approval cycle error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = AffiliateWorker;
@@ -0,0 +1,39 @@
+// backend/app/workers/dunning-worker.js
+// Moves past-due accounts to Free once their grace period has ended
+
+const cron = require('node-cron');
+const DunningService = require('../services/DunningService');
+
+class DunningWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Hourly, at :30
+    cron.schedule('30 * * * *', () => {
+      this.runDunningCycle();
+    });
+
+    console.log('✅ Dunning worker started');
+  }
+
+  async runDunningCycle() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      const downgraded = await DunningService.expireGracePeriods();
+      if (downgraded > 0) {
+        console.log(`⬇️ Dunning: downgraded ${downgraded} account(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Dunning cycle error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = DunningWorker;
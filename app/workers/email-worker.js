@@ -0,0 +1,39 @@
+// backend/app/workers/email-worker.js
+// Retries queued transactional email from the email_outbox table
+
+const cron = require('node-cron');
+const EmailService = require('../services/EmailService');
+
+class EmailWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Outbox retries - every minute
+    cron.schedule('* * * * *', () => {
+      this.runOutboxCycle();
+    });
+
+    console.log('✅ Email outbox worker started');
+  }
+
+  async runOutboxCycle() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      const processed = await EmailService.processOutbox();
+      if (processed > 0) {
+        console.log(`📧 Email outbox: retried ${processed} message(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Email outbox cycle error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = EmailWorker;
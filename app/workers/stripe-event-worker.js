@@ -0,0 +1,39 @@
+// backend/app/workers/stripe-event-worker.js
+// Retries stored Stripe webhook events that failed or were never handled
+
+const cron = require('node-cron');
+const StripeEventService = require('../services/StripeEventService');
+
+class StripeEventWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  start() {
+    // Event retries - every minute
+    cron.schedule('* * * * *', () => {
+      this.runEventCycle();
+    });
+
+    console.log('✅ Stripe event worker started');
+  }
+
+  async runEventCycle() {
+    if (this.isRunning) return;
+
+    this.isRunning = true;
+
+    try {
+      const processed = await StripeEventService.processDue();
+      if (processed > 0) {
+        console.log(`💳 Stripe events: retried ${processed} event(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Stripe event cycle error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+module.exports = StripeEventWorker;
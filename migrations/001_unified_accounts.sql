@@ -0,0 +1,88 @@
+-- ============================================================================
+-- 001 UNIFIED ACCOUNTS
+-- Makes `users` the single account record for both login paths and links
+-- existing Supabase Auth profiles to it.
+-- ============================================================================
+
+BEGIN;
+
+-- 1. Columns carried over from `profiles`
+ALTER TABLE users ADD COLUMN IF NOT EXISTS auth_user_id UUID UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS license_status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS license_expires_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_quota_used INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_quota_reset_at TIMESTAMPTZ;
+
+-- Supabase-only accounts have no local password
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+
+-- 2. One tier vocabulary: free / elite / oracle
+CREATE OR REPLACE FUNCTION normalize_tier(p_tier TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE lower(coalesce(p_tier, 'free'))
+    WHEN 'starter' THEN 'free'
+    WHEN 'pro' THEN 'elite'
+    WHEN 'enterprise' THEN 'oracle'
+    WHEN 'elite' THEN 'elite'
+    WHEN 'oracle' THEN 'oracle'
+    ELSE 'free'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+UPDATE users SET tier = normalize_tier(tier) WHERE tier IS DISTINCT FROM normalize_tier(tier);
+
+-- 3. Link existing users rows to Supabase profiles by email
+UPDATE users u
+SET auth_user_id = p.id,
+    license_status = coalesce(p.license_status, u.license_status),
+    license_expires_at = p.license_expires_at,
+    search_quota_used = coalesce(p.search_quota_used, 0),
+    search_quota_reset_at = p.search_quota_reset_at,
+    updated_at = NOW()
+FROM profiles p
+JOIN auth.users au ON au.id = p.id
+WHERE lower(au.email) = u.email
+  AND u.auth_user_id IS NULL;
+
+-- 4. Provision users rows for profiles that never signed up through /api/auth.
+--    The profile id is reused so SkyPath rows keyed by it stay valid.
+INSERT INTO users (
+  id, auth_user_id, email, tier, search_limit, searches_used_this_month,
+  search_quota_used, search_quota_reset_at, license_status, license_expires_at,
+  period_start, created_at, updated_at, last_active
+)
+SELECT
+  p.id,
+  p.id,
+  lower(au.email),
+  normalize_tier(p.license_tier),
+  CASE normalize_tier(p.license_tier) WHEN 'free' THEN 5 ELSE 999999 END,
+  0,
+  coalesce(p.search_quota_used, 0),
+  p.search_quota_reset_at,
+  coalesce(p.license_status, 'active'),
+  p.license_expires_at,
+  NOW(), NOW(), NOW(), NOW()
+FROM profiles p
+JOIN auth.users au ON au.id = p.id
+WHERE NOT EXISTS (SELECT 1 FROM users u WHERE u.auth_user_id = p.id);
+
+-- 5. Re-key SkyPath data from the profile id to the linked users id
+--    (only differs for people who had both a profile and a users row)
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'niches', 'pain_points', 'trends', 'social_mentions',
+    'search_queries', 'monitoring_jobs', 'user_providers'
+  ]
+  LOOP
+    EXECUTE format(
+      'UPDATE %I x SET user_id = u.id FROM users u
+       WHERE x.user_id = u.auth_user_id AND u.id <> u.auth_user_id', t
+    );
+  END LOOP;
+END $$;
+
+COMMIT;
@@ -0,0 +1,44 @@
+-- ============================================================================
+-- 002 REFRESH TOKENS & REVOCATION
+-- Rotating refresh tokens and a revocation list for access tokens
+-- ============================================================================
+
+BEGIN;
+
+-- Tokens issued before this instant are rejected ("log out all devices")
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  family_id UUID NOT NULL,              -- one family per login session
+  token_hash TEXT NOT NULL UNIQUE,      -- sha256 of the opaque token
+  replaced_by TEXT,                     -- hash of the token it was rotated into
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  ip_address TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+
+-- Access tokens revoked before their natural expiry (by jti)
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti UUID PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires ON revoked_tokens(expires_at);
+
+-- Entries are useless once the token would have expired anyway
+CREATE OR REPLACE FUNCTION purge_expired_tokens()
+RETURNS void AS $$
+  DELETE FROM revoked_tokens WHERE expires_at < NOW();
+  DELETE FROM refresh_tokens WHERE expires_at < NOW() - INTERVAL '7 days';
+$$ LANGUAGE sql;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 003 EMAIL VERIFICATION & PASSWORD RESET
+-- Single-use, expiring tokens for emailed account actions
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+-- Grandfather only accounts whose address Supabase Auth has confirmed.
+-- Signing up with a password or paying proves nothing about the address:
+-- those accounts stay unverified and get a verification email at their next
+-- login (AccountService.sendFirstVerificationEmail).
+UPDATE users u
+SET email_verified_at = a.email_confirmed_at
+FROM auth.users a
+WHERE a.id = u.auth_user_id
+  AND a.email_confirmed_at IS NOT NULL
+  AND u.email_verified_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS user_action_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('password_reset', 'email_verify')),
+  token_hash TEXT NOT NULL UNIQUE,      -- sha256 of the emailed token
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_action_tokens_user ON user_action_tokens(user_id, purpose);
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 005 PERSONAL API KEYS
+-- Hashed, scoped API keys with usage tracking
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  prefix TEXT NOT NULL UNIQUE,          -- public part of ae_<prefix>_<secret>
+  key_hash TEXT NOT NULL,               -- sha256 of the full key
+  scopes TEXT[] NOT NULL
+    CHECK (scopes <@ ARRAY['read', 'discover', 'analyze']::TEXT[]),
+  last_used_at TIMESTAMPTZ,
+  usage_count BIGINT NOT NULL DEFAULT 0,
+  rotated_from UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+
+CREATE OR REPLACE FUNCTION record_api_key_usage(p_key_id UUID)
+RETURNS void AS $$
+  UPDATE api_keys
+  SET usage_count = usage_count + 1,
+      last_used_at = NOW()
+  WHERE id = p_key_id;
+$$ LANGUAGE sql;
+
+COMMIT;
@@ -0,0 +1,75 @@
+-- ============================================================================
+-- 006 WORKSPACES
+-- Shared workspaces that own niches, SkyPath data and monitoring jobs
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS workspaces (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  search_quota_used INTEGER NOT NULL DEFAULT 0,   -- pooled quota (Oracle owners)
+  search_quota_reset_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS workspace_members (
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'admin', 'editor', 'viewer')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (workspace_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_members_user ON workspace_members(user_id);
+
+CREATE TABLE IF NOT EXISTS workspace_invitations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('admin', 'editor', 'viewer')),
+  token_hash TEXT NOT NULL UNIQUE,
+  invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_workspace_invitations_workspace ON workspace_invitations(workspace_id);
+
+-- Workspace ownership on SkyPath data. NULL = the user's personal space.
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'niches', 'pain_points', 'trends', 'search_queries', 'monitoring_jobs'
+  ]
+  LOOP
+    EXECUTE format(
+      'ALTER TABLE %I ADD COLUMN IF NOT EXISTS workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE', t
+    );
+    EXECUTE format(
+      'CREATE INDEX IF NOT EXISTS %I ON %I(workspace_id)', 'idx_' || t || '_workspace', t
+    );
+  END LOOP;
+END $$;
+
+-- Niche names were unique per user; now unique per owner (workspace or personal space)
+ALTER TABLE niches ADD COLUMN IF NOT EXISTS owner_scope TEXT
+  GENERATED ALWAYS AS (coalesce('workspace:' || workspace_id::text, 'user:' || user_id::text)) STORED;
+ALTER TABLE niches DROP CONSTRAINT IF EXISTS niches_user_id_name_key;
+ALTER TABLE niches ADD CONSTRAINT niches_owner_scope_name_key UNIQUE (owner_scope, name);
+
+CREATE OR REPLACE FUNCTION increment_workspace_search_quota(p_workspace_id UUID)
+RETURNS void AS $$
+  UPDATE workspaces
+  SET search_quota_used = search_quota_used + 1
+  WHERE id = p_workspace_id;
+$$ LANGUAGE sql;
+
+COMMIT;
@@ -0,0 +1,67 @@
+-- ============================================================================
+-- 008 BRUTE-FORCE PROTECTION
+-- Failed-attempt counters for login and bonus code redemption, plus the
+-- emailed account-unlock token
+-- ============================================================================
+
+BEGIN;
+
+-- key is '<action>:<subject>:<value>', e.g. 'login:account:a@b.com', 'redeem:ip:1.2.3.4'
+CREATE TABLE IF NOT EXISTS auth_failures (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  first_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_failure_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  locked_until TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_failures_last ON auth_failures(last_failure_at);
+
+-- Count one failure atomically. The counter starts over once the window has
+-- passed or a lock has expired; reaching the threshold sets a lock.
+CREATE OR REPLACE FUNCTION record_auth_failure(
+  p_key TEXT,
+  p_window_seconds INTEGER,
+  p_lock_threshold INTEGER,
+  p_lock_seconds INTEGER
+)
+RETURNS TABLE (failures INTEGER, locked_until TIMESTAMPTZ, newly_locked BOOLEAN) AS $$
+DECLARE
+  r auth_failures;
+BEGIN
+  INSERT INTO auth_failures AS af (key, failures, first_failure_at, last_failure_at)
+  VALUES (p_key, 1, NOW(), NOW())
+  ON CONFLICT (key) DO UPDATE SET
+    failures = CASE
+      WHEN af.last_failure_at < NOW() - make_interval(secs => p_window_seconds)
+        OR af.locked_until <= NOW() THEN 1
+      ELSE af.failures + 1
+    END,
+    first_failure_at = CASE
+      WHEN af.last_failure_at < NOW() - make_interval(secs => p_window_seconds)
+        OR af.locked_until <= NOW() THEN NOW()
+      ELSE af.first_failure_at
+    END,
+    locked_until = CASE WHEN af.locked_until <= NOW() THEN NULL ELSE af.locked_until END,
+    last_failure_at = NOW()
+  RETURNING af.* INTO r;
+
+  IF r.failures >= p_lock_threshold AND r.locked_until IS NULL THEN
+    UPDATE auth_failures
+    SET locked_until = NOW() + make_interval(secs => p_lock_seconds)
+    WHERE key = p_key
+    RETURNING * INTO r;
+
+    RETURN QUERY SELECT r.failures, r.locked_until, TRUE;
+  ELSE
+    RETURN QUERY SELECT r.failures, r.locked_until, FALSE;
+  END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Emailed link that lifts a login lockout
+ALTER TABLE user_action_tokens DROP CONSTRAINT IF EXISTS user_action_tokens_purpose_check;
+ALTER TABLE user_action_tokens ADD CONSTRAINT user_action_tokens_purpose_check
+  CHECK (purpose IN ('password_reset', 'email_verify', 'account_unlock'));
+
+COMMIT;
@@ -0,0 +1,23 @@
+-- ============================================================================
+-- 009 TWO-FACTOR AUTHENTICATION
+-- TOTP secrets, single-use recovery codes and a per-workspace 2FA policy
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_secret_encrypted TEXT;   -- AES-256-GCM, see TwoFactorService
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMPTZ;   -- NULL while enrollment is pending
+ALTER TABLE users ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;         -- last accepted time step (replay guard)
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,              -- sha256 of the normalized code
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (user_id, code_hash)
+);
+
+ALTER TABLE workspaces ADD COLUMN IF NOT EXISTS require_2fa BOOLEAN NOT NULL DEFAULT FALSE;
+
+COMMIT;
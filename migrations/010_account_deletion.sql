@@ -0,0 +1,22 @@
+-- ============================================================================
+-- 010 ACCOUNT DELETION
+-- Scheduled self-service deletion with a grace period; orders are anonymized
+-- rather than deleted so accounting records survive
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion_scheduled
+  ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
+
+ALTER TABLE systasis_orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+ALTER TABLE trail_maker_orders ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMPTZ;
+
+-- Purged users leave anonymized orders behind
+ALTER TABLE systasis_orders ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE trail_maker_orders ALTER COLUMN user_id DROP NOT NULL;
+
+COMMIT;
@@ -0,0 +1,109 @@
+-- ============================================================================
+-- 011 USAGE LEDGER
+-- One append-only ledger for metered actions (Scout-Faire analyses, SkyPath
+-- discovery searches). Replaces users.searches_used_this_month,
+-- users.search_quota_used and workspaces.search_quota_used, which are no
+-- longer read or written.
+-- ============================================================================
+
+BEGIN;
+
+-- Every account needs a period anchor
+UPDATE users SET period_start = coalesce(created_at, NOW()) WHERE period_start IS NULL;
+ALTER TABLE users ALTER COLUMN period_start SET DEFAULT NOW();
+ALTER TABLE users ALTER COLUMN period_start SET NOT NULL;
+
+CREATE TABLE IF NOT EXISTS usage_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,         -- who acted
+  workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE, -- set when a pooled workspace pays
+  meter TEXT NOT NULL CHECK (meter IN ('analysis', 'discovery')),
+  cost INTEGER NOT NULL,                -- negative for reversals and adjustments
+  period_start TIMESTAMPTZ NOT NULL,    -- billing period the row counts toward
+  kind TEXT NOT NULL DEFAULT 'usage' CHECK (kind IN ('usage', 'reversal', 'adjustment')),
+  reverses_event_id BIGINT UNIQUE REFERENCES usage_events(id),
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_usage_events_user ON usage_events(user_id, meter, period_start)
+  WHERE workspace_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_usage_events_workspace ON usage_events(workspace_id, meter, period_start)
+  WHERE workspace_id IS NOT NULL;
+
+-- Usage in one period: the workspace pool when p_workspace_id is set,
+-- otherwise the user's own (non-pooled) usage
+CREATE OR REPLACE FUNCTION usage_total(
+  p_user_id UUID,
+  p_workspace_id UUID,
+  p_meter TEXT,
+  p_period_start TIMESTAMPTZ
+)
+RETURNS INTEGER AS $$
+  SELECT coalesce(sum(cost), 0)::INTEGER
+  FROM usage_events
+  WHERE meter = p_meter
+    AND period_start = p_period_start
+    AND CASE
+      WHEN p_workspace_id IS NOT NULL THEN workspace_id = p_workspace_id
+      ELSE user_id = p_user_id AND workspace_id IS NULL
+    END;
+$$ LANGUAGE sql STABLE;
+
+-- Check-and-record in one step. An advisory lock per (payer, meter) makes
+-- concurrent calls queue, so the last unit of quota is handed out once.
+-- p_limit NULL = unlimited.
+CREATE OR REPLACE FUNCTION record_usage(
+  p_user_id UUID,
+  p_workspace_id UUID,
+  p_meter TEXT,
+  p_cost INTEGER,
+  p_limit INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER, event_id BIGINT) AS $$
+DECLARE
+  v_used INTEGER;
+  v_event_id BIGINT;
+BEGIN
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(coalesce('workspace:' || p_workspace_id::text, 'user:' || p_user_id::text) || ':' || p_meter, 0)
+  );
+
+  v_used := usage_total(p_user_id, p_workspace_id, p_meter, p_period_start);
+
+  IF p_limit IS NOT NULL AND v_used + p_cost > p_limit THEN
+    RETURN QUERY SELECT FALSE, v_used, NULL::BIGINT;
+    RETURN;
+  END IF;
+
+  INSERT INTO usage_events (user_id, workspace_id, meter, cost, period_start, metadata)
+  VALUES (p_user_id, p_workspace_id, p_meter, p_cost, p_period_start, coalesce(p_metadata, '{}'))
+  RETURNING id INTO v_event_id;
+
+  RETURN QUERY SELECT TRUE, v_used + p_cost, v_event_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Carry this period's counters over (best effort; periods follow period_start,
+-- at the millisecond precision UsageService computes them with)
+INSERT INTO usage_events (user_id, meter, cost, period_start, kind, metadata)
+SELECT id, 'analysis', searches_used_this_month,
+  date_trunc('milliseconds', period_start + make_interval(months => (extract(year FROM age(NOW(), period_start)) * 12
+    + extract(month FROM age(NOW(), period_start)))::INTEGER)),
+  'adjustment', '{"source": "migration 011"}'
+FROM users
+WHERE coalesce(searches_used_this_month, 0) > 0;
+
+INSERT INTO usage_events (user_id, meter, cost, period_start, kind, metadata)
+SELECT id, 'discovery', search_quota_used,
+  date_trunc('milliseconds', period_start + make_interval(months => (extract(year FROM age(NOW(), period_start)) * 12
+    + extract(month FROM age(NOW(), period_start)))::INTEGER)),
+  'adjustment', '{"source": "migration 011"}'
+FROM users
+WHERE coalesce(search_quota_used, 0) > 0;
+
+DROP FUNCTION IF EXISTS increment_workspace_search_quota(UUID);
+
+COMMIT;
@@ -0,0 +1,74 @@
+-- ============================================================================
+-- 012 FAIR USE
+-- Soft/hard fair-use caps for "unlimited" plans: past the soft cap requests
+-- are spaced out instead of rejected. Per-account admin overrides.
+-- ============================================================================
+
+BEGIN;
+
+-- e.g. {"analysis": {"soft": 1000, "hard": 3000}} or {"analysis": {"exempt": true}}
+ALTER TABLE users ADD COLUMN IF NOT EXISTS fair_use_override JSONB;
+
+-- Return type changes, so replace rather than CREATE OR REPLACE
+DROP FUNCTION IF EXISTS record_usage(UUID, UUID, TEXT, INTEGER, INTEGER, TIMESTAMPTZ, JSONB);
+
+-- As in 011, plus: once usage is past p_soft_limit, a new unit is only
+-- handed out p_min_interval_seconds after the previous one (retry_after > 0
+-- tells the caller how long to wait).
+CREATE OR REPLACE FUNCTION record_usage(
+  p_user_id UUID,
+  p_workspace_id UUID,
+  p_meter TEXT,
+  p_cost INTEGER,
+  p_limit INTEGER,
+  p_period_start TIMESTAMPTZ,
+  p_metadata JSONB DEFAULT '{}',
+  p_soft_limit INTEGER DEFAULT NULL,
+  p_min_interval_seconds INTEGER DEFAULT NULL
+)
+RETURNS TABLE (allowed BOOLEAN, used INTEGER, event_id BIGINT, retry_after INTEGER) AS $$
+DECLARE
+  v_used INTEGER;
+  v_last_at TIMESTAMPTZ;
+  v_wait INTEGER;
+  v_event_id BIGINT;
+BEGIN
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended(coalesce('workspace:' || p_workspace_id::text, 'user:' || p_user_id::text) || ':' || p_meter, 0)
+  );
+
+  v_used := usage_total(p_user_id, p_workspace_id, p_meter, p_period_start);
+
+  IF p_limit IS NOT NULL AND v_used + p_cost > p_limit THEN
+    RETURN QUERY SELECT FALSE, v_used, NULL::BIGINT, 0;
+    RETURN;
+  END IF;
+
+  IF p_soft_limit IS NOT NULL AND p_min_interval_seconds IS NOT NULL AND v_used >= p_soft_limit THEN
+    SELECT max(ue.created_at) INTO v_last_at
+    FROM usage_events ue
+    WHERE ue.meter = p_meter
+      AND ue.kind = 'usage'
+      AND ue.period_start = p_period_start
+      AND CASE
+        WHEN p_workspace_id IS NOT NULL THEN ue.workspace_id = p_workspace_id
+        ELSE ue.user_id = p_user_id AND ue.workspace_id IS NULL
+      END;
+
+    v_wait := ceil(extract(epoch FROM (v_last_at + make_interval(secs => p_min_interval_seconds) - NOW())))::INTEGER;
+
+    IF v_wait > 0 THEN
+      RETURN QUERY SELECT FALSE, v_used, NULL::BIGINT, v_wait;
+      RETURN;
+    END IF;
+  END IF;
+
+  INSERT INTO usage_events (user_id, workspace_id, meter, cost, period_start, metadata)
+  VALUES (p_user_id, p_workspace_id, p_meter, p_cost, p_period_start, coalesce(p_metadata, '{}'))
+  RETURNING id INTO v_event_id;
+
+  RETURN QUERY SELECT TRUE, v_used + p_cost, v_event_id, 0;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
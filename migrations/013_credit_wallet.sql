@@ -0,0 +1,154 @@
+-- ============================================================================
+-- 013 CREDIT WALLET
+-- Scout-Faire credit packs land in a per-user wallet that analyses are paid
+-- from once the monthly quota is used up (or for deeper analyses than the
+-- plan covers). users.credit_balance is the balance; credit_transactions is
+-- the history behind it. Every change goes through the functions below so
+-- the two never disagree.
+--
+-- Credits bought before this migration were recorded by
+-- process_scout_faire_purchase only; carry them over with an admin
+-- adjustment (POST /api/admin/users/:id/credits).
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS credit_balance INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_credit_balance_check;
+ALTER TABLE users ADD CONSTRAINT users_credit_balance_check CHECK (credit_balance >= 0);
+
+CREATE TABLE IF NOT EXISTS credit_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount INTEGER NOT NULL CHECK (amount <> 0),   -- negative when credits are spent
+  balance_after INTEGER NOT NULL,
+  kind TEXT NOT NULL CHECK (kind IN ('purchase', 'spend', 'refund', 'adjustment')),
+  reference TEXT,                                -- checkout session id for purchases
+  refunds_transaction_id BIGINT UNIQUE REFERENCES credit_transactions(id),
+  description TEXT,
+  metadata JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_user ON credit_transactions(user_id, id DESC);
+
+-- A checkout session grants its credits once, however often the webhook fires
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_transactions_reference
+  ON credit_transactions(kind, reference) WHERE reference IS NOT NULL;
+
+-- Add (or, for adjustments, remove) credits. Idempotent on (kind, reference):
+-- a repeated call returns the original transaction.
+CREATE OR REPLACE FUNCTION add_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_kind TEXT,
+  p_reference TEXT DEFAULT NULL,
+  p_description TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (transaction_id BIGINT, balance INTEGER) AS $$
+DECLARE
+  v_balance INTEGER;
+  v_transaction_id BIGINT;
+BEGIN
+  PERFORM 1 FROM users WHERE id = p_user_id FOR UPDATE;
+
+  IF p_reference IS NOT NULL THEN
+    SELECT ct.id INTO v_transaction_id
+    FROM credit_transactions ct
+    WHERE ct.kind = p_kind AND ct.reference = p_reference;
+
+    IF v_transaction_id IS NOT NULL THEN
+      RETURN QUERY SELECT v_transaction_id, u.credit_balance FROM users u WHERE u.id = p_user_id;
+      RETURN;
+    END IF;
+  END IF;
+
+  UPDATE users SET credit_balance = credit_balance + p_amount
+  WHERE id = p_user_id
+  RETURNING credit_balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'User % not found', p_user_id;
+  END IF;
+
+  INSERT INTO credit_transactions (user_id, amount, balance_after, kind, reference, description, metadata)
+  VALUES (p_user_id, p_amount, v_balance, p_kind, p_reference, p_description, coalesce(p_metadata, '{}'))
+  RETURNING id INTO v_transaction_id;
+
+  RETURN QUERY SELECT v_transaction_id, v_balance;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Take credits if the balance covers them. The conditional UPDATE makes
+-- parallel spends queue on the row, so the balance can't go negative.
+CREATE OR REPLACE FUNCTION spend_credits(
+  p_user_id UUID,
+  p_amount INTEGER,
+  p_description TEXT DEFAULT NULL,
+  p_metadata JSONB DEFAULT '{}'
+)
+RETURNS TABLE (allowed BOOLEAN, balance INTEGER, transaction_id BIGINT) AS $$
+DECLARE
+  v_balance INTEGER;
+  v_transaction_id BIGINT;
+BEGIN
+  UPDATE users SET credit_balance = credit_balance - p_amount
+  WHERE id = p_user_id AND credit_balance >= p_amount
+  RETURNING credit_balance INTO v_balance;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT FALSE, coalesce((SELECT u.credit_balance FROM users u WHERE u.id = p_user_id), 0), NULL::BIGINT;
+    RETURN;
+  END IF;
+
+  INSERT INTO credit_transactions (user_id, amount, balance_after, kind, description, metadata)
+  VALUES (p_user_id, -p_amount, v_balance, 'spend', p_description, coalesce(p_metadata, '{}'))
+  RETURNING id INTO v_transaction_id;
+
+  RETURN QUERY SELECT TRUE, v_balance, v_transaction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give back the credits of a spend (e.g. the analysis failed).
+-- A spend can only be refunded once; a repeat returns the first refund.
+CREATE OR REPLACE FUNCTION refund_credits(
+  p_transaction_id BIGINT,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS TABLE (transaction_id BIGINT, balance INTEGER) AS $$
+DECLARE
+  v_spend credit_transactions%ROWTYPE;
+  v_balance INTEGER;
+  v_transaction_id BIGINT;
+BEGIN
+  SELECT * INTO v_spend FROM credit_transactions WHERE id = p_transaction_id AND kind = 'spend';
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Spend transaction % not found', p_transaction_id;
+  END IF;
+
+  PERFORM 1 FROM users WHERE id = v_spend.user_id FOR UPDATE;
+
+  SELECT ct.id INTO v_transaction_id FROM credit_transactions ct WHERE ct.refunds_transaction_id = p_transaction_id;
+
+  IF v_transaction_id IS NOT NULL THEN
+    RETURN QUERY SELECT v_transaction_id, u.credit_balance FROM users u WHERE u.id = v_spend.user_id;
+    RETURN;
+  END IF;
+
+  UPDATE users SET credit_balance = credit_balance - v_spend.amount
+  WHERE id = v_spend.user_id
+  RETURNING credit_balance INTO v_balance;
+
+  INSERT INTO credit_transactions (user_id, amount, balance_after, kind, refunds_transaction_id, description, metadata)
+  VALUES (v_spend.user_id, -v_spend.amount, v_balance, 'refund', p_transaction_id, v_spend.description,
+          jsonb_build_object('reason', p_reason))
+  RETURNING id INTO v_transaction_id;
+
+  RETURN QUERY SELECT v_transaction_id, v_balance;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
@@ -0,0 +1,57 @@
+-- ============================================================================
+-- 014 PRODUCTS
+-- The payment product registry moves out of app/routes/payments.js into the
+-- database, so products registered at runtime (Trail-Maker funnels) survive
+-- restarts and deploys.
+--
+-- The built-in products are seeded without a Stripe price ID: until one is
+-- set through PATCH /api/admin/products/:id, the environment variable named
+-- in metadata.stripe_price_env is used, as before.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS products (
+  id TEXT PRIMARY KEY,                      -- 'scout_faire_pro', 'systasis', 'trail_maker_<run>_<tier>'
+  name TEXT NOT NULL,
+  order_table TEXT NOT NULL CHECK (order_table IN ('scout_faire_transactions', 'systasis_orders', 'trail_maker_orders')),
+  price_cents INTEGER NOT NULL CHECK (price_cents >= 0),
+  currency TEXT NOT NULL DEFAULT 'usd',
+  stripe_price_id TEXT,
+  credits INTEGER CHECK (credits > 0),      -- Scout-Faire packs only
+  metadata JSONB NOT NULL DEFAULT '{}',     -- Trail-Maker: { forge_run_id, tier }
+  archived_at TIMESTAMPTZ,                  -- no new checkouts; existing orders still resolve
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_products_active ON products(order_table) WHERE archived_at IS NULL;
+
+-- Bonuses a product unlocks (bonus_products.bonus_key)
+CREATE TABLE IF NOT EXISTS product_bonuses (
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  bonus_key TEXT NOT NULL,
+  PRIMARY KEY (product_id, bonus_key)
+);
+
+INSERT INTO products (id, name, order_table, price_cents, credits, metadata) VALUES
+  ('scout_faire_starter', 'Scout-Faire Starter', 'scout_faire_transactions', 900, 10, '{"stripe_price_env": "STRIPE_PRICE_SCOUT_STARTER"}'),
+  ('scout_faire_pro', 'Scout-Faire Pro', 'scout_faire_transactions', 3900, 50, '{"stripe_price_env": "STRIPE_PRICE_SCOUT_PRO"}'),
+  ('scout_faire_business', 'Scout-Faire Business', 'scout_faire_transactions', 12900, 200, '{"stripe_price_env": "STRIPE_PRICE_SCOUT_BUSINESS"}'),
+  ('systasis', 'Systasis Pro', 'systasis_orders', 4700, NULL, '{"stripe_price_env": "STRIPE_PRICE_SYSTASIS"}'),
+  ('chronos', 'Chronos Elite', 'systasis_orders', 3700, NULL, '{"stripe_price_env": "STRIPE_PRICE_CHRONOS"}'),
+  ('nexus', 'Nexus Bundle', 'systasis_orders', 9700, NULL, '{"stripe_price_env": "STRIPE_PRICE_NEXUS"}')
+ON CONFLICT (id) DO NOTHING;
+
+INSERT INTO product_bonuses (product_id, bonus_key) VALUES
+  ('systasis', 'agentdeck_pro'),
+  ('systasis', 'two_brothers_engineer'),
+  ('systasis', 'api_magic_vault'),
+  ('chronos', 'two_brothers_engineer'),
+  ('chronos', 'api_magic_vault'),
+  ('nexus', 'agentdeck_pro'),
+  ('nexus', 'two_brothers_engineer'),
+  ('nexus', 'api_magic_vault')
+ON CONFLICT DO NOTHING;
+
+COMMIT;
@@ -0,0 +1,30 @@
+-- ============================================================================
+-- 015 STRIPE EVENTS
+-- Every verified webhook event is stored by its Stripe event ID before it is
+-- handled. A redelivered event hits the primary key and is acknowledged
+-- without being handled again; failed events are retried with backoff by the
+-- Stripe event worker and end up 'dead' for an admin to replay.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS stripe_events (
+  id TEXT PRIMARY KEY,                  -- evt_...
+  type TEXT NOT NULL,                   -- e.g. 'checkout.session.completed'
+  source TEXT NOT NULL,                 -- webhook endpoint that received it (handler set)
+  livemode BOOLEAN NOT NULL DEFAULT FALSE,
+  payload JSONB NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'processed', 'dead')),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_error TEXT,
+  stripe_created_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  processed_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_stripe_events_due ON stripe_events(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_stripe_events_type ON stripe_events(type, received_at DESC);
+
+COMMIT;
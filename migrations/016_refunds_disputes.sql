@@ -0,0 +1,43 @@
+-- ============================================================================
+-- 016 REFUNDS AND DISPUTES
+-- Refunds and chargebacks now take back what the order granted: bonuses are
+-- revoked, credit packs clawed back (as far as the balance allows) and
+-- affiliate commissions reversed. Every step lands in the order timeline.
+-- ============================================================================
+
+BEGIN;
+
+-- Revoked bonuses stay on record; a won dispute restores them
+ALTER TABLE user_bonus_access ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+ALTER TABLE user_bonus_access ADD COLUMN IF NOT EXISTS revoke_reason TEXT;  -- refund | dispute | chargeback
+
+ALTER TABLE systasis_orders ADD COLUMN IF NOT EXISTS refunded_cents INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE systasis_orders ADD COLUMN IF NOT EXISTS affiliate_commission_reversed_cents INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE systasis_orders ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMPTZ;
+
+ALTER TABLE trail_maker_orders ADD COLUMN IF NOT EXISTS refunded_cents INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE trail_maker_orders ADD COLUMN IF NOT EXISTS disputed_at TIMESTAMPTZ;
+
+-- Credits taken back after a refund or dispute
+ALTER TABLE credit_transactions DROP CONSTRAINT IF EXISTS credit_transactions_kind_check;
+ALTER TABLE credit_transactions ADD CONSTRAINT credit_transactions_kind_check
+  CHECK (kind IN ('purchase', 'spend', 'refund', 'adjustment', 'clawback'));
+
+CREATE INDEX IF NOT EXISTS idx_credit_transactions_payment_intent
+  ON credit_transactions((metadata->>'payment_intent')) WHERE kind = 'purchase';
+
+-- Order timeline: what happened to an order after checkout, in order
+CREATE TABLE IF NOT EXISTS order_events (
+  id BIGSERIAL PRIMARY KEY,
+  order_table TEXT NOT NULL,            -- systasis_orders | trail_maker_orders | scout_faire_transactions
+  order_id TEXT NOT NULL,               -- order id; checkout session id for credit packs
+  action TEXT NOT NULL,                 -- created, refunded, partially_refunded, dispute_opened, dispute_won, dispute_lost
+  amount_cents INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  stripe_event_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_order_events_order ON order_events(order_table, order_id, created_at);
+
+COMMIT;
@@ -0,0 +1,102 @@
+-- ============================================================================
+-- 017 AFFILIATES
+-- Affiliate accounts with referral codes, click tracking, per-product
+-- commission rules and a commission ledger that moves
+-- pending → approved → paid (or reversed by a refund or chargeback).
+--
+-- Orders keep the affiliate's code in affiliate_id ('DIRECT' when none), as
+-- before; the old flat 30% becomes the default rule below.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS affiliates (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID UNIQUE REFERENCES users(id) ON DELETE SET NULL,  -- NULL once the account is deleted; the ledger stays
+  code TEXT NOT NULL UNIQUE,                -- in referral links and orders.affiliate_id
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'suspended')),
+  payout_email TEXT,
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One row per referral link visit; the click id goes into the attribution cookie
+CREATE TABLE IF NOT EXISTS affiliate_clicks (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  affiliate_id UUID NOT NULL REFERENCES affiliates(id) ON DELETE CASCADE,
+  product_id TEXT,
+  landing_path TEXT,
+  referrer TEXT,
+  ip_hash TEXT,
+  user_agent TEXT,
+  converted_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliate_clicks_affiliate ON affiliate_clicks(affiliate_id, created_at DESC);
+
+-- The most specific matching rule wins: affiliate + product, affiliate,
+-- product, then the default (both NULL)
+CREATE TABLE IF NOT EXISTS affiliate_commission_rules (
+  id SERIAL PRIMARY KEY,
+  product_id TEXT REFERENCES products(id) ON DELETE CASCADE,
+  affiliate_id UUID REFERENCES affiliates(id) ON DELETE CASCADE,
+  rate NUMERIC(5, 4) NOT NULL CHECK (rate >= 0 AND rate <= 1),
+  approval_days INTEGER NOT NULL DEFAULT 30 CHECK (approval_days >= 0),  -- refund window before a commission is payable
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_affiliate_commission_rules_scope ON affiliate_commission_rules(
+  COALESCE(product_id, ''),
+  COALESCE(affiliate_id, '00000000-0000-0000-0000-000000000000'::uuid)
+);
+
+INSERT INTO affiliate_commission_rules (product_id, affiliate_id, rate, approval_days)
+SELECT NULL, NULL, 0.30, 30
+WHERE NOT EXISTS (SELECT 1 FROM affiliate_commission_rules WHERE product_id IS NULL AND affiliate_id IS NULL);
+
+CREATE TABLE IF NOT EXISTS affiliate_payouts (
+  id BIGSERIAL PRIMARY KEY,
+  batch_id TEXT NOT NULL,                   -- one payout run; exported together
+  affiliate_id UUID NOT NULL REFERENCES affiliates(id),
+  payout_email TEXT,
+  amount_cents INTEGER NOT NULL CHECK (amount_cents > 0),
+  commission_count INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid')),
+  reference TEXT,                           -- PayPal/Wise transfer id once paid
+  paid_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliate_payouts_batch ON affiliate_payouts(batch_id);
+CREATE INDEX IF NOT EXISTS idx_affiliate_payouts_affiliate ON affiliate_payouts(affiliate_id, created_at DESC);
+
+-- Commission ledger: one row per referred order
+CREATE TABLE IF NOT EXISTS affiliate_commissions (
+  id BIGSERIAL PRIMARY KEY,
+  affiliate_id UUID NOT NULL REFERENCES affiliates(id),
+  order_table TEXT NOT NULL,
+  order_id TEXT NOT NULL,                   -- checkout session id for credit packs
+  product_id TEXT,
+  click_id UUID REFERENCES affiliate_clicks(id) ON DELETE SET NULL,
+  sale_cents INTEGER NOT NULL,
+  rate NUMERIC(5, 4) NOT NULL,
+  amount_cents INTEGER NOT NULL,
+  reversed_cents INTEGER NOT NULL DEFAULT 0,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'paid', 'reversed')),
+  approves_at TIMESTAMPTZ NOT NULL,
+  held_at TIMESTAMPTZ,                      -- open dispute: not approved until it closes
+  approved_at TIMESTAMPTZ,
+  paid_at TIMESTAMPTZ,
+  reversed_at TIMESTAMPTZ,
+  payout_id BIGINT REFERENCES affiliate_payouts(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (order_table, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_affiliate_commissions_affiliate ON affiliate_commissions(affiliate_id, status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_affiliate_commissions_due ON affiliate_commissions(approves_at) WHERE status = 'pending';
+
+COMMIT;
@@ -0,0 +1,38 @@
+-- ============================================================================
+-- 018 DUNNING
+-- Failed subscription payments move the account through
+--   active → past_due (grace period, reduced quota) → downgraded (free tier)
+-- and back to active once a payment goes through. Nothing is deleted on
+-- downgrade; the paid tier comes back with the next successful payment.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS billing_status TEXT NOT NULL DEFAULT 'active';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS past_due_since TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS grace_period_ends_at TIMESTAMPTZ;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS downgraded_from_tier TEXT;    -- restored on recovery
+ALTER TABLE users ADD COLUMN IF NOT EXISTS downgraded_at TIMESTAMPTZ;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_billing_status_check;
+ALTER TABLE users ADD CONSTRAINT users_billing_status_check
+  CHECK (billing_status IN ('active', 'past_due', 'downgraded'));
+
+CREATE INDEX IF NOT EXISTS idx_users_grace_period ON users(grace_period_ends_at) WHERE billing_status = 'past_due';
+
+-- Every dunning transition and retry, for support
+CREATE TABLE IF NOT EXISTS dunning_events (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event TEXT NOT NULL,                      -- payment_failed, recovered, downgraded, canceled
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  invoice_id TEXT,
+  attempt_count INTEGER,
+  details JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_dunning_events_user ON dunning_events(user_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,18 @@
+-- ============================================================================
+-- 019 SUBSCRIPTION OFFERS
+-- Free trials and introductory discounts are for an account's first
+-- subscription. first_subscribed_at records when that was; a later
+-- subscription that starts with a trial or intro coupon has them removed.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS first_subscribed_at TIMESTAMPTZ;
+
+-- Accounts that have subscribed before (current subscribers, dunning downgrades)
+UPDATE users
+SET first_subscribed_at = COALESCE(created_at, NOW())
+WHERE first_subscribed_at IS NULL
+  AND (stripe_subscription_id IS NOT NULL OR downgraded_from_tier IS NOT NULL);
+
+COMMIT;
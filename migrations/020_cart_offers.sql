@@ -0,0 +1,33 @@
+-- ============================================================================
+-- 020 CART OFFERS
+-- Multi-item checkouts for the Systasis/Chronos/Nexus funnel, with
+--   bumps   - add-ons offered on the checkout page, bought in the same order
+--   upsells - one-click offers after the purchase, charged to the card saved
+--             at checkout as a separate order linked to the first
+-- Offers can carry their own (discounted) Stripe price.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS product_offers (
+  id SERIAL PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,        -- offered with this product
+  offer_product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,  -- the product on offer
+  kind TEXT NOT NULL CHECK (kind IN ('bump', 'upsell')),
+  stripe_price_id TEXT,                     -- offer price; the product's own when NULL
+  price_cents INTEGER CHECK (price_cents >= 0),
+  headline TEXT,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (product_id, offer_product_id, kind),
+  CHECK (product_id <> offer_product_id),
+  CHECK ((stripe_price_id IS NULL) = (price_cents IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_offers_product ON product_offers(product_id, kind, position);
+
+-- Upsell orders point at the order they were offered after
+ALTER TABLE systasis_orders ADD COLUMN IF NOT EXISTS parent_order_id TEXT;  -- systasis_orders.id of the original order
+
+COMMIT;
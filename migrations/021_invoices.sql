@@ -0,0 +1,40 @@
+-- ============================================================================
+-- 021 INVOICES
+-- Every paid order gets an invoice with a gapless per-year number
+-- (INV-2026-000001), issued in the order's own transaction. The invoice keeps
+-- a copy of what was sold, so receipts don't change when products do.
+--
+-- Subscription payments have no order row; their invoice (order_table
+-- 'subscriptions', order_id = Stripe invoice id) is their record in the
+-- order history. Orders placed before this migration get their invoice the
+-- first time a receipt is requested.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+  year INTEGER PRIMARY KEY,
+  last_number INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS invoices (
+  id BIGSERIAL PRIMARY KEY,
+  invoice_number TEXT NOT NULL UNIQUE,
+  order_table TEXT NOT NULL,                -- systasis_orders | trail_maker_orders | scout_faire_transactions | subscriptions
+  order_id TEXT NOT NULL,                   -- checkout session id for credit packs, Stripe invoice id for subscriptions
+  order_number TEXT,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  customer_email TEXT,
+  currency TEXT NOT NULL DEFAULT 'usd',
+  items JSONB NOT NULL DEFAULT '[]',        -- [{ description, quantity, amount_cents }]
+  subtotal_cents INTEGER NOT NULL,
+  total_cents INTEGER NOT NULL,
+  stripe_invoice_id TEXT,
+  paid_at TIMESTAMPTZ NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (order_table, order_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_user ON invoices(user_id, paid_at DESC);
+
+COMMIT;
@@ -0,0 +1,32 @@
+-- ============================================================================
+-- 022 SUBSCRIPTION EVENTS
+-- Revenue reporting (ReportService) needs subscription history: users only
+-- hold the current tier. Every change to a subscription's monthly value is
+-- recorded from the Stripe webhooks; MRR on any date is the latest row per
+-- subscription before it. Trials and unpaid subscriptions count as 0.
+--
+-- History starts here - POST /api/admin/reports/subscriptions/backfill
+-- seeds subscriptions that existed before from Stripe.
+-- ============================================================================
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS subscription_events (
+  id BIGSERIAL PRIMARY KEY,
+  stripe_subscription_id TEXT NOT NULL,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  event TEXT NOT NULL CHECK (event IN ('started', 'changed', 'canceled')),
+  status TEXT NOT NULL,                     -- Stripe subscription status
+  tier TEXT NOT NULL,
+  billing_interval TEXT NOT NULL,           -- month | year
+  mrr_cents INTEGER NOT NULL,               -- monthly value after discounts; 0 unless active or past_due
+  stripe_event_id TEXT UNIQUE,              -- NULL for backfilled rows
+  occurred_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscription_events_subscription ON subscription_events(stripe_subscription_id, occurred_at DESC);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_user ON subscription_events(user_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_events_occurred ON subscription_events(occurred_at);
+
+COMMIT;
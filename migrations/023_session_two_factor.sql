@@ -0,0 +1,13 @@
+-- ============================================================================
+-- 023 SESSION TWO-FACTOR
+-- Whether a login session passed the second factor. Access tokens carry it
+-- as amr ['pwd', 'otp']; the refresh token keeps it so refreshed tokens do
+-- too. Workspaces with require_2fa only admit such sessions. Existing
+-- sessions count as not verified until the next login.
+-- ============================================================================
+
+BEGIN;
+
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS two_factor_verified BOOLEAN NOT NULL DEFAULT false;
+
+COMMIT;
@@ -0,0 +1,25 @@
+-- ============================================================================
+-- 024 ORDER IDEMPOTENCY
+-- Stripe redelivers events, and the event worker retries any event whose
+-- outcome wasn't recorded. Fulfilment is keyed on the payment so a second run
+-- finds the order instead of creating another one (with its bonuses,
+-- commission and invoice): orders on their payment intent, credit packs on
+-- the checkout session's 'created' order event.
+--
+-- Duplicates from earlier retries have to be merged before this runs:
+--   SELECT payment_intent_id, count(*) FROM systasis_orders
+--   WHERE payment_intent_id IS NOT NULL GROUP BY 1 HAVING count(*) > 1;
+-- ============================================================================
+
+BEGIN;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_systasis_orders_payment_intent
+  ON systasis_orders(payment_intent_id) WHERE payment_intent_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_trail_maker_orders_payment_intent
+  ON trail_maker_orders(payment_intent_id) WHERE payment_intent_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_order_events_created
+  ON order_events(order_table, order_id) WHERE action = 'created';
+
+COMMIT;
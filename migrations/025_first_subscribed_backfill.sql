@@ -0,0 +1,27 @@
+-- ============================================================================
+-- 025 FIRST SUBSCRIBED BACKFILL
+-- 019 only backfilled first_subscribed_at for accounts that still had a
+-- subscription (or a dunning downgrade). Canceled subscriptions clear
+-- stripe_subscription_id, so past subscribers were missed and got the
+-- first-subscription trial and intro coupon again.
+--
+-- stripe_customer_id is only set by the subscription webhooks, so any
+-- account with one has subscribed. The subscription ledger (022) has the
+-- date where it has seen them.
+-- ============================================================================
+
+BEGIN;
+
+UPDATE users u
+SET first_subscribed_at = COALESCE(
+  (SELECT MIN(e.occurred_at) FROM subscription_events e WHERE e.user_id = u.id),
+  u.created_at,
+  NOW()
+)
+WHERE u.first_subscribed_at IS NULL
+  AND (
+    u.stripe_customer_id IS NOT NULL
+    OR EXISTS (SELECT 1 FROM subscription_events e WHERE e.user_id = u.id)
+  );
+
+COMMIT;
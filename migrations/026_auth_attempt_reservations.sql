@@ -0,0 +1,96 @@
+-- ============================================================================
+-- 026 AUTH ATTEMPT RESERVATIONS
+-- Checking the counters and recording a failure were separate calls, so
+-- parallel guesses could all pass the check before any failure was counted.
+-- An attempt is now reserved before the password or code is verified: one
+-- call, holding a lock on the keys, checks them and counts the attempt as a
+-- failure. A successful attempt gives its reservation back.
+-- ============================================================================
+
+BEGIN;
+
+-- Returns retry_after NULL when the attempt is reserved, otherwise the
+-- seconds to wait (locked: by a lock, not just the progressive delay).
+-- newly_locked lists the keys this reservation locked.
+CREATE OR REPLACE FUNCTION reserve_auth_attempt(
+  p_keys TEXT[],
+  p_window_seconds INTEGER[],
+  p_lock_thresholds INTEGER[],
+  p_lock_seconds INTEGER[],
+  p_free_attempts INTEGER,
+  p_max_delay_seconds INTEGER
+)
+RETURNS TABLE (retry_after INTEGER, locked BOOLEAN, newly_locked TEXT[]) AS $$
+DECLARE
+  v_key TEXT;
+  r auth_failures;
+  v_wait INTEGER;
+  v_retry_after INTEGER := 0;
+  v_locked BOOLEAN := FALSE;
+  v_newly_locked TEXT[] := '{}';
+  v_failure RECORD;
+BEGIN
+  -- Keys in the same order everywhere, so two reservations can't deadlock
+  FOREACH v_key IN ARRAY (SELECT array_agg(k ORDER BY k) FROM unnest(p_keys) k) LOOP
+    PERFORM pg_advisory_xact_lock(hashtext('auth_failures:' || v_key));
+  END LOOP;
+
+  FOR i IN 1 .. coalesce(array_length(p_keys, 1), 0) LOOP
+    SELECT * INTO r FROM auth_failures WHERE key = p_keys[i];
+    CONTINUE WHEN NOT FOUND;
+
+    IF r.locked_until > NOW() THEN
+      v_wait := ceil(extract(epoch FROM r.locked_until - NOW()));
+
+      IF v_wait > v_retry_after THEN
+        v_retry_after := v_wait;
+        v_locked := TRUE;
+      END IF;
+    ELSIF r.locked_until IS NULL AND r.failures >= p_free_attempts THEN
+      -- 1s, 2s, 4s ... after the free attempts, capped
+      v_wait := ceil(extract(epoch FROM
+        r.last_failure_at
+        + make_interval(secs => LEAST(2 ^ (r.failures - p_free_attempts), p_max_delay_seconds))
+        - NOW()
+      ));
+
+      IF v_wait > v_retry_after THEN
+        v_retry_after := v_wait;
+        v_locked := FALSE;
+      END IF;
+    END IF;
+  END LOOP;
+
+  IF v_retry_after > 0 THEN
+    RETURN QUERY SELECT v_retry_after, v_locked, v_newly_locked;
+    RETURN;
+  END IF;
+
+  FOR i IN 1 .. coalesce(array_length(p_keys, 1), 0) LOOP
+    SELECT * INTO v_failure
+    FROM record_auth_failure(p_keys[i], p_window_seconds[i], p_lock_thresholds[i], p_lock_seconds[i]);
+
+    IF v_failure.newly_locked THEN
+      v_newly_locked := v_newly_locked || p_keys[i];
+    END IF;
+  END LOOP;
+
+  RETURN QUERY SELECT NULL::INTEGER, FALSE, v_newly_locked;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Give back a successful attempt's reservation. A key that is locked now was
+-- locked by that reservation (reservations are refused while it's locked),
+-- so the lock goes too.
+CREATE OR REPLACE FUNCTION release_auth_attempt(p_keys TEXT[])
+RETURNS VOID AS $$
+BEGIN
+  UPDATE auth_failures
+  SET failures = failures - 1, locked_until = NULL
+  WHERE key = ANY(p_keys) AND failures > 0;
+
+  DELETE FROM auth_failures WHERE key = ANY(p_keys) AND failures <= 0;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
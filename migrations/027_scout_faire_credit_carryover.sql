@@ -0,0 +1,35 @@
+-- ============================================================================
+-- 027 SCOUT-FAIRE CREDIT CARRY-OVER
+-- Credits bought before the wallet (013) were recorded by
+-- process_scout_faire_purchase only, in scout_faire_transactions, and were
+-- left for admins to carry over by hand. This moves them into the wallet.
+--
+-- Each user's net scout_faire_transactions credits (packs bought, less
+-- whatever was recorded there as used), skipping checkouts the wallet has
+-- already credited. One adjustment per user, keyed so running this again
+-- adds nothing.
+-- ============================================================================
+
+BEGIN;
+
+SELECT add_credits(
+  legacy.user_id,
+  legacy.credits,
+  'adjustment',
+  'scout_faire_carryover:' || legacy.user_id,
+  'Scout-Faire credits from before the wallet',
+  jsonb_build_object('transactions', legacy.transactions)
+)
+FROM (
+  SELECT t.user_id, SUM(t.credits)::INTEGER AS credits, COUNT(*) AS transactions
+  FROM scout_faire_transactions t
+  JOIN users u ON u.id = t.user_id
+  WHERE NOT EXISTS (
+    SELECT 1 FROM credit_transactions ct
+    WHERE ct.kind = 'purchase' AND ct.reference = t.stripe_session_id
+  )
+  GROUP BY t.user_id
+) legacy
+WHERE legacy.credits > 0;
+
+COMMIT;
@@ -0,0 +1,36 @@
+-- ============================================================================
+-- 028 AUTH ATTEMPT RELEASE
+-- release_auth_attempt (026) cleared any lock on the keys it was given,
+-- assuming the releasing attempt had set it. Attempts reserved in parallel
+-- can lock the key after this one was reserved, so a successful attempt
+-- lifted the IP lock their failures had earned.
+--
+-- A release now gives back this attempt's failure only, and lifts only the
+-- locks this attempt's reservation set (reserve_auth_attempt's newly_locked).
+-- ============================================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS release_auth_attempt(TEXT[]);
+
+CREATE OR REPLACE FUNCTION release_auth_attempt(p_keys TEXT[], p_locked_keys TEXT[] DEFAULT '{}')
+RETURNS VOID AS $$
+DECLARE
+  v_key TEXT;
+BEGIN
+  -- Same lock order as reserve_auth_attempt
+  FOREACH v_key IN ARRAY (SELECT array_agg(k ORDER BY k) FROM unnest(p_keys) k) LOOP
+    PERFORM pg_advisory_xact_lock(hashtext('auth_failures:' || v_key));
+  END LOOP;
+
+  UPDATE auth_failures
+  SET failures = failures - 1,
+      locked_until = CASE WHEN key = ANY(coalesce(p_locked_keys, '{}')) THEN NULL ELSE locked_until END
+  WHERE key = ANY(p_keys) AND failures > 0;
+
+  DELETE FROM auth_failures
+  WHERE key = ANY(p_keys) AND failures <= 0 AND locked_until IS NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMIT;
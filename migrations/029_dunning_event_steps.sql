@@ -0,0 +1,31 @@
+-- ============================================================================
+-- 029 DUNNING EVENT STEPS
+-- A redelivered invoice.payment_failed webhook recorded the failed attempt
+-- again and sent its reminder again. Each step of an invoice (event and
+-- attempt) is now saved once, and the reminder only goes out when the save
+-- creates the row (DunningService.paymentFailed).
+--
+-- Failed payments of customers without an account get their reminder too,
+-- so they're recorded without a user or billing status.
+-- ============================================================================
+
+BEGIN;
+
+-- Keep the first of any steps recorded twice
+DELETE FROM dunning_events d
+USING dunning_events earlier
+WHERE d.invoice_id = earlier.invoice_id
+  AND d.event = earlier.event
+  AND d.attempt_count = earlier.attempt_count
+  AND d.id > earlier.id;
+
+-- Events without an invoice or attempt (downgrades, cancellations) are NULL
+-- there, so they never conflict
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dunning_events_step
+  ON dunning_events(invoice_id, event, attempt_count);
+
+ALTER TABLE dunning_events ALTER COLUMN user_id DROP NOT NULL;
+ALTER TABLE dunning_events ALTER COLUMN from_status DROP NOT NULL;
+ALTER TABLE dunning_events ALTER COLUMN to_status DROP NOT NULL;
+
+COMMIT;
@@ -1,9 +1,10 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { identifyRequest } = require('./app/middleware/auth');
+const { rateLimitFor } = require('./app/middleware/rateLimit');
 
 const app = express();
 
@@ -12,17 +13,19 @@ app.set('trust proxy', 1);
 // Middleware
 app.use(helmet());
 app.use(cors());
-app.use('/webhook', require('./app/routes/stripe'));  // <-- ADD THIS LINE
+
+// Stripe webhooks - before express.json so signatures can be verified on the raw body
+const webhooks = require('./app/routes/webhooks');
+app.use('/api/webhooks', webhooks);
+// Old endpoint URLs, kept while they are still registered in the Stripe dashboard
+app.post(['/webhook/webhook/stripe', '/api/payments/webhook'], express.raw({ type: 'application/json' }), webhooks.receiveStripeEvent);
+
 app.use(express.json());
 
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  limit: 100,
-  validate: { xForwardedForHeader: false }
-});
-app.use('/api/', limiter);
+// Rate limiting - per API key / user / IP with per-tier budgets
+// (expensive routes add their own buckets)
+app.use('/api/', identifyRequest, rateLimitFor('api'));
 
 // Supabase client
 const supabase = createClient(
@@ -41,13 +44,23 @@ app.get('/health', (req, res) => {
 });
 
 
+app.use('/api/auth/2fa', require('./app/routes/twoFactor'));
 app.use('/api/auth', require('./app/routes/auth'));
+app.use('/api/account', require('./app/routes/account'));
 app.use('/api/payments', require('./app/routes/payments'));
 app.use('/api/bonuses', require('./app/routes/bonuses'));
 app.use('/api/products', require('./app/routes/products'));
 app.use('/api/analysis', require('./app/routes/analysis'));
+app.use('/api/credits', require('./app/routes/credits'));
 app.use('/api/checkout', require('./app/routes/checkout'));
+app.use('/api/billing', require('./app/routes/billing'));
+app.use('/api/orders', require('./app/routes/orders'));
 app.use('/api/niches', require('./app/routes/niches'));
+app.use('/api/emails', require('./app/routes/emails'));
+app.use('/api/keys', require('./app/routes/apiKeys'));
+app.use('/api/workspaces', require('./app/routes/workspaces'));
+app.use('/api/affiliates', require('./app/routes/affiliates'));
+app.use('/api/admin', require('./app/routes/admin'));
 
 // Error handling
 app.use((req, res) => {
@@ -65,4 +78,20 @@ app.listen(PORT, () => {
   console.log(`\n🚀 AmatuEdda running on port ${PORT}`);
   console.log(`✅ Database: ${process.env.SUPABASE_URL ? 'Connected' : 'Not configured'}`);
   console.log(`✅ Stripe: ${process.env.STRIPE_SECRET_KEY ? 'Configured' : 'Not configured'}\n`);
+
+  // Background workers
+  const EmailWorker = require('./app/workers/email-worker');
+  new EmailWorker().start();
+
+  const AccountPurgeWorker = require('./app/workers/account-purge-worker');
+  new AccountPurgeWorker().start();
+
+  const StripeEventWorker = require('./app/workers/stripe-event-worker');
+  new StripeEventWorker().start();
+
+  const AffiliateWorker = require('./app/workers/affiliate-worker');
+  new AffiliateWorker().start();
+
+  const DunningWorker = require('./app/workers/dunning-worker');
+  new DunningWorker().start();
 });
@@ -0,0 +1,93 @@
+// test/credits.test.js
+// Paying for analyses: monthly quota first, then the credit wallet (CreditService.chargeAnalysis)
+
+require('./helpers');
+
+const { test, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CreditService = require('../app/services/CreditService');
+const UsageService = require('../app/services/UsageService');
+
+const freeUser = { user: { id: 'user-1', tier: 'free', email_verified: true } };
+
+afterEach(() => mock.restoreAll());
+
+function mockQuota(result) {
+  return mock.method(UsageService, 'consume', async () => result);
+}
+
+function mockWallet(result) {
+  return mock.method(CreditService, 'spend', async () => result);
+}
+
+test('uses the monthly quota while it lasts and leaves the wallet alone', async () => {
+  mockQuota({ allowed: true, used: 1, limit: 10 });
+  const spend = mockWallet({ allowed: true, balance: 9, transaction_id: 1 });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'quick' });
+
+  assert.equal(charge.allowed, true);
+  assert.equal(charge.source, 'quota');
+  assert.equal(charge.credits.spent, 0);
+  assert.equal(spend.mock.callCount(), 0);
+});
+
+test('pays from the wallet once the quota is used up', async () => {
+  mockQuota({ allowed: false, reason: 'limit_reached' });
+  const spend = mockWallet({ allowed: true, balance: 4, transaction_id: 42 });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'quick' });
+
+  assert.equal(charge.allowed, true);
+  assert.equal(charge.source, 'credits');
+  assert.deepEqual(charge.credits, { cost: 1, spent: 1, balance: 4, transaction_id: 42 });
+  assert.equal(spend.mock.calls[0].arguments[0], 'user-1');
+  assert.equal(spend.mock.calls[0].arguments[1], 1);
+});
+
+test('deeper analyses than the plan covers always cost credits', async () => {
+  const consume = mockQuota({ allowed: true });
+  mock.method(UsageService, 'getUsage', async () => ({ allowed: true, used: 0, limit: 10 }));
+  mockWallet({ allowed: true, balance: 0, transaction_id: 7 });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'deep' });
+
+  assert.equal(consume.mock.callCount(), 0);
+  assert.equal(charge.source, 'credits');
+  assert.equal(charge.credits.cost, 5);
+});
+
+test('refuses when the wallet is short, reporting the quota reason first', async () => {
+  mockQuota({ allowed: false, reason: 'limit_reached' });
+  mockWallet({ allowed: false, balance: 0, transaction_id: null });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'quick' });
+
+  assert.equal(charge.allowed, false);
+  assert.equal(charge.reason, 'limit_reached');
+  assert.equal(charge.credits.spent, 0);
+});
+
+test('never spends credits when they are not allowed (unauthenticated callers)', async () => {
+  mock.method(UsageService, 'getUsage', async () => ({ allowed: true, used: 0, limit: 10 }));
+  const spend = mockWallet({ allowed: true, balance: 100, transaction_id: 1 });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'deep', allowCredits: false });
+
+  assert.equal(charge.allowed, false);
+  assert.equal(charge.reason, 'login_required');
+  assert.equal(charge.credits.spent, 0);
+  assert.equal(spend.mock.callCount(), 0);
+});
+
+test('throttling is not bought off with credits', async () => {
+  mockQuota({ allowed: false, reason: 'throttled', retry_after: 30 });
+  const spend = mockWallet({ allowed: true, balance: 100, transaction_id: 1 });
+
+  const charge = await CreditService.chargeAnalysis(freeUser, { depth: 'quick' });
+
+  assert.equal(charge.allowed, false);
+  assert.equal(charge.reason, 'throttled');
+  assert.equal(charge.retry_after, 30);
+  assert.equal(spend.mock.callCount(), 0);
+});
@@ -0,0 +1,63 @@
+// test/helpers.js
+// Shared setup for the node:test suites (npm test)
+//
+// Services create their database and Stripe clients when they're required,
+// so the environment has to be in place first. Nothing here talks to a real
+// database, Redis or Stripe: tests replace the calls a case needs with mocks.
+
+process.env.NODE_ENV = 'test';
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY || 'test-service-key';
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_dummy';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.EMAIL_DRIVER = 'log';
+
+/**
+ * Stand-in for a supabase-js query: every builder method chains, and
+ * awaiting it (or .single()) resolves to the next queued { data, error }
+ */
+function fakeSupabase(results) {
+  const calls = [];
+
+  const query = (table) => {
+    const call = { table, ops: [] };
+    calls.push(call);
+
+    const builder = new Proxy({}, {
+      get(target, method) {
+        if (method === 'then') {
+          const result = results.shift() || { data: null, error: null };
+          return (resolve, reject) => Promise.resolve(result).then(resolve, reject);
+        }
+        return (...args) => {
+          call.ops.push([method, ...args]);
+          return builder;
+        };
+      }
+    });
+
+    return builder;
+  };
+
+  return { from: query, rpc: (name, args) => query(`rpc:${name}`).args(args), calls };
+}
+
+/**
+ * Stand-in for a pg client: answers queries in order with the queued rows
+ */
+function fakeDb(responses) {
+  const queries = [];
+
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push({ sql, params });
+      const response = responses.shift();
+      if (response instanceof Error) throw response;
+      return { rows: response || [] };
+    }
+  };
+}
+
+module.exports = { fakeSupabase, fakeDb };
@@ -0,0 +1,74 @@
+// test/privacy.test.js
+// Which rows an account's export and purge take (PrivacyService): rows under
+// the account's email only count once the email is verified
+
+require('./helpers');
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeDb } = require('./helpers');
+const PrivacyService = require('../app/services/PrivacyService');
+
+const realPool = PrivacyService.pool;
+
+const verified = { id: 'user-1', email: 'Buyer@Example.com', email_verified_at: '2026-01-01T00:00:00Z' };
+const unverified = { ...verified, email_verified_at: null };
+
+function usePool() {
+  const client = fakeDb([]);
+  client.release = () => {};
+  PrivacyService.pool = { query: client.query, connect: async () => client };
+  return client;
+}
+
+afterEach(() => {
+  PrivacyService.pool = realPool;
+});
+
+test('the export matches guest rows by a verified email', async () => {
+  const db = usePool();
+
+  await PrivacyService.collectExport(verified);
+
+  const orders = db.queries.find(q => q.sql.includes('FROM systasis_orders'));
+  assert.deepEqual(orders.params, ['user-1', 'buyer@example.com', null]);
+  assert.match(orders.sql, /\$2::text IS NOT NULL AND lower\(customer_email\) = \$2/);
+});
+
+test('the export matches by user id only while the email is unverified', async () => {
+  const db = usePool();
+
+  const data = await PrivacyService.collectExport(unverified);
+
+  for (const { sql, params } of db.queries) {
+    assert.equal(params[1], null);
+    // Every email match is guarded, so NULL matches nothing
+    for (const match of sql.match(/lower\(\w+\.?\w*\) = \$2/g) || []) {
+      assert.ok(sql.includes('$2::text IS NOT NULL'), `unguarded ${match} in ${sql}`);
+    }
+  }
+  assert.equal(data.account.email, 'Buyer@Example.com');
+});
+
+test('the purge leaves rows under an unverified email alone', async () => {
+  const db = usePool();
+
+  await PrivacyService.purgeAccount(unverified);
+
+  const sql = db.queries.map(q => q.sql);
+  assert.ok(!sql.some(s => s.includes('email_outbox')));
+  assert.ok(!sql.some(s => s.includes('workspace_invitations')));
+
+  const anonymized = db.queries.find(q => q.sql.includes('UPDATE systasis_orders'));
+  assert.equal(anonymized.params[1], null);
+  assert.equal(sql.at(-1), 'COMMIT');
+});
+
+test('the purge takes rows under a verified email', async () => {
+  const db = usePool();
+
+  await PrivacyService.purgeAccount(verified);
+
+  const outbox = db.queries.find(q => q.sql.includes('email_outbox'));
+  assert.deepEqual(outbox.params, ['buyer@example.com']);
+});
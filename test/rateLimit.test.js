@@ -0,0 +1,95 @@
+// test/rateLimit.test.js
+// Tier-aware rate limiting (middleware/rateLimit.js) with the in-memory store
+
+require('./helpers');
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { rateLimitFor } = require('../app/middleware/rateLimit');
+const { getRateLimit } = require('../app/config/plans');
+
+/**
+ * An app behind the 'analyze' limiter; the x-user / x-tier / x-api-key
+ * headers stand in for what identifyRequest would attach
+ */
+async function startApp() {
+  const app = express();
+
+  app.use((req, res, next) => {
+    if (req.get('x-api-key')) req.apiKey = { id: req.get('x-api-key') };
+    if (req.get('x-user')) req.user = { id: req.get('x-user'), tier: req.get('x-tier') || 'free' };
+    next();
+  });
+  app.use(rateLimitFor('analyze'));
+  app.get('/', (req, res) => res.json({ success: true }));
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    get: (headers = {}) => fetch(`http://127.0.0.1:${server.address().port}/`, { headers }),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+test('rejects unknown buckets', () => {
+  assert.throws(() => rateLimitFor('nope'), /Unknown rate limit bucket/);
+});
+
+test('anonymous callers get the anonymous limit, then a 429 with Retry-After', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const limit = getRateLimit(null, 'analyze');
+
+  for (let i = 0; i < limit; i++) {
+    const response = await app.get();
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('ratelimit-limit'), String(limit));
+    assert.equal(response.headers.get('ratelimit-remaining'), String(limit - i - 1));
+  }
+
+  const limited = await app.get();
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+
+  const body = await limited.json();
+  assert.equal(body.success, false);
+  assert.equal(body.error, 'rate_limited');
+  assert.equal(body.limit, limit);
+  assert.ok(body.retry_after >= 1);
+});
+
+test('users are limited by their tier and counted separately', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  const limit = getRateLimit('free', 'analyze');
+
+  for (let i = 0; i < limit; i++) {
+    assert.equal((await app.get({ 'x-user': 'user-a' })).status, 200);
+  }
+  assert.equal((await app.get({ 'x-user': 'user-a' })).status, 429);
+
+  // Another account from the same IP has its own counter
+  const other = await app.get({ 'x-user': 'user-b' });
+  assert.equal(other.status, 200);
+  assert.equal(other.headers.get('ratelimit-remaining'), String(limit - 1));
+});
+
+test('API keys are counted per key, not per owner', async (t) => {
+  const app = await startApp();
+  t.after(app.close);
+
+  await app.get({ 'x-user': 'user-c', 'x-api-key': 'key-1' });
+  const sameUserOtherKey = await app.get({ 'x-user': 'user-c', 'x-api-key': 'key-2' });
+
+  const limit = getRateLimit('free', 'analyze');
+  assert.equal(sameUserOtherKey.headers.get('ratelimit-remaining'), String(limit - 1));
+});
+
+test('paid tiers get a higher limit than free', () => {
+  assert.ok(getRateLimit('oracle', 'analyze') > getRateLimit('free', 'analyze'));
+});
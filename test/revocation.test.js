@@ -0,0 +1,60 @@
+// test/revocation.test.js
+// Access tokens issued before an account's tokens_valid_after are revoked
+// (TokenService.isRevoked)
+
+require('./helpers');
+
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeSupabase } = require('./helpers');
+const TokenService = require('../app/services/TokenService');
+
+const realSupabase = TokenService.supabase;
+
+// A revocation 400ms into a second
+const revokedAt = Date.parse('2026-03-01T12:00:00.400Z');
+const user = { id: 'user-1', tokens_valid_after: new Date(revokedAt).toISOString() };
+const second = Math.floor(revokedAt / 1000);
+
+function useRevokedList(jtis = []) {
+  TokenService.supabase = fakeSupabase(jtis.map(jti => ({ data: { jti }, error: null })));
+  return TokenService.supabase;
+}
+
+afterEach(() => {
+  TokenService.supabase = realSupabase;
+});
+
+test('a token without ms is revoked when issued in the revocation\'s second', async () => {
+  useRevokedList();
+
+  // Issued 300ms after the revocation, but iat can't tell
+  assert.equal(await TokenService.isRevoked({ iat: second }, user), true);
+  assert.equal(await TokenService.isRevoked({ iat: second - 1 }, user), true);
+  assert.equal(await TokenService.isRevoked({ iat: second + 1 }, user), false);
+});
+
+test('our tokens compare in ms, so a session issued right after the revocation works', async () => {
+  useRevokedList();
+
+  assert.equal(await TokenService.isRevoked({ iat: second, iatMs: revokedAt - 100 }, user), true);
+  assert.equal(await TokenService.isRevoked({ iat: second, iatMs: revokedAt }, user), true);
+  assert.equal(await TokenService.isRevoked({ iat: second, iatMs: revokedAt + 100 }, user), false);
+});
+
+test('a token on the revocation list is revoked whenever it was issued', async () => {
+  const supabase = useRevokedList(['jti-1']);
+
+  assert.equal(await TokenService.isRevoked({ iat: second + 60, jti: 'jti-1' }, user), true);
+  assert.equal(supabase.calls[0].table, 'revoked_tokens');
+});
+
+test('a fresh token is checked against the revocation list', async () => {
+  useRevokedList();
+
+  const token = TokenService.signAccessToken({ id: 'user-1', email: 'a@example.com', tier: 'free' });
+  const decoded = TokenService.verifyAccessToken(token);
+
+  assert.ok(decoded.iatMs >= decoded.iat * 1000);
+  assert.equal(await TokenService.isRevoked(decoded, { id: 'user-1' }), false);
+});
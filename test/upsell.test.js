@@ -0,0 +1,70 @@
+// test/upsell.test.js
+// One-click upsells are only for the browser that started the checkout
+// (CartService buyer keys and upsell tokens)
+
+require('./helpers');
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const CartService = require('../app/services/CartService');
+const { UPSELL_COOKIE } = CartService;
+// Resource methods live on a prototype every Stripe client shares
+const sessions = Object.getPrototypeOf(stripe.checkout.sessions);
+
+afterEach(() => mock.restoreAll());
+
+function checkout(buyer) {
+  return {
+    id: 'cs_test_upsell',
+    payment_status: 'paid',
+    metadata: { upsell_buyer: buyer ? buyer.hash : '' }
+  };
+}
+
+function cookieRequest(key) {
+  return { headers: { cookie: `ae_ref=abc; ${UPSELL_COOKIE}=${encodeURIComponent(key)}` } };
+}
+
+test('the buyer key is read from its cookie', () => {
+  const buyer = CartService.createBuyerKey();
+
+  assert.equal(CartService.buyerKeyFromCookie(cookieRequest(buyer.key)), buyer.key);
+  assert.equal(CartService.buyerKeyFromCookie({ headers: {} }), null);
+});
+
+test('only the key the checkout was started with is the buyer', () => {
+  const buyer = CartService.createBuyerKey();
+  const someoneElse = CartService.createBuyerKey();
+  const session = checkout(buyer);
+
+  assert.equal(CartService.isBuyer(session, buyer.key), true);
+  assert.equal(CartService.isBuyer(session, someoneElse.key), false);
+  assert.equal(CartService.isBuyer(session, null), false);
+});
+
+test('a checkout without a buyer key has no buyer', () => {
+  assert.equal(CartService.isBuyer(checkout(null), ''), false);
+  assert.equal(CartService.isBuyer({ id: 'cs_test_upsell' }, 'anything'), false);
+});
+
+test('a valid upsell token is refused without the buyer key', async () => {
+  const buyer = CartService.createBuyerKey();
+  const session = checkout(buyer);
+  const retrieve = mock.method(sessions, 'retrieve', async () => session);
+
+  const token = CartService.upsellToken(session);
+  const result = await CartService.chargeUpsell(token, 'trail_maker', CartService.createBuyerKey().key);
+
+  assert.deepEqual(result, { error: 'Only the buyer can take this offer', status: 403 });
+  assert.equal(retrieve.mock.callCount(), 1);
+});
+
+test('an invalid upsell token is refused before Stripe is asked', async () => {
+  const retrieve = mock.method(sessions, 'retrieve', async () => ({}));
+
+  const result = await CartService.chargeUpsell('not-a-token', 'trail_maker', 'key');
+
+  assert.equal(result.status, 401);
+  assert.equal(retrieve.mock.callCount(), 0);
+});
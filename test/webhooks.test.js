@@ -0,0 +1,163 @@
+// test/webhooks.test.js
+// Stripe event processing (StripeEventService) and order fulfilment retries
+// (services/webhooks/orders.js)
+
+require('./helpers');
+
+const { test, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakeSupabase, fakeDb } = require('./helpers');
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const StripeEventService = require('../app/services/StripeEventService');
+const AffiliateService = require('../app/services/AffiliateService');
+const CreditService = require('../app/services/CreditService');
+const InvoiceService = require('../app/services/InvoiceService');
+const ProductService = require('../app/services/ProductService');
+const orders = require('../app/services/webhooks/orders');
+
+const row = { id: 'evt_1', type: 'checkout.session.completed', source: 'test', attempts: 0, payload: { id: 'evt_1' } };
+const realSupabase = StripeEventService.supabase;
+
+function useSupabase(results) {
+  StripeEventService.supabase = fakeSupabase(results);
+  return StripeEventService.supabase;
+}
+
+afterEach(() => {
+  mock.restoreAll();
+  StripeEventService.supabase = realSupabase;
+  StripeEventService.handlers.delete('test');
+});
+
+// ============================================================================
+// EVENT PROCESSING
+// ============================================================================
+
+test('a handled event is marked processed', async () => {
+  const supabase = useSupabase([
+    { data: [{ id: 'evt_1' }], error: null },                   // claim
+    { data: { ...row, status: 'processed' }, error: null }      // processed
+  ]);
+
+  const handler = mock.fn(async () => {});
+  StripeEventService.setHandler('test', handler);
+
+  const result = await StripeEventService.process(row);
+
+  assert.equal(handler.mock.callCount(), 1);
+  assert.equal(result.status, 'processed');
+  const [method, update] = supabase.calls[1].ops[0];
+  assert.equal(method, 'update');
+  assert.equal(update.status, 'processed');
+  assert.equal(update.last_error, null);
+});
+
+test('an event another worker claimed is not handled again', async () => {
+  useSupabase([{ data: [], error: null }]);
+
+  const handler = mock.fn(async () => {});
+  StripeEventService.setHandler('test', handler);
+
+  await StripeEventService.process(row);
+
+  assert.equal(handler.mock.callCount(), 0);
+});
+
+test('a failed handler puts the event back for a retry', async () => {
+  const supabase = useSupabase([
+    { data: [{ id: 'evt_1' }], error: null },
+    { data: { ...row, status: 'pending', attempts: 1 }, error: null }
+  ]);
+  StripeEventService.setHandler('test', async () => { throw new Error('Stripe is down'); });
+
+  const result = await StripeEventService.process(row);
+
+  assert.equal(result.status, 'pending');
+  const update = supabase.calls[1].ops[0][1];
+  assert.equal(update.status, 'pending');
+  assert.equal(update.last_error, 'Stripe is down');
+});
+
+test('a processed status that fails to save is an error, not a silent success', async () => {
+  useSupabase([
+    { data: [{ id: 'evt_1' }], error: null },
+    { data: null, error: { message: 'connection reset' } }
+  ]);
+  StripeEventService.setHandler('test', async () => {});
+
+  await assert.rejects(() => StripeEventService.process(row), { message: 'connection reset' });
+});
+
+// ============================================================================
+// ORDER FULFILMENT RETRIES
+// ============================================================================
+
+const session = {
+  id: 'cs_test_1',
+  payment_intent: 'pi_test_1',
+  amount_total: 4700,
+  customer_email: 'buyer@example.com',
+  client_reference_id: null,
+  metadata: { product_id: 'systasis', affiliate_id: 'DIRECT' }
+};
+
+test('a redelivered Systasis checkout returns the existing order and grants nothing', async () => {
+  const commission = mock.method(AffiliateService, 'recordCommission', async () => null);
+  const client = fakeDb([
+    [],                                                   // INSERT ... ON CONFLICT DO NOTHING
+    [{ id: 17, order_number: 'ORD-1' }]                   // the existing order
+  ]);
+
+  const order = await orders.productKinds.systasis_orders(session, { client, product: { id: 'systasis', name: 'Systasis Pro' } });
+
+  assert.deepEqual(order, { orderId: 17, orderNumber: 'ORD-1', duplicate: true });
+  assert.equal(client.queries.length, 2);
+  assert.match(client.queries[0].sql, /ON CONFLICT \(payment_intent_id\)/);
+  assert.equal(commission.mock.callCount(), 0);
+});
+
+test('a redelivered credit pack checkout is skipped before anything is granted', async () => {
+  const client = fakeDb([
+    [],                  // advisory lock
+    [{ '?column?': 1 }]  // the 'created' order event exists
+  ]);
+
+  const order = await orders.productKinds.scout_faire_transactions(
+    { ...session, metadata: { product_id: 'scout_faire_pro' } },
+    { client, product: { id: 'scout_faire_pro', name: 'Scout-Faire Pro' } }
+  );
+
+  assert.deepEqual(order, { orderNumber: 'cs_test_1', duplicate: true });
+  assert.equal(client.queries.length, 2);
+  assert.match(client.queries[0].sql, /pg_advisory_xact_lock/);
+});
+
+test('a guest credit pack checkout is marked fulfilled though no wallet is credited', async () => {
+  mock.method(Object.getPrototypeOf(stripe.checkout.sessions), 'listLineItems', async () => ({
+    data: [{ price: { id: 'price_pack' }, quantity: 1 }]
+  }));
+  mock.method(ProductService, 'list', async () => [{ stripe_price_id: 'price_pack', credits: 50 }]);
+  mock.method(AffiliateService, 'recordCommission', async () => null);
+  mock.method(InvoiceService, 'issue', async () => null);
+  const grant = mock.method(CreditService, 'grant', async () => null);
+
+  const client = fakeDb([
+    [],   // advisory lock
+    [],   // not fulfilled yet
+    [],   // no account under the checkout email
+    [],   // process_scout_faire_purchase
+    []    // the 'created' order event
+  ]);
+
+  const order = await orders.productKinds.scout_faire_transactions(
+    { ...session, metadata: { product_id: 'scout_faire_pro' } },
+    { client, product: { id: 'scout_faire_pro', name: 'Scout-Faire Pro' } }
+  );
+
+  assert.deepEqual(order, { orderNumber: 'cs_test_1' });
+  assert.equal(grant.mock.callCount(), 0);
+
+  const created = client.queries.at(-1);
+  assert.match(created.sql, /INSERT INTO order_events/);
+  assert.deepEqual(created.params.slice(0, 3), ['scout_faire_transactions', 'cs_test_1', 'created']);
+});